@@ -3,7 +3,6 @@ class AICoachingService {
   constructor() {
     this.apiConfig = {
       provider: localStorage.getItem('ai_provider') || 'openai',
-      apiKey: localStorage.getItem('ai_api_key') || '',
       model: localStorage.getItem('ai_model') || 'gpt-4',
       endpoint: '',
       isConfigured: false,
@@ -12,19 +11,18 @@ class AICoachingService {
     
     this.apiConfig.endpoint = this.getEndpoint();
     this.checkConfiguration();
-    
-    // Rate limiting
-    this.lastAPICall = 0;
-    this.minInterval = 1000; // 1 second between calls
-    
-    // Request queue for handling multiple simultaneous requests
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
+
+    // 平文キーの移行後に設定状態を更新
+    window.secretsVault.whenReady().then(() => this.checkConfiguration());
+
+    // レート制限・待ち行列は共通のRequestSchedulerで管理
+    this.PROVIDER = 'ai';
   }
 
   // Configuration Management
+  // APIキーは暗号化保管庫（secretsVault）に保存し、リクエスト時にのみ復号する
   checkConfiguration() {
-    this.apiConfig.isConfigured = this.apiConfig.apiKey.length > 0;
+    this.apiConfig.isConfigured = window.secretsVault.hasSecret('ai_api_key');
     return this.apiConfig.isConfigured;
   }
 
@@ -37,14 +35,13 @@ class AICoachingService {
     return endpoints[this.apiConfig.provider] || endpoints['openai'];
   }
 
-  saveConfiguration(provider, apiKey, model) {
+  async saveConfiguration(provider, apiKey, model) {
     try {
+      await window.secretsVault.setSecret('ai_api_key', apiKey);
       localStorage.setItem('ai_provider', provider);
-      localStorage.setItem('ai_api_key', apiKey);
       localStorage.setItem('ai_model', model);
       
       this.apiConfig.provider = provider;
-      this.apiConfig.apiKey = apiKey;
       this.apiConfig.model = model;
       this.apiConfig.endpoint = this.getEndpoint();
       this.checkConfiguration();
@@ -52,18 +49,17 @@ class AICoachingService {
       return { success: true, message: 'AI設定が正常に保存されました' };
     } catch (error) {
       console.error('Failed to save configuration:', error);
-      return { success: false, message: '設定の保存に失敗しました' };
+      return { success: false, message: `設定の保存に失敗しました: ${error.message}` };
     }
   }
 
   clearConfiguration() {
     try {
       localStorage.removeItem('ai_provider');
-      localStorage.removeItem('ai_api_key');
       localStorage.removeItem('ai_model');
       localStorage.removeItem('ai_last_verified');
+      window.secretsVault.removeSecret('ai_api_key');
       
-      this.apiConfig.apiKey = '';
       this.apiConfig.isConfigured = false;
       this.apiConfig.lastVerified = null;
       
@@ -76,13 +72,13 @@ class AICoachingService {
 
   // API Validation
   async validateAPIKey() {
-    if (!this.apiConfig.apiKey) {
+    if (!this.checkConfiguration()) {
       return { valid: false, message: 'APIキーが設定されていません' };
     }
 
     try {
       const testPrompt = "Test connection - respond with 'OK'";
-      const response = await this.callAIAPI(testPrompt, { timeout: 10000 });
+      const response = await this.callAIAPI(testPrompt, { timeout: 10000, priority: 'user' });
       
       localStorage.setItem('ai_last_verified', new Date().toISOString());
       this.apiConfig.lastVerified = new Date().toISOString();
@@ -155,27 +151,27 @@ class AICoachingService {
 
   // Core API Call Method
   async callAIAPI(prompt, options = {}) {
-    // Rate limiting
-    const now = Date.now();
-    const timeSinceLastCall = now - this.lastAPICall;
-    if (timeSinceLastCall < this.minInterval) {
-      await this.sleep(this.minInterval - timeSinceLastCall);
-    }
-    this.lastAPICall = Date.now();
+    return window.requestScheduler.schedule(this.PROVIDER, () => this.sendAIRequest(prompt, options), {
+      priority: options.priority || 'normal'
+    });
+  }
 
+  async sendAIRequest(prompt, options = {}) {
     const timeout = options.timeout || 30000;
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), timeout);
 
     try {
       let headers, body;
+      let endpoint = this.apiConfig.endpoint;
+      const apiKey = await window.secretsVault.getSecret('ai_api_key');
 
       // Configure headers and body based on provider
       switch (this.apiConfig.provider) {
         case 'openai':
           headers = {
             'Content-Type': 'application/json',
-            'Authorization': `Bearer ${this.apiConfig.apiKey}`
+            'Authorization': `Bearer ${apiKey}`
           };
           body = {
             model: this.apiConfig.model,
@@ -197,7 +193,7 @@ class AICoachingService {
         case 'anthropic':
           headers = {
             'Content-Type': 'application/json',
-            'x-api-key': this.apiConfig.apiKey,
+            'x-api-key': apiKey,
             'anthropic-version': '2023-06-01'
           };
           body = {
@@ -217,7 +213,7 @@ class AICoachingService {
             'Content-Type': 'application/json'
           };
           // Gemini uses API key as query parameter
-          this.apiConfig.endpoint = `${this.apiConfig.endpoint}?key=${this.apiConfig.apiKey}`;
+          endpoint = `${endpoint}?key=${encodeURIComponent(apiKey)}`;
           body = {
             contents: [{
               parts: [{
@@ -231,7 +227,7 @@ class AICoachingService {
           throw new Error(`Unsupported provider: ${this.apiConfig.provider}`);
       }
 
-      const response = await fetch(this.apiConfig.endpoint, {
+      const response = await fetch(endpoint, {
         method: 'POST',
         headers: headers,
         body: JSON.stringify(body),
@@ -242,7 +238,11 @@ class AICoachingService {
 
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
-        throw new Error(`API request failed: ${response.status} - ${errorData.error?.message || response.statusText}`);
+        const error = new Error(`API request failed: ${response.status} - ${errorData.error?.message || response.statusText}`);
+        // 429の場合はRequestSchedulerが全タブのリクエストを一時停止する
+        error.status = response.status;
+        error.retryAfter = response.headers.get('Retry-After');
+        throw error;
       }
 
       return await response.json();
@@ -466,37 +466,8 @@ JSON形式で3-5個の推奨事項を返してください:
   }
 
   // Queue Management for Multiple Requests
-  async queueRequest(requestFn) {
-    return new Promise((resolve, reject) => {
-      this.requestQueue.push({ requestFn, resolve, reject });
-      this.processQueue();
-    });
-  }
-
-  async processQueue() {
-    if (this.isProcessingQueue || this.requestQueue.length === 0) {
-      return;
-    }
-
-    this.isProcessingQueue = true;
-
-    while (this.requestQueue.length > 0) {
-      const { requestFn, resolve, reject } = this.requestQueue.shift();
-      
-      try {
-        const result = await requestFn();
-        resolve(result);
-      } catch (error) {
-        reject(error);
-      }
-
-      // Rate limiting between queued requests
-      if (this.requestQueue.length > 0) {
-        await this.sleep(this.minInterval);
-      }
-    }
-
-    this.isProcessingQueue = false;
+  async queueRequest(requestFn, priority = 'normal') {
+    return window.requestScheduler.schedule(this.PROVIDER, requestFn, { priority });
   }
 
   // Configuration Getter
@@ -506,7 +477,7 @@ JSON形式で3-5個の推奨事項を返してください:
       model: this.apiConfig.model,
       isConfigured: this.apiConfig.isConfigured,
       lastVerified: this.apiConfig.lastVerified,
-      hasApiKey: !!this.apiConfig.apiKey
+      hasApiKey: window.secretsVault.hasSecret('ai_api_key')
     };
   }
 }
@@ -18,6 +18,36 @@ class App {
         
         // チャート更新のデバウンス用タイマー
         this.chartUpdateTimer = null;
+
+        // 試合データが変更されたらキャッシュを無効化
+        this.matchRepository = window.matchRepository;
+        this.matchRepository.subscribe(() => {
+            this.cachedMatchData = null;
+        });
+
+        // Riotアカウントの切り替え・登録変更を反映
+        window.addEventListener('riotAccountChanged', (e) => this.handleRiotAccountChanged(e.detail));
+
+        // ゴミ箱の件数を反映
+        window.addEventListener('trashChanged', () => this.renderTrashSummary());
+
+        // APIキー保管庫のロック状態・保存状況を反映
+        window.addEventListener('secretsVaultChanged', () => {
+            this.renderSecretsVault();
+            this.loadApiSettings();
+            this.renderMatchSyncStatus();
+        });
+
+        // 戦績の自動同期の状態を反映
+        window.addEventListener('matchSyncChanged', (e) => this.handleMatchSyncChanged(e.detail));
+
+        // ランクの履歴の更新を反映
+        window.addEventListener('rankHistoryChanged', () => this.handleRankHistoryChanged());
+
+        // 他タブでの変更を反映
+        if (window.tabSyncService) {
+            window.tabSyncService.subscribe((change) => this.handleTabSyncChange(change));
+        }
         
         // パフォーマンス最適化: 重複初期化を防ぐフラグ
         this.isMainAppInitialized = false;
@@ -72,6 +102,12 @@ class App {
     async init() {
         console.log('App initializing...');
 
+        // IndexedDBストアの読み込み完了を待つ
+        await window.largeDataStore.whenReady();
+
+        // 保存データのスキーマを最新バージョンへ移行
+        this.runStorageMigrations();
+
         // valorant-stats.jsonから戦績データを自動インポート
         await this.autoImportValorantStats();
 
@@ -104,15 +140,31 @@ class App {
         console.log('App initialized successfully');
     }
 
+    // 保存データのマイグレーションを実行
+    runStorageMigrations() {
+        if (!window.storageMigrationService) return;
+
+        try {
+            const result = window.storageMigrationService.runPending();
+            if (result.applied.length === 0) return;
+
+            console.log(`ストレージスキーマを移行しました: v${result.from} → v${result.to}`);
+
+            // 起動時に読み込み済みのデータを再読み込み
+            if (window.strategyGuideService) {
+                window.strategyGuideService.guides = window.strategyGuideService.loadGuides();
+            }
+            this.cachedMatchData = null;
+        } catch (error) {
+            console.error('ストレージのマイグレーションに失敗:', error);
+        }
+    }
+
     // valorant-stats.jsonから戦績データを自動インポート
     async autoImportValorantStats() {
         try {
-            // 既存のデータをチェック
-            const existingGallery = JSON.parse(localStorage.getItem('valorant_gallery') || '[]');
-            const existingMatches = JSON.parse(localStorage.getItem('valorant_matches') || '[]');
-
             // 既にデータがある場合はスキップ
-            if (existingGallery.length > 0 || existingMatches.length > 0) {
+            if (this.matchRepository.count() > 0) {
                 console.log('既存の戦績データがあります。自動インポートをスキップ');
                 return;
             }
@@ -137,12 +189,10 @@ class App {
                 importedFromAPI: true
             }));
 
-            localStorage.setItem('valorant_gallery', JSON.stringify(matchesToImport));
-
-            // キャッシュを無効化
-            this.cachedMatchData = null;
+            const { added } = await this.matchRepository.addMany(matchesToImport);
 
-            console.log(`valorant-stats.jsonから${matchesToImport.length}試合をインポートしました`);
+            // 試合がない場合のみ取り込むため、手動入力との重複は後から手動入力した時点で確認する
+            console.log(`valorant-stats.jsonから${added}試合をインポートしました`);
         } catch (error) {
             console.warn('戦績データの自動インポートに失敗:', error);
         }
@@ -233,6 +283,8 @@ class App {
                 this.updateUserDisplay(user.username);
                 // Riot ID設定を復元
                 this.restoreUserValorantSettings();
+                // ゲストデータの移行を確認してからクラウド同期を開始
+                this.offerGuestDataMigration();
                 return true; // 認証済み
             }
         }
@@ -783,6 +835,163 @@ class App {
             });
         }
 
+        // Riotアカウントの切り替え
+        const accountSwitcher = document.getElementById('account-switcher');
+        if (accountSwitcher) {
+            accountSwitcher.addEventListener('change', (e) => this.switchRiotAccount(e.target.value));
+        }
+        this.renderAccountSwitcher();
+
+        // Riotアカウントの登録・管理
+        const riotAccountAddBtn = document.getElementById('riot-account-add-btn');
+        if (riotAccountAddBtn) {
+            riotAccountAddBtn.addEventListener('click', () => this.handleAddRiotAccount());
+        }
+        const riotAccountList = document.getElementById('riot-account-list');
+        if (riotAccountList) {
+            riotAccountList.addEventListener('click', (e) => {
+                const btn = e.target.closest('[data-account-action]');
+                if (btn) {
+                    this.handleRiotAccountAction(btn.dataset.accountAction, btn.dataset.accountId);
+                }
+            });
+        }
+
+        // APIキー保管庫
+        const vaultLockBtn = document.getElementById('secrets-vault-lock-btn');
+        if (vaultLockBtn) {
+            vaultLockBtn.addEventListener('click', () => this.toggleSecretsVaultLock());
+        }
+        const vaultPassphraseBtn = document.getElementById('secrets-vault-passphrase-btn');
+        if (vaultPassphraseBtn) {
+            vaultPassphraseBtn.addEventListener('click', () => this.setSecretsVaultPassphrase());
+        }
+        const vaultRemovePassphraseBtn = document.getElementById('secrets-vault-remove-passphrase-btn');
+        if (vaultRemovePassphraseBtn) {
+            vaultRemovePassphraseBtn.addEventListener('click', () => this.removeSecretsVaultPassphrase());
+        }
+        const vaultList = document.getElementById('secrets-vault-list');
+        if (vaultList) {
+            vaultList.addEventListener('click', (e) => {
+                const btn = e.target.closest('[data-secret-action]');
+                if (btn) {
+                    this.handleSecretAction(btn.dataset.secretAction, btn.dataset.secretName);
+                }
+            });
+        }
+
+        // 戦績の自動同期
+        const matchSyncEnabled = document.getElementById('match-sync-enabled');
+        if (matchSyncEnabled) {
+            matchSyncEnabled.addEventListener('change', () => {
+                window.matchSyncService.saveSettings({ enabled: matchSyncEnabled.checked });
+            });
+        }
+        const matchSyncInterval = document.getElementById('match-sync-interval');
+        if (matchSyncInterval) {
+            matchSyncInterval.addEventListener('change', () => {
+                window.matchSyncService.saveSettings({ intervalMinutes: parseInt(matchSyncInterval.value, 10) });
+            });
+        }
+        const matchSyncNowBtn = document.getElementById('match-sync-now-btn');
+        if (matchSyncNowBtn) {
+            matchSyncNowBtn.addEventListener('click', () => this.syncMatchesNow());
+        }
+        const henrikBaseUrlSaveBtn = document.getElementById('henrik-base-url-save-btn');
+        if (henrikBaseUrlSaveBtn) {
+            henrikBaseUrlSaveBtn.addEventListener('click', () => this.saveHenrikBaseUrl());
+        }
+
+        // クラウド同期
+        const cloudSyncBtn = document.getElementById('cloud-sync-now-btn');
+        if (cloudSyncBtn) {
+            cloudSyncBtn.addEventListener('click', () => this.syncNow());
+        }
+
+        // ゴミ箱
+        const trashOpenBtn = document.getElementById('trash-open-btn');
+        if (trashOpenBtn) {
+            trashOpenBtn.addEventListener('click', () => this.openTrash());
+        }
+        const trashRetentionInput = document.getElementById('trash-retention-days');
+        if (trashRetentionInput) {
+            trashRetentionInput.addEventListener('change', (e) => {
+                try {
+                    const days = window.trashService.setRetentionDays(e.target.value);
+                    this.showToast(`ゴミ箱の保持期間を${days}日に設定しました`, 'success');
+                } catch (error) {
+                    e.target.value = window.trashService.getRetentionDays();
+                    this.showToast(error.message, 'error');
+                }
+            });
+        }
+
+        // 重複試合のチェック
+        const dedupCheckBtn = document.getElementById('dedup-check-btn');
+        if (dedupCheckBtn) {
+            dedupCheckBtn.addEventListener('click', () => this.checkDuplicateMatches());
+        }
+
+        // バックアップと復元
+        const backupExportBtn = document.getElementById('backup-export-btn');
+        if (backupExportBtn) {
+            backupExportBtn.addEventListener('click', () => this.handleBackupExport());
+        }
+
+        const backupRestoreBtn = document.getElementById('backup-restore-btn');
+        const backupRestoreInput = document.getElementById('backup-restore-input');
+        if (backupRestoreBtn && backupRestoreInput) {
+            backupRestoreBtn.addEventListener('click', () => backupRestoreInput.click());
+            backupRestoreInput.addEventListener('change', async () => {
+                const file = backupRestoreInput.files[0];
+                backupRestoreInput.value = '';
+                if (file) {
+                    await this.handleBackupRestore(file);
+                }
+            });
+        }
+
+        // スプレッドシート（CSV/TSV）からの試合取り込み
+        const csvImportBtn = document.getElementById('csv-import-btn');
+        const csvImportInput = document.getElementById('csv-import-input');
+        if (csvImportBtn && csvImportInput) {
+            csvImportBtn.addEventListener('click', () => csvImportInput.click());
+            csvImportInput.addEventListener('change', async () => {
+                const file = csvImportInput.files[0];
+                csvImportInput.value = '';
+                if (file) {
+                    await this.handleCsvImport(file);
+                }
+            });
+        }
+
+        // HenrikDev APIの試合ファイル（.json / .zip）の取り込み（ドラッグ&ドロップ対応）
+        const henrikDropzone = document.getElementById('henrik-import-dropzone');
+        const henrikImportInput = document.getElementById('henrik-import-input');
+        if (henrikDropzone && henrikImportInput) {
+            henrikDropzone.addEventListener('click', () => henrikImportInput.click());
+            henrikImportInput.addEventListener('change', async () => {
+                const files = Array.from(henrikImportInput.files);
+                henrikImportInput.value = '';
+                if (files.length > 0) {
+                    await this.handleHenrikImport(files);
+                }
+            });
+            henrikDropzone.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                henrikDropzone.classList.add('dragover');
+            });
+            henrikDropzone.addEventListener('dragleave', () => henrikDropzone.classList.remove('dragover'));
+            henrikDropzone.addEventListener('drop', async (e) => {
+                e.preventDefault();
+                henrikDropzone.classList.remove('dragover');
+                const files = Array.from(e.dataTransfer.files);
+                if (files.length > 0) {
+                    await this.handleHenrikImport(files);
+                }
+            });
+        }
+
         // Data Source Page Listeners
         const uploadForm = document.getElementById('upload-form');
         if (uploadForm) {
@@ -800,6 +1009,32 @@ class App {
         // Gallery Page Listeners
         this.setupGalleryFilters();
 
+        // チームメイトの最低試合数
+        const teammatesMinMatches = document.getElementById('teammates-min-matches');
+        if (teammatesMinMatches) {
+            teammatesMinMatches.addEventListener('change', () => {
+                this.renderTeammateStats();
+            });
+        }
+
+        // ヒートマップの絞り込み・ミニマップ画像
+        ['heatmap-map-filter', 'heatmap-side-filter', 'heatmap-agent-filter', 'heatmap-type-filter'].forEach(id => {
+            const filter = document.getElementById(id);
+            if (filter) {
+                filter.addEventListener('change', () => this.renderLocationHeatmap());
+            }
+        });
+        const heatmapMinimapBtn = document.getElementById('heatmap-minimap-btn');
+        const heatmapMinimapInput = document.getElementById('heatmap-minimap-input');
+        if (heatmapMinimapBtn && heatmapMinimapInput) {
+            heatmapMinimapBtn.addEventListener('click', () => heatmapMinimapInput.click());
+            heatmapMinimapInput.addEventListener('change', () => {
+                const file = heatmapMinimapInput.files[0];
+                heatmapMinimapInput.value = '';
+                if (file) this.setHeatmapMinimap(file);
+            });
+        }
+
         // 勝率詳細ボタン
         const winRateDetailBtn = document.getElementById('show-winrate-detail-btn');
         if (winRateDetailBtn) {
@@ -864,6 +1099,9 @@ class App {
                     this.restoreUserValorantSettings();
 
                     this.showToast('ログインしました', 'success');
+
+                    // ゲストデータの移行を確認してからクラウド同期を開始
+                    await this.offerGuestDataMigration();
                 } else {
                     this.showToast(result.message, 'error');
                 }
@@ -889,6 +1127,12 @@ class App {
     async restoreUserValorantSettings() {
         if (!this.authService || !this.currentUser) return;
 
+        // アカウントに保存されたRiotアカウント一覧を統合
+        if (window.riotAccountService && !this.authService.isGuestUser()) {
+            const remoteAccounts = await this.authService.loadRiotAccounts();
+            window.riotAccountService.mergeAccounts(remoteAccounts);
+        }
+
         // auth-serviceから設定を復元
         const restored = this.authService.restoreValorantSettings();
 
@@ -900,6 +1144,19 @@ class App {
                 // valorantAPIServiceにRiot IDを設定
                 window.valorantAPIService.setRiotId(riotId.name, riotId.tag);
 
+                // プロフィールのRiot IDを登録し、サブアカウント表示中はそのアカウントに戻す
+                if (window.riotAccountService) {
+                    window.riotAccountService.ensureAccount({
+                        name: riotId.name,
+                        tag: riotId.tag,
+                        region: window.valorantAPIService.region
+                    });
+                    const activeAccount = window.riotAccountService.getActiveAccount();
+                    if (activeAccount) {
+                        window.riotAccountService.applyToApiService(activeAccount);
+                    }
+                }
+
                 // ユーザーの戦績データを取得（Henrik API経由）
                 try {
                     const stats = await window.valorantAPIService.getPlayerStats();
@@ -1000,8 +1257,127 @@ class App {
         this.showToast('ゲストとしてログインしました', 'info');
     }
     
+    // ゲストで作成したデータをアカウントへ移行するか確認してからクラウド同期を開始
+    async offerGuestDataMigration() {
+        const service = window.guestMigrationService;
+        const user = this.authService?.currentUser;
+        if (!service || !user || this.authService.isGuestUser() || !service.needsMigration(user.id)) {
+            this.startCloudSync();
+            return;
+        }
+
+        const items = service.detectGuestData(user.id).filter(item => item.count > 0);
+        const rows = items.map(item => `
+            <tr>
+                <td style="text-align: left; padding: 4px 8px;">${item.label}</td>
+                <td style="padding: 4px 8px;">${item.count}件</td>
+            </tr>
+        `).join('');
+
+        const choice = await Swal.fire({
+            title: 'ゲストデータの移行',
+            html: `
+                <p style="margin-bottom: 10px;">このアカウントと同期していないデータがあります（ゲストや別のアカウントで記録したデータ）。このアカウントに移行しますか？</p>
+                <table style="width: 100%; border-collapse: collapse;">
+                    <tbody>${rows}</tbody>
+                </table>
+                <p style="margin-top: 15px; font-size: 14px;">
+                    「後で」を選ぶと、これらのデータはアップロードせずに同期を開始し、次回ログイン時にもう一度確認します。
+                </p>
+            `,
+            icon: 'question',
+            showCancelButton: true,
+            confirmButtonText: 'アカウントに移行',
+            cancelButtonText: '後で'
+        });
+
+        if (choice.isConfirmed) {
+            try {
+                service.migrate(this.authService);
+                const total = items.reduce((sum, item) => sum + item.count, 0);
+                this.showToast(`${total}件のデータをクラウド同期でアカウントにアップロードします`, 'success');
+            } catch (error) {
+                console.error('Guest data migration failed:', error);
+                this.showToast(`データを移行できませんでした: ${error.message}`, 'error');
+            }
+        } else {
+            this.showToast('ゲストデータの移行を保留しました（アップロードしません）', 'info');
+        }
+
+        this.startCloudSync();
+    }
+
+    // クラウド同期を開始（ゲストは対象外）
+    startCloudSync() {
+        if (!window.cloudSyncService || !this.authService || this.authService.isGuestUser()) return;
+
+        const user = this.authService.currentUser;
+        if (!this.authService.supabase || !user || user.isGuest) return;
+
+        if (!this.isCloudSyncListenerSetup) {
+            this.isCloudSyncListenerSetup = true;
+
+            // 他端末の変更が反映されたら表示を更新
+            window.addEventListener('cloudSyncApplied', (e) => {
+                const collections = e.detail.collections;
+                if (collections.includes('goals')) {
+                    this.loadDashboardGoals();
+                }
+                if (this.currentPage === 'dashboard') {
+                    this.loadDashboard();
+                } else {
+                    this.initPageContent(this.currentPage);
+                }
+            });
+
+            window.addEventListener('cloudSyncStatus', (e) => this.updateCloudSyncStatus(e.detail));
+        }
+
+        window.cloudSyncService.start(this.authService.supabase, user.id);
+    }
+
+    // クラウド同期の状態表示を更新
+    updateCloudSyncStatus(status = window.cloudSyncService?.getStatus()) {
+        const statusEl = document.getElementById('cloud-sync-status');
+        if (!statusEl || !status) return;
+
+        if (!status.active) {
+            statusEl.textContent = 'ログインすると同期されます';
+        } else if (status.syncing) {
+            statusEl.textContent = '同期中...';
+        } else if (status.lastError) {
+            statusEl.textContent = `同期エラー（未送信 ${status.pending}件）`;
+        } else if (!status.online) {
+            statusEl.textContent = `オフライン（未送信 ${status.pending}件）`;
+        } else {
+            const last = status.lastSyncedAt ? new Date(status.lastSyncedAt).toLocaleString('ja-JP') : '未同期';
+            statusEl.textContent = `最終同期: ${last}`;
+        }
+    }
+
+    // 手動で同期
+    async syncNow() {
+        if (!window.cloudSyncService?.isActive()) {
+            this.showToast('クラウド同期にはログインが必要です', 'warning');
+            return;
+        }
+
+        const result = await window.cloudSyncService.sync();
+        if (result?.error) {
+            this.showToast(`同期に失敗しました: ${result.error}`, 'error');
+        } else if (result && !navigator.onLine) {
+            this.showToast(`オフラインのため${result.pending}件を送信待ちにしました`, 'warning');
+        } else if (result) {
+            this.showToast(`同期しました（受信 ${result.pulled}件 / 送信 ${result.pushed}件）`, 'success');
+        }
+    }
+
     // ログアウト
     async handleLogout() {
+        if (window.cloudSyncService) {
+            await window.cloudSyncService.sync();
+            window.cloudSyncService.stop();
+        }
         if (this.authService) {
             await this.authService.logout();
         }
@@ -1404,7 +1780,7 @@ class App {
                 let totalSize = 0;
                 selectedCheckboxes.forEach(checkbox => {
                     const filename = checkbox.value;
-                    const content = localStorage.getItem(`datasource-${filename}`);
+                    const content = window.largeDataStore.getItem(`datasource-${filename}`);
                     if (content) {
                         fileContents.push(`--- Content from ${filename} ---\n${content}`);
                         totalSize += content.length;
@@ -1729,26 +2105,30 @@ class App {
      */
     validateMatchInputs() {
         // フォーム要素の取得
-        const killsInput = document.getElementById('kills');
-        const deathsInput = document.getElementById('deaths');
-        const assistsInput = document.getElementById('assists');
-        const myScoreInput = document.getElementById('team-score');
-        const opponentScoreInput = document.getElementById('enemy-score');
         const gameModeElement = document.querySelector('input[name="game-mode"]:checked');
         const drawCheckbox = document.getElementById('is-draw');
         
         if (!gameModeElement) {
             return { isValid: false, error: 'ゲームモードが選択されていません。' };
         }
-        
-        const gameMode = gameModeElement.value;
-        const isDraw = drawCheckbox ? drawCheckbox.checked : false;
 
-        // 1. KDAのバリデーション
-        const kills = parseInt(killsInput?.value);
-        const deaths = parseInt(deathsInput?.value);
-        const assists = parseInt(assistsInput?.value);
+        return this.validateMatchValues({
+            kills: parseInt(document.getElementById('kills')?.value),
+            deaths: parseInt(document.getElementById('deaths')?.value),
+            assists: parseInt(document.getElementById('assists')?.value),
+            teamScore: parseInt(document.getElementById('team-score')?.value),
+            enemyScore: parseInt(document.getElementById('enemy-score')?.value),
+            gameMode: gameModeElement.value,
+            isDraw: drawCheckbox ? drawCheckbox.checked : false
+        });
+    }
 
+    /**
+     * 試合の値のバリデーション（クイック入力とCSVインポートで共通）
+     * @returns {object} { isValid: boolean, error: string }
+     */
+    validateMatchValues({ kills, deaths, assists, teamScore: myScore, enemyScore: opponentScore, gameMode, isDraw }) {
+        // 1. KDAのバリデーション
         if (isNaN(kills) || kills < 0 || !Number.isInteger(kills)) {
             return { isValid: false, error: 'キル数は0以上の整数を入力してください。' };
         }
@@ -1760,9 +2140,6 @@ class App {
         }
 
         // 2. スコアのバリデーション
-        const myScore = parseInt(myScoreInput?.value);
-        const opponentScore = parseInt(opponentScoreInput?.value);
-
         if (isNaN(myScore) || myScore < 0 || !Number.isInteger(myScore)) {
             return { isValid: false, error: '自チームのスコアは0以上の整数を入力してください。' };
         }
@@ -1876,14 +2253,54 @@ class App {
         const tagsInput = document.getElementById('selected-tags').value;
         const insightTags = tagsInput ? tagsInput.split(',').filter(tag => tag.trim()) : [];
 
+        // VALORANT用試合データオブジェクト
+        const matchData = this.buildMatchData({
+            map, agent, teamScore, enemyScore, kills, deaths, assists,
+            acs, adr, hsPercent, feelings, insightTags
+        });
+
+        // データを保存
+        this.storeValorantMatch(matchData);
+
+        // 連勝記録を更新
+        this.updateWinStreak(matchData.result);
+
+        // フォームをリセット
+        this.resetQuickForm();
+
+        this.showToast('<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/><polyline points="22 4 12 14.01 9 11.01"/></svg> VALORANT試合データを記録しました！', 'success');
+
+        // ダッシュボードを更新
+        if (this.currentPage === 'dashboard') {
+            this.loadDashboard();
+        }
+
+        // ギャラリーを更新
+        if (this.currentPage === 'gallery') {
+            this.loadGallery();
+        }
+
+        // 取り込み済みの試合と重複していれば統合を提案
+        const duplicate = window.matchDedupService?.findDuplicateFor(matchData);
+        if (duplicate) {
+            this.reviewDuplicateMatches([duplicate]);
+        }
+    }
+
+    // 入力値から試合データを作成（クイック入力とCSVインポートで共通）
+    buildMatchData({
+        map, agent, teamScore, enemyScore, kills, deaths, assists,
+        acs = 0, adr = 0, hsPercent = 0, feelings = '', insightTags = [],
+        gameMode = null, timestamp = new Date(), id = null, source = 'quick_input'
+    }) {
         // 試合結果を判定
         const result = teamScore > enemyScore ? 'WIN' : teamScore < enemyScore ? 'LOSS' : 'DRAW';
+        const playedAt = new Date(timestamp);
 
-        // VALORANT用試合データオブジェクト
         const matchData = {
-            id: `match_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-            timestamp: new Date().toISOString(),
-            date: new Date().toLocaleDateString('ja-JP'),
+            id: id || `match_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            timestamp: playedAt.toISOString(),
+            date: playedAt.toLocaleDateString('ja-JP'),
             map: map,
             agent: agent,
             score: `${teamScore}-${enemyScore}`,
@@ -1899,43 +2316,22 @@ class App {
             hsPercent: hsPercent,
             feelings: feelings,
             insightTags: insightTags,
-            source: 'quick_input'
+            accountId: window.riotAccountService ? window.riotAccountService.getEntryAccountId() : null,
+            source: source
         };
 
-        // データを保存
-        this.storeValorantMatch(matchData);
-
-        // 連勝記録を更新
-        this.updateWinStreak(matchData.result);
-
-        // フォームをリセット
-        this.resetQuickForm();
-
-        this.showToast('<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/><polyline points="22 4 12 14.01 9 11.01"/></svg> VALORANT試合データを記録しました！', 'success');
-
-        // ダッシュボードを更新
-        if (this.currentPage === 'dashboard') {
-            this.loadDashboard();
+        if (gameMode) {
+            matchData.gameMode = gameMode;
         }
 
-        // ギャラリーを更新
-        if (this.currentPage === 'gallery') {
-            this.loadGallery();
-        }
+        return matchData;
     }
 
     // VALORANT試合データを保存
-    storeValorantMatch(matchData) {
+    async storeValorantMatch(matchData) {
         try {
-            // 既存のデータを取得
-            const existingMatches = JSON.parse(localStorage.getItem('valorant_matches') || '[]');
-            
-            // 新しい試合データを追加
-            existingMatches.unshift(matchData);
-            
-            // ローカルストレージに保存
-            localStorage.setItem('valorant_matches', JSON.stringify(existingMatches));
-            
+            await this.matchRepository.add(matchData);
+
             console.log('VALORANT試合データを保存しました:', matchData);
         } catch (error) {
             console.error('試合データの保存に失敗しました:', error);
@@ -1944,7 +2340,7 @@ class App {
     }
 
     // 分析ページの入力をローカルに保存し、ダッシュボードを更新
-    storeMatchAndRefresh(matchData) {
+    async storeMatchAndRefresh(matchData) {
         try {
             // 保存フォーマットへ整形（キャラクター・ラウンド情報のみ）
             const newMatch = {
@@ -1962,18 +2358,10 @@ class App {
                 gameMode: 'Ranked'
             };
 
-            // 直近試合へ追加（最大50件）
-            const matches = JSON.parse(localStorage.getItem('recentMatches') || '[]');
-            matches.unshift(newMatch);
-            if (matches.length > 50) matches.length = 50;
-            localStorage.setItem('recentMatches', JSON.stringify(matches));
-            
-            // valorant_galleryにも保存（統一ストレージ）
-            const galleryData = JSON.parse(localStorage.getItem('valorant_gallery') || '[]');
-            galleryData.unshift(newMatch);
-            localStorage.setItem('valorant_gallery', JSON.stringify(galleryData));
+            await this.matchRepository.add(newMatch);
 
-            // 基本統計の計算（勝率のみ）
+            // 基本統計の計算（勝率のみ、直近50件）
+            const matches = this.matchRepository.getRecent();
             const totalMatches = matches.length;
             const wins = matches.filter(m => (m.result || '').toUpperCase() === 'WIN').length;
             const winRate = totalMatches ? +(((wins / totalMatches) * 100).toFixed(1)) : 0;
@@ -1998,28 +2386,37 @@ class App {
                 if (gamesPlayedEl) gamesPlayedEl.textContent = `${totalMatches}`;
             }
 
-            // キャッシュを無効化して、グラフを更新（デバウンス版を使用）
-            this.cachedMatchData = null;
+            // グラフを更新（デバウンス版を使用）
             this.scheduleChartUpdate();
         } catch (e) {
             console.warn('Failed to store match and refresh stats:', e);
         }
     }
     
-    // API設定保存
-    handleApiSave() {
+    // API設定保存（APIキーは暗号化保管庫へ）
+    async handleApiSave() {
         const provider = document.getElementById('api-provider').value;
         const apiKey = document.getElementById('api-key').value;
         const model = document.getElementById('api-model').value;
         
         if (this.aiService) {
-            this.aiService.saveConfiguration(provider, apiKey, model);
+            const result = await this.aiService.saveConfiguration(provider, apiKey, model);
+            if (!result.success) {
+                this.showToast(result.message, 'error');
+                return;
+            }
         } else {
+            try {
+                await window.secretsVault.setSecret('ai_api_key', apiKey);
+            } catch (error) {
+                this.showToast(error.message, 'error');
+                return;
+            }
             localStorage.setItem('ai_provider', provider);
-            localStorage.setItem('ai_api_key', apiKey);
             localStorage.setItem('ai_model', model);
         }
         
+        document.getElementById('api-key').value = '';
         this.updateApiStatus(true);
         this.showToast('API設定を保存しました', 'success');
     }
@@ -2044,8 +2441,8 @@ class App {
             this.aiService.clearConfiguration();
         } else {
             localStorage.removeItem('ai_provider');
-            localStorage.removeItem('ai_api_key');
             localStorage.removeItem('ai_model');
+            window.secretsVault.removeSecret('ai_api_key');
         }
         
         document.getElementById('api-key').value = '';
@@ -2080,21 +2477,9 @@ class App {
             return this.cachedMatchData;
         }
         
-        // localStorageから全データを読み込み
-        const valorantGallery = JSON.parse(localStorage.getItem('valorant_gallery') || '[]');
-        const sf6Gallery = JSON.parse(localStorage.getItem('sf6_gallery') || '[]');
-        const recentMatches = JSON.parse(localStorage.getItem('recentMatches') || '[]');
-        const valorantMatches = JSON.parse(localStorage.getItem('valorant_matches') || '[]');
-        
-        // 重複を排除してマージ
-        const matchesMap = new Map();
-        [...valorantGallery, ...sf6Gallery, ...recentMatches, ...valorantMatches].forEach(match => {
-            if (match.id) {
-                matchesMap.set(match.id, match);
-            }
-        });
-        
-        const matches = Array.from(matchesMap.values());
+        // リポジトリから全データを読み込み（重複排除済み、表示中のRiotアカウントで絞り込み）
+        const allMatches = this.matchRepository.getAll();
+        const matches = window.riotAccountService ? window.riotAccountService.filterMatches(allMatches) : allMatches;
         
         // キャッシュを更新
         this.cachedMatchData = matches;
@@ -2114,6 +2499,9 @@ class App {
         this.chartUpdateTimer = setTimeout(() => {
             this.renderWinRateTrendChart();
             this.renderCharacterUsageChart();
+            this.renderRankHistoryChart();
+            this.renderTeammateStats();
+            this.renderLocationHeatmap();
             this.chartUpdateTimer = null;
         }, 300);
     }
@@ -2123,6 +2511,9 @@ class App {
         // ダッシュボードページに遷移した時にグラフを描画
         this.renderWinRateTrendChart();
         this.renderCharacterUsageChart();
+        this.renderRankHistoryChart();
+        this.renderTeammateStats();
+        this.renderLocationHeatmap();
     }
 
     // 勝率トレンドグラフの描画
@@ -2297,11 +2688,11 @@ class App {
         });
 
         // 改善ポイントを別で表示
-        this.renderChallengePoints(matches);
+        this.renderChallengePoints();
     }
 
     // 改善ポイント（課題）の表示
-    renderChallengePoints(matches) {
+    renderChallengePoints(matches = this.matchRepository.getAll()) {
         const container = document.getElementById('challenge-points-content');
         if (!container) return;
 
@@ -2573,48 +2964,370 @@ class App {
         console.log('キャラクター使用率グラフ描画完了');
     }
 
-    // 勝率詳細モーダルを表示（RPGウィンドウシステムに変更）
-    showWinRateDetailModal() {
-        // 既存のモーダルを隠す
-        const oldModal = document.getElementById('winrate-detail-modal');
-        if (oldModal) {
-            oldModal.style.display = 'none';
+    // ランク（RR）推移グラフの描画（合算表示中はメインアカウント）
+    renderRankHistoryChart() {
+        const canvas = document.getElementById('rank-history-chart');
+        if (!canvas || !window.rankHistoryService) return;
+
+        const ctx = canvas.getContext('2d');
+
+        // 既存のチャートを破棄
+        if (this.rankHistoryChart) {
+            this.rankHistoryChart.destroy();
+            this.rankHistoryChart = null;
         }
 
-        // スタッツデータを取得
-        const statsContent = this.generateStatsContent();
+        const service = window.rankHistoryService;
+        const accountId = window.riotAccountService ? window.riotAccountService.getEntryAccountId() : null;
+        const history = accountId ? service.getProgression(accountId) : [];
 
-        // RPGウィンドウを瞬時に開く
-        window.rpgWindowSystem.openWindow('stats-window', statsContent, {
-            title: '試合成績スコア',
-            width: '700px',
-            height: '500px',
-            centered: true,
-            closable: true
-        });
-    }
-    
-    // スタッツコンテンツを生成
-    generateStatsContent() {
-        const matches = this.getMatchesData();
-        
-        if (matches.length === 0) {
-            return `
-                <div style="text-align: center; padding: 40px;">
-                    <p style="font-size: 20px; color: #ffff00;"><svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="20" x2="18" y2="10"/><line x1="12" y1="20" x2="12" y2="4"/><line x1="6" y1="20" x2="6" y2="14"/></svg> まだ試合データがありません</p>
-                    <p style="font-size: 16px; color: #fff; margin-top: 20px;">
-                        試合を記録して統計を確認しましょう！
-                    </p>
-                </div>
-            `;
+        if (history.length === 0) {
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            ctx.font = '16px sans-serif';
+            ctx.fillStyle = '#888';
+            ctx.textAlign = 'center';
+            ctx.fillText('ランクの履歴がまだありません', canvas.width / 2, canvas.height / 2);
+            return;
         }
 
-        // ステージ別統計を計算
-        const stageStats = {};
-        matches.forEach(match => {
-            const stage = match.map || 'Unknown';
-            if (!stageStats[stage]) {
-                stageStats[stage] = { wins: 0, losses: 0, total: 0 };
+        const textPrimary = getComputedStyle(document.documentElement).getPropertyValue('--text-primary') || '#fff';
+        const textSecondary = getComputedStyle(document.documentElement).getPropertyValue('--text-secondary') || '#aaa';
+
+        // 昇格は緑・降格は赤の三角で表示
+        const pointColor = (entry) => entry.promoted ? '#4ade80' : entry.demoted ? '#f87171' : 'rgba(255, 206, 86, 1)';
+
+        // アクトの切り替わりに縦線を引くプラグイン
+        const actBoundaryPlugin = {
+            id: 'rankActBoundary',
+            afterDatasetsDraw: (chart) => {
+                const { ctx: chartCtx, chartArea, scales } = chart;
+                history.forEach((entry, index) => {
+                    if (!entry.actStart) return;
+                    const x = (scales.x.getPixelForValue(index - 1) + scales.x.getPixelForValue(index)) / 2;
+                    chartCtx.save();
+                    chartCtx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+                    chartCtx.setLineDash([4, 4]);
+                    chartCtx.beginPath();
+                    chartCtx.moveTo(x, chartArea.top);
+                    chartCtx.lineTo(x, chartArea.bottom);
+                    chartCtx.stroke();
+                    chartCtx.setLineDash([]);
+                    chartCtx.fillStyle = textSecondary;
+                    chartCtx.font = '11px sans-serif';
+                    chartCtx.textAlign = 'left';
+                    chartCtx.fillText(entry.seasonShort || 'New Act', x + 4, chartArea.top + 12);
+                    chartCtx.restore();
+                });
+            }
+        };
+
+        this.rankHistoryChart = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: history.map(entry => new Date(entry.date).toLocaleDateString('ja-JP', { month: 'numeric', day: 'numeric' })),
+                datasets: [{
+                    label: 'ランク',
+                    data: history.map(entry => entry.elo),
+                    borderColor: 'rgba(255, 206, 86, 1)',
+                    backgroundColor: 'rgba(255, 206, 86, 0.15)',
+                    borderWidth: 2,
+                    fill: true,
+                    tension: 0.2,
+                    pointStyle: history.map(entry => (entry.promoted || entry.demoted) ? 'triangle' : 'circle'),
+                    pointRotation: history.map(entry => entry.demoted ? 180 : 0),
+                    pointRadius: history.map(entry => (entry.promoted || entry.demoted) ? 7 : 3),
+                    pointHoverRadius: 8,
+                    pointBackgroundColor: history.map(pointColor),
+                    pointBorderColor: history.map(pointColor)
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: true,
+                aspectRatio: 1.5,
+                plugins: {
+                    legend: {
+                        display: false
+                    },
+                    tooltip: {
+                        backgroundColor: 'rgba(0, 0, 0, 0.8)',
+                        padding: 12,
+                        callbacks: {
+                            title: (items) => {
+                                const entry = history[items[0].dataIndex];
+                                return `${new Date(entry.date).toLocaleString('ja-JP')}${entry.map ? ` / ${entry.map}` : ''}`;
+                            },
+                            label: (context) => {
+                                const entry = history[context.dataIndex];
+                                const change = entry.change > 0 ? `+${entry.change}` : `${entry.change}`;
+                                const status = entry.promoted ? '（昇格）' : entry.demoted ? '（降格）' : '';
+                                return `${entry.tierName} ${entry.rr} RR（${change}）${status}`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    y: {
+                        ticks: {
+                            // 100 RRごとにティア名を表示（elo = (ティア - 3) × 100 + RR）
+                            stepSize: 100,
+                            callback: (value) => value % 100 === 0 ? service.getTierName(Math.floor(value / 100) + 3) : '',
+                            color: textSecondary,
+                            font: {
+                                size: 11
+                            }
+                        },
+                        grid: {
+                            color: 'rgba(255, 255, 255, 0.1)'
+                        }
+                    },
+                    x: {
+                        ticks: {
+                            color: textSecondary,
+                            maxRotation: 0,
+                            autoSkip: true,
+                            maxTicksLimit: 8,
+                            font: {
+                                size: 11
+                            }
+                        },
+                        grid: {
+                            color: 'rgba(255, 255, 255, 0.05)'
+                        }
+                    }
+                }
+            },
+            plugins: [actBoundaryPlugin]
+        });
+    }
+
+    // 試合のRR増減バッジ（ランクの履歴がない試合は空）
+    renderRRChangeBadge(match) {
+        const change = window.rankHistoryService ? window.rankHistoryService.getMatchChange(match) : null;
+        if (change === null) return '';
+
+        const className = change > 0 ? 'gain' : change < 0 ? 'loss' : 'even';
+        return `<span class="rr-change-badge ${className}">${change > 0 ? '+' : ''}${change} RR</span>`;
+    }
+
+    // チームメイト（よく一緒になる味方の勝率・ACSと、ソロ/パーティの比較）
+    renderTeammateStats() {
+        const container = document.getElementById('teammates-content');
+        const service = window.teammateStatsService;
+        if (!container || !service) return;
+
+        const matches = this.loadMatchDataWithCache();
+        const rosterCount = service.getRosterMatches(matches).length;
+        if (rosterCount === 0) {
+            container.innerHTML = '<p class="no-data-message">APIやファイルから取り込んだ試合の味方が表示されます</p>';
+            return;
+        }
+
+        const minMatches = parseInt(document.getElementById('teammates-min-matches')?.value, 10) || 2;
+        const teammates = service.getTeammates(matches, { minMatches });
+        const escape = (value) => this.escapeHtml(String(value ?? ''));
+        const winRateClass = (rate) => rate >= 60 ? 'high' : rate >= 40 ? 'medium' : 'low';
+
+        const queueCells = service.getQueueComparison(matches).map(queue => `
+            <div class="queue-stat">
+                <span class="queue-label">${queue.label}</span>
+                <span class="queue-winrate ${queue.matches > 0 ? winRateClass(queue.winRate) : ''}">${queue.matches > 0 ? `${queue.winRate}%` : '-'}</span>
+                <span class="queue-detail">${queue.matches}試合（${queue.wins}勝${queue.losses}敗）・ACS ${queue.matches > 0 ? queue.avgAcs : '-'}</span>
+            </div>
+        `).join('');
+
+        const rows = teammates.map(mate => `
+            <tr>
+                <td>
+                    <span class="teammate-name">${escape(mate.name)}<span class="teammate-tag">#${escape(mate.tag)}</span></span>
+                    <span class="teammate-agent">${escape(mate.mainAgent)}</span>
+                </td>
+                <td>${mate.matches}</td>
+                <td class="${winRateClass(mate.winRate)}">${mate.winRate}%</td>
+                <td>${mate.avgAcs}</td>
+                <td>${mate.selfAvgAcs}</td>
+                <td>${mate.partyMatches > 0 ? `${mate.partyWinRate}%（${mate.partyMatches}試合）` : '-'}</td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <div class="queue-comparison">${queueCells}</div>
+            ${teammates.length > 0 ? `
+                <table class="teammates-table">
+                    <thead>
+                        <tr><th>プレイヤー</th><th>試合数</th><th>勝率</th><th>ACS</th><th>自分のACS</th><th>パーティ時の勝率</th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            ` : `<p class="no-data-message">${minMatches}試合以上一緒になった味方はいません</p>`}
+            <p class="subtitle">名簿のある${rosterCount}試合から集計（${matches.length - rosterCount}試合は名簿なし）</p>
+        `;
+    }
+
+    // キル・デスのヒートマップ（マップごと、攻守・エージェント・キル/デスで絞り込み）
+    async renderLocationHeatmap() {
+        const canvas = document.getElementById('location-heatmap');
+        const service = window.mapHeatmapService;
+        if (!canvas || !service) return;
+
+        const mapFilter = document.getElementById('heatmap-map-filter');
+        const agentFilter = document.getElementById('heatmap-agent-filter');
+        const legend = document.getElementById('heatmap-legend');
+        const matches = service.getLocationMatches(this.loadMatchDataWithCache());
+
+        if (matches.length === 0) {
+            service.draw(canvas, []);
+            if (legend) legend.textContent = 'APIやファイルから取り込んだ試合のキル・デスの位置が表示されます';
+            return;
+        }
+
+        // マップの選択肢（試合の多い順、表示名はマップ設定から）
+        const mapSettings = this.getMapSettings() || [];
+        const mapCounts = {};
+        matches.forEach(match => {
+            mapCounts[match.map] = (mapCounts[match.map] || 0) + 1;
+        });
+        const mapNames = Object.keys(mapCounts).sort((a, b) => mapCounts[b] - mapCounts[a]);
+        const selectedMap = mapNames.includes(mapFilter.value) ? mapFilter.value : mapNames[0];
+        mapFilter.innerHTML = mapNames.map(name => {
+            const label = mapSettings.find(map => map.nameEn === name)?.name || name;
+            return `<option value="${this.escapeHtml(name)}">${this.escapeHtml(label)}（${mapCounts[name]}試合）</option>`;
+        }).join('');
+        mapFilter.value = selectedMap;
+
+        // エージェントの選択肢（選択中のマップで使ったもの）
+        const mapMatches = matches.filter(match => match.map === selectedMap);
+        const agents = Array.from(new Set(mapMatches.map(match => match.agent || match.character || 'Unknown'))).sort();
+        const selectedAgent = agents.includes(agentFilter.value) ? agentFilter.value : '';
+        agentFilter.innerHTML = '<option value="">すべてのエージェント</option>' +
+            agents.map(agent => `<option value="${this.escapeHtml(agent)}">${this.escapeHtml(agent)}</option>`).join('');
+        agentFilter.value = selectedAgent;
+
+        await service.loadCalibration();
+
+        const mapSetting = mapSettings.find(map => map.nameEn === selectedMap);
+        const calibration = service.getCalibration(selectedMap, mapSetting);
+        const points = service.getPoints(matches, {
+            map: selectedMap,
+            side: document.getElementById('heatmap-side-filter')?.value || null,
+            agent: selectedAgent || null,
+            type: document.getElementById('heatmap-type-filter')?.value || null
+        });
+        const projected = service.projectPoints(points, calibration);
+
+        const minimapData = service.getMinimap(selectedMap);
+        let background = null;
+        if (minimapData) {
+            background = await new Promise(resolve => {
+                const image = new Image();
+                image.onload = () => resolve(image);
+                image.onerror = () => resolve(null);
+                image.src = minimapData;
+            });
+        }
+        service.draw(canvas, projected, { background });
+
+        if (legend) {
+            const kills = projected.filter(point => point.type === 'kill').length;
+            const deaths = projected.filter(point => point.type === 'death').length;
+            legend.innerHTML = `
+                <span class="heatmap-legend-kill">● キル ${kills}</span>
+                <span class="heatmap-legend-death">● デス ${deaths}</span>
+                ${calibration ? '' : '<span class="subtitle">位置の補正データがないため、点の範囲に合わせて表示しています</span>'}
+            `;
+        }
+    }
+
+    // 選択中のマップのミニマップ画像を設定（IndexedDBに保存）
+    setHeatmapMinimap(file) {
+        const mapName = document.getElementById('heatmap-map-filter')?.value;
+        const maps = this.getMapSettings() || [];
+        const map = maps.find(m => m.nameEn === mapName);
+
+        if (!map) {
+            this.showToast('マップ管理に登録されていないマップです', 'error');
+            return;
+        }
+        if (file.size > 2 * 1024 * 1024) {
+            this.showToast('画像ファイルは2MB以下にしてください', 'error');
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = async (e) => {
+            const saved = await window.mapHeatmapService.saveMinimap(map.nameEn, e.target.result);
+            if (!saved) {
+                this.showToast('ミニマップ画像を保存できませんでした。ストレージの空き容量を確認してください', 'error');
+                return;
+            }
+            this.renderLocationHeatmap();
+            this.showToast(`${map.name}のミニマップ画像を設定しました`, 'success');
+        };
+        reader.onerror = () => {
+            this.showToast('画像の読み込みに失敗しました', 'error');
+        };
+        reader.readAsDataURL(file);
+    }
+
+    // 勝率詳細モーダルを表示（RPGウィンドウシステムに変更）
+    showWinRateDetailModal() {
+        // 既存のモーダルを隠す
+        const oldModal = document.getElementById('winrate-detail-modal');
+        if (oldModal) {
+            oldModal.style.display = 'none';
+        }
+
+        // スタッツデータを取得（複数アカウントの場合は切り替えを表示）
+        const hasMultipleAccounts = window.riotAccountService && window.riotAccountService.getAccounts().length > 1;
+        const statsContent = `
+            ${hasMultipleAccounts ? `
+                <div style="margin-bottom: 15px; text-align: right;">
+                    <select id="stats-account-switcher" class="account-switcher">${this.renderAccountOptions()}</select>
+                </div>
+            ` : ''}
+            <div id="stats-window-body">${this.generateStatsContent()}</div>
+        `;
+
+        // RPGウィンドウを瞬時に開く
+        window.rpgWindowSystem.openWindow('stats-window', statsContent, {
+            title: '試合成績スコア',
+            width: '700px',
+            height: '500px',
+            centered: true,
+            closable: true
+        });
+
+        const statsSwitcher = document.getElementById('stats-account-switcher');
+        if (statsSwitcher) {
+            statsSwitcher.addEventListener('change', (e) => {
+                this.switchRiotAccount(e.target.value);
+                const body = document.getElementById('stats-window-body');
+                if (body) body.innerHTML = this.generateStatsContent();
+            });
+        }
+    }
+    
+    // スタッツコンテンツを生成
+    generateStatsContent() {
+        const matches = this.getMatchesData();
+        
+        if (matches.length === 0) {
+            return `
+                <div style="text-align: center; padding: 40px;">
+                    <p style="font-size: 20px; color: #ffff00;"><svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="20" x2="18" y2="10"/><line x1="12" y1="20" x2="12" y2="4"/><line x1="6" y1="20" x2="6" y2="14"/></svg> まだ試合データがありません</p>
+                    <p style="font-size: 16px; color: #fff; margin-top: 20px;">
+                        試合を記録して統計を確認しましょう！
+                    </p>
+                </div>
+            `;
+        }
+
+        // ステージ別統計を計算
+        const stageStats = {};
+        matches.forEach(match => {
+            const stage = match.map || 'Unknown';
+            if (!stageStats[stage]) {
+                stageStats[stage] = { wins: 0, losses: 0, total: 0 };
             }
             stageStats[stage].total++;
             if ((match.result || '').toUpperCase() === 'WIN') {
@@ -2757,6 +3470,10 @@ class App {
                     </table>
                 </div>
 
+                ${this.generateEnemyCompositionContent(matches)}
+
+                ${this.generateEconomyStatsContent(matches)}
+
                 <!-- 対戦キャラクター別勝率テーブル（既存機能維持） -->
                 <div style="margin-bottom: 30px;">
                     <h3 style="color: #ffff00; margin-bottom: 15px; font-size: 18px;"><svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="14.5 17.5 3 6 3 3 6 3 17.5 14.5"/><line x1="13" y1="19" x2="19" y2="13"/><line x1="16" y1="16" x2="20" y2="20"/><line x1="19" y1="21" x2="21" y2="19"/><polyline points="14.5 6.5 18 3 21 3 21 6 17.5 9.5"/><line x1="5" y1="14" x2="9" y2="18"/><line x1="7" y1="17" x2="4" y2="20"/><line x1="3" y1="19" x2="5" y2="21"/></svg> 対戦キャラクター別勝率</h3>
@@ -2854,6 +3571,144 @@ class App {
         `;
     }
     
+    // 敵の構成（敵エージェント別・構成タイプ別の勝率と苦手なエージェント）
+    generateEnemyCompositionContent(matches) {
+        const service = window.enemyCompositionService;
+        if (!service || service.getCompositionMatches(matches).length === 0) return '';
+
+        const escape = (value) => this.escapeHtml(String(value ?? ''));
+        const headerStyle = 'background: rgba(255, 255, 255, 0.1); border-bottom: 2px solid #ffff00;';
+        const rowStyle = 'border-bottom: 1px solid rgba(255, 255, 255, 0.1);';
+        const cellStyle = 'padding: 10px; text-align: center;';
+        const tableStyle = 'width: 100%; border-collapse: collapse; background: rgba(0, 0, 0, 0.3);';
+        const titleStyle = 'color: #ffff00; margin-bottom: 15px; font-size: 18px;';
+
+        const problems = service.getProblemAgents(matches);
+        const matchups = service.getAgentMatchups(matches);
+        const archetypes = service.getArchetypeStats(matches);
+
+        return `
+                <!-- 苦手な敵エージェント -->
+                <div style="margin-bottom: 30px;">
+                    <h3 style="${titleStyle}">苦手な敵エージェント</h3>
+                    ${problems.length > 0 ? `
+                        <ol style="margin: 0; padding-left: 24px; color: #fff;">
+                            ${problems.map(stat => `
+                                <li style="padding: 6px 0;">
+                                    <strong>${escape(stat.agent)}</strong>
+                                    <span style="color: #aaa;">（${stat.roleLabel}）</span>
+                                    勝率 <span style="color: #ff0000; font-weight: bold;">${stat.winRate}%</span>
+                                    ・${stat.matches}試合・平均より${stat.winRateDrop}pt低い
+                                    ${stat.enemyAvgAcs !== null ? `・相手のACS ${stat.enemyAvgAcs}` : ''}
+                                </li>
+                            `).join('')}
+                        </ol>
+                    ` : '<p style="color: #fff;">平均より勝率が低い敵エージェントはいません</p>'}
+                </div>
+
+                <!-- 敵エージェント別勝率テーブル -->
+                <div style="margin-bottom: 30px;">
+                    <h3 style="${titleStyle}">敵エージェント別勝率</h3>
+                    <table class="stats-table" id="enemy-agent-stats-table" style="${tableStyle}">
+                        <thead>
+                            <tr style="${headerStyle}">
+                                <th style="padding: 10px; text-align: left;">エージェント名</th>
+                                <th style="${cellStyle}">ロール</th>
+                                <th style="${cellStyle}">勝率(%)</th>
+                                <th style="${cellStyle}">試合数</th>
+                                <th style="${cellStyle}">勝利数</th>
+                                <th style="${cellStyle}">敗北数</th>
+                                <th style="${cellStyle}">相手のACS</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${matchups.map(stat => `
+                                <tr style="${rowStyle}">
+                                    <td style="padding: 10px; color: #fff;">${escape(stat.agent)}</td>
+                                    <td style="${cellStyle} color: #aaa;">${stat.roleLabel}</td>
+                                    <td style="${cellStyle} color: #00ff00; font-weight: bold;">${stat.winRate}%</td>
+                                    <td style="${cellStyle} color: #fff;">${stat.matches}</td>
+                                    <td style="${cellStyle} color: #00ff00;">${stat.wins}</td>
+                                    <td style="${cellStyle} color: #ff0000;">${stat.losses}</td>
+                                    <td style="${cellStyle} color: #fff;">${stat.enemyAvgAcs ?? '-'}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+
+                <!-- 敵の構成タイプ別勝率テーブル -->
+                <div style="margin-bottom: 30px;">
+                    <h3 style="${titleStyle}">敵の構成タイプ別勝率</h3>
+                    <table class="stats-table" id="enemy-archetype-stats-table" style="${tableStyle}">
+                        <thead>
+                            <tr style="${headerStyle}">
+                                <th style="padding: 10px; text-align: left;">構成タイプ</th>
+                                <th style="${cellStyle}">勝率(%)</th>
+                                <th style="${cellStyle}">試合数</th>
+                                <th style="${cellStyle}">勝利数</th>
+                                <th style="${cellStyle}">敗北数</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${archetypes.map(stat => `
+                                <tr style="${rowStyle}">
+                                    <td style="padding: 10px; color: #fff;">${stat.label}</td>
+                                    <td style="${cellStyle} color: #00ff00; font-weight: bold;">${stat.winRate}%</td>
+                                    <td style="${cellStyle} color: #fff;">${stat.matches}</td>
+                                    <td style="${cellStyle} color: #00ff00;">${stat.wins}</td>
+                                    <td style="${cellStyle} color: #ff0000;">${stat.losses}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+        `;
+    }
+
+    // 購入タイプ別のラウンド勝率とアンチエコ負け
+    generateEconomyStatsContent(matches) {
+        const service = window.economyStatsService;
+        if (!service || service.getEconomyMatches(matches).length === 0) return '';
+
+        const cellStyle = 'padding: 10px; text-align: center;';
+        const stats = service.getBuyTypeStats(matches);
+        const antiEco = service.getAntiEcoLosses(matches);
+        const formatCell = (stat) => stat.rounds > 0
+            ? `<span style="color: #00ff00; font-weight: bold;">${stat.winRate}%</span> <span style="color: #aaa;">(${stat.wins}/${stat.rounds})</span>`
+            : '<span style="color: #aaa;">-</span>';
+
+        return `
+                <!-- 購入タイプ別ラウンド勝率テーブル -->
+                <div style="margin-bottom: 30px;">
+                    <h3 style="color: #ffff00; margin-bottom: 15px; font-size: 18px;">購入タイプ別ラウンド勝率</h3>
+                    <table class="stats-table" id="buy-type-stats-table" style="width: 100%; border-collapse: collapse; background: rgba(0, 0, 0, 0.3);">
+                        <thead>
+                            <tr style="background: rgba(255, 255, 255, 0.1); border-bottom: 2px solid #ffff00;">
+                                <th style="padding: 10px; text-align: left;">購入タイプ</th>
+                                <th style="${cellStyle}">味方の勝率</th>
+                                <th style="${cellStyle}">敵の勝率</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${stats.ally.map((allyStat, index) => `
+                                <tr style="border-bottom: 1px solid rgba(255, 255, 255, 0.1);">
+                                    <td style="padding: 10px; color: #fff;">${allyStat.label}</td>
+                                    <td style="${cellStyle}">${formatCell(allyStat)}</td>
+                                    <td style="${cellStyle}">${formatCell(stats.enemy[index])}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                    <p style="color: #fff; margin-top: 10px;">
+                        アンチエコ負け（味方がハーフ以上・敵がエコで落としたラウンド）:
+                        <span style="color: ${antiEco.losses > 0 ? '#ff0000' : '#00ff00'}; font-weight: bold;">${antiEco.losses}回</span>
+                        <span style="color: #aaa;">（${antiEco.rounds}ラウンド中・${antiEco.lossRate}%）</span>
+                    </p>
+                </div>
+        `;
+    }
+
     // 試合データを取得するヘルパーメソッド
     getMatchesData() {
         // パフォーマンス最適化: キャッシュを使用
@@ -3022,8 +3877,90 @@ class App {
         this.showToast('データをエクスポートしました', 'success');
     }
     
+    // 戦績ギャラリーをエクスポート（選択モードで選択中の試合があればそれのみ、なければ絞り込み後の全試合）
+    async exportGalleryMatches() {
+        const exporter = window.matchExportService;
+        const selectedIds = this.selectionMode && this.selectedMatches?.size > 0
+            ? new Set(Array.from(this.selectedMatches).map(id => String(id)))
+            : null;
+        const matches = selectedIds
+            ? this.matchRepository.getAll().filter(m => selectedIds.has(String(m.id)))
+            : (this.galleryMatches || this.loadMatchDataWithCache());
+
+        if (matches.length === 0) {
+            this.showToast('エクスポートする試合がありません', 'warning');
+            return;
+        }
+
+        // ラウンド経過などの詳細データは初期状態では選択しない
+        const columns = exporter.getColumns(matches);
+        const columnChecks = columns.map(column => `
+            <label style="display: inline-flex; align-items: center; gap: 4px; width: 48%; font-size: 0.85em;">
+                <input type="checkbox" class="export-column-check" value="${this.escapeHtml(column.key)}" ${column.detail ? '' : 'checked'}> ${this.escapeHtml(column.label)}${column.detail ? '（詳細）' : ''}
+            </label>
+        `).join('');
+        const formatOptions = Object.entries(exporter.FORMATS).map(([key, format]) =>
+            `<option value="${key}">${format.label}</option>`
+        ).join('');
+
+        const result = await Swal.fire({
+            title: '戦績をエクスポート',
+            html: `
+                <p style="font-size: 0.9em;">対象: ${selectedIds ? `選択中の${matches.length}試合` : `表示中の${matches.length}試合`}</p>
+                <label style="display: block; text-align: left; font-size: 0.85em;">形式
+                    <select id="export-format" class="swal2-select" style="margin: 4px 0 8px; width: 100%;">${formatOptions}</select>
+                </label>
+                <div style="display: flex; gap: 8px; font-size: 0.85em;">
+                    <label style="flex: 1; text-align: left;">開始日<input type="date" id="export-from" class="swal2-input" style="margin: 4px 0; width: 100%;"></label>
+                    <label style="flex: 1; text-align: left;">終了日<input type="date" id="export-to" class="swal2-input" style="margin: 4px 0; width: 100%;"></label>
+                </div>
+                <div style="text-align: left; margin-top: 8px;">
+                    <label style="font-size: 0.85em;"><input type="checkbox" id="export-columns-all"> すべての項目</label>
+                    <div style="max-height: 200px; overflow-y: auto; margin-top: 4px;">${columnChecks}</div>
+                    <p style="font-size: 0.8em; color: #888; margin: 4px 0 0;">（詳細）の項目はJSONではすべてのデータを、CSV・XLSXでは要約（ラウンド数・エージェント・最多キルの武器など）を出力します。</p>
+                </div>
+            `,
+            width: 600,
+            showCancelButton: true,
+            confirmButtonText: 'エクスポート',
+            cancelButtonText: 'キャンセル',
+            didOpen: () => {
+                document.getElementById('export-columns-all').addEventListener('change', (e) => {
+                    document.querySelectorAll('.export-column-check').forEach(el => { el.checked = e.target.checked; });
+                });
+            },
+            preConfirm: () => {
+                const columnKeys = Array.from(document.querySelectorAll('.export-column-check:checked')).map(el => el.value);
+                if (columnKeys.length === 0) {
+                    Swal.showValidationMessage('出力する項目を選択してください');
+                    return false;
+                }
+
+                const from = document.getElementById('export-from').value;
+                const to = document.getElementById('export-to').value;
+                if (from && to && from > to) {
+                    Swal.showValidationMessage('開始日は終了日より前にしてください');
+                    return false;
+                }
+
+                return { format: document.getElementById('export-format').value, columnKeys, from, to };
+            }
+        });
+
+        if (!result.isConfirmed) return;
+
+        try {
+            const count = exporter.export(matches, result.value);
+            this.showToast(`${count}試合をエクスポートしました`, 'success');
+        } catch (error) {
+            console.error('Gallery export failed:', error);
+            this.showToast(error.message, 'error');
+        }
+    }
+
     // トースト表示
-    showToast(message, type = 'info', duration = 3000) {
+    // action: { label, onClick } を指定するとボタン付きで表示
+    showToast(message, type = 'info', duration = 3000, action = null) {
         const container = document.getElementById('toast-container');
         if (!container) return;
 
@@ -3031,6 +3968,18 @@ class App {
         toast.className = `toast toast-${type}`;
         toast.textContent = message;
 
+        if (action) {
+            const actionBtn = document.createElement('button');
+            actionBtn.className = 'toast-action';
+            actionBtn.textContent = action.label;
+            actionBtn.addEventListener('click', () => {
+                actionBtn.disabled = true;
+                toast.classList.remove('show');
+                action.onClick();
+            });
+            toast.appendChild(actionBtn);
+        }
+
         container.appendChild(toast);
 
         setTimeout(() => {
@@ -3176,102 +4125,34 @@ class App {
     }
     
     loadGoals() {
-        // 既存の重複目標を自動クリーンアップ
-        this.cleanupDuplicateGoals();
         this.loadGoalsList();
     }
 
-    // 重複目標を自動的にクリーンアップ
-    cleanupDuplicateGoals() {
-        try {
-            const goals = JSON.parse(localStorage.getItem('goals') || '[]');
-            if (goals.length === 0) return;
-
-            // 目標カテゴリを判定するキーワード
-            const goalCategories = {
-                'hs': ['HS', 'ヘッドショット', 'HS率', 'ヘッドショット率'],
-                'kd': ['K/D', 'KD', 'キルデス'],
-                'winrate': ['勝率', '勝利率', 'Win'],
-                'acs': ['ACS', 'コンバットスコア'],
-                'adr': ['ADR', 'ダメージ', 'ラウンド毎'],
-                'agent': ['エージェント', 'メインエージェント'],
-                'duelist': ['デュエリスト', 'Jett', 'Phoenix', 'Reyna', 'Raze', 'Yoru', 'Neon', 'Iso'],
-                'ability': ['アビリティ', 'スキル', '能力'],
-                'positioning': ['ポジション', '立ち回り', '位置取り'],
-                'economy': ['エコノミー', 'クレジット', '経済'],
-                'map': ['マップ', 'Split', 'Bind', 'Haven', 'Ascent', 'Pearl', 'Lotus', 'Icebox', 'Breeze', 'Fracture', 'Sunset', 'Abyss']
-            };
+    async loadGallery() {
+        await this.loadGalleryMatches();
+        this.loadOpponentFilter();
+        this.setupGallerySelectionMode();
+    }
+    
+    loadSettings() {
+        this.loadGameCategories();
+        this.loadApiSettings();
+        this.loadCurrentRank();
+        this.renderStorageUsage();
+        this.updateCloudSyncStatus();
+        this.renderRiotAccountList();
+        this.renderSecretsVault();
+        this.renderMatchSyncStatus();
+        this.renderTrashSummary();
+    }
 
-            const getGoalCategory = (title) => {
-                for (const [category, keywords] of Object.entries(goalCategories)) {
-                    if (keywords.some(kw => title.includes(kw))) {
-                        return category;
-                    }
-                }
-                return null;
-            };
+    // 戦績から現在のランクを取得して表示
+    async loadCurrentRank() {
+        const rankValueEl = document.getElementById('current-rank-value');
+        const rankRREl = document.getElementById('current-rank-rr');
+        const rankIconEl = document.getElementById('current-rank-icon');
 
-            // カテゴリごとに最新の目標のみを残す
-            const seenCategories = new Map();
-            const seenTitles = new Set();
-            const uniqueGoals = [];
-
-            // 新しい順（IDが大きい順）にソート
-            const sortedGoals = [...goals].sort((a, b) => (b.id || 0) - (a.id || 0));
-
-            for (const goal of sortedGoals) {
-                const category = getGoalCategory(goal.title);
-                const titleKey = goal.title.replace(/\s+/g, '').toLowerCase();
-
-                // カテゴリがあり、既にそのカテゴリの目標がある場合はスキップ
-                if (category && seenCategories.has(category)) {
-                    continue;
-                }
-
-                // 同じタイトルの目標がある場合はスキップ
-                if (seenTitles.has(titleKey)) {
-                    continue;
-                }
-
-                if (category) {
-                    seenCategories.set(category, true);
-                }
-                seenTitles.add(titleKey);
-                uniqueGoals.push(goal);
-            }
-
-            // 元の順序に戻す（古い順）
-            uniqueGoals.sort((a, b) => (a.id || 0) - (b.id || 0));
-
-            // 重複があった場合のみ保存
-            if (uniqueGoals.length < goals.length) {
-                localStorage.setItem('goals', JSON.stringify(uniqueGoals));
-                console.log(`🧹 重複目標をクリーンアップ: ${goals.length} → ${uniqueGoals.length}`);
-            }
-        } catch (error) {
-            console.error('Failed to cleanup duplicate goals:', error);
-        }
-    }
-
-    async loadGallery() {
-        await this.loadGalleryMatches();
-        this.loadOpponentFilter();
-        this.setupGallerySelectionMode();
-    }
-    
-    loadSettings() {
-        this.loadGameCategories();
-        this.loadApiSettings();
-        this.loadCurrentRank();
-    }
-
-    // 戦績から現在のランクを取得して表示
-    async loadCurrentRank() {
-        const rankValueEl = document.getElementById('current-rank-value');
-        const rankRREl = document.getElementById('current-rank-rr');
-        const rankIconEl = document.getElementById('current-rank-icon');
-
-        if (!rankValueEl) return;
+        if (!rankValueEl) return;
 
         try {
             // valorant-api-serviceから戦績データを取得
@@ -3302,6 +4183,15 @@ class App {
                     if (iconKey && rankIconEl) {
                         rankIconEl.textContent = rankIcons[iconKey];
                     }
+
+                    // 登録済みアカウントのランクの推移を取り込み
+                    const accountService = window.riotAccountService;
+                    if (stats.rankHistory.length > 0 && stats.account?.name && accountService && window.rankHistoryService) {
+                        const account = accountService.findAccount(accountService.getAccountId(stats.account.name, stats.account.tag));
+                        if (account) {
+                            window.rankHistoryService.ingest(account.id, stats.rankHistory);
+                        }
+                    }
                 } else {
                     rankValueEl.textContent = 'データなし';
                     rankRREl.textContent = '';
@@ -3349,9 +4239,8 @@ class App {
                             ...m,
                             timestamp: new Date(m.date).getTime() || Date.now()
                         }));
-                        // localStorageに保存して次回以降はキャッシュを使用
-                        localStorage.setItem('valorant_gallery', JSON.stringify(matches));
-                        this.cachedMatchData = null; // キャッシュをリセット
+                        // リポジトリに保存して次回以降はキャッシュを使用
+                        await this.matchRepository.addMany(matches);
                         console.log('valorant-stats.jsonから' + matches.length + '試合を読み込みました');
                     }
                 }
@@ -3377,6 +4266,9 @@ class App {
             );
         }
 
+        // エクスポート対象（絞り込み後の一覧）
+        this.galleryMatches = matches;
+
         if (matches.length === 0) {
             container.innerHTML = `
                 <div class="no-matches-message">
@@ -3423,7 +4315,10 @@ class App {
                             <h4 class="gallery-map-name">${match.map || 'Unknown'}</h4>
                             <span class="gallery-score">${match.score || match.rounds || 'N/A'}</span>
                         </div>
-                        <span class="gallery-result-badge ${resultClass}">${result === 'WIN' ? '勝利' : result === 'LOSS' ? '敗北' : '引分'}</span>
+                        <div class="gallery-card-badges">
+                            ${this.renderRRChangeBadge(match)}
+                            <span class="gallery-result-badge ${resultClass}">${result === 'WIN' ? '勝利' : result === 'LOSS' ? '敗北' : '引分'}</span>
+                        </div>
                     </div>
                     <div class="gallery-card-body">
                         <div class="gallery-agent">${agent}</div>
@@ -3483,6 +4378,26 @@ class App {
             });
         }
 
+        // スコアボードのスクリーンショットから入力
+        const screenshotBtn = document.getElementById('scoreboard-screenshot-btn');
+        const screenshotInput = document.getElementById('scoreboard-screenshot-input');
+        if (screenshotBtn && screenshotInput) {
+            screenshotBtn.addEventListener('click', () => screenshotInput.click());
+            screenshotInput.addEventListener('change', async () => {
+                const files = Array.from(screenshotInput.files);
+                screenshotInput.value = '';
+                if (files.length > 0) {
+                    await this.handleScoreboardScreenshots(files);
+                }
+            });
+        }
+
+        // エクスポート
+        const exportBtn = document.getElementById('export-gallery-btn');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.exportGalleryMatches());
+        }
+
         // フィルター適用
         const applyBtn = document.getElementById('apply-gallery-filters');
         if (applyBtn) {
@@ -3702,7 +4617,8 @@ class App {
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
-        return div.innerHTML;
+        // 属性値にも埋め込めるよう引用符も変換
+        return div.innerHTML.replace(/"/g, '&quot;');
     }
 
     // ランクからスキルレベルを自動決定
@@ -4148,42 +5064,10 @@ JSONのみを出力してください。`;
     }
 
 
+    // 目標を削除（ゴミ箱へ移動し、トーストから元に戻せるため確認はしない）
     async deleteGoal(goalId) {
-        // 確認ダイアログを表示
-        const result = await Swal.fire({
-            title: '目標を削除しますか？',
-            html: '本当にこの目標を削除しますか？<br>削除する場合は <b>削除</b> と入力してください。',
-            icon: 'warning',
-            input: 'text',
-            inputAttributes: {
-                autocapitalize: 'off'
-            },
-            showCancelButton: true,
-            confirmButtonText: '削除する',
-            cancelButtonText: 'キャンセル',
-            confirmButtonColor: '#d33',
-            cancelButtonColor: '#3085d6',
-            reverseButtons: true,
-            background: getComputedStyle(document.documentElement).getPropertyValue('--bg-card').trim(),
-            color: getComputedStyle(document.documentElement).getPropertyValue('--text-primary').trim(),
-            preConfirm: (inputValue) => {
-                if (inputValue !== '削除') {
-                    Swal.showValidationMessage('キーワードが一致しません。「削除」と入力してください。');
-                    return false;
-                }
-                return true;
-            }
-        });
-
-        if (!result.isConfirmed) {
-            return;
-        }
-
         try {
-            const goals = JSON.parse(localStorage.getItem('goals') || '[]');
-            const filteredGoals = goals.filter(goal => goal.id !== goalId);
-
-            localStorage.setItem('goals', JSON.stringify(filteredGoals));
+            const trashed = await window.trashService.moveToTrash('goal', goalId);
 
             // リストを更新
             this.loadGoalsList();
@@ -4193,15 +5077,7 @@ JSONのみを出力してください。`;
                 this.loadDashboardGoals();
             }
 
-            await Swal.fire({
-                title: '削除しました',
-                text: '目標を削除しました。',
-                icon: 'success',
-                timer: 1500,
-                showConfirmButton: false,
-                background: getComputedStyle(document.documentElement).getPropertyValue('--bg-card').trim(),
-                color: getComputedStyle(document.documentElement).getPropertyValue('--text-primary').trim()
-            });
+            this.showUndoToast('目標をゴミ箱に移動しました', trashed);
         } catch (error) {
             console.error('Failed to delete goal:', error);
             this.showToast('目標の削除に失敗しました', 'error');
@@ -4320,7 +5196,7 @@ JSONのみを出力してください。`;
     loadApiSettings() {
         const provider = localStorage.getItem('ai_provider');
         const model = localStorage.getItem('ai_model');
-        const hasKey = localStorage.getItem('ai_api_key');
+        const hasKey = window.secretsVault.hasSecret('ai_api_key');
         
         if (provider) {
             const providerSelect = document.getElementById('api-provider');
@@ -6049,46 +6925,1382 @@ JSONのみを出力してください。`;
                 }
             });
 
-            // localStorage を完全にクリア
+            // localStorage と IndexedDB を完全にクリア
             localStorage.clear();
+            await window.largeDataStore.clear();
 
             // sessionStorage もクリア
             sessionStorage.clear();
 
-            // 内部サービスのクリーンアップ
-            if (this.geminiService && typeof this.geminiService.clearApiKey === 'function') {
-                try { this.geminiService.clearApiKey(); } catch (e) { console.debug(e); }
-            }
-            if (window.unifiedApiManager && typeof window.unifiedApiManager.clearAPIKey === 'function') {
-                try { window.unifiedApiManager.clearAPIKey(); } catch (e) { console.debug(e); }
-            }
+            // 内部サービスのクリーンアップ
+            if (this.geminiService && typeof this.geminiService.clearApiKey === 'function') {
+                try { this.geminiService.clearApiKey(); } catch (e) { console.debug(e); }
+            }
+            if (window.unifiedApiManager && typeof window.unifiedApiManager.clearAPIKey === 'function') {
+                try { window.unifiedApiManager.clearAPIKey(); } catch (e) { console.debug(e); }
+            }
+
+            // テーマをデフォルトに戻す
+            this.currentTheme = 'dark';
+            this.applyTheme(this.currentTheme);
+
+            // 成功メッセージを表示してリロード
+            await Swal.fire({
+                title: '<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/><polyline points="22 4 12 14.01 9 11.01"/></svg> 初期化完了',
+                text: 'アプリケーションを初期化しました。ページを再読み込みします。',
+                icon: 'success',
+                timer: 2000,
+                showConfirmButton: false
+            });
+
+            // ページをリロード
+            setTimeout(() => window.location.reload(), 500);
+            
+        } catch (e) {
+            console.error('Failed to reset app:', e);
+            
+            // エラーメッセージを表示
+            await Swal.fire({
+                title: '<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><line x1="15" y1="9" x2="9" y2="15"/><line x1="9" y1="9" x2="15" y2="15"/></svg> エラー',
+                text: '初期化に失敗しました。ページを手動で再読み込みしてください。',
+                icon: 'error',
+                confirmButtonText: 'OK'
+            });
+        }
+    }
+
+    // バックアップファイルを作成
+    handleBackupExport() {
+        try {
+            const bundle = window.backupService.downloadBackup();
+            const total = Object.values(bundle.counts).reduce((sum, n) => sum + n, 0);
+            this.showToast(`バックアップを作成しました（${total}件）`, 'success');
+        } catch (error) {
+            console.error('Failed to create backup:', error);
+            this.showToast('バックアップの作成に失敗しました', 'error');
+        }
+    }
+
+    // バックアップファイルから復元
+    async handleBackupRestore(file) {
+        const result = await window.backupService.readBackupFile(file);
+
+        if (!result.isValid) {
+            await Swal.fire({
+                title: '復元できません',
+                html: result.errors.map(e => this.escapeHtml(e)).join('<br>'),
+                icon: 'error',
+                confirmButtonText: 'OK'
+            });
+            return;
+        }
+
+        const rows = result.preview.map(row => `
+            <tr>
+                <td style="text-align: left; padding: 4px 8px;">${row.label}</td>
+                <td style="padding: 4px 8px;">${row.current}</td>
+                <td style="padding: 4px 8px;">${row.incoming}</td>
+            </tr>
+        `).join('');
+
+        const choice = await Swal.fire({
+            title: 'バックアップの復元',
+            html: `
+                <p style="margin-bottom: 10px;">作成日時: ${new Date(result.bundle.exportedAt).toLocaleString('ja-JP')}</p>
+                <table style="width: 100%; border-collapse: collapse;">
+                    <thead>
+                        <tr>
+                            <th style="text-align: left; padding: 4px 8px;">項目</th>
+                            <th style="padding: 4px 8px;">現在</th>
+                            <th style="padding: 4px 8px;">バックアップ</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+                <p style="margin-top: 15px; font-size: 14px;">
+                    「統合」は現在のデータを残したまま追加します。「置き換え」は現在のデータを削除してバックアップの内容にします。
+                </p>
+                ${result.warnings.length > 0 ? `
+                    <p style="margin-top: 10px; font-size: 13px; color: #f39c12;">
+                        ${result.warnings.map(w => this.escapeHtml(w)).join('<br>')}
+                    </p>
+                ` : ''}
+            `,
+            icon: 'question',
+            showCancelButton: true,
+            showDenyButton: true,
+            confirmButtonText: '統合する',
+            denyButtonText: '置き換える',
+            cancelButtonText: 'キャンセル',
+            denyButtonColor: '#e74c3c',
+            reverseButtons: true,
+            focusCancel: true
+        });
+
+        if (!choice.isConfirmed && !choice.isDenied) {
+            return;
+        }
+
+        try {
+            const mode = choice.isDenied ? 'replace' : 'merge';
+            window.backupService.restore(result.bundle, mode);
+            await window.largeDataStore.flush();
+
+            await Swal.fire({
+                title: '復元完了',
+                text: 'データを復元しました。ページを再読み込みします。',
+                icon: 'success',
+                timer: 2000,
+                showConfirmButton: false
+            });
+
+            setTimeout(() => window.location.reload(), 500);
+        } catch (error) {
+            console.error('Failed to restore backup:', error);
+            this.showToast(`復元に失敗しました: ${error.message}`, 'error');
+        }
+    }
+
+    // 他タブでの変更を種類ごとに再描画
+    handleTabSyncChange(change) {
+        console.log('Tab sync change:', change.type, change.keys);
+
+        switch (change.type) {
+            case 'matches':
+                // キャッシュを無効化し、試合データを使う表示のみ更新
+                this.matchRepository.notifyChange('tab-sync', []);
+                if (this.currentPage === 'dashboard') {
+                    this.renderDashboardGallery();
+                    if (this.playerStatsManager) {
+                        this.playerStatsManager.loadStatsToUI();
+                    }
+                    this.scheduleChartUpdate();
+                } else if (this.currentPage === 'gallery') {
+                    this.loadGallery();
+                }
+                break;
+            case 'goals':
+                this.loadDashboardGoals();
+                if (this.currentPage === 'goals') {
+                    this.loadGoalsList();
+                }
+                break;
+            case 'coachingPlans':
+                if (this.currentPage === 'coaching-plans' && this.coachingPlanService) {
+                    this.loadCoachingPlans();
+                }
+                break;
+            case 'theme': {
+                const theme = localStorage.getItem('theme') || 'dark';
+                if (theme !== this.currentTheme) {
+                    this.currentTheme = theme;
+                    this.applyTheme(theme);
+                    this.refreshChartsForTheme();
+                }
+                break;
+            }
+            case 'strategyGuides':
+                if (window.strategyGuideService) {
+                    window.strategyGuideService.guides = window.strategyGuideService.loadGuides();
+                }
+                this.renderGuideList();
+                break;
+            case 'coachingProgress':
+                if (this.coachingService) {
+                    this.coachingService.userProgress = this.coachingService.loadUserProgress();
+                    this.coachingService.feedbackHistory = this.coachingService.loadFeedbackHistory();
+                    this.updateCoachingProgress();
+                }
+                this.updateWinStreakDisplay(this.getWinStreak());
+                break;
+            case 'riotAccounts':
+                if (window.riotAccountService) {
+                    window.riotAccountService.reload();
+                    const activeAccount = window.riotAccountService.getActiveAccount();
+                    if (activeAccount) {
+                        window.riotAccountService.applyToApiService(activeAccount);
+                    }
+                    // 他タブで保存済みのため、表示のみ更新
+                    this.handleRiotAccountChanged({ type: 'switch', accountId: activeAccount?.id || null });
+                }
+                break;
+            case 'trash':
+                this.renderTrashSummary();
+                break;
+            case 'secretsVault':
+                // 表示はsecretsVaultChangedで更新
+                if (window.secretsVault) {
+                    window.secretsVault.handleExternalChange();
+                }
+                break;
+            case 'matchSync':
+                // 設定が変わった場合はこのタブのスケジュールも更新
+                if (window.matchSyncService && (change.keys.length === 0 || change.keys.includes(window.matchSyncService.SETTINGS_KEY))) {
+                    window.matchSyncService.schedule();
+                }
+                this.renderMatchSyncStatus();
+                break;
+            case 'rankHistory':
+                this.handleRankHistoryChanged();
+                break;
+        }
+    }
+
+    // ランクの履歴の変更を反映（グラフと試合カードのRR増減）
+    handleRankHistoryChanged() {
+        if (this.currentPage === 'dashboard') {
+            this.scheduleChartUpdate();
+            this.renderDashboardGallery();
+        } else if (this.currentPage === 'gallery') {
+            this.loadGallery();
+        }
+    }
+
+    // Riotアカウントの変更を反映
+    handleRiotAccountChanged(detail) {
+        this.cachedMatchData = null;
+        this.renderAccountSwitcher();
+        this.renderRiotAccountList();
+
+        if (detail.type === 'switch') {
+            if (this.currentPage === 'dashboard') {
+                this.loadDashboard();
+            } else if (this.currentPage === 'gallery') {
+                this.loadGallery();
+            }
+            return;
+        }
+
+        // 登録内容の変更はログイン中のアカウントにも保存
+        if (this.authService && this.authService.currentUser && !this.authService.isGuestUser()) {
+            this.authService.saveRiotAccounts(window.riotAccountService.getAccounts());
+        }
+    }
+
+    // アカウント切り替えの選択肢HTML
+    renderAccountOptions() {
+        const service = window.riotAccountService;
+        const activeId = service.getActiveAccountId();
+        const options = [{ id: service.ALL_ACCOUNTS, label: 'すべてのアカウント（合算）' }]
+            .concat(service.getAccounts().map(a => ({
+                id: a.id,
+                label: `${service.getLabel(a)}${a.isMain ? '（メイン）' : ''}`
+            })));
+
+        return options.map(o => `
+            <option value="${this.escapeHtml(o.id)}" ${o.id === activeId ? 'selected' : ''}>${this.escapeHtml(o.label)}</option>
+        `).join('');
+    }
+
+    // ダッシュボードのアカウント切り替えを描画（2アカウント以上の場合のみ表示）
+    renderAccountSwitcher() {
+        const container = document.getElementById('account-switcher-container');
+        const select = document.getElementById('account-switcher');
+        if (!container || !select || !window.riotAccountService) return;
+
+        const hasMultiple = window.riotAccountService.getAccounts().length > 1;
+        container.style.display = hasMultiple ? 'flex' : 'none';
+        select.innerHTML = this.renderAccountOptions();
+    }
+
+    // 表示するRiotアカウントを切り替え
+    switchRiotAccount(accountId) {
+        try {
+            window.riotAccountService.setActiveAccount(accountId);
+            const account = window.riotAccountService.getActiveAccount();
+            this.showToast(`${window.riotAccountService.getLabel(account)}を表示しています`, 'info');
+        } catch (error) {
+            console.error('Failed to switch Riot account:', error);
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    // 設定画面の登録済みRiotアカウント一覧を描画
+    renderRiotAccountList() {
+        const list = document.getElementById('riot-account-list');
+        if (!list || !window.riotAccountService) return;
+
+        const accounts = window.riotAccountService.getAccounts();
+        if (accounts.length === 0) {
+            list.innerHTML = '<p class="no-data">Riotアカウントが登録されていません</p>';
+            return;
+        }
+
+        list.innerHTML = accounts.map(account => `
+            <div class="setting-item riot-account-item">
+                <div class="riot-account-info">
+                    <span class="riot-account-name">${this.escapeHtml(window.riotAccountService.getLabel(account))}</span>
+                    <span class="riot-account-meta">${this.escapeHtml(String(account.region || '').toUpperCase())} / ${this.escapeHtml(String(account.platform || '').toUpperCase())}${account.isMain ? ' ・ メイン' : ''}</span>
+                </div>
+                <div class="riot-account-actions">
+                    ${account.isMain ? '' : `<button class="btn-secondary btn-sm" data-account-action="main" data-account-id="${this.escapeHtml(account.id)}">メインにする</button>`}
+                    <button class="btn-danger btn-sm" data-account-action="remove" data-account-id="${this.escapeHtml(account.id)}">削除</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    // Riotアカウントを追加
+    handleAddRiotAccount() {
+        const riotIdInput = document.getElementById('riot-account-id');
+        const regionSelect = document.getElementById('riot-account-region');
+        const platformSelect = document.getElementById('riot-account-platform');
+        const labelInput = document.getElementById('riot-account-label');
+
+        const riotId = riotIdInput?.value?.trim() || '';
+        if (!riotId.includes('#')) {
+            this.showToast('Riot IDは「ゲーム名#タグ」の形式で入力してください', 'error');
+            return;
+        }
+
+        const [name, tag] = riotId.split('#');
+        try {
+            const account = window.riotAccountService.addAccount({
+                name,
+                tag,
+                region: regionSelect?.value || 'ap',
+                platform: platformSelect?.value || 'pc',
+                label: labelInput?.value || ''
+            });
+
+            if (riotIdInput) riotIdInput.value = '';
+            if (labelInput) labelInput.value = '';
+            this.showToast(`${window.riotAccountService.getLabel(account)}を登録しました`, 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    // 登録済みRiotアカウントの操作（メイン設定・削除）
+    async handleRiotAccountAction(action, accountId) {
+        const account = window.riotAccountService.findAccount(accountId);
+        if (!account) return;
+
+        if (action === 'main') {
+            window.riotAccountService.setMainAccount(accountId);
+            this.showToast(`${window.riotAccountService.getLabel(account)}をメインにしました`, 'success');
+            return;
+        }
+
+        if (action === 'remove') {
+            const result = await Swal.fire({
+                title: 'アカウントを削除',
+                text: `${window.riotAccountService.getLabel(account)}の登録を削除しますか？（試合データは残ります）`,
+                icon: 'warning',
+                showCancelButton: true,
+                confirmButtonText: '削除する',
+                cancelButtonText: 'キャンセル',
+                confirmButtonColor: '#e74c3c'
+            });
+
+            if (result.isConfirmed) {
+                window.riotAccountService.removeAccount(accountId);
+                this.showToast('アカウントを削除しました', 'success');
+            }
+        }
+    }
+
+    // 設定画面の自動同期の状態を描画
+    renderMatchSyncStatus() {
+        const sync = window.matchSyncService;
+        const statusEl = document.getElementById('match-sync-status');
+        const list = document.getElementById('match-sync-account-list');
+        if (!sync || !statusEl || !list) return;
+
+        const settings = sync.getSettings();
+        const enabledInput = document.getElementById('match-sync-enabled');
+        const intervalSelect = document.getElementById('match-sync-interval');
+        const nowBtn = document.getElementById('match-sync-now-btn');
+        if (enabledInput) enabledInput.checked = settings.enabled;
+        if (intervalSelect) intervalSelect.value = String(settings.intervalMinutes);
+        if (nowBtn) nowBtn.disabled = sync.running;
+
+        // 本番のAPIを使う場合は空欄（プレースホルダーを表示）
+        const baseUrlInput = document.getElementById('henrik-base-url');
+        if (baseUrlInput && document.activeElement !== baseUrlInput && window.valorantAPIService) {
+            baseUrlInput.value = window.valorantAPIService.isUsingCustomBaseUrl() ? window.valorantAPIService.baseUrl : '';
+        }
+
+        const formatTime = (iso) => iso ? new Date(iso).toLocaleString('ja-JP') : '未同期';
+        if (sync.running) {
+            statusEl.textContent = '同期中...';
+        } else if (!sync.canSync()) {
+            statusEl.textContent = window.secretsVault?.isLocked()
+                ? 'APIキーの保管庫がロックされています'
+                : 'Henrik APIキーが設定されていません';
+        } else {
+            statusEl.textContent = formatTime(sync.getLastSyncAt());
+        }
+
+        const accounts = window.riotAccountService ? window.riotAccountService.getAccounts() : [];
+        list.innerHTML = accounts.map(account => {
+            const state = sync.getAccountState(account.id) || {};
+            let detail = formatTime(state.lastSyncAt);
+            if (state.lastError) {
+                detail = `エラー: ${this.escapeHtml(state.lastError)}（${formatTime(state.lastAttemptAt)}）`;
+            } else if (state.lastSyncAt) {
+                detail += `・${state.lastAdded || 0}試合を追加${state.pending ? '・続きは次回取得' : ''}`;
+            }
+            return `
+                <div class="setting-item">
+                    <label>${this.escapeHtml(window.riotAccountService.getLabel(account))}</label>
+                    <span class="cloud-sync-status">${detail}</span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // 自動同期の進行・完了を反映
+    handleMatchSyncChanged(detail) {
+        this.renderMatchSyncStatus();
+
+        if (detail.type === 'complete' && detail.added > 0) {
+            this.cachedMatchData = null;
+            if (this.currentPage === 'dashboard') {
+                this.loadDashboard();
+            }
+            if (detail.background) {
+                this.showToast(`${detail.added}件の新しい試合を同期しました`, 'success');
+            }
+        }
+    }
+
+    // Henrik APIの接続先を保存（空欄で本番に戻す）
+    saveHenrikBaseUrl() {
+        const input = document.getElementById('henrik-base-url');
+        if (!input || !window.valorantAPIService) return;
+
+        try {
+            const baseUrl = window.valorantAPIService.setBaseUrl(input.value);
+            this.showToast(window.valorantAPIService.isUsingCustomBaseUrl()
+                ? `APIの接続先を${baseUrl}に変更しました`
+                : 'APIの接続先を本番に戻しました', 'success');
+            this.renderMatchSyncStatus();
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    // 今すぐ同期
+    async syncMatchesNow() {
+        try {
+            const result = await window.matchSyncService.syncAll();
+            if (!result) {
+                this.showToast('別のタブで同期中です', 'info');
+                return;
+            }
+
+            const failed = result.results.filter(r => r.error);
+            if (failed.length > 0) {
+                this.showToast(`同期に失敗したアカウントがあります: ${failed[0].error}`, 'error');
+            } else {
+                this.showToast(result.added > 0 ? `${result.added}件の新しい試合を同期しました` : '新しい試合はありません', 'success');
+            }
+        } catch (error) {
+            console.error('Match sync failed:', error);
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    // 設定画面のAPIキー保管庫の状態を描画
+    renderSecretsVault() {
+        const statusEl = document.getElementById('secrets-vault-status');
+        const list = document.getElementById('secrets-vault-list');
+        if (!statusEl || !list || !window.secretsVault) return;
+
+        const status = window.secretsVault.getStatus();
+        const lockBtn = document.getElementById('secrets-vault-lock-btn');
+        const passphraseBtn = document.getElementById('secrets-vault-passphrase-btn');
+        const removePassphraseBtn = document.getElementById('secrets-vault-remove-passphrase-btn');
+
+        if (!status.available) {
+            statusEl.textContent = 'このブラウザでは利用できません';
+            [lockBtn, passphraseBtn].forEach(btn => { if (btn) btn.disabled = true; });
+            list.innerHTML = '';
+            return;
+        }
+
+        const modeLabel = status.mode === 'passphrase' ? 'パスフレーズで保護' : 'この端末の鍵で保護';
+        statusEl.textContent = `${status.locked ? 'ロック中' : 'ロック解除中'}（${modeLabel}）`;
+
+        if (lockBtn) lockBtn.textContent = status.locked ? 'ロック解除' : 'ロック';
+        if (passphraseBtn) {
+            passphraseBtn.textContent = status.mode === 'passphrase' ? 'パスフレーズを変更' : 'パスフレーズを設定';
+            passphraseBtn.disabled = status.locked;
+        }
+        if (removePassphraseBtn) {
+            removePassphraseBtn.hidden = status.mode !== 'passphrase';
+            removePassphraseBtn.disabled = status.locked;
+        }
+
+        list.innerHTML = status.secrets.map(secret => `
+            <div class="setting-item">
+                <label>${secret.label}</label>
+                <span class="cloud-sync-status">${secret.stored ? '保存済み' : '未設定'}</span>
+                <button class="btn-secondary btn-sm" data-secret-action="set" data-secret-name="${secret.name}" ${status.locked ? 'disabled' : ''}>${secret.stored ? '変更' : '設定'}</button>
+                ${secret.stored ? `<button class="btn-danger btn-sm" data-secret-action="remove" data-secret-name="${secret.name}">削除</button>` : ''}
+            </div>
+        `).join('');
+    }
+
+    // 保管庫のロック・ロック解除
+    async toggleSecretsVaultLock() {
+        const vault = window.secretsVault;
+        if (!vault.isLocked()) {
+            vault.lock();
+            this.showToast('APIキーの保管庫をロックしました', 'info');
+            return;
+        }
+
+        if (vault.getMode() === 'device') {
+            await vault.unlock();
+            this.showToast('ロックを解除しました', 'success');
+            return;
+        }
+
+        const { value: passphrase } = await Swal.fire({
+            title: 'ロック解除',
+            input: 'password',
+            inputLabel: 'パスフレーズ',
+            inputAttributes: { autocomplete: 'current-password' },
+            showCancelButton: true,
+            confirmButtonText: '解除',
+            cancelButtonText: 'キャンセル',
+            showLoaderOnConfirm: true,
+            preConfirm: async (value) => {
+                try {
+                    await vault.unlock(value);
+                    return value;
+                } catch (error) {
+                    Swal.showValidationMessage(error.message);
+                    return false;
+                }
+            }
+        });
+
+        if (passphrase) {
+            this.showToast('ロックを解除しました', 'success');
+        }
+    }
+
+    // パスフレーズを設定・変更（保存済みのキーは新しい鍵で暗号化し直す）
+    async setSecretsVaultPassphrase() {
+        const vault = window.secretsVault;
+        const { value: passphrase } = await Swal.fire({
+            title: vault.getMode() === 'passphrase' ? 'パスフレーズを変更' : 'パスフレーズを設定',
+            html: `
+                <input id="vault-passphrase" type="password" class="swal2-input" placeholder="新しいパスフレーズ（${vault.MIN_PASSPHRASE_LENGTH}文字以上）" autocomplete="new-password">
+                <input id="vault-passphrase-confirm" type="password" class="swal2-input" placeholder="確認のため再入力" autocomplete="new-password">
+                <p style="font-size: 0.85em; opacity: 0.8;">パスフレーズを忘れると保存済みのAPIキーは復元できません</p>
+            `,
+            showCancelButton: true,
+            confirmButtonText: '設定する',
+            cancelButtonText: 'キャンセル',
+            showLoaderOnConfirm: true,
+            preConfirm: async () => {
+                const value = document.getElementById('vault-passphrase').value;
+                if (value !== document.getElementById('vault-passphrase-confirm').value) {
+                    Swal.showValidationMessage('パスフレーズが一致しません');
+                    return false;
+                }
+                try {
+                    await vault.setPassphrase(value);
+                    return value;
+                } catch (error) {
+                    Swal.showValidationMessage(error.message);
+                    return false;
+                }
+            }
+        });
+
+        if (passphrase) {
+            this.showToast('パスフレーズを設定しました', 'success');
+        }
+    }
+
+    // パスフレーズを解除して端末の鍵での保護に戻す
+    async removeSecretsVaultPassphrase() {
+        const result = await Swal.fire({
+            title: 'パスフレーズを解除',
+            text: 'APIキーはこの端末の鍵で暗号化され、ロック解除なしで利用できるようになります。解除しますか？',
+            icon: 'warning',
+            showCancelButton: true,
+            confirmButtonText: '解除する',
+            cancelButtonText: 'キャンセル'
+        });
+        if (!result.isConfirmed) return;
+
+        try {
+            await window.secretsVault.removePassphrase();
+            this.showToast('パスフレーズを解除しました', 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    // 保存済みAPIキーの操作（設定・削除）
+    async handleSecretAction(action, name) {
+        const secret = window.secretsVault.SECRETS[name];
+        if (!secret) return;
+
+        if (action === 'remove') {
+            const result = await Swal.fire({
+                title: `${secret.label}を削除`,
+                text: '保存されているAPIキーを削除しますか？',
+                icon: 'warning',
+                showCancelButton: true,
+                confirmButtonText: '削除する',
+                cancelButtonText: 'キャンセル',
+                confirmButtonColor: '#e74c3c'
+            });
+
+            if (result.isConfirmed) {
+                window.secretsVault.removeSecret(name);
+                this.showToast(`${secret.label}を削除しました`, 'success');
+            }
+            return;
+        }
+
+        const { value } = await Swal.fire({
+            title: secret.label,
+            input: 'password',
+            inputPlaceholder: 'APIキーを入力',
+            inputAttributes: { autocomplete: 'off' },
+            showCancelButton: true,
+            confirmButtonText: '保存',
+            cancelButtonText: 'キャンセル',
+            inputValidator: (input) => (!input || !input.trim()) ? 'APIキーを入力してください' : undefined
+        });
+        if (!value) return;
+
+        try {
+            await window.secretsVault.setSecret(name, value.trim());
+            if (name === 'ai_api_key' && this.aiService) {
+                this.aiService.checkConfiguration();
+            }
+            this.showToast(`${secret.label}を保存しました`, 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    // 元に戻すボタン付きのトーストを表示
+    showUndoToast(message, trashed) {
+        if (!trashed) {
+            this.showToast(message, 'success');
+            return;
+        }
+        this.showToast(message, 'success', 8000, {
+            label: '元に戻す',
+            onClick: () => this.undoTrash(trashed.batchId)
+        });
+    }
+
+    // 直前の削除を元に戻す
+    async undoTrash(batchId) {
+        let result;
+        try {
+            result = await window.trashService.undo(batchId);
+        } catch (error) {
+            console.error('Failed to undo trash:', error);
+            this.showToast(error.message, 'error');
+            return;
+        }
+        if (result.restored === 0) {
+            this.showToast('元に戻せるデータがありません', 'warning');
+            return;
+        }
+
+        await this.refreshAfterTrashRestore(result.types);
+        this.showToast(`${result.restored}件を元に戻しました`, 'success');
+    }
+
+    // 復元したデータの種類に応じて表示を更新
+    async refreshAfterTrashRestore(types) {
+        if (types.includes('match')) {
+            await this.loadGalleryMatches();
+            if (this.currentPage === 'dashboard') {
+                this.loadDashboard();
+            }
+            if (this.playerStatsManager) {
+                this.playerStatsManager.loadStatsToUI();
+            }
+        }
+        if (types.includes('goal') || types.includes('plan')) {
+            this.loadGoalsList();
+            this.loadDashboardGoals();
+        }
+        if (types.includes('plan') && this.coachingPlanService) {
+            this.loadCoachingPlans();
+        }
+    }
+
+    // 設定画面のゴミ箱の件数・保持期間を表示
+    renderTrashSummary() {
+        const summary = document.getElementById('trash-summary');
+        if (!summary || !window.trashService) return;
+
+        const count = window.trashService.count();
+        summary.textContent = count > 0 ? `${count}件` : '空です';
+
+        const retentionInput = document.getElementById('trash-retention-days');
+        if (retentionInput && document.activeElement !== retentionInput) {
+            retentionInput.value = window.trashService.getRetentionDays();
+        }
+    }
+
+    // ゴミ箱のエントリーの表示名
+    describeTrashEntry(entry) {
+        const item = entry.item || {};
+        if (entry.type === 'match') {
+            const date = new Date(this.matchRepository.getTimestamp(item)).toLocaleDateString('ja-JP');
+            return `${item.map || '不明なマップ'} / ${item.agent || item.character || '-'} ${item.score || ''}（${date}）`;
+        }
+        return item.title || item.goalTitle || item.name || '(無題)';
+    }
+
+    // ゴミ箱を表示し、選択したものを復元・完全削除
+    async openTrash() {
+        const entries = window.trashService.getEntries();
+        if (entries.length === 0) {
+            this.showToast('ゴミ箱は空です', 'info');
+            return;
+        }
+
+        const rows = entries.map(entry => `
+            <tr>
+                <td style="padding: 4px 8px;"><input type="checkbox" class="trash-entry-check" value="${entry.id}"></td>
+                <td style="padding: 4px 8px;">${window.trashService.TYPES[entry.type]?.label || entry.type}</td>
+                <td style="text-align: left; padding: 4px 8px;">${this.describeTrashEntry(entry)}</td>
+                <td style="padding: 4px 8px;"><small>${new Date(entry.deletedAt).toLocaleString('ja-JP')}<br>あと${window.trashService.getDaysUntilPurge(entry)}日</small></td>
+            </tr>
+        `).join('');
+
+        const getSelectedIds = () => Array.from(document.querySelectorAll('.trash-entry-check:checked')).map(el => el.value);
+
+        const result = await Swal.fire({
+            title: `ゴミ箱（${entries.length}件）`,
+            html: `
+                <p style="font-size: 0.9em;">保持期間（${window.trashService.getRetentionDays()}日）を過ぎたものは自動的に完全削除されます。</p>
+                <label style="display: block; text-align: left; margin: 8px 0;"><input type="checkbox" id="trash-select-all"> すべて選択</label>
+                <div style="max-height: 320px; overflow-y: auto;">
+                    <table style="width: 100%; font-size: 0.85em; border-collapse: collapse;">
+                        <thead>
+                            <tr><th></th><th style="padding: 4px 8px;">種類</th><th style="padding: 4px 8px;">内容</th><th style="padding: 4px 8px;">削除日時</th></tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            `,
+            width: 720,
+            showDenyButton: true,
+            showCancelButton: true,
+            confirmButtonText: '選択を復元',
+            denyButtonText: '選択を完全に削除',
+            cancelButtonText: '閉じる',
+            didOpen: () => {
+                document.getElementById('trash-select-all').addEventListener('change', (e) => {
+                    document.querySelectorAll('.trash-entry-check').forEach(el => { el.checked = e.target.checked; });
+                });
+            },
+            preConfirm: () => {
+                const ids = getSelectedIds();
+                if (ids.length === 0) {
+                    Swal.showValidationMessage('復元するデータを選択してください');
+                    return false;
+                }
+                return ids;
+            },
+            preDeny: () => {
+                const ids = getSelectedIds();
+                if (ids.length === 0) {
+                    Swal.showValidationMessage('削除するデータを選択してください');
+                    return false;
+                }
+                return ids;
+            }
+        });
+
+        if (result.isConfirmed) {
+            try {
+                const restoreResult = await window.trashService.restore(result.value);
+                await this.refreshAfterTrashRestore(restoreResult.types);
+                this.showToast(`${restoreResult.restored}件を復元しました`, 'success');
+            } catch (error) {
+                console.error('Failed to restore from trash:', error);
+                this.showToast(error.message, 'error');
+            }
+        } else if (result.isDenied) {
+            const confirmDelete = await Swal.fire({
+                title: '完全に削除',
+                text: `選択した${result.value.length}件を完全に削除します。この操作は取り消せません。`,
+                icon: 'warning',
+                showCancelButton: true,
+                confirmButtonText: '削除する',
+                cancelButtonText: 'キャンセル',
+                confirmButtonColor: '#e74c3c'
+            });
+            if (confirmDelete.isConfirmed) {
+                const deleted = window.trashService.deletePermanently(result.value);
+                this.showToast(`${deleted}件を完全に削除しました`, 'success');
+            }
+        }
+    }
+
+    // CSV/TSVファイルから試合を一括取り込み（列の対応付け → 行ごとの検証結果を確認 → 保存）
+    async handleCsvImport(file) {
+        const importer = window.matchCsvImporter;
+
+        let parsed;
+        try {
+            parsed = await importer.load(file);
+        } catch (error) {
+            console.error('CSV import failed:', error);
+            this.showToast(`ファイルを読み込めませんでした: ${error.message}`, 'error');
+            return;
+        }
+
+        const options = await this.showCsvMappingDialog(file.name, parsed);
+        if (!options) return;
+
+        const results = importer.convertRows(parsed.rows, options.mapping, {
+            defaultGameMode: options.defaultGameMode,
+            validate: (values) => this.validateMatchValues(values)
+        });
+
+        const valid = results.filter(r => !r.error);
+        if (!await this.showCsvImportReport(results)) return;
+
+        const ids = importer.createRowIds(valid);
+        const matches = valid.map((r, index) => this.buildMatchData({
+            ...r.values,
+            id: ids[index],
+            source: 'csv_import'
+        }));
+
+        try {
+            const { added, skipped } = await this.matchRepository.addMany(matches);
+            this.showToast(`${added}試合を取り込みました${skipped > 0 ? `（取り込み済み ${skipped}件をスキップ）` : ''}`, 'success');
+        } catch (error) {
+            console.error('CSV import save failed:', error);
+            this.showToast(error.message, 'error');
+            return;
+        }
+
+        if (this.currentPage === 'dashboard') {
+            this.loadDashboard();
+        }
+        if (this.playerStatsManager) {
+            this.playerStatsManager.loadStatsToUI();
+        }
+    }
+
+    // 列と試合項目の対応付けダイアログ（見出しから推測した対応を初期値にする）
+    async showCsvMappingDialog(filename, parsed) {
+        const importer = window.matchCsvImporter;
+        const guessed = importer.guessMapping(parsed.headers);
+        const delimiterLabel = { ',': 'カンマ', '\t': 'タブ', ';': 'セミコロン' }[parsed.delimiter] || parsed.delimiter;
+        const escape = (value) => this.escapeHtml(String(value ?? ''));
+
+        const columnOptions = (selected) => [
+            `<option value="">（取り込まない）</option>`,
+            ...parsed.headers.map((header, index) =>
+                `<option value="${index}" ${selected === index ? 'selected' : ''}>${escape(header || `列${index + 1}`)}</option>`
+            )
+        ].join('');
+
+        const fieldRows = Object.entries(importer.FIELDS).map(([key, field]) => `
+            <tr>
+                <td style="text-align: left; padding: 4px 8px;">${field.label}${field.required ? ' <span style="color: var(--color-danger);">*</span>' : ''}</td>
+                <td style="padding: 4px 8px;"><select class="swal2-select csv-mapping-select" data-field="${key}" style="margin: 0; width: 100%;">${columnOptions(guessed[key])}</select></td>
+            </tr>
+        `).join('');
+
+        const sampleRows = parsed.rows.slice(0, 3).map(row =>
+            `<tr>${parsed.headers.map((_, i) => `<td style="padding: 2px 6px; white-space: nowrap;">${escape(row[i])}</td>`).join('')}</tr>`
+        ).join('');
+
+        const result = await Swal.fire({
+            title: '列の対応付け',
+            html: `
+                <p style="font-size: 0.85em;">${escape(filename)}（${parsed.encoding}・${delimiterLabel}区切り・${parsed.rows.length}行）</p>
+                <div style="max-height: 120px; overflow: auto; margin-bottom: 12px;">
+                    <table style="font-size: 0.75em; border-collapse: collapse;">
+                        <thead><tr>${parsed.headers.map(h => `<th style="padding: 2px 6px; white-space: nowrap;">${escape(h)}</th>`).join('')}</tr></thead>
+                        <tbody>${sampleRows}</tbody>
+                    </table>
+                </div>
+                <div style="max-height: 300px; overflow-y: auto;">
+                    <table style="width: 100%; font-size: 0.85em;">${fieldRows}</table>
+                </div>
+                <label style="display: block; text-align: left; margin-top: 12px; font-size: 0.85em;">
+                    モード列がない行のモード
+                    <select id="csv-default-mode" class="swal2-select" style="margin: 4px 0 0; width: 100%;">
+                        <option value="competitive">コンペティティブ</option>
+                        <option value="unrated">アンレート</option>
+                        <option value="scrim">スクリム・カスタム（スコアのルールを検証しない）</option>
+                    </select>
+                </label>
+            `,
+            width: 640,
+            showCancelButton: true,
+            confirmButtonText: '次へ',
+            cancelButtonText: 'キャンセル',
+            preConfirm: () => {
+                const mapping = {};
+                document.querySelectorAll('.csv-mapping-select').forEach(select => {
+                    if (select.value !== '') {
+                        mapping[select.dataset.field] = parseInt(select.value, 10);
+                    }
+                });
+
+                const missing = importer.getMissingFields(mapping);
+                if (missing.length > 0) {
+                    Swal.showValidationMessage(`必須項目の列を選択してください: ${missing.join('、')}`);
+                    return false;
+                }
+
+                return {
+                    mapping,
+                    defaultGameMode: document.getElementById('csv-default-mode').value
+                };
+            }
+        });
+
+        return result.isConfirmed ? result.value : null;
+    }
+
+    // 行ごとの検証結果を表示し、有効な行を取り込むか確認
+    async showCsvImportReport(results) {
+        const valid = results.filter(r => !r.error);
+        const invalid = results.filter(r => r.error);
+
+        if (valid.length === 0) {
+            await Swal.fire({
+                title: '取り込める行がありません',
+                html: this.renderCsvErrorTable(invalid),
+                icon: 'error',
+                width: 640,
+                confirmButtonText: '閉じる'
+            });
+            return false;
+        }
+
+        const result = await Swal.fire({
+            title: '取り込み内容の確認',
+            html: `
+                <p>有効 <b>${valid.length}</b>行 / エラー <b>${invalid.length}</b>行</p>
+                ${invalid.length > 0 ? `<p style="font-size: 0.85em;">エラーの行は取り込まれません。修正したファイルを再度取り込むこともできます。</p>${this.renderCsvErrorTable(invalid)}` : ''}
+            `,
+            icon: invalid.length > 0 ? 'warning' : 'question',
+            width: 640,
+            showCancelButton: true,
+            confirmButtonText: `${valid.length}試合を取り込む`,
+            cancelButtonText: 'キャンセル'
+        });
+
+        return result.isConfirmed;
+    }
+
+    // 行ごとのエラー一覧
+    renderCsvErrorTable(invalid) {
+        const rows = invalid.map(r => `
+            <tr>
+                <td style="padding: 4px 8px;">${r.line}行目</td>
+                <td style="text-align: left; padding: 4px 8px;">${this.escapeHtml(r.error)}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <div style="max-height: 280px; overflow-y: auto;">
+                <table style="width: 100%; font-size: 0.85em; border-collapse: collapse;">${rows}</table>
+            </div>
+        `;
+    }
+
+    // HenrikDev APIの試合JSON（.json / .zip）をオフラインで取り込み
+    async handleHenrikImport(files) {
+        const importer = window.henrikMatchImporter;
+
+        const { matches, errors } = await importer.readFiles(files);
+        if (matches.length === 0) {
+            await Swal.fire({
+                title: '取り込める試合がありません',
+                html: this.renderHenrikImportErrors(errors),
+                icon: 'error',
+                width: 640,
+                confirmButtonText: '閉じる'
+            });
+            return;
+        }
+
+        const player = await this.showHenrikPlayerDialog(matches, errors);
+        if (!player) return;
+
+        // 取り込むプレイヤーをRiotアカウントとして登録し、試合を紐付け
+        const account = window.riotAccountService?.ensureAccount({
+            name: player.name,
+            tag: player.tag,
+            region: player.region || 'ap'
+        });
+        const { matches: converted, stats } = importer.convert(matches, player, account ? account.id : null);
+
+        let result;
+        try {
+            result = await this.matchRepository.addMany(converted);
+        } catch (error) {
+            console.error('Henrik file import save failed:', error);
+            this.showToast(error.message, 'error');
+            return;
+        }
+
+        if (this.currentPage === 'dashboard') {
+            this.loadDashboard();
+        }
+        if (this.playerStatsManager) {
+            this.playerStatsManager.loadStatsToUI();
+        }
+
+        const topAgents = stats.topAgents.map(a => `${this.escapeHtml(a.agent)}（${a.matches}試合・${a.winRate}%）`).join('、');
+        await Swal.fire({
+            title: `${result.added}試合を取り込みました`,
+            html: `
+                <p style="font-size: 0.9em;">${this.escapeHtml(`${player.name}#${player.tag}`)}${result.skipped > 0 ? `（取り込み済み ${result.skipped}件をスキップ）` : ''}</p>
+                <table style="margin: 0 auto; font-size: 0.9em;">
+                    <tr><td style="text-align: left; padding: 2px 8px;">勝率</td><td>${stats.winRate}%（${stats.wins}勝${stats.losses}敗）</td></tr>
+                    <tr><td style="text-align: left; padding: 2px 8px;">平均K/D/A</td><td>${stats.avgKills} / ${stats.avgDeaths} / ${stats.avgAssists}</td></tr>
+                    <tr><td style="text-align: left; padding: 2px 8px;">K/D</td><td>${stats.avgKD}</td></tr>
+                    <tr><td style="text-align: left; padding: 2px 8px;">平均ACS</td><td>${stats.avgACS}</td></tr>
+                    <tr><td style="text-align: left; padding: 2px 8px;">よく使うエージェント</td><td>${topAgents || '-'}</td></tr>
+                </table>
+            `,
+            icon: 'success',
+            width: 560,
+            confirmButtonText: '閉じる'
+        });
+    }
+
+    // 取り込むプレイヤーを選択（登録済みのアカウント、または全試合に登場するプレイヤーを初期値にする）
+    async showHenrikPlayerDialog(matches, errors) {
+        const importer = window.henrikMatchImporter;
+        const players = importer.getPlayers(matches);
+        const guessed = importer.guessPlayer(players);
+
+        const options = players.map(p =>
+            `<option value="${this.escapeHtml(p.puuid)}" ${p === guessed ? 'selected' : ''}>${this.escapeHtml(`${p.name}#${p.tag}`)}（${p.count}試合）</option>`
+        ).join('');
+
+        const result = await Swal.fire({
+            title: '試合ファイルの取り込み',
+            html: `
+                <p style="font-size: 0.9em;">${matches.length}試合が見つかりました</p>
+                <label style="display: block; text-align: left; font-size: 0.85em;">分析するプレイヤー
+                    <select id="henrik-import-player" class="swal2-select" style="margin: 4px 0 0; width: 100%;">${options}</select>
+                </label>
+                <p style="font-size: 0.8em; text-align: left;">選択したプレイヤーはRiotアカウントとして登録され、アカウント切り替えで表示できます。</p>
+                ${errors.length > 0 ? `<p style="font-size: 0.85em;">読み込めなかったファイル: ${errors.length}件</p>${this.renderHenrikImportErrors(errors)}` : ''}
+            `,
+            icon: errors.length > 0 ? 'warning' : 'question',
+            width: 640,
+            showCancelButton: true,
+            confirmButtonText: '取り込む',
+            cancelButtonText: 'キャンセル',
+            preConfirm: () => document.getElementById('henrik-import-player').value
+        });
+
+        return result.isConfirmed ? players.find(p => p.puuid === result.value) : null;
+    }
+
+    // 読み込めなかったファイルの一覧
+    renderHenrikImportErrors(errors) {
+        const rows = errors.map(e => `
+            <tr>
+                <td style="text-align: left; padding: 4px 8px; word-break: break-all;">${this.escapeHtml(e.file)}</td>
+                <td style="text-align: left; padding: 4px 8px;">${this.escapeHtml(e.error)}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <div style="max-height: 200px; overflow-y: auto;">
+                <table style="width: 100%; font-size: 0.85em; border-collapse: collapse;">${rows}</table>
+            </div>
+        `;
+    }
+
+    // スコアボードのスクリーンショットから試合を入力（複数枚は1枚ずつ確認して保存）
+    async handleScoreboardScreenshots(files) {
+        if (!window.geminiService) {
+            this.showToast('AIサービスが利用できません', 'error');
+            return;
+        }
+
+        let saved = 0;
+        const duplicates = [];
+        for (let i = 0; i < files.length; i++) {
+            const file = files[i];
+
+            let scoreboard;
+            try {
+                scoreboard = await window.geminiService.analyzeMatchImage(file);
+            } catch (error) {
+                this.showToast(`${file.name}: ${error.message}`, 'error');
+                continue;
+            }
+
+            const result = await this.showScoreboardPreview(file, scoreboard, { index: i, total: files.length });
+            if (result.isDismissed) break;
+            if (result.isDenied) continue;
+
+            const matchData = await this.saveScoreboardMatch(result.value);
+            if (matchData) {
+                saved++;
+
+                const duplicate = window.matchDedupService?.findDuplicateFor(matchData);
+                if (duplicate) duplicates.push(duplicate);
+            }
+        }
+
+        if (saved > 0) {
+            this.showToast(`${saved}試合を記録しました`, 'success');
+
+            if (this.currentPage === 'dashboard') {
+                this.loadDashboard();
+            }
+            if (this.playerStatsManager) {
+                this.playerStatsManager.loadStatsToUI();
+            }
+        }
+
+        // 取り込み済みの試合と重複していれば、すべての画像を確認した後にまとめて統合を提案
+        if (duplicates.length > 0) {
+            await this.reviewDuplicateMatches(duplicates);
+        }
+    }
+
+    // 読み取り結果を編集できるプレビューを表示
+    async showScoreboardPreview(file, scoreboard, { index, total }) {
+        const escape = (value) => this.escapeHtml(String(value ?? ''));
+        const imageUrl = URL.createObjectURL(file);
+        const playedAt = new Date(file.lastModified || Date.now());
+        const localTime = new Date(playedAt.getTime() - playedAt.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+        const cellStyle = 'padding: 2px 4px;';
+        const inputStyle = 'width: 100%; padding: 2px 4px; font-size: 1em;';
+
+        const playerRows = scoreboard.players.map((player, i) => `
+            <tr class="scoreboard-player-row" data-index="${i}">
+                <td style="${cellStyle}"><input type="radio" name="scoreboard-self" value="${i}" ${player.isSelf ? 'checked' : ''}></td>
+                <td style="${cellStyle}">
+                    <select data-field="team" style="${inputStyle}">
+                        <option value="ally" ${player.team === 'ally' ? 'selected' : ''}>味方</option>
+                        <option value="enemy" ${player.team === 'enemy' ? 'selected' : ''}>相手</option>
+                    </select>
+                </td>
+                <td style="${cellStyle}"><input type="text" data-field="name" value="${escape(player.name)}" style="${inputStyle}"></td>
+                <td style="${cellStyle}"><input type="text" data-field="agent" value="${escape(player.agent)}" style="${inputStyle}"></td>
+                ${['kills', 'deaths', 'assists', 'acs', 'econ'].map(key =>
+                    `<td style="${cellStyle}"><input type="number" min="0" data-field="${key}" value="${player[key]}" style="${inputStyle} width: 56px;"></td>`
+                ).join('')}
+            </tr>
+        `).join('');
+
+        const modeOptions = [
+            ['competitive', 'コンペティティブ'],
+            ['unrated', 'アンレート'],
+            ['scrim', 'スクリム・カスタム']
+        ].map(([value, label]) => `<option value="${value}" ${(scoreboard.mode || 'competitive') === value ? 'selected' : ''}>${label}</option>`).join('');
+
+        try {
+            return await Swal.fire({
+                title: `読み取り結果の確認${total > 1 ? `（${index + 1}/${total}）` : ''}`,
+                html: `
+                    <img src="${imageUrl}" alt="" style="max-width: 100%; max-height: 180px; margin-bottom: 8px;">
+                    <div style="display: flex; flex-wrap: wrap; gap: 8px; font-size: 0.85em; text-align: left;">
+                        <label style="flex: 1 1 140px;">マップ<input type="text" id="scoreboard-map" class="swal2-input" value="${escape(scoreboard.map)}" style="margin: 4px 0; width: 100%;"></label>
+                        <label style="flex: 1 1 140px;">モード<select id="scoreboard-mode" class="swal2-select" style="margin: 4px 0; width: 100%;">${modeOptions}</select></label>
+                        <label style="flex: 0 1 90px;">自チーム<input type="number" min="0" id="scoreboard-team-score" class="swal2-input" value="${scoreboard.teamScore}" style="margin: 4px 0; width: 100%;"></label>
+                        <label style="flex: 0 1 90px;">相手<input type="number" min="0" id="scoreboard-enemy-score" class="swal2-input" value="${scoreboard.enemyScore}" style="margin: 4px 0; width: 100%;"></label>
+                        <label style="flex: 1 1 180px;">日時<input type="datetime-local" id="scoreboard-date" class="swal2-input" value="${localTime}" style="margin: 4px 0; width: 100%;"></label>
+                    </div>
+                    <div style="max-height: 320px; overflow: auto; margin-top: 8px;">
+                        <table style="width: 100%; font-size: 0.8em; border-collapse: collapse;">
+                            <thead><tr><th>自分</th><th>チーム</th><th>名前</th><th>エージェント</th><th>K</th><th>D</th><th>A</th><th>ACS</th><th>ECON</th></tr></thead>
+                            <tbody>${playerRows}</tbody>
+                        </table>
+                    </div>
+                `,
+                width: 900,
+                showDenyButton: total > 1,
+                showCancelButton: true,
+                confirmButtonText: '保存',
+                denyButtonText: 'この画像をスキップ',
+                cancelButtonText: total > 1 ? '残りをすべて中止' : 'キャンセル',
+                preConfirm: () => this.collectScoreboardPreview()
+            });
+        } finally {
+            URL.revokeObjectURL(imageUrl);
+        }
+    }
+
+    // プレビューの入力値を取得して検証
+    collectScoreboardPreview() {
+        const players = Array.from(document.querySelectorAll('.scoreboard-player-row')).map(row => {
+            const field = (name) => row.querySelector(`[data-field="${name}"]`).value.trim();
+            const count = (name) => parseInt(field(name), 10);
+            return {
+                name: field('name'),
+                team: field('team'),
+                agent: field('agent'),
+                kills: count('kills'),
+                deaths: count('deaths'),
+                assists: count('assists'),
+                acs: count('acs') || 0,
+                econ: count('econ') || 0,
+                isSelf: row.querySelector('input[name="scoreboard-self"]').checked
+            };
+        });
+
+        const self = players.find(p => p.isSelf);
+        const map = document.getElementById('scoreboard-map').value.trim();
+        const gameMode = document.getElementById('scoreboard-mode').value;
+        const teamScore = parseInt(document.getElementById('scoreboard-team-score').value, 10);
+        const enemyScore = parseInt(document.getElementById('scoreboard-enemy-score').value, 10);
+        const timestamp = new Date(document.getElementById('scoreboard-date').value);
+
+        if (!self) {
+            Swal.showValidationMessage('自分の行を選択してください');
+            return false;
+        }
+        if (!map) {
+            Swal.showValidationMessage('マップを入力してください');
+            return false;
+        }
+        if (!self.agent) {
+            Swal.showValidationMessage('自分のエージェントを入力してください');
+            return false;
+        }
+        if (isNaN(timestamp.getTime())) {
+            Swal.showValidationMessage('日時を入力してください');
+            return false;
+        }
+
+        const validation = this.validateMatchValues({
+            kills: self.kills,
+            deaths: self.deaths,
+            assists: self.assists,
+            teamScore,
+            enemyScore,
+            gameMode,
+            isDraw: teamScore === enemyScore
+        });
+        if (!validation.isValid) {
+            Swal.showValidationMessage(validation.error);
+            return false;
+        }
+
+        return { map, gameMode, teamScore, enemyScore, timestamp, self, players };
+    }
+
+    // 確認済みのスコアボードを試合として保存（保存した試合を返す、失敗時はnull）
+    async saveScoreboardMatch({ map, gameMode, teamScore, enemyScore, timestamp, self, players }) {
+        const matchData = this.buildMatchData({
+            map,
+            agent: self.agent,
+            teamScore,
+            enemyScore,
+            kills: self.kills,
+            deaths: self.deaths,
+            assists: self.assists,
+            acs: self.acs,
+            gameMode,
+            timestamp,
+            source: 'screenshot'
+        });
+        matchData.econ = self.econ;
+        matchData.scoreboard = players;
+        // 両チームの構成（敵構成の集計に使用）
+        matchData.allyAgents = players.filter(p => p.team === 'ally' && p.agent).map(p => p.agent);
+        matchData.enemyAgents = players.filter(p => p.team === 'enemy' && p.agent).map(p => p.agent);
+
+        try {
+            await this.matchRepository.add(matchData);
+        } catch (error) {
+            console.error('Scoreboard match save failed:', error);
+            this.showToast(error.message, 'error');
+            return null;
+        }
+
+        this.updateWinStreak(matchData.result);
+        return matchData;
+    }
+
+    // 重複試合をチェック（設定画面から手動実行）
+    async checkDuplicateMatches() {
+        if (!window.matchDedupService) return;
+
+        const duplicates = window.matchDedupService.findDuplicates();
+        if (duplicates.length === 0) {
+            this.showToast('重複している試合は見つかりませんでした', 'info');
+            return;
+        }
+
+        await this.reviewDuplicateMatches(duplicates);
+    }
+
+    // 重複候補を表示し、手動入力をAPI側の試合へ統合するか確認
+    async reviewDuplicateMatches(pairs) {
+        const rows = pairs.map(pair => {
+            const { manual, imported } = pair;
+            const manualDate = new Date(this.matchRepository.getTimestamp(manual)).toLocaleString('ja-JP');
+            const importedDate = new Date(this.matchRepository.getTimestamp(imported)).toLocaleString('ja-JP');
+            return `
+                <tr>
+                    <td style="text-align: left; padding: 4px 8px;">${this.escapeHtml(imported.map)} / ${this.escapeHtml(imported.agent || imported.character)}<br><small>${this.escapeHtml(imported.score)}</small></td>
+                    <td style="padding: 4px 8px;">${this.escapeHtml(`${manual.kills}/${manual.deaths}/${manual.assists}`)}<br><small>${this.escapeHtml(manualDate)}</small></td>
+                    <td style="padding: 4px 8px;">${this.escapeHtml(`${imported.kills}/${imported.deaths}/${imported.assists}`)}<br><small>${this.escapeHtml(importedDate)}</small></td>
+                    <td style="padding: 4px 8px;">${Math.round(pair.confidence * 100)}%</td>
+                </tr>
+            `;
+        }).join('');
+
+        const result = await Swal.fire({
+            title: '重複した試合があります',
+            html: `
+                <p style="margin-bottom: 10px;">手動入力した試合と、取り込んだ戦績が同じ試合のようです。</p>
+                <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+                    <thead>
+                        <tr>
+                            <th style="text-align: left; padding: 4px 8px;">試合</th>
+                            <th style="padding: 4px 8px;">手動入力</th>
+                            <th style="padding: 4px 8px;">取り込み</th>
+                            <th style="padding: 4px 8px;">一致度</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+                <p style="margin-top: 15px; font-size: 14px;">
+                    統合すると取り込んだ戦績を残し、手動入力の感想とタグを引き継ぎます。
+                </p>
+            `,
+            icon: 'question',
+            showCancelButton: true,
+            confirmButtonText: pairs.length > 1 ? `${pairs.length}件を統合する` : '統合する',
+            cancelButtonText: 'そのままにする'
+        });
 
-            // テーマをデフォルトに戻す
-            this.currentTheme = 'dark';
-            this.applyTheme(this.currentTheme);
+        if (!result.isConfirmed) return;
 
-            // 成功メッセージを表示してリロード
-            await Swal.fire({
-                title: '<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/><polyline points="22 4 12 14.01 9 11.01"/></svg> 初期化完了',
-                text: 'アプリケーションを初期化しました。ページを再読み込みします。',
-                icon: 'success',
-                timer: 2000,
-                showConfirmButton: false
-            });
+        try {
+            const merged = await window.matchDedupService.mergeAll(pairs);
+            this.showToast(`${merged.length}件の試合を統合しました`, 'success');
 
-            // ページをリロード
-            setTimeout(() => window.location.reload(), 500);
-            
-        } catch (e) {
-            console.error('Failed to reset app:', e);
-            
-            // エラーメッセージを表示
-            await Swal.fire({
-                title: '<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><line x1="15" y1="9" x2="9" y2="15"/><line x1="9" y1="9" x2="15" y2="15"/></svg> エラー',
-                text: '初期化に失敗しました。ページを手動で再読み込みしてください。',
-                icon: 'error',
-                confirmButtonText: 'OK'
-            });
+            if (this.currentPage === 'dashboard') {
+                this.loadDashboard();
+            } else if (this.currentPage === 'gallery') {
+                this.loadGallery();
+            }
+        } catch (error) {
+            console.error('Failed to merge duplicate matches:', error);
+            this.showToast(`統合に失敗しました: ${error.message}`, 'error');
         }
     }
 
@@ -6096,9 +8308,6 @@ JSONのみを出力してください。`;
     initDashboardGoals() {
         console.log('<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><circle cx="12" cy="12" r="6"/><circle cx="12" cy="12" r="2"/></svg> Initializing dashboard goals...');
 
-        // 既存の目標データをチェック・修正
-        this.checkAndFixGoalsData();
-
         // イベントリスナー設定
         const viewAllGoalsBtn = document.getElementById('view-all-goals');
         const addFirstGoalBtn = document.getElementById('add-first-goal');
@@ -6117,70 +8326,10 @@ JSONのみを出力してください。`;
             });
         }
 
-        // 目標データを読み込み
+        // 目標データを読み込み（他タブでの変更はhandleTabSyncChangeで反映）
         this.loadDashboardGoals();
-
-        // LocalStorageの変更を監視
-        this.setupGoalsStorageListener();
     }
 
-    // 目標データの整合性をチェック・修正
-    checkAndFixGoalsData() {
-        try {
-            const goalsData = localStorage.getItem('goals');
-            if (!goalsData) return;
-
-            const goals = JSON.parse(goalsData);
-            let dataFixed = false;
-
-            console.log('🔧 Checking goals data integrity...');
-
-            const fixedGoals = goals.map(goal => {
-                // 進捗値が不正な場合の修正
-                if (typeof goal.progress !== 'number' || isNaN(goal.progress) || goal.progress < 0 || goal.progress > 100) {
-                    console.log(`🔧 Fixing invalid progress for goal "${goal.title}": ${goal.progress} → 0`);
-                    goal.progress = 0;
-                    dataFixed = true;
-                }
-
-                // IDが存在しない場合の修正
-                if (!goal.id) {
-                    goal.id = Date.now() + Math.random();
-                    dataFixed = true;
-                }
-
-                // createdAtが存在しない場合、現在の日付から推定して設定
-                if (!goal.createdAt) {
-                    const deadline = new Date(goal.deadline);
-                    const now = new Date();
-
-                    // 期限から遡って適切な作成日を推定
-                    // 期限が未来の場合：今日から2週間前を作成日とする
-                    // 期限が過去の場合：期限の1ヶ月前を作成日とする
-                    let estimatedCreatedAt;
-                    if (deadline > now) {
-                        estimatedCreatedAt = new Date(now.getTime() - (14 * 24 * 60 * 60 * 1000)); // 2週間前
-                    } else {
-                        estimatedCreatedAt = new Date(deadline.getTime() - (30 * 24 * 60 * 60 * 1000)); // 1ヶ月前
-                    }
-
-                    goal.createdAt = estimatedCreatedAt.toISOString();
-                    console.log(`🔧 Setting estimated createdAt for goal "${goal.title}": ${goal.createdAt.split('T')[0]}`);
-                    dataFixed = true;
-                }
-
-                return goal;
-            });
-
-            if (dataFixed) {
-                localStorage.setItem('goals', JSON.stringify(fixedGoals));
-                console.log('<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><circle cx="12" cy="12" r="6"/><circle cx="12" cy="12" r="2"/></svg> Goals data has been fixed and saved');
-            }
-        } catch (error) {
-            console.error('Error checking goals data:', error);
-        }
-    }
-    
     loadDashboardGoals() {
         try {
             const goalsData = localStorage.getItem('goals');
@@ -6337,24 +8486,6 @@ JSONのみを出力してください。`;
         }
     }
     
-    setupGoalsStorageListener() {
-        // 重複リスナー防止のフラグ
-        if (this.goalsListenerSetup) {
-            return;
-        }
-        this.goalsListenerSetup = true;
-
-        // LocalStorageの変更を監視（他のタブからの変更のみ）
-        window.addEventListener('storage', (e) => {
-            if (e.key === 'goals') {
-                console.log('<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><circle cx="12" cy="12" r="6"/><circle cx="12" cy="12" r="2"/></svg> Storage event detected from another tab');
-                this.loadDashboardGoals();
-            }
-        });
-
-        console.log('<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><circle cx="12" cy="12" r="6"/><circle cx="12" cy="12" r="2"/></svg> Goals storage listener setup completed');
-    }
-    
     updateNavigation(pageId) {
         const navBtns = document.querySelectorAll('.nav-btn');
         navBtns.forEach(btn => {
@@ -6383,17 +8514,47 @@ JSONのみを出力してください。`;
     loadDataSourcePage() {
         const files = this.getLocalDataSources();
         this.renderDataSources(files);
+        this.renderStorageUsage();
     }
 
     getLocalDataSources() {
-        const sources = [];
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (key.startsWith('datasource-')) {
-                sources.push(key.replace('datasource-', ''));
-            }
+        return window.largeDataStore.keys('datasource-')
+            .map(key => key.replace('datasource-', ''));
+    }
+
+    // ストレージ使用量を表示
+    async renderStorageUsage() {
+        const container = document.getElementById('storage-usage-info');
+        if (!container) return;
+
+        const formatBytes = (bytes) => {
+            if (bytes === null || bytes === undefined) return '不明';
+            if (bytes < 1024) return `${bytes} B`;
+            if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+            return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        };
+
+        try {
+            const usage = await window.largeDataStore.getQuotaUsage();
+            const backendLabel = usage.backend === 'indexeddb' ? 'IndexedDB' : 'localStorage（フォールバック）';
+
+            container.innerHTML = `
+                <div class="storage-usage-row">
+                    <span>保存先: ${backendLabel}</span>
+                    <span>使用量: ${formatBytes(usage.usage)} / ${formatBytes(usage.quota)}${usage.percentUsed !== null ? ` (${usage.percentUsed}%)` : ''}</span>
+                </div>
+                <div class="storage-usage-row">
+                    <span>試合 ${formatBytes(usage.breakdown.matches)}</span>
+                    <span>データソース ${formatBytes(usage.breakdown.dataSources)}</span>
+                    <span>攻略ガイド ${formatBytes(usage.breakdown.strategyGuides)}</span>
+                    <span>画像キャッシュ ${formatBytes(usage.breakdown.imageCache)}</span>
+                    <span>localStorage ${formatBytes(usage.localStorageBytes)}</span>
+                </div>
+            `;
+        } catch (error) {
+            console.warn('ストレージ使用量の取得に失敗:', error);
+            container.innerHTML = '';
         }
-        return sources;
     }
 
     renderDataSources(files) {
@@ -6457,7 +8618,7 @@ JSONのみを出力してください。`;
                     textContent = e.target.result;
                 }
 
-                localStorage.setItem(`datasource-${filename}`, textContent);
+                window.largeDataStore.setItem(`datasource-${filename}`, textContent);
                 this.showToast(`「${filename}」をローカルに保存しました`, 'success');
                 fileInput.value = ''; // Reset file input
                 uploadBtn.disabled = true;
@@ -6486,7 +8647,7 @@ JSONのみを出力してください。`;
 
     handleViewFile(event) {
         const filename = event.target.closest('.data-source-item').dataset.filename;
-        const content = localStorage.getItem(`datasource-${filename}`);
+        const content = window.largeDataStore.getItem(`datasource-${filename}`);
         if (content) {
             alert(`Content of ${filename}:\n\n${content.substring(0, 1000)}...`);
         } else {
@@ -6497,7 +8658,7 @@ JSONのみを出力してください。`;
     handleDeleteFile(event) {
         const filename = event.target.closest('.data-source-item').dataset.filename;
         if (confirm(`本当にローカルストレージから「${filename}」を削除しますか？`)) {
-            localStorage.removeItem(`datasource-${filename}`);
+            window.largeDataStore.removeItem(`datasource-${filename}`);
             this.showToast('ファイルを削除しました', 'success');
             this.loadDataSourcePage();
         }
@@ -6684,8 +8845,8 @@ JSONのみを出力してください。`;
     // Valorant知識ベースの状態を更新
     updateValorantKnowledgeStatus() {
         try {
-            // LocalStorageからデータソースファイルを取得
-            const datasourceKeys = Object.keys(localStorage).filter(key => key.startsWith('datasource-'));
+            // ストアからデータソースファイルを取得
+            const datasourceKeys = window.largeDataStore.keys('datasource-');
             
             const statusText = document.getElementById('kb-status-text');
             const fileCount = document.getElementById('kb-file-count');
@@ -6696,7 +8857,7 @@ JSONのみを出力してください。`;
                 // データがある場合
                 let totalSize = 0;
                 datasourceKeys.forEach(key => {
-                    const content = localStorage.getItem(key);
+                    const content = window.largeDataStore.getItem(key);
                     if (content) {
                         totalSize += content.length;
                     }
@@ -7426,7 +9587,7 @@ JSONのみを出力してください。`;
         // 確認ダイアログを表示
         const result = await Swal.fire({
             title: 'プランを削除しますか？',
-            html: '本当にこのコーチングプランを削除しますか？<br>削除する場合は <b>削除</b> と入力してください。<br><small>※関連する目標は削除されませんが、プランとのリンクは解除されます。</small>',
+            html: '本当にこのコーチングプランを削除しますか？<br>削除する場合は <b>削除</b> と入力してください。<br><small>※関連する目標は削除されませんが、プランとのリンクは解除されます。削除したプランはゴミ箱から復元できます。</small>',
             icon: 'warning',
             input: 'text',
             inputAttributes: {
@@ -7454,12 +9615,13 @@ JSONのみを出力してください。`;
         }
 
         try {
-            // プランを削除
-            if (this.coachingPlanService.deletePlan(planId)) {
-                // 関連する目標のリンクを解除
+            // プランをゴミ箱へ移動
+            const trashed = await window.trashService.moveToTrash('plan', planId);
+            if (trashed) {
+                // 関連する目標のリンクを解除（復元時に再リンク）
                 this.unlinkGoalFromPlan(planId);
 
-                this.showToast('コーチングプランを削除しました', 'success');
+                this.showUndoToast('コーチングプランをゴミ箱に移動しました', trashed);
                 this.loadCoachingPlans();
 
                 // 詳細モーダルから削除した場合はモーダルを閉じる
@@ -7516,22 +9678,18 @@ JSONのみを出力してください。`;
         const galleryGrid = document.getElementById('gallery-grid');
         if (!galleryGrid) return;
 
-        // VALORANTマッチデータを取得（valorant_galleryとvalorant_matchesの両方を統合）
-        let valorantGallery = JSON.parse(localStorage.getItem('valorant_gallery') || '[]');
-        const valorantMatches = JSON.parse(localStorage.getItem('valorant_matches') || '[]');
-        let matches = [...valorantGallery, ...valorantMatches];
-
-        // localStorageにデータがない場合、valorant-stats.jsonから取得
-        if (matches.length === 0) {
+        // リポジトリにデータがない場合、valorant-stats.jsonから取り込む
+        if (this.matchRepository.count() === 0) {
             try {
                 const response = await fetch('data/valorant-stats.json');
                 if (response.ok) {
                     const statsData = await response.json();
                     if (statsData.matches && statsData.matches.length > 0) {
-                        matches = statsData.matches.map(m => ({
+                        const matches = statsData.matches.map(m => ({
                             ...m,
                             timestamp: new Date(m.date).getTime() || Date.now()
                         }));
+                        await this.matchRepository.addMany(matches);
                         console.log('Loaded matches from valorant-stats.json:', matches.length);
                     }
                 }
@@ -7540,32 +9698,14 @@ JSONのみを出力してください。`;
             }
         }
 
-        // フィルターを適用
-        let filteredMatches = matches;
-
-        if (filters.agent) {
-            filteredMatches = filteredMatches.filter(m => 
-                m.agent === filters.agent
-            );
-        }
-
-        if (filters.result) {
-            filteredMatches = filteredMatches.filter(m => 
-                m.result === filters.result
-            );
-        }
-
-        if (filters.tag) {
-            filteredMatches = filteredMatches.filter(m => {
-                const tags = m.insightTags || [];
-                return tags.some(tag => 
-                    tag.toLowerCase().includes(filters.tag.toLowerCase())
-                );
-            });
-        }
+        // フィルターを適用（リポジトリのデータは新しい順に並んでいる）
+        const queriedMatches = this.matchRepository.query(filters);
+        const filteredMatches = window.riotAccountService
+            ? window.riotAccountService.filterMatches(queriedMatches)
+            : queriedMatches;
 
-        // 日付順でソート（新しい順）
-        filteredMatches.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+        // エクスポート対象（絞り込み後の一覧）
+        this.galleryMatches = filteredMatches;
 
         // 表示
         if (filteredMatches.length === 0) {
@@ -7627,6 +9767,7 @@ JSONのみを出力してください。`;
                 <div class="match-card-header">
                     <div class="map-name">${mapName}</div>
                     <div class="match-score ${resultClass}">${score}</div>
+                    ${this.renderRRChangeBadge(match)}
                 </div>
 
                 <div class="match-card-body">
@@ -7674,13 +9815,8 @@ JSONのみを出力してください。`;
 
 
     showMatchDetail(matchId) {
-        // VALORANTマッチデータを取得（両方のソースを統合）
-        const valorantGallery = JSON.parse(localStorage.getItem('valorant_gallery') || '[]');
-        const valorantMatches = JSON.parse(localStorage.getItem('valorant_matches') || '[]');
-        const matches = [...valorantGallery, ...valorantMatches];
-        
         // IDは文字列として比較
-        const match = matches.find(m => String(m.id) === String(matchId));
+        const match = this.matchRepository.findById(matchId);
 
         if (!match) {
             console.error('試合が見つかりません。ID:', matchId, 'タイプ:', typeof matchId);
@@ -7739,6 +9875,16 @@ JSONのみを出力してください。`;
                         <div class="detail-label">スコア</div>
                         <div class="detail-value">${match.score || '0-0'}</div>
                     </div>
+                    ${Array.isArray(match.allyAgents) && match.allyAgents.length > 0 ? `
+                    <div class="detail-item">
+                        <div class="detail-label">味方の構成</div>
+                        <div class="detail-value">${this.escapeHtml(match.allyAgents.join(' / '))}</div>
+                    </div>
+                    <div class="detail-item">
+                        <div class="detail-label">敵の構成</div>
+                        <div class="detail-value">${this.escapeHtml(match.enemyAgents.join(' / '))}</div>
+                    </div>
+                    ` : ''}
                 </div>
             </div>
 
@@ -7764,6 +9910,10 @@ JSONのみを出力してください。`;
                 </div>
             </div>
 
+            ${this.renderRoundTimeline(match)}
+
+            ${this.renderEconomySection(match)}
+
             ${tags.length > 0 ? `
             <div class="detail-section">
                 <h3>気づきタグ</h3>
@@ -7781,6 +9931,9 @@ JSONのみを出力してください。`;
             ` : ''}
         `;
 
+        this.bindRoundTimeline(match);
+        this.renderMatchEconomyChart(match);
+
         // 編集・削除ボタンにイベントを設定
         const editBtn = document.getElementById('edit-match-btn');
         const deleteBtn = document.getElementById('delete-match-btn');
@@ -7796,6 +9949,200 @@ JSONのみを出力してください。`;
         modal.classList.remove('hidden');
     }
 
+    // ラウンドの経過（試合詳細モーダル用のタイムライン）
+    renderRoundTimeline(match) {
+        const rounds = match.roundTimeline || [];
+
+        if (rounds.length === 0) {
+            if (!match.matchId || !window.valorantAPIService?.hasApiKey()) return '';
+            return `
+                <div class="detail-section">
+                    <h3>ラウンドの経過</h3>
+                    <button class="btn-secondary btn-sm" id="round-timeline-fetch-btn">ラウンドの経過を取得</button>
+                </div>
+            `;
+        }
+
+        const END_TYPE_LABELS = { elimination: '全滅', defuse: '解除', detonate: '爆破', time: '時間切れ', surrender: '降参', other: '-' };
+        const cells = rounds.map(round => {
+            const self = round.players.find(p => p.puuid === match.puuid);
+            const label = `R${round.round} ${round.winningTeam === 'ally' ? '取得' : '失点'}・${END_TYPE_LABELS[round.endType]}${self ? `・${self.kills}キル` : ''}`;
+            return `
+                <button type="button" class="round-cell ${round.winningTeam === 'ally' ? 'win' : 'loss'} ${round.round === 13 ? 'half' : ''}"
+                    data-round="${round.round}" title="${this.escapeHtml(label)}">
+                    <span class="round-number">${round.round}</span>
+                    <span class="round-end">${END_TYPE_LABELS[round.endType]}</span>
+                    ${round.plant ? `<span class="round-plant">${this.escapeHtml(round.plant.site || '設置')}</span>` : ''}
+                </button>
+            `;
+        }).join('');
+
+        return `
+            <div class="detail-section">
+                <h3>ラウンドの経過</h3>
+                <div class="round-timeline">${cells}</div>
+                <div class="round-timeline-detail" id="round-timeline-detail">
+                    <p class="subtitle">ラウンドを選択すると詳細を表示します</p>
+                </div>
+            </div>
+        `;
+    }
+
+    // エコノミーの推移（試合詳細モーダル用、グラフはrenderMatchEconomyChartで描画）
+    renderEconomySection(match) {
+        const service = window.economyStatsService;
+        if (!service || service.getEconomyMatches([match]).length === 0) return '';
+
+        return `
+            <div class="detail-section">
+                <h3>エコノミーの推移</h3>
+                <div class="economy-chart-container">
+                    <canvas id="match-economy-chart"></canvas>
+                </div>
+            </div>
+        `;
+    }
+
+    // 両チームの装備額の推移（点の形は購入タイプ、色はラウンドの勝敗）
+    renderMatchEconomyChart(match) {
+        if (this.matchEconomyChart) {
+            this.matchEconomyChart.destroy();
+            this.matchEconomyChart = null;
+        }
+
+        const canvas = document.getElementById('match-economy-chart');
+        const service = window.economyStatsService;
+        if (!canvas || !service || typeof Chart === 'undefined') return;
+
+        const rounds = match.roundTimeline;
+        const economies = rounds.map(round => service.getRoundEconomy(round));
+        const textSecondary = getComputedStyle(document.documentElement).getPropertyValue('--text-secondary') || '#aaa';
+        const POINT_STYLES = { pistol: 'star', eco: 'crossRot', force: 'triangle', half: 'rectRot', full: 'circle' };
+        const pointColor = (team) => rounds.map(round => round.winningTeam === team ? '#4ade80' : '#f87171');
+
+        const dataset = (team, label, color) => ({
+            label,
+            data: economies.map(economy => economy[team].loadoutValue),
+            borderColor: color,
+            backgroundColor: color,
+            pointStyle: economies.map(economy => POINT_STYLES[economy[team].buyType] || 'circle'),
+            pointBackgroundColor: pointColor(team),
+            pointBorderColor: pointColor(team),
+            pointRadius: 5,
+            tension: 0.2
+        });
+
+        this.matchEconomyChart = new Chart(canvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                labels: rounds.map(round => `R${round.round}`),
+                datasets: [
+                    dataset('ally', '味方の装備額', 'rgba(96, 165, 250, 1)'),
+                    dataset('enemy', '敵の装備額', 'rgba(251, 146, 60, 1)')
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { labels: { color: textSecondary } },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => {
+                                const team = context.datasetIndex === 0 ? 'ally' : 'enemy';
+                                const economy = economies[context.dataIndex][team];
+                                return `${context.dataset.label}: ${economy.loadoutValue}（${service.getBuyTypeLabel(economy.buyType)}）`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        ticks: { color: textSecondary },
+                        grid: { color: 'rgba(255, 255, 255, 0.05)' }
+                    },
+                    x: {
+                        ticks: { color: textSecondary, autoSkip: false, maxRotation: 0, font: { size: 10 } },
+                        grid: { color: 'rgba(255, 255, 255, 0.05)' }
+                    }
+                }
+            }
+        });
+    }
+
+    // 選択したラウンドの詳細（設置・解除、各プレイヤーのキルとエコノミー）
+    renderRoundDetail(match, round) {
+        const END_TYPE_LABELS = { elimination: '全滅', defuse: 'スパイク解除', detonate: 'スパイク爆破', time: '時間切れ', surrender: '降参', other: '不明' };
+        const formatTime = (ms) => ms === null || ms === undefined ? '' : `${Math.floor(ms / 60000)}:${String(Math.floor(ms / 1000) % 60).padStart(2, '0')}`;
+        const escape = (value) => this.escapeHtml(String(value ?? ''));
+        const economyService = window.economyStatsService;
+        const economy = economyService && round.players.length > 0 ? economyService.getRoundEconomy(round) : null;
+
+        const events = [];
+        if (round.plant) {
+            events.push(`${escape(round.plant.by || '')} が${escape(round.plant.site || '')}サイトに設置（${formatTime(round.plant.time)}）`);
+        }
+        if (round.defuse) {
+            events.push(`${escape(round.defuse.by || '')} が解除（${formatTime(round.defuse.time)}）`);
+        }
+
+        const playerRows = ['ally', 'enemy'].flatMap(team =>
+            round.players.filter(p => p.team === team).map(p => `
+                <tr class="${p.puuid === match.puuid ? 'self' : ''}">
+                    <td>${team === 'ally' ? '味方' : '敵'}</td>
+                    <td>${escape(p.name)}</td>
+                    <td>${p.kills}</td>
+                    <td>${p.economy.loadoutValue}</td>
+                    <td>${p.economy.spent}</td>
+                    <td>${p.economy.remaining}</td>
+                    <td>${escape(p.economy.weapon || '-')}</td>
+                </tr>
+            `)
+        ).join('');
+
+        return `
+            <p><strong>ラウンド${round.round}</strong>：${round.winningTeam === 'ally' ? '取得' : '失点'}（${END_TYPE_LABELS[round.endType]}）</p>
+            ${economy ? `<p class="subtitle">購入：味方 ${economyService.getBuyTypeLabel(economy.ally.buyType)}（${economy.ally.loadoutValue}）／敵 ${economyService.getBuyTypeLabel(economy.enemy.buyType)}（${economy.enemy.loadoutValue}）</p>` : ''}
+            ${events.length > 0 ? `<p class="subtitle">${events.join(' / ')}</p>` : ''}
+            <table class="round-player-table">
+                <thead><tr><th>チーム</th><th>プレイヤー</th><th>キル</th><th>装備額</th><th>購入額</th><th>所持金</th><th>武器</th></tr></thead>
+                <tbody>${playerRows}</tbody>
+            </table>
+        `;
+    }
+
+    // タイムラインの操作（ラウンド選択・未取得の試合の取得）
+    bindRoundTimeline(match) {
+        const detail = document.getElementById('round-timeline-detail');
+        document.querySelectorAll('.round-timeline .round-cell').forEach(cell => {
+            cell.addEventListener('click', () => {
+                document.querySelectorAll('.round-timeline .round-cell.selected').forEach(c => c.classList.remove('selected'));
+                cell.classList.add('selected');
+                const round = match.roundTimeline.find(r => r.round === parseInt(cell.dataset.round, 10));
+                if (detail && round) {
+                    detail.innerHTML = this.renderRoundDetail(match, round);
+                }
+            });
+        });
+
+        const fetchBtn = document.getElementById('round-timeline-fetch-btn');
+        if (fetchBtn) {
+            fetchBtn.addEventListener('click', async () => {
+                fetchBtn.disabled = true;
+                try {
+                    const updates = await window.valorantAPIService.fetchRoundTimeline(match);
+                    await this.matchRepository.update(match.id, updates);
+                    this.showMatchDetail(match.id);
+                } catch (error) {
+                    console.error('Round timeline fetch failed:', error);
+                    this.showToast(error.message, 'error');
+                    fetchBtn.disabled = false;
+                }
+            });
+        }
+    }
+
     closeMatchDetailModal() {
         const modal = document.getElementById('match-detail-modal');
         if (modal) {
@@ -7809,33 +10156,22 @@ JSONのみを出力してください。`;
     }
 
     async deleteMatch(matchId) {
-        if (!confirm('この試合データを削除してもよろしいですか？')) {
+        if (!confirm('この試合データをゴミ箱に移動してもよろしいですか？')) {
             return;
         }
 
-        // 両方のストレージから削除
-        const valorantGallery = JSON.parse(localStorage.getItem('valorant_gallery') || '[]');
-        const valorantMatches = JSON.parse(localStorage.getItem('valorant_matches') || '[]');
-        
-        // IDを文字列として正規化して比較
-        const normalizedId = String(matchId);
-        console.log('削除対象ID:', normalizedId);
-        
-        const filteredGallery = valorantGallery.filter(m => String(m.id) !== normalizedId);
-        const filteredMatches = valorantMatches.filter(m => String(m.id) !== normalizedId);
-
-        console.log('削除前/後:', {
-            gallery: { before: valorantGallery.length, after: filteredGallery.length },
-            matches: { before: valorantMatches.length, after: filteredMatches.length }
-        });
-
-        localStorage.setItem('valorant_gallery', JSON.stringify(filteredGallery));
-        localStorage.setItem('valorant_matches', JSON.stringify(filteredMatches));
-
-        // キャッシュを無効化
-        this.cachedMatchData = null;
+        // 全ての保存先から削除し、ゴミ箱へ移動
+        console.log('削除対象ID:', String(matchId));
+        let trashed;
+        try {
+            trashed = await window.trashService.moveToTrash('match', matchId);
+        } catch (error) {
+            console.error('Failed to delete match:', error);
+            this.showToast(error.message, 'error');
+            return;
+        }
 
-        this.showToast('試合データを削除しました', 'success');
+        this.showUndoToast('試合データをゴミ箱に移動しました', trashed);
         this.closeMatchDetailModal();
         await this.loadGalleryMatches();
 
@@ -7851,10 +10187,8 @@ JSONのみを出力してください。`;
     }
 
     loadOpponentFilter() {
-        // VALORANTではエージェントでフィルタリング（両方のソースを統合）
-        const valorantGallery = JSON.parse(localStorage.getItem('valorant_gallery') || '[]');
-        const valorantMatches = JSON.parse(localStorage.getItem('valorant_matches') || '[]');
-        const matches = [...valorantGallery, ...valorantMatches];
+        // VALORANTではエージェントでフィルタリング
+        const matches = this.matchRepository.getAll();
         const agents = [...new Set(matches.map(m => m.agent).filter(Boolean))];
 
         const select = document.getElementById('filter-opponent');
@@ -8165,68 +10499,25 @@ JSONのみを出力してください。`;
         }
 
         const count = this.selectedMatches.size;
-        const message = `選択した${count}試合を削除してもよろしいですか？\n\nこの操作は取り消せません。`;
+        const message = `選択した${count}試合をゴミ箱に移動してもよろしいですか？\n\n設定画面のゴミ箱から復元できます。`;
 
         if (!confirm(message)) {
             return;
         }
 
-        // 新旧両方のキーからデータを取得して削除（sf6_gallery と valorant_gallery の互換性）
-        const valorantGallery = JSON.parse(localStorage.getItem('valorant_gallery') || '[]');
-        const sf6Gallery = JSON.parse(localStorage.getItem('sf6_gallery') || '[]');
-        const recentMatches = JSON.parse(localStorage.getItem('recentMatches') || '[]');
-
-        console.log('削除前のデータ数:', {
-            valorantGallery: valorantGallery.length,
-            sf6Gallery: sf6Gallery.length,
-            recentMatches: recentMatches.length,
-            selected: Array.from(this.selectedMatches)
-        });
-
-        // IDの型に関係なく削除できるように、両方の形式で比較
+        // 全ての保存先から削除し、ゴミ箱へ移動（旧キーの互換性はリポジトリが吸収）
         const selectedIds = Array.from(this.selectedMatches);
-        const filteredValorant = valorantGallery.filter(m => {
-            const matchId = String(m.id);
-            const shouldKeep = !selectedIds.some(id => String(id) === matchId);
-            if (!shouldKeep) {
-                console.log('valorant_galleryから削除:', matchId);
-            }
-            return shouldKeep;
-        });
-        const filteredSf6 = sf6Gallery.filter(m => {
-            const matchId = String(m.id);
-            const shouldKeep = !selectedIds.some(id => String(id) === matchId);
-            if (!shouldKeep) {
-                console.log('sf6_galleryから削除:', matchId);
-            }
-            return shouldKeep;
-        });
-        const filteredRecent = recentMatches.filter(m => {
-            const matchId = String(m.id);
-            const shouldKeep = !selectedIds.some(id => String(id) === matchId);
-            if (!shouldKeep) {
-                console.log('recentMatchesから削除:', matchId);
-            }
-            return shouldKeep;
-        });
-
-        console.log('削除後のデータ数:', {
-            valorantGallery: filteredValorant.length,
-            sf6Gallery: filteredSf6.length,
-            recentMatches: filteredRecent.length,
-            deleted: (valorantGallery.length - filteredValorant.length) + 
-                     (sf6Gallery.length - filteredSf6.length) + 
-                     (recentMatches.length - filteredRecent.length)
-        });
-
-        localStorage.setItem('valorant_gallery', JSON.stringify(filteredValorant));
-        localStorage.setItem('sf6_gallery', JSON.stringify(filteredSf6));
-        localStorage.setItem('recentMatches', JSON.stringify(filteredRecent));
-
-        this.showToast(`${count}試合のデータを削除しました`, 'success');
+        let trashed;
+        try {
+            trashed = await window.trashService.moveToTrash('match', selectedIds);
+        } catch (error) {
+            console.error('Failed to delete selected matches:', error);
+            this.showToast(error.message, 'error');
+            return;
+        }
+        console.log('削除したデータ数:', { selected: selectedIds.length, trashed: trashed?.count || 0 });
 
-        // キャッシュを無効化
-        this.cachedMatchData = null;
+        this.showUndoToast(`${count}試合をゴミ箱に移動しました`, trashed);
 
         // 選択をクリア
         this.selectedMatches.clear();
@@ -8407,14 +10698,15 @@ JSONのみを出力してください。`;
         }
     }
 
-    // マップ設定を保存
+    // マップ設定を保存（保存できたかを返す）
     saveMapSettings(maps) {
         try {
             localStorage.setItem('valorant_map_settings', JSON.stringify(maps));
-            console.log('マップ設定を保存しました:', maps);
+            return true;
         } catch (error) {
             console.error('マップ設定の保存に失敗:', error);
             this.showToast('<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><line x1="15" y1="9" x2="9" y2="15"/><line x1="9" y1="9" x2="15" y2="15"/></svg> マップ設定の保存に失敗しました', 'error');
+            return false;
         }
     }
 
@@ -8840,8 +11132,12 @@ JSONのみを出力してください。`;
             regionSelect.value = window.valorantAPIService.region || 'ap';
         }
 
+        // 保存済みのAPIキーは表示しない（変更時のみ入力）
         if (apiKeyInput) {
-            apiKeyInput.value = window.valorantAPIService.apiKey || '';
+            apiKeyInput.value = '';
+            apiKeyInput.placeholder = window.valorantAPIService.hasApiKey()
+                ? '保存済み（変更する場合のみ入力）'
+                : 'Henrik APIキーを入力';
         }
 
         // 接続状態を更新
@@ -8866,21 +11162,26 @@ JSONのみを出力してください。`;
                 return;
             }
 
-            if (!apiKey) {
+            if (!apiKey && !window.valorantAPIService.hasApiKey()) {
                 this.showToast('Henrik APIキーを入力してください', 'error');
                 return;
             }
 
             // ValorantAPIServiceに設定
-            window.valorantAPIService.setApiKey(apiKey);
+            if (apiKey) {
+                await window.valorantAPIService.setApiKey(apiKey);
+                apiKeyInput.value = '';
+            }
             window.valorantAPIService.setRiotId(name, tag);
             window.valorantAPIService.setRegion(region);
 
+            // 登録済みアカウントにも追加
+            window.riotAccountService?.ensureAccount({ name, tag, region });
+
             // AuthServiceにも保存（ユーザーごとに紐付け）
             if (window.authService && window.authService.getCurrentUser()) {
-                window.authService.saveValorantSettings({
+                await window.authService.saveValorantSettings({
                     riotId: { name, tag },
-                    apiKey,
                     region,
                     platform: 'pc'
                 });
@@ -8991,6 +11292,12 @@ JSONのみを出力してください。`;
                 // 統計を更新
                 this.updatePlayerStats();
 
+                // 手動入力済みの試合と重複していれば統合を提案
+                const duplicates = window.matchDedupService?.findDuplicates() || [];
+                if (duplicates.length > 0) {
+                    await this.reviewDuplicateMatches(duplicates);
+                }
+
                 // ランクからスキルレベルを自動決定
                 try {
                     const stats = await window.valorantAPIService.getPlayerStatsFromStatic();
@@ -9040,13 +11347,21 @@ JSONのみを出力してください。`;
         try {
             this.showLoading('統計を取得中...');
 
-            // 静的データから統計を取得
-            const stats = await window.valorantAPIService.getPlayerStatsFromStatic();
+            // 表示中のRiotアカウントの統計を取得
+            const stats = await this.getPlayerStatsForActiveAccount();
 
             this.hideLoading();
 
-            // モーダルで統計を表示（AI分析ボタン付き）
-            const modalContent = this.generatePlayerStatsModalWithAI(stats);
+            // モーダルで統計を表示（AI分析ボタン付き、複数アカウントの場合は切り替え付き）
+            const hasMultipleAccounts = window.riotAccountService && window.riotAccountService.getAccounts().length > 1;
+            const modalContent = `
+                ${hasMultipleAccounts ? `
+                    <div style="margin-bottom: 15px;">
+                        <select id="player-stats-account-switcher" class="account-switcher">${this.renderAccountOptions()}</select>
+                    </div>
+                ` : ''}
+                ${this.generatePlayerStatsModalWithAI(stats)}
+            `;
 
             await Swal.fire({
                 title: `${stats.account.name}#${stats.account.tag}`,
@@ -9056,6 +11371,17 @@ JSONのみを出力してください。`;
                 showConfirmButton: false,
                 customClass: {
                     container: 'player-stats-modal'
+                },
+                didOpen: () => {
+                    this.bindWeaponStatsFilters();
+                    const switcher = document.getElementById('player-stats-account-switcher');
+                    if (switcher) {
+                        switcher.addEventListener('change', (e) => {
+                            this.switchRiotAccount(e.target.value);
+                            Swal.close();
+                            this.showValorantPlayerStats();
+                        });
+                    }
                 }
             });
 
@@ -9066,6 +11392,39 @@ JSONのみを出力してください。`;
         }
     }
 
+    // 表示中のRiotアカウントのプレイヤー統計を取得
+    // 静的データのアカウント以外（サブアカウント・合算）は保存済みの試合から集計する
+    async getPlayerStatsForActiveAccount() {
+        const service = window.riotAccountService;
+
+        let staticStats = null;
+        try {
+            staticStats = await window.valorantAPIService.getPlayerStatsFromStatic();
+        } catch (error) {
+            if (!service || service.getAccounts().length === 0) throw error;
+        }
+
+        const activeAccount = service ? service.getActiveAccount() : null;
+        const staticAccountId = staticStats
+            ? service?.getAccountId(staticStats.account.name, staticStats.account.tag)
+            : null;
+
+        if (staticStats && (!service || service.getAccounts().length <= 1 || activeAccount?.id === staticAccountId)) {
+            return staticStats;
+        }
+
+        const matches = service.filterMatches(this.matchRepository.getAll());
+        return {
+            account: activeAccount
+                ? { name: activeAccount.name, tag: activeAccount.tag, region: activeAccount.region }
+                : { name: 'すべてのアカウント', tag: '合算' },
+            rank: activeAccount?.id === staticAccountId && staticStats
+                ? staticStats.rank
+                : { current: '-', currentTier: 0, rr: 0, peak: '-', peakSeason: '' },
+            stats: window.valorantAPIService.calculateGalleryStats(matches)
+        };
+    }
+
     // プレイヤー統計モーダルのHTML生成
     generatePlayerStatsModal(stats) {
         const { account, rank, stats: matchStats } = stats;
@@ -9155,10 +11514,81 @@ JSONのみを出力してください。`;
                     </div>
                 </div>
                 ` : ''}
+
+                ${this.generateWeaponStatsSection()}
+            </div>
+        `;
+    }
+
+    // 武器別成績（表示中のRiotアカウントの保存済みの試合から、マップ・エージェントで絞り込み）
+    generateWeaponStatsSection() {
+        const matches = this.loadMatchDataWithCache().filter(match => Array.isArray(match.weaponStats));
+        if (matches.length === 0) return '';
+
+        const toOptions = (values) => Array.from(new Set(values)).sort()
+            .map(value => `<option value="${this.escapeHtml(value)}">${this.escapeHtml(value)}</option>`).join('');
+
+        return `
+            <div style="margin-top: 15px;">
+                <h4 style="margin-bottom: 10px; color: var(--text-secondary);">武器別成績</h4>
+                <div class="weapon-stats-filters">
+                    <select id="weapon-stats-map-filter">
+                        <option value="">すべてのマップ</option>
+                        ${toOptions(matches.map(match => match.map || 'Unknown'))}
+                    </select>
+                    <select id="weapon-stats-agent-filter">
+                        <option value="">すべてのエージェント</option>
+                        ${toOptions(matches.map(match => match.agent || match.character || 'Unknown'))}
+                    </select>
+                </div>
+                <table class="weapon-stats-table">
+                    <thead>
+                        <tr><th>武器</th><th>キル</th><th>HS率</th><th>ダメージ</th><th>ダメージ/キル</th><th>試合数</th></tr>
+                    </thead>
+                    <tbody id="weapon-stats-tbody">${this.renderWeaponStatsRows(matches)}</tbody>
+                </table>
+                <p class="subtitle">HS率・ダメージはキルした相手への命中のみを、そのキルの武器で集計しています</p>
             </div>
         `;
     }
 
+    // 武器別成績の行
+    renderWeaponStatsRows(matches, filters = {}) {
+        const stats = window.valorantAPIService.calculateWeaponStats(matches, filters);
+        if (stats.length === 0) {
+            return '<tr><td colspan="6">該当する試合がありません</td></tr>';
+        }
+
+        return stats.map(stat => `
+            <tr>
+                <td>${this.escapeHtml(stat.weapon)}</td>
+                <td>${stat.kills}</td>
+                <td>${stat.hsPercent}%</td>
+                <td>${stat.damage}</td>
+                <td>${stat.damagePerKill || '-'}</td>
+                <td>${stat.matches}</td>
+            </tr>
+        `).join('');
+    }
+
+    // 武器別成績の絞り込み（モーダル表示後に呼ぶ）
+    bindWeaponStatsFilters() {
+        const mapFilter = document.getElementById('weapon-stats-map-filter');
+        const agentFilter = document.getElementById('weapon-stats-agent-filter');
+        const tbody = document.getElementById('weapon-stats-tbody');
+        if (!mapFilter || !agentFilter || !tbody) return;
+
+        const update = () => {
+            const matches = this.loadMatchDataWithCache().filter(match => Array.isArray(match.weaponStats));
+            tbody.innerHTML = this.renderWeaponStatsRows(matches, {
+                map: mapFilter.value || null,
+                agent: agentFilter.value || null
+            });
+        };
+        mapFilter.addEventListener('change', update);
+        agentFilter.addEventListener('change', update);
+    }
+
     // プレイヤー統計を更新（既存のメソッドがあれば拡張）
     updatePlayerStats() {
         // 既存の統計更新ロジックがあれば呼び出し
@@ -9185,8 +11615,8 @@ JSONのみを出力してください。`;
         try {
             this.showLoading('AI分析中...');
 
-            // 静的データからプレイヤー統計を取得
-            const stats = await window.valorantAPIService.getPlayerStatsFromStatic();
+            // 表示中のRiotアカウントのプレイヤー統計を取得
+            const stats = await this.getPlayerStatsForActiveAccount();
 
             // AI分析用のプロンプトを生成
             const analysisPrompt = this.generateAIAnalysisPrompt(stats);
@@ -9433,7 +11863,8 @@ ${matchStats.topMaps.map(m => `- ${m.map}: ${m.matches}試合 (勝率${m.winRate
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
-        return div.innerHTML;
+        // 属性値にも埋め込めるよう引用符も変換
+        return div.innerHTML.replace(/"/g, '&quot;');
     }
 
 }
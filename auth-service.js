@@ -295,7 +295,8 @@ class AuthService {
   }
 
   // ユーザーデータを保存
-  async saveUserData(key, data) {
+  // options.remote: trueの場合はSupabaseのuser_dataテーブルにもアップロード
+  async saveUserData(key, data, options = {}) {
     if (!this.currentUser) return false;
 
     if (this.isGuest) {
@@ -303,16 +304,57 @@ class AuthService {
       return true;
     }
 
-    // Supabaseのプロフィールには保存しない（拡張が必要な場合は別テーブルを使用）
-    // 現時点ではlocalStorageにフォールバック
     try {
       const storageKey = `user_data_${this.currentUser.id}_${key}`;
       localStorage.setItem(storageKey, JSON.stringify(data));
-      return true;
     } catch (error) {
       console.error('Save user data error:', error);
       return false;
     }
+
+    if (!options.remote) return true;
+
+    if (!this.supabase) {
+      console.error('Save user data error: Supabase client not available');
+      return false;
+    }
+
+    try {
+      const { error } = await this.supabase
+        .from('user_data')
+        .upsert({
+          user_id: this.currentUser.id,
+          key: key,
+          data: data,
+          updated_at: new Date().toISOString()
+        }, { onConflict: 'user_id,key' });
+
+      if (error) {
+        console.error('Upload user data error:', error);
+        return false;
+      }
+      return true;
+    } catch (error) {
+      console.error('Upload user data error:', error);
+      return false;
+    }
+  }
+
+  // アカウントに保存済みのユーザーデータを取得（Supabase）
+  async fetchUserData(key) {
+    if (!this.currentUser || this.isGuest || !this.supabase) return null;
+
+    const { data, error } = await this.supabase
+      .from('user_data')
+      .select('data')
+      .eq('user_id', this.currentUser.id)
+      .eq('key', key)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+    return data ? data.data : null;
   }
 
   // ユーザーデータを取得
@@ -333,13 +375,16 @@ class AuthService {
     }
   }
 
-  // Valorant API設定を保存
-  saveValorantSettings(settings) {
+  // Valorant API設定を保存（APIキーは暗号化保管庫へ）
+  async saveValorantSettings(settings) {
     if (!this.currentUser) return false;
 
+    if (settings.apiKey) {
+      await window.secretsVault.setSecret('henrik_api_key', settings.apiKey.trim());
+    }
+
     const valorantData = {
       riotId: settings.riotId || null,
-      apiKey: settings.apiKey || '',
       region: settings.region || 'ap',
       platform: settings.platform || 'pc',
       lastUpdated: new Date().toISOString()
@@ -360,7 +405,6 @@ class AuthService {
           name: this.currentProfile.riot_id_name,
           tag: this.currentProfile.riot_id_tag
         },
-        apiKey: savedSettings.apiKey || '',
         region: savedSettings.region || 'ap',
         platform: savedSettings.platform || 'pc',
         lastUpdated: savedSettings.lastUpdated
@@ -415,30 +459,48 @@ class AuthService {
     return settings?.riotId || null;
   }
 
-  // Valorant APIキーを保存
-  saveValorantApiKey(apiKey) {
-    if (!this.currentUser) return false;
+  // 登録済みRiotアカウント一覧をアカウントに保存（メインはプロフィールのRiot IDにも反映）
+  async saveRiotAccounts(accounts) {
+    if (!this.currentUser || this.isGuest) return false;
 
-    const currentSettings = this.getValorantSettings() || {};
-    currentSettings.apiKey = apiKey.trim();
-    currentSettings.lastUpdated = new Date().toISOString();
+    const saved = await this.saveUserData('riot_accounts', accounts, { remote: true });
 
-    return this.saveUserData('valorant_settings', currentSettings);
+    const main = accounts.find(a => a.isMain);
+    if (main && (main.name !== this.currentProfile?.riot_id_name || main.tag !== this.currentProfile?.riot_id_tag)) {
+      await this.saveRiotId(main.name, main.tag);
+    }
+
+    return saved;
   }
 
-  // Valorant APIキーを取得
-  getValorantApiKey() {
-    const settings = this.getValorantSettings();
-    return settings?.apiKey || '';
+  // アカウントに保存されたRiotアカウント一覧を取得
+  async loadRiotAccounts() {
+    try {
+      const accounts = await this.fetchUserData('riot_accounts');
+      return Array.isArray(accounts) ? accounts : [];
+    } catch (error) {
+      console.error('Load Riot accounts error:', error);
+      return [];
+    }
+  }
+
+  // Valorant APIキーを保存（暗号化保管庫）
+  async saveValorantApiKey(apiKey) {
+    if (!this.currentUser) return false;
+
+    await window.secretsVault.setSecret('henrik_api_key', apiKey.trim());
+    return true;
+  }
+
+  // Valorant APIキーを取得（保管庫から復号）
+  async getValorantApiKey() {
+    return window.secretsVault.getSecret('henrik_api_key');
   }
 
   // ログイン時にValorant API設定を復元
   restoreValorantSettings() {
     const settings = this.getValorantSettings();
     if (settings && window.valorantAPIService) {
-      if (settings.apiKey) {
-        window.valorantAPIService.apiKey = settings.apiKey;
-      }
       if (settings.riotId) {
         window.valorantAPIService.riotId = settings.riotId;
       }
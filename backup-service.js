@@ -0,0 +1,293 @@
+// backup-service.js - 全データのバックアップと復元
+class BackupService {
+    constructor() {
+        this.FORMAT = 'e-bridge-backup';
+        this.FORMAT_VERSION = 1;
+
+        // 保存先（大容量データはIndexedDB、それ以外はlocalStorage）
+        this.storage = window.largeDataStore;
+
+        // バックアップ対象（APIキーなどの秘密情報と再生成可能なキャッシュは含めない）
+        this.CATEGORIES = {
+            matches: { label: '試合データ', keys: ['valorant_gallery'] },
+            rankHistory: { label: 'ランク履歴', keys: ['valorant_rank_history'] },
+            goals: { label: '目標', keys: ['goals'] },
+            coachingPlans: { label: 'コーチングプラン', keys: ['coaching_plans'] },
+            progress: { label: '進捗', keys: ['coaching_user_progress', 'winStreak', 'playerStats'] },
+            feedbackHistory: {
+                label: 'フィードバック履歴',
+                keys: ['coaching_feedback_history', 'coachingHistory'],
+                prefixes: ['coaching_next_day_feedback_']
+            },
+            strategyGuides: { label: '攻略ガイド', keys: ['valorant_strategy_guides'] },
+            mapSettings: { label: 'マップ設定', keys: ['valorant_map_settings', 'valorant_map_minimaps'] },
+            matchSync: { label: '試合の自動同期', keys: ['valorant_match_sync_settings', 'valorant_match_sync_state'] },
+            trash: { label: 'ゴミ箱', keys: ['ebridge_trash', 'ebridge_trash_retention_days'] },
+            dataSources: { label: 'データソース', prefixes: ['datasource-'] },
+            chatHistory: { label: 'チャット履歴', keys: ['chat-history'] },
+            preferences: {
+                label: 'アプリ設定',
+                keys: [
+                    'theme', 'theme-manual', 'selectedGame', 'selectedGameData', 'customGames',
+                    'playerSkillLevel', 'playerSkillLevelData', 'skillLevel',
+                    'initialSetupCompleted', 'valorant_riot_id',
+                    'valorant_riot_accounts', 'valorant_active_account'
+                ]
+            }
+        };
+    }
+
+    // カテゴリに属する保存済みキーを列挙
+    getCategoryKeys(category) {
+        const keys = new Set(category.keys || []);
+        (category.prefixes || []).forEach(prefix => {
+            this.storage.keys(prefix).forEach(key => keys.add(key));
+        });
+        return Array.from(keys).filter(key => this.storage.getItem(key) !== null);
+    }
+
+    // キーがどのカテゴリに属するか
+    findCategoryForKey(key) {
+        return Object.keys(this.CATEGORIES).find(name => {
+            const category = this.CATEGORIES[name];
+            return (category.keys || []).includes(key) ||
+                (category.prefixes || []).some(prefix => key.startsWith(prefix));
+        }) || null;
+    }
+
+    // バックアップバンドルを作成
+    createBundle() {
+        const data = {};
+
+        Object.values(this.CATEGORIES).forEach(category => {
+            this.getCategoryKeys(category).forEach(key => {
+                data[key] = this.storage.getItem(key);
+            });
+        });
+
+        return {
+            format: this.FORMAT,
+            version: this.FORMAT_VERSION,
+            schemaVersion: window.storageMigrationService?.getCurrentVersion() || 0,
+            exportedAt: new Date().toISOString(),
+            counts: this.countEntries(data),
+            data
+        };
+    }
+
+    // バックアップをJSONファイルとしてダウンロード
+    downloadBackup() {
+        const bundle = this.createBundle();
+        const json = JSON.stringify(bundle, null, 2);
+
+        const blob = new Blob([json], { type: 'application/json;charset=utf-8;' });
+        const link = document.createElement('a');
+        const url = URL.createObjectURL(blob);
+        link.setAttribute('href', url);
+        link.setAttribute('download', `e-bridge-backup_${new Date().toISOString().split('T')[0]}.json`);
+        link.style.visibility = 'hidden';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+
+        return bundle;
+    }
+
+    // カテゴリごとの件数を集計
+    countEntries(data) {
+        const counts = {};
+
+        Object.entries(this.CATEGORIES).forEach(([name, category]) => {
+            counts[name] = 0;
+            Object.keys(data).forEach(key => {
+                if (this.findCategoryForKey(key) !== name) return;
+
+                // 配列は要素数、プレフィックス付きキーはファイル数、それ以外は1件として数える
+                const isPrefixed = (category.prefixes || []).some(prefix => key.startsWith(prefix));
+                let parsed = null;
+                try {
+                    parsed = JSON.parse(data[key]);
+                } catch (error) {
+                    parsed = null;
+                }
+                counts[name] += !isPrefixed && Array.isArray(parsed) ? parsed.length : 1;
+            });
+        });
+
+        return counts;
+    }
+
+    // バックアップファイルの内容を検証
+    validateBundle(bundle) {
+        const errors = [];
+        const warnings = [];
+
+        if (!bundle || typeof bundle !== 'object') {
+            return { isValid: false, errors: ['バックアップファイルの形式が正しくありません'] };
+        }
+
+        if (bundle.format !== this.FORMAT) {
+            errors.push('e-Bridgeのバックアップファイルではありません');
+        }
+
+        if (typeof bundle.version !== 'number' || bundle.version > this.FORMAT_VERSION) {
+            errors.push(`対応していないバックアップ形式です (version: ${bundle.version})`);
+        }
+
+        const latestSchema = window.storageMigrationService?.LATEST_VERSION ?? Infinity;
+        if (typeof bundle.schemaVersion === 'number' && bundle.schemaVersion > latestSchema) {
+            warnings.push('新しいバージョンのアプリで作成されたバックアップです。このバージョンで扱えるデータのみ復元します');
+        }
+
+        if (!bundle.data || typeof bundle.data !== 'object' || Array.isArray(bundle.data)) {
+            errors.push('バックアップにデータが含まれていません');
+        } else {
+            Object.entries(bundle.data).forEach(([key, value]) => {
+                // 新しいバージョンで追加されたキーは読み飛ばす（復元時も書き込まない）
+                if (!this.findCategoryForKey(key)) {
+                    warnings.push(`このバージョンでは復元できないデータを読み飛ばします: ${key}`);
+                    return;
+                }
+                if (typeof value !== 'string') {
+                    errors.push(`不正な値が含まれています: ${key}`);
+                    return;
+                }
+                // datasource以外はJSONまたはプレーン文字列（テーマ等）
+                if (value.startsWith('[') || value.startsWith('{')) {
+                    try {
+                        JSON.parse(value);
+                    } catch (error) {
+                        errors.push(`壊れたデータが含まれています: ${key}`);
+                    }
+                }
+            });
+        }
+
+        return { isValid: errors.length === 0, errors, warnings };
+    }
+
+    // ファイルを読み込んでプレビュー情報を作成
+    async readBackupFile(file) {
+        const text = await file.text();
+
+        let bundle;
+        try {
+            bundle = JSON.parse(text);
+        } catch (error) {
+            return { isValid: false, errors: ['JSONとして読み込めませんでした'] };
+        }
+
+        const validation = this.validateBundle(bundle);
+        if (!validation.isValid) {
+            return validation;
+        }
+
+        const currentCounts = this.countEntries(this.createBundle().data);
+        const incomingCounts = this.countEntries(bundle.data);
+
+        return {
+            isValid: true,
+            errors: [],
+            warnings: validation.warnings,
+            bundle,
+            preview: Object.entries(this.CATEGORIES).map(([name, category]) => ({
+                category: name,
+                label: category.label,
+                current: currentCounts[name] || 0,
+                incoming: incomingCounts[name] || 0
+            }))
+        };
+    }
+
+    // バックアップを復元（mode: 'merge' | 'replace'）
+    restore(bundle, mode = 'merge') {
+        const validation = this.validateBundle(bundle);
+        if (!validation.isValid) {
+            throw new Error(validation.errors.join('\n'));
+        }
+
+        if (mode === 'replace') {
+            Object.values(this.CATEGORIES).forEach(category => {
+                this.getCategoryKeys(category).forEach(key => this.storage.removeItem(key));
+            });
+        }
+
+        validation.warnings.forEach(warning => console.warn(`BackupService: ${warning}`));
+
+        let written = 0;
+        Object.entries(bundle.data).forEach(([key, value]) => {
+            if (!this.findCategoryForKey(key)) return;
+
+            const existing = this.storage.getItem(key);
+            const nextValue = mode === 'merge' && existing !== null
+                ? this.mergeValues(existing, value)
+                : value;
+
+            if (nextValue !== existing) {
+                this.storage.setItem(key, nextValue);
+                written++;
+            }
+        });
+
+        // 古いスキーマのバックアップは、そのバージョンから未適用のマイグレーションを復元したデータに適用する
+        const migrations = window.storageMigrationService;
+        let migrated = null;
+        if (migrations && typeof bundle.schemaVersion === 'number' && bundle.schemaVersion < migrations.getCurrentVersion()) {
+            migrations.setCurrentVersion(bundle.schemaVersion);
+            migrated = migrations.runPending();
+        }
+
+        console.log(`BackupService: Restored ${written} keys (${mode})`);
+        return { written, mode, migrated };
+    }
+
+    // 既存の値とバックアップの値をマージ
+    mergeValues(existingRaw, incomingRaw) {
+        let existing;
+        let incoming;
+        try {
+            existing = JSON.parse(existingRaw);
+            incoming = JSON.parse(incomingRaw);
+        } catch (error) {
+            // JSONでない値（テーマ・データソース本文など）は現在の値を優先
+            return existingRaw;
+        }
+
+        if (Array.isArray(existing) && Array.isArray(incoming)) {
+            return JSON.stringify(this.mergeArrays(existing, incoming));
+        }
+
+        if (existing && incoming && typeof existing === 'object' && typeof incoming === 'object') {
+            return JSON.stringify({ ...incoming, ...existing });
+        }
+
+        return existingRaw;
+    }
+
+    // 配列をIDで統合（IDがない要素は内容で重複判定）
+    mergeArrays(existing, incoming) {
+        const itemKey = (item) => {
+            if (item && typeof item === 'object' && item.id !== undefined && item.id !== null) {
+                return `id:${item.id}`;
+            }
+            return `json:${JSON.stringify(item)}`;
+        };
+
+        const seen = new Set(existing.map(itemKey));
+        const merged = [...existing];
+
+        incoming.forEach(item => {
+            const key = itemKey(item);
+            if (!seen.has(key)) {
+                seen.add(key);
+                merged.push(item);
+            }
+        });
+
+        return merged;
+    }
+}
+
+// グローバルインスタンス
+window.backupService = new BackupService();
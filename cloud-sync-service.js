@@ -0,0 +1,484 @@
+// cloud-sync-service.js - Supabaseとのクラウド同期（オフラインキュー・LWW競合解決）
+//
+// 同期対象のデータはレコード単位で sync_records テーブルに保存する。
+// 競合はレコードごとの updated_at による後勝ち（Last-Writer-Wins）で解決し、
+// 同時刻の場合はデータのハッシュ値が大きい方を採用する。削除はtombstone（deleted=true）で伝播する。
+// 端末間の時計のずれで取りこぼさないよう、差分の取得はサーバー側で付与される synced_at を基準にする。
+// synced_at はトランザクション開始時刻のため、前回の取得時刻より少し前から取り直し、取得済みのレコードは同期状態で読み飛ばす。
+// 同期を開始した時点でこのユーザーと同期していないローカルのレコード（ゲストや別ユーザーのデータ）は保留にし、
+// claimLocalRecords で移行の確認を受けるまでアップロードしない。
+class CloudSyncService {
+    constructor() {
+        this.TABLE = 'sync_records';
+        this.STATE_KEY = 'ebridge_sync_state';
+        this.QUEUE_KEY = 'ebridge_sync_queue';
+        this.SYNC_INTERVAL = 60 * 1000; // 1分
+        this.PAGE_SIZE = 500;
+        this.PULL_OVERLAP = 5 * 60 * 1000; // 5分（後からコミットされたレコードの取りこぼし防止）
+
+        // 保存先（大容量データはIndexedDB、それ以外はlocalStorage）
+        this.storage = window.largeDataStore;
+
+        // 同期対象のコレクション
+        // type: 'array' はidを持つ要素ごと、'object' はキー全体を1レコードとして扱う
+        this.COLLECTIONS = {
+            matches: { key: 'valorant_gallery', type: 'array' },
+            goals: { key: 'goals', type: 'array' },
+            coaching_plans: { key: 'coaching_plans', type: 'array' },
+            strategy_guides: { key: 'valorant_strategy_guides', type: 'array' },
+            coaching_progress: { key: 'coaching_user_progress', type: 'object' }
+        };
+
+        this.supabase = null;
+        this.userId = null;
+        this.syncTimer = null;
+        this.isSyncing = false;
+        this.lastError = null;
+        this.onlineHandler = () => this.sync();
+    }
+
+    // ログインユーザーで同期を開始
+    start(supabase, userId) {
+        if (!supabase || !userId) return;
+
+        this.saveState(this.holdUnsyncedRecords(userId));
+
+        this.stop();
+        this.supabase = supabase;
+        this.userId = userId;
+
+        window.addEventListener('online', this.onlineHandler);
+        this.syncTimer = setInterval(() => this.sync(), this.SYNC_INTERVAL);
+
+        console.log('CloudSyncService: Started for user', userId);
+        return this.sync();
+    }
+
+    // 同期を停止
+    stop() {
+        if (this.syncTimer) {
+            clearInterval(this.syncTimer);
+            this.syncTimer = null;
+        }
+        window.removeEventListener('online', this.onlineHandler);
+        this.supabase = null;
+        this.userId = null;
+    }
+
+    // 同期が有効か
+    isActive() {
+        return !!(this.supabase && this.userId);
+    }
+
+    // 同期状態の初期値
+    // unclaimed: アップロードを保留しているローカルのレコード（recordKey → true）
+    createEmptyState(userId = null) {
+        return { userId, lastPulledAt: null, lastSyncedAt: null, records: {}, unclaimed: {} };
+    }
+
+    // ユーザーの同期状態を作り、このユーザーと同期していないローカルのレコードを保留にする（別ユーザーの同期状態と送信待ちは引き継がない）
+    holdUnsyncedRecords(userId) {
+        let state = this.loadState();
+        if (state.userId !== userId) {
+            state = this.createEmptyState(userId);
+            this.saveQueue([]);
+        }
+        state.unclaimed = state.unclaimed || {};
+
+        Object.keys(this.COLLECTIONS).forEach(collection => {
+            this.readLocalRecords(collection).forEach((data, recordId) => {
+                const key = this.recordKey(collection, recordId);
+                if (!state.records[key]) state.unclaimed[key] = true;
+            });
+        });
+        return state;
+    }
+
+    // このユーザーと同期していないローカルのレコード（collection → レコードの配列）
+    getUnclaimedRecords(userId) {
+        const state = this.loadState();
+        const result = {};
+
+        Object.keys(this.COLLECTIONS).forEach(collection => {
+            result[collection] = [];
+            this.readLocalRecords(collection).forEach((data, recordId) => {
+                const key = this.recordKey(collection, recordId);
+                const synced = state.userId === userId && state.records[key] && !state.unclaimed?.[key];
+                if (!synced) result[collection].push(data);
+            });
+        });
+        return result;
+    }
+
+    // 保留中のローカルのレコードをこのユーザーのデータとして送信待ちに積む（次の同期でアップロード）
+    claimLocalRecords(userId) {
+        const state = this.holdUnsyncedRecords(userId);
+        state.unclaimed = {};
+        const queue = this.detectLocalChanges(state);
+        this.saveState(state);
+        return queue.length;
+    }
+
+    // 同期状態を読み込み
+    loadState() {
+        try {
+            const stored = localStorage.getItem(this.STATE_KEY);
+            return stored ? JSON.parse(stored) : this.createEmptyState();
+        } catch (error) {
+            console.warn('CloudSyncService: Failed to load state:', error);
+            return this.createEmptyState();
+        }
+    }
+
+    // 同期状態を保存
+    saveState(state) {
+        localStorage.setItem(this.STATE_KEY, JSON.stringify(state));
+    }
+
+    // 送信待ちキューを読み込み
+    loadQueue() {
+        try {
+            const stored = localStorage.getItem(this.QUEUE_KEY);
+            return stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.warn('CloudSyncService: Failed to load queue:', error);
+            return [];
+        }
+    }
+
+    // 送信待ちキューを保存
+    saveQueue(queue) {
+        localStorage.setItem(this.QUEUE_KEY, JSON.stringify(queue));
+    }
+
+    // 送信待ちの件数
+    getPendingCount() {
+        return this.loadQueue().length;
+    }
+
+    // 同期状況を取得
+    getStatus() {
+        const state = this.loadState();
+        return {
+            active: this.isActive(),
+            syncing: this.isSyncing,
+            online: navigator.onLine !== false,
+            pending: this.getPendingCount(),
+            lastSyncedAt: state.lastSyncedAt,
+            lastError: this.lastError
+        };
+    }
+
+    // レコードの識別キー
+    recordKey(collection, recordId) {
+        return `${collection}:${recordId}`;
+    }
+
+    // 安定したハッシュ値（FNV-1a）
+    hash(value) {
+        const text = JSON.stringify(value);
+        let h = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            h ^= text.charCodeAt(i);
+            h = Math.imul(h, 0x01000193);
+        }
+        return (h >>> 0).toString(16).padStart(8, '0');
+    }
+
+    // コレクションのローカルレコードを取得（recordId → data）
+    readLocalRecords(collection) {
+        const config = this.COLLECTIONS[collection];
+        const records = new Map();
+
+        let parsed = null;
+        try {
+            const stored = this.storage.getItem(config.key);
+            parsed = stored ? JSON.parse(stored) : null;
+        } catch (error) {
+            console.warn(`CloudSyncService: Failed to read ${config.key}:`, error);
+            return records;
+        }
+
+        if (config.type === 'array') {
+            (Array.isArray(parsed) ? parsed : []).forEach(item => {
+                if (item && item.id !== undefined && item.id !== null) {
+                    records.set(String(item.id), item);
+                }
+            });
+        } else if (parsed && typeof parsed === 'object') {
+            records.set('default', parsed);
+        }
+
+        return records;
+    }
+
+    // コレクションのローカルレコードを書き込み
+    writeLocalRecords(collection, records) {
+        const config = this.COLLECTIONS[collection];
+
+        if (config.type === 'array') {
+            this.storage.setItem(config.key, JSON.stringify(Array.from(records.values())));
+        } else if (records.has('default')) {
+            this.storage.setItem(config.key, JSON.stringify(records.get('default')));
+        } else {
+            this.storage.removeItem(config.key);
+        }
+    }
+
+    // 前回同期以降のローカル変更を検出してキューに積む（保留中のレコードは除く）
+    detectLocalChanges(state) {
+        const queue = this.loadQueue();
+        const queued = new Map(queue.map(op => [this.recordKey(op.collection, op.recordId), op]));
+        const now = new Date().toISOString();
+        const unclaimed = state.unclaimed || {};
+
+        Object.keys(this.COLLECTIONS).forEach(collection => {
+            const local = this.readLocalRecords(collection);
+
+            // 保留中のうちローカルから消えたレコードは保留を解除
+            Object.keys(unclaimed).forEach(key => {
+                if (key.startsWith(`${collection}:`) && !local.has(key.slice(collection.length + 1))) {
+                    delete unclaimed[key];
+                }
+            });
+
+            // 追加・更新
+            local.forEach((data, recordId) => {
+                const key = this.recordKey(collection, recordId);
+                if (unclaimed[key]) return;
+
+                const hash = this.hash(data);
+                const known = state.records[key];
+
+                if (!known || known.deleted || known.hash !== hash) {
+                    // 初めて同期するレコードはデータ自体の更新日時を使い、他端末の新しい変更を上書きしない
+                    const updatedAt = known ? now : this.getRecordTime(data);
+                    const op = { collection, recordId, data, deleted: false, updatedAt, hash };
+                    queued.set(key, op);
+                    state.records[key] = { updatedAt, hash, deleted: false };
+                }
+            });
+
+            // 削除（同期済みだがローカルから消えたレコード）
+            Object.entries(state.records).forEach(([key, known]) => {
+                if (!key.startsWith(`${collection}:`) || known.deleted) return;
+                const recordId = key.slice(collection.length + 1);
+                if (!local.has(recordId)) {
+                    queued.set(key, { collection, recordId, data: null, deleted: true, updatedAt: now, hash: null });
+                    state.records[key] = { updatedAt: now, hash: null, deleted: true };
+                }
+            });
+        });
+
+        const nextQueue = Array.from(queued.values());
+        this.saveQueue(nextQueue);
+        return nextQueue;
+    }
+
+    // レコード自体が持つ更新日時（なければ最古として扱う）
+    getRecordTime(data) {
+        const candidates = [data?.updatedAt, data?.updated_at, data?.createdAt, data?.timestamp];
+        for (const value of candidates) {
+            if (value === undefined || value === null) continue;
+            const time = new Date(value).getTime();
+            if (!isNaN(time)) return new Date(time).toISOString();
+        }
+        return new Date(0).toISOString();
+    }
+
+    // リモートとローカルのどちらを採用するか（trueならリモート）
+    shouldApplyRemote(remote, local) {
+        if (!local) return true;
+
+        const remoteTime = new Date(remote.updated_at).getTime();
+        const localTime = new Date(local.updatedAt).getTime();
+        if (remoteTime !== localTime) {
+            return remoteTime > localTime;
+        }
+
+        // 同時刻の場合はハッシュ値で決定的に解決
+        const remoteHash = remote.deleted ? '' : this.hash(remote.data);
+        const localHash = local.deleted ? '' : (local.hash || '');
+        return remoteHash > localHash;
+    }
+
+    // リモートの変更を取得してローカルに反映
+    async pullRemoteChanges(state, queue) {
+        const remoteRecords = [];
+        let from = 0;
+
+        while (true) {
+            let query = this.supabase
+                .from(this.TABLE)
+                .select('collection, record_id, data, deleted, updated_at, synced_at')
+                .eq('user_id', this.userId)
+                .order('synced_at', { ascending: true })
+                .range(from, from + this.PAGE_SIZE - 1);
+
+            if (state.lastPulledAt) {
+                const since = new Date(new Date(state.lastPulledAt).getTime() - this.PULL_OVERLAP);
+                query = query.gte('synced_at', since.toISOString());
+            }
+
+            const { data, error } = await query;
+            if (error) throw error;
+
+            remoteRecords.push(...(data || []));
+            if (!data || data.length < this.PAGE_SIZE) break;
+            from += this.PAGE_SIZE;
+        }
+
+        if (remoteRecords.length === 0) {
+            return { applied: 0, queue };
+        }
+
+        const queued = new Map(queue.map(op => [this.recordKey(op.collection, op.recordId), op]));
+        const changedCollections = new Map();
+        let applied = 0;
+
+        remoteRecords.forEach(remote => {
+            if (!this.COLLECTIONS[remote.collection]) return;
+
+            const key = this.recordKey(remote.collection, remote.record_id);
+            const local = state.records[key];
+
+            if (!this.shouldApplyRemote(remote, local)) return;
+
+            // 未送信のローカル変更より新しいリモート変更は、ローカル変更を破棄する
+            queued.delete(key);
+
+            if (!changedCollections.has(remote.collection)) {
+                changedCollections.set(remote.collection, this.readLocalRecords(remote.collection));
+            }
+            const records = changedCollections.get(remote.collection);
+
+            if (remote.deleted) {
+                records.delete(remote.record_id);
+            } else {
+                records.set(remote.record_id, remote.data);
+            }
+
+            state.records[key] = {
+                updatedAt: remote.updated_at,
+                hash: remote.deleted ? null : this.hash(remote.data),
+                deleted: !!remote.deleted
+            };
+            // 保留中のローカルのレコードはアカウントのデータで置き換える
+            if (state.unclaimed) delete state.unclaimed[key];
+            applied++;
+        });
+
+        changedCollections.forEach((records, collection) => {
+            this.writeLocalRecords(collection, records);
+        });
+
+        const latest = remoteRecords[remoteRecords.length - 1].synced_at;
+        if (!state.lastPulledAt || new Date(latest) > new Date(state.lastPulledAt)) {
+            state.lastPulledAt = latest;
+        }
+
+        const nextQueue = Array.from(queued.values());
+        this.saveQueue(nextQueue);
+
+        if (changedCollections.size > 0) {
+            this.notifyRemoteChanges(Array.from(changedCollections.keys()));
+        }
+
+        return { applied, queue: nextQueue };
+    }
+
+    // キューの変更をリモートへ送信
+    async pushQueue(queue) {
+        if (queue.length === 0) return 0;
+
+        const rows = queue.map(op => ({
+            user_id: this.userId,
+            collection: op.collection,
+            record_id: op.recordId,
+            data: op.deleted ? null : op.data,
+            deleted: op.deleted,
+            updated_at: op.updatedAt
+        }));
+
+        for (let i = 0; i < rows.length; i += this.PAGE_SIZE) {
+            const chunk = rows.slice(i, i + this.PAGE_SIZE);
+            const { error } = await this.supabase
+                .from(this.TABLE)
+                .upsert(chunk, { onConflict: 'user_id,collection,record_id' });
+
+            if (error) {
+                // 送信できた分だけキューから除く
+                this.saveQueue(queue.slice(i));
+                throw error;
+            }
+        }
+
+        this.saveQueue([]);
+        return rows.length;
+    }
+
+    // 同期を実行
+    async sync() {
+        if (!this.isActive() || this.isSyncing) return null;
+
+        const state = this.loadState();
+        state.userId = this.userId;
+
+        // オフライン時はローカル変更の検出だけ行う
+        const queue = this.detectLocalChanges(state);
+        this.saveState(state);
+
+        if (navigator.onLine === false) {
+            console.log(`CloudSyncService: Offline, ${queue.length} change(s) queued`);
+            return { pulled: 0, pushed: 0, pending: queue.length };
+        }
+
+        this.isSyncing = true;
+        this.notifyStatus();
+
+        try {
+            const { applied, queue: remaining } = await this.pullRemoteChanges(state, queue);
+            this.saveState(state);
+
+            const pushed = await this.pushQueue(remaining);
+
+            state.lastSyncedAt = new Date().toISOString();
+            this.saveState(state);
+            this.lastError = null;
+
+            console.log(`CloudSyncService: Synced (pulled ${applied}, pushed ${pushed})`);
+            return { pulled: applied, pushed, pending: 0 };
+        } catch (error) {
+            this.lastError = error.message || String(error);
+            console.warn('CloudSyncService: Sync failed, changes remain queued:', error);
+            return { pulled: 0, pushed: 0, pending: this.getPendingCount(), error: this.lastError };
+        } finally {
+            this.isSyncing = false;
+            this.notifyStatus();
+        }
+    }
+
+    // リモート変更の反映を通知
+    notifyRemoteChanges(collections) {
+        if (collections.includes('matches') && window.matchRepository) {
+            window.matchRepository.notifyChange('sync', []);
+        }
+        if (collections.includes('strategy_guides') && window.strategyGuideService) {
+            window.strategyGuideService.guides = window.strategyGuideService.loadGuides();
+        }
+
+        window.dispatchEvent(new CustomEvent('cloudSyncApplied', {
+            detail: { collections }
+        }));
+    }
+
+    // 同期状況の変化を通知
+    notifyStatus() {
+        window.dispatchEvent(new CustomEvent('cloudSyncStatus', {
+            detail: this.getStatus()
+        }));
+    }
+}
+
+// グローバルインスタンス
+window.cloudSyncService = new CloudSyncService();
@@ -22,8 +22,9 @@ class CoachingPlanService {
     // Valorant知識ベースをロード
     async loadValorantKnowledgeBase() {
         try {
-            // LocalStorageから保存されているデータソースファイルを取得
-            const datasourceKeys = Object.keys(localStorage).filter(key => key.startsWith('datasource-'));
+            // ストアの読み込み完了を待ってからデータソースファイルを取得
+            await window.largeDataStore.whenReady();
+            const datasourceKeys = window.largeDataStore.keys('datasource-');
             
             if (datasourceKeys.length > 0) {
                 console.log(`📚 Valorant知識ベース: ${datasourceKeys.length}ファイル検出`);
@@ -31,7 +32,7 @@ class CoachingPlanService {
                 // 全ファイルの内容を結合
                 let knowledgeBase = '';
                 datasourceKeys.forEach(key => {
-                    const content = localStorage.getItem(key);
+                    const content = window.largeDataStore.getItem(key);
                     const filename = key.replace('datasource-', '');
                     knowledgeBase += `\n--- ${filename} ---\n${content}\n`;
                 });
@@ -419,17 +420,8 @@ ${planStructure.totalWeeks}週分のプランを生成してください。各
     // ユーザー統計情報を取得（Valorant用）
     getUserStatistics() {
         try {
-            // Valorantのマッチデータを取得
-            const valorantMatches = JSON.parse(localStorage.getItem('valorant_matches') || '[]');
-            const valorantGallery = JSON.parse(localStorage.getItem('valorant_gallery') || '[]');
-            
-            // 重複を除去して結合（簡易的なIDチェック）
-            const allMatches = [...valorantMatches];
-            valorantGallery.forEach(m => {
-                if (!allMatches.some(existing => existing.id === m.id)) {
-                    allMatches.push(m);
-                }
-            });
+            // Valorantのマッチデータを取得（重複排除済み）
+            const allMatches = window.matchRepository.getAll();
 
             if (allMatches.length === 0) {
                 return {
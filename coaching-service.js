@@ -37,7 +37,7 @@ class CoachingService {
             // Gemini APIで動的生成を試行
             if (this.geminiService) {
                 // レート制限をチェック
-                this.checkApiRateLimit();
+                await this.checkApiRateLimit();
 
                 const generatedAdvice = await this.generateAdviceWithGemini(userProfile);
                 if (generatedAdvice) {
@@ -79,7 +79,8 @@ class CoachingService {
         const prompt = this.buildCoachingPrompt(userProfile);
 
         try {
-            const response = await this.geminiService.sendChatMessage(prompt, false);
+            // 自動生成のため、ユーザーのチャットより後に実行
+            const response = await this.geminiService.sendChatMessage(prompt, false, true, { priority: 'normal' });
 
             let responseText = null;
             if (response && response.response) {
@@ -768,49 +769,15 @@ ${guideText}`;
         }
     }
 
-    // API呼び出し頻度制限のチェック
-    checkApiRateLimit() {
-        const now = Date.now();
-        const lastCallKey = 'coaching_last_api_call';
-        const callCountKey = 'coaching_api_call_count';
-        const callTimesKey = 'coaching_api_call_times';
-
-        try {
-            const lastCall = parseInt(localStorage.getItem(lastCallKey) || '0');
-            const callCount = parseInt(localStorage.getItem(callCountKey) || '0');
-            const callTimes = JSON.parse(localStorage.getItem(callTimesKey) || '[]');
-
-            // 1分以内の呼び出し制限（最大3回）
-            const oneMinuteAgo = now - 60000;
-            const recentCalls = callTimes.filter(time => time > oneMinuteAgo);
-
-            if (recentCalls.length >= 3) {
-                const waitTime = Math.ceil((recentCalls[0] + 60000 - now) / 1000);
-                throw new Error(`Rate limit exceeded. Please wait ${waitTime} seconds.`);
-            }
-
-            // 1時間以内の呼び出し制限（最大10回）
-            const oneHourAgo = now - 3600000;
-            const hourlyCallsm = callTimes.filter(time => time > oneHourAgo);
-
-            if (hourlyCallsm.length >= 10) {
-                throw new Error('Hourly rate limit exceeded. Please try again later.');
-            }
-
-            // 呼び出し記録を更新
-            const updatedCallTimes = [...recentCalls, now];
-            localStorage.setItem(lastCallKey, now.toString());
-            localStorage.setItem(callCountKey, (callCount + 1).toString());
-            localStorage.setItem(callTimesKey, JSON.stringify(updatedCallTimes));
-
+    // API呼び出し頻度制限のチェック（RequestSchedulerの coaching 枠: 3回/分・10回/時）
+    async checkApiRateLimit() {
+        const scheduler = window.requestScheduler;
+        if (await scheduler.tryAcquire('coaching')) {
             return true;
-        } catch (error) {
-            if (error.message.includes('Rate limit')) {
-                throw error;
-            }
-            console.warn('CoachingService: Failed to check rate limit:', error);
-            return true; // エラー時は制限しない
         }
+
+        const waitTime = Math.ceil(scheduler.getWaitTime('coaching', 'user') / 1000);
+        throw new Error(`Rate limit exceeded. Please wait ${waitTime} seconds.`);
     }
 
     // ユーザープログレスを読み込み
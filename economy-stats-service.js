@@ -0,0 +1,106 @@
+// economy-stats-service.js - 購入ラウンド（エコノミー）の集計
+//
+// 試合のラウンド経過（roundTimeline）に記録した両チームの装備額・購入タイプから、
+// 購入タイプ別のラウンド勝率と「アンチエコ負け」（こちらが買っていて相手がエコのラウンドを落とした数）を集計する。
+class EconomyStatsService {
+    constructor() {
+        this.BUY_TYPES = [
+            { key: 'pistol', label: 'ピストル' },
+            { key: 'eco', label: 'エコ' },
+            { key: 'force', label: 'フォース' },
+            { key: 'half', label: 'ハーフ' },
+            { key: 'full', label: 'フルバイ' }
+        ];
+
+        // アンチエコとみなす味方の購入タイプ（相手はエコ）
+        this.ANTI_ECO_BUY_TYPES = ['half', 'full'];
+    }
+
+    getBuyTypeLabel(buyType) {
+        return this.BUY_TYPES.find(type => type.key === buyType)?.label || '-';
+    }
+
+    // ラウンドの両チームのエコノミー（購入タイプの記録がない試合はプレイヤーの装備額から判定）
+    getRoundEconomy(round) {
+        if (round.economy?.ally && round.economy?.enemy) {
+            return round.economy;
+        }
+
+        const apiService = window.valorantAPIService;
+        const players = round.players || [];
+        return {
+            ally: apiService.summarizeTeamEconomy(players, 'ally', round.round),
+            enemy: apiService.summarizeTeamEconomy(players, 'enemy', round.round)
+        };
+    }
+
+    // エコノミーの分かるラウンドがある試合
+    getEconomyMatches(matches) {
+        return matches.filter(match =>
+            Array.isArray(match.roundTimeline) && match.roundTimeline.some(round => (round.players || []).length > 0)
+        );
+    }
+
+    // 勝率（%、小数1桁）
+    toWinRate(wins, total) {
+        return total > 0 ? Math.round((wins / total) * 1000) / 10 : 0;
+    }
+
+    // 購入タイプ別のラウンド勝率（味方・敵それぞれ、勝率はそのチームから見た値）
+    getBuyTypeStats(matches) {
+        const counts = {
+            ally: Object.fromEntries(this.BUY_TYPES.map(type => [type.key, { rounds: 0, wins: 0 }])),
+            enemy: Object.fromEntries(this.BUY_TYPES.map(type => [type.key, { rounds: 0, wins: 0 }]))
+        };
+
+        this.getEconomyMatches(matches).forEach(match => {
+            match.roundTimeline.forEach(round => {
+                const economy = this.getRoundEconomy(round);
+                ['ally', 'enemy'].forEach(team => {
+                    const entry = counts[team][economy[team].buyType];
+                    if (!entry) return;
+                    entry.rounds++;
+                    if (round.winningTeam === team) entry.wins++;
+                });
+            });
+        });
+
+        const toStats = (teamCounts) => this.BUY_TYPES.map(type => ({
+            buyType: type.key,
+            label: type.label,
+            rounds: teamCounts[type.key].rounds,
+            wins: teamCounts[type.key].wins,
+            winRate: this.toWinRate(teamCounts[type.key].wins, teamCounts[type.key].rounds)
+        }));
+
+        return { ally: toStats(counts.ally), enemy: toStats(counts.enemy) };
+    }
+
+    // アンチエコ負け（どの試合のどのラウンドかも返す）
+    getAntiEcoLosses(matches) {
+        let antiEcoRounds = 0;
+        const losses = [];
+
+        this.getEconomyMatches(matches).forEach(match => {
+            match.roundTimeline.forEach(round => {
+                const economy = this.getRoundEconomy(round);
+                if (economy.enemy.buyType !== 'eco' || !this.ANTI_ECO_BUY_TYPES.includes(economy.ally.buyType)) return;
+
+                antiEcoRounds++;
+                if (round.winningTeam === 'enemy') {
+                    losses.push({ matchId: match.id, map: match.map, date: match.date, round: round.round });
+                }
+            });
+        });
+
+        return {
+            rounds: antiEcoRounds,
+            losses: losses.length,
+            lossRate: this.toWinRate(losses.length, antiEcoRounds),
+            details: losses
+        };
+    }
+}
+
+// グローバルインスタンス
+window.economyStatsService = new EconomyStatsService();
@@ -0,0 +1,173 @@
+// enemy-composition-service.js - 敵チームの構成とエージェント相性の集計
+//
+// 取り込んだ試合の両チームのエージェント（allyAgents / enemyAgents、なければ名簿）から、
+// 敵エージェント別・構成タイプ別の勝率と「苦手なエージェント」のランキングを集計する。
+class EnemyCompositionService {
+    constructor() {
+        // エージェント → ロール（HenrikDev APIのcharacterの表記）
+        this.AGENT_ROLES = {
+            Jett: 'duelist', Reyna: 'duelist', Phoenix: 'duelist', Raze: 'duelist',
+            Yoru: 'duelist', Neon: 'duelist', Iso: 'duelist', Waylay: 'duelist',
+            Sova: 'initiator', Breach: 'initiator', Skye: 'initiator', 'KAY/O': 'initiator',
+            Fade: 'initiator', Gekko: 'initiator', Tejo: 'initiator',
+            Brimstone: 'controller', Viper: 'controller', Omen: 'controller',
+            Astra: 'controller', Harbor: 'controller', Clove: 'controller',
+            Sage: 'sentinel', Cypher: 'sentinel', Killjoy: 'sentinel', Chamber: 'sentinel',
+            Deadlock: 'sentinel', Vyse: 'sentinel', Veto: 'sentinel'
+        };
+
+        this.ROLE_LABELS = {
+            duelist: 'デュエリスト',
+            initiator: 'イニシエーター',
+            controller: 'コントローラー',
+            sentinel: 'センチネル',
+            unknown: '不明'
+        };
+
+        // 構成タイプ（1つの構成が複数に当てはまることがある）
+        this.ARCHETYPES = [
+            { key: 'double-controller', label: 'ダブルコントローラー', test: (roles) => roles.controller >= 2 },
+            { key: 'no-controller', label: 'コントローラーなし', test: (roles) => roles.controller === 0 },
+            { key: 'no-sentinel', label: 'センチネルなし', test: (roles) => roles.sentinel === 0 },
+            { key: 'double-sentinel', label: 'ダブルセンチネル', test: (roles) => roles.sentinel >= 2 },
+            { key: 'double-duelist', label: 'ダブルデュエリスト', test: (roles) => roles.duelist >= 2 },
+            { key: 'double-initiator', label: 'ダブルイニシエーター', test: (roles) => roles.initiator >= 2 },
+            {
+                key: 'balanced',
+                label: '全ロールあり',
+                test: (roles) => roles.duelist > 0 && roles.initiator > 0 && roles.controller > 0 && roles.sentinel > 0
+            }
+        ];
+
+        // 苦手ランキングで少ない試合数の勝率を全体の勝率に寄せる度合い（試合数換算）
+        this.PRIOR_MATCHES = 3;
+    }
+
+    // エージェントのロール
+    getRole(agent) {
+        return this.AGENT_ROLES[agent] || 'unknown';
+    }
+
+    // 試合の敵エージェント（記録がなければ名簿から）
+    getEnemyAgents(match) {
+        if (Array.isArray(match.enemyAgents) && match.enemyAgents.length > 0) {
+            return match.enemyAgents;
+        }
+        if (Array.isArray(match.roster)) {
+            return match.roster.filter(p => p.team === 'enemy').map(p => p.agent);
+        }
+        return [];
+    }
+
+    // 敵エージェントの分かる試合
+    getCompositionMatches(matches) {
+        return matches.filter(match => this.getEnemyAgents(match).length > 0);
+    }
+
+    // ロールごとの人数
+    countRoles(agents) {
+        const roles = { duelist: 0, initiator: 0, controller: 0, sentinel: 0, unknown: 0 };
+        agents.forEach(agent => roles[this.getRole(agent)]++);
+        return roles;
+    }
+
+    // 構成が当てはまる構成タイプ
+    getArchetypes(agents) {
+        const roles = this.countRoles(agents);
+        return this.ARCHETYPES.filter(archetype => archetype.test(roles));
+    }
+
+    isWin(match) {
+        return (match.result || '').toUpperCase() === 'WIN';
+    }
+
+    // 勝率（%、小数1桁）
+    toWinRate(wins, total) {
+        return total > 0 ? Math.round((wins / total) * 1000) / 10 : 0;
+    }
+
+    // 敵エージェント別の成績（敵チームにいた試合、試合数の多い順）
+    getAgentMatchups(matches, { minMatches = 1 } = {}) {
+        const agents = new Map();
+
+        this.getCompositionMatches(matches).forEach(match => {
+            const win = this.isWin(match);
+            const enemies = Array.isArray(match.roster) ? match.roster.filter(p => p.team === 'enemy') : [];
+
+            // 同じエージェントは1試合に1人だけなので、試合ごとに1回数える
+            new Set(this.getEnemyAgents(match)).forEach(agent => {
+                const entry = agents.get(agent) || { agent, matches: 0, wins: 0, acsSum: 0, acsCount: 0 };
+                entry.matches++;
+                if (win) entry.wins++;
+
+                const enemy = enemies.find(p => p.agent === agent);
+                if (enemy) {
+                    entry.acsSum += enemy.acs || 0;
+                    entry.acsCount++;
+                }
+                agents.set(agent, entry);
+            });
+        });
+
+        return Array.from(agents.values())
+            .filter(entry => entry.matches >= minMatches)
+            .map(entry => ({
+                agent: entry.agent,
+                role: this.getRole(entry.agent),
+                roleLabel: this.ROLE_LABELS[this.getRole(entry.agent)],
+                matches: entry.matches,
+                wins: entry.wins,
+                losses: entry.matches - entry.wins,
+                winRate: this.toWinRate(entry.wins, entry.matches),
+                enemyAvgAcs: entry.acsCount > 0 ? Math.round(entry.acsSum / entry.acsCount) : null
+            }))
+            .sort((a, b) => b.matches - a.matches || a.winRate - b.winRate);
+    }
+
+    // 敵の構成タイプ別の成績（該当する試合のあるタイプのみ）
+    getArchetypeStats(matches) {
+        const compositionMatches = this.getCompositionMatches(matches);
+
+        return this.ARCHETYPES.map(archetype => {
+            const typeMatches = compositionMatches.filter(match =>
+                archetype.test(this.countRoles(this.getEnemyAgents(match)))
+            );
+            const wins = typeMatches.filter(match => this.isWin(match)).length;
+
+            return {
+                key: archetype.key,
+                label: archetype.label,
+                matches: typeMatches.length,
+                wins,
+                losses: typeMatches.length - wins,
+                winRate: this.toWinRate(wins, typeMatches.length)
+            };
+        }).filter(stat => stat.matches > 0);
+    }
+
+    // 苦手な敵エージェントのランキング
+    // 試合数の少ないエージェントが上位に偏らないよう、勝率を全体の勝率に寄せて比べる（同率なら相手のACSが高い順）
+    getProblemAgents(matches, { limit = 5 } = {}) {
+        const compositionMatches = this.getCompositionMatches(matches);
+        if (compositionMatches.length === 0) return [];
+
+        const overallWinRate = compositionMatches.filter(match => this.isWin(match)).length / compositionMatches.length;
+
+        return this.getAgentMatchups(compositionMatches)
+            .map(stat => {
+                const adjusted = (stat.wins + overallWinRate * this.PRIOR_MATCHES) / (stat.matches + this.PRIOR_MATCHES);
+                return {
+                    ...stat,
+                    adjustedWinRate: Math.round(adjusted * 1000) / 10,
+                    // 全体の勝率からどれだけ下がるか（%ポイント）
+                    winRateDrop: Math.round((overallWinRate - adjusted) * 1000) / 10
+                };
+            })
+            .filter(stat => stat.winRateDrop > 0)
+            .sort((a, b) => b.winRateDrop - a.winRateDrop || (b.enemyAvgAcs || 0) - (a.enemyAvgAcs || 0))
+            .slice(0, limit);
+    }
+}
+
+// グローバルインスタンス
+window.enemyCompositionService = new EnemyCompositionService();
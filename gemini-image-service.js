@@ -12,15 +12,15 @@ class GeminiImageService {
         this.flashModel = 'gemini-2.0-flash-exp-image-generation';
         this.proModel = 'imagen-3.0-generate-002';
         this.imageCache = new Map();
-        this.loadCacheFromStorage();
+        window.largeDataStore.whenReady().then(() => this.loadCacheFromStorage());
     }
 
     /**
-     * キャッシュをlocalStorageから読み込み
+     * キャッシュをストア（IndexedDB）から読み込み
      */
     loadCacheFromStorage() {
         try {
-            const cached = localStorage.getItem('gemini_image_cache');
+            const cached = window.largeDataStore.getItem('gemini_image_cache');
             if (cached) {
                 const data = JSON.parse(cached);
                 Object.entries(data).forEach(([key, value]) => {
@@ -33,12 +33,12 @@ class GeminiImageService {
     }
 
     /**
-     * キャッシュをlocalStorageに保存
+     * キャッシュをストア（IndexedDB）に保存
      */
     saveCacheToStorage() {
         try {
             const data = Object.fromEntries(this.imageCache);
-            localStorage.setItem('gemini_image_cache', JSON.stringify(data));
+            window.largeDataStore.setItem('gemini_image_cache', JSON.stringify(data));
         } catch (e) {
             console.warn('Failed to save image cache:', e);
         }
@@ -268,7 +268,8 @@ ${guideText}`;
     }
 
     // エラーハンドリングとリトライロジック（サーバーレス関数経由）
-    async makeAPIRequest(messages, generationConfig = null, retryCount = 0) {
+    // レート制限はRequestSchedulerで管理（priority: user / normal / background）
+    async makeAPIRequest(messages, generationConfig = null, { priority = 'normal', retryCount = 0 } = {}) {
         // ローディング開始（初回のみ表示）
         try { window.app?.showLoading(retryCount === 0 ? 'AIに問い合わせ中...' : '再試行中...'); } catch {}
 
@@ -276,11 +277,12 @@ ${guideText}`;
             endpoint: this.apiEndpoint,
             method: 'POST',
             messagesCount: messages.length,
-            retryCount: retryCount
+            retryCount: retryCount,
+            priority: priority
         });
 
         try {
-            const response = await fetch(this.apiEndpoint, {
+            const response = await window.requestScheduler.schedule('gemini', () => fetch(this.apiEndpoint, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
@@ -290,7 +292,7 @@ ${guideText}`;
                     model: this.chatModel,
                     generationConfig: generationConfig || this.chatParams
                 })
-            });
+            }), { priority });
 
             console.log(`📡 API Response:`, {
                 status: response.status,
@@ -321,7 +323,7 @@ ${guideText}`;
                     }
 
                     await this.delay(waitMs);
-                    return await this.makeAPIRequest(messages, generationConfig, retryCount + 1);
+                    return await this.makeAPIRequest(messages, generationConfig, { priority, retryCount: retryCount + 1 });
                 }
 
                 this.serverStatus.nextRetryAfter = Date.now() + 60000;
@@ -355,6 +357,8 @@ ${guideText}`;
                 } else if (response.status === 401 || response.status === 403) {
                     throw new Error('APIキーが無効か、権限がありません');
                 } else if (response.status === 429) {
+                    // 全タブでしばらくリクエストを止める
+                    await window.requestScheduler.penalize('gemini', response.headers.get('Retry-After'));
                     throw new Error('レート制限に達しました。しばらく待ってから再試行してください');
                 } else {
                     throw new Error(errorMessage);
@@ -382,7 +386,7 @@ ${guideText}`;
     }
 
     // チャットメッセージ送信（サーバーレス関数経由）
-    async sendChatMessage(message, includeHistory = true, showOverlay = true) {
+    async sendChatMessage(message, includeHistory = true, showOverlay = true, { priority = 'user' } = {}) {
         try {
             if (showOverlay) {
                 try { window.app?.showLoading('AIが考え中...'); } catch {}
@@ -426,7 +430,7 @@ ${guideText}`;
             });
 
             // サーバーレス関数経由でリクエスト
-            const data = await this.makeAPIRequest(messages, this.chatParams);
+            const data = await this.makeAPIRequest(messages, this.chatParams, { priority });
 
             if (!data.candidates || data.candidates.length === 0) {
                 throw new Error('APIから有効な応答が得られませんでした');
@@ -926,253 +930,101 @@ ${searchQueries.map(query => `- ${query}`).join('\n')}
         console.log('チャット履歴をクリアしました');
     }
 
-    // 画像から試合データを分析（VALORANT専用 - 現在無効化中）
+    // 試合終了時のスコアボード画面のスクリーンショットから試合データを抽出（サーバーレス関数経由）
     async analyzeMatchImage(imageFile) {
-        // この機能は現在VALORANTでは利用できません
-        throw new Error('画像分析機能は現在VALORANTでは利用できません。個別入力をご利用ください。');
-        
-        /*
         if (!this.isConfigured()) {
             throw new Error('Gemini APIキーが設定されていません');
         }
+        if (!imageFile.type || !imageFile.type.startsWith('image/')) {
+            throw new Error('画像ファイルを選択してください');
+        }
 
         try {
             console.log('📸 画像分析開始:', imageFile.name, imageFile.size);
-            
-            // 画像をBase64に変換
-            const base64Image = await this.fileToBase64(imageFile);
-            const imageData = base64Image.split(',')[1]; // data:image/png;base64, を除去
-            
-            // 画像の形式を判定
-            const mimeType = imageFile.type || 'image/png';
-            
-            const analysisPrompt = `あなたは画像認識の専門家です。この画像はVALORANTの戦績統計画面のスクリーンショットです。
-以下の詳細な手順に従って、画像から正確にデータを抽出し、JSON形式で出力してください。
-
-═══════════════════════════════════════════════════════
-📋 ステップ1: 画像形式の判定
-═══════════════════════════════════════════════════════
-まず、この画像が以下のどちらの形式かを判定してください：
-
-【形式A: 使用キャラクター別成績】
-- 画面上部に「FIGHTERS PROFILE」タブが表示
-- ユーザーコードとSteam IDが表示されている
-- 「絞り込み」オプションと「Act 5 モード すべて」などのフィルタ
-- 「ALL」行に総合成績が表示
-- キャラクター名(LUKE, JAMIE, MANON等)とその戦績が一覧表示
-- 各行の形式: キャラクター名 | 試合数(例: 14勝/23戦) | 勝率%(例: 60.87%)
-
-【形式B: 対戦相手別成績】  
-- 画面上部に「FIGHTERS PROFILE」タブが表示
-- ユーザーコードが表示されている(Steam IDは隠されている場合あり)
-- 「キャラクター別対戦数」セクション
-- 「絞り込み」オプションと「Act 0 モード ランクマッチ」などのフィルタ
-- 使用キャラクター名(MARISA等)が大きく表示
-- 対戦相手キャラクター(KIMBERLY, ZANGIEF, LILY等)とその戦績
-- 各行の形式: 対戦相手名 | 試合数(例: 33戦) | 勝率%(例: 54.55%)
-
-═══════════════════════════════════════════════════════
-📋 ステップ2: データ抽出の具体的手順
-═══════════════════════════════════════════════════════
-
-【形式A: 使用キャラクター別成績の場合】
-1. 「ALL」行を見つけ、総合戦績を抽出
-   - 「14勝/23戦」のような表記から勝利数と試合数を分離
-   - 「60.87%」のような表記から勝率を抽出
-   
-2. 各キャラクター行を処理（LUKE, JAMIE, MANON, KIMBERLY, MARISA等）
-   - キャラクター名: 画像表示通りに抽出（LUKE, JAMIE等）
-   - 「14勝/23戦」形式の場合:
-     * wins = 14, totalMatches = 23
-     * winRate = (14/23)*100 = 60.87
-   - 勝率が直接表示されている場合はその値を使用
-   
-3. 試合数が0のキャラクター（0勝/0戦, 0.00%）も含める
-
-【形式B: 対戦相手別成績の場合】
-1. 使用キャラクター名を抽出（画面に大きく表示されているキャラ名）
-   - この情報はメタデータとして使用可能
-   
-2. 各対戦相手行を処理（KIMBERLY, ZANGIEF, LILY, GUILE, JP等）
-   - キャラクター名: 画像表示通りに抽出
-   - 試合数: 「33戦」→ totalMatches = 33
-   - 勝率: 「54.55%」→ winRate = 54.55
-   - 勝利数を計算: wins = Math.round(33 × 54.55 / 100) = 18
-   
-3. 試合数が0の対戦相手も含める
-
-═══════════════════════════════════════════════════════
-📋 ステップ3: データの計算と検証
-═══════════════════════════════════════════════════════
-
-すべてのエントリーに対して以下を実行：
-1. **必須値の確保**
-   - character: 画像表示通りのキャラクター名（例: LUKE, KIMBERLY）
-   - totalMatches: 試合数（整数）
-   - winRate: 勝率（小数、0-100）
-   - wins: 勝利数（整数）
-
-2. **不足データの計算**
-   - 勝利数が不明な場合: wins = Math.round(totalMatches × winRate / 100)
-   - 勝率が不明な場合: winRate = (wins / totalMatches) × 100
-   
-3. **データの妥当性チェック**
-   - totalMatches >= wins であることを確認
-   - winRate は 0 から 100 の範囲内
-   - 小数点以下は2桁まで
-
-═══════════════════════════════════════════════════════
-📋 ステップ4: JSON出力形式
-═══════════════════════════════════════════════════════
-
-以下の形式で、抽出したすべてのデータを出力してください：
 
-{
-  "dataType": "player_characters" または "opponent_characters",
-  "matches": [
-    {
-      "character": "LUKE",
-      "totalMatches": 23,
-      "winRate": 60.87,
-      "wins": 14
-    }
-  ]
-}
-
-**dataTypeの値:**
-- "player_characters": 形式A（使用キャラクター別成績）の場合
-- "opponent_characters": 形式B（対戦相手別成績）の場合
+            const { mimeType, data: imageData } = await this.prepareImageForAnalysis(imageFile);
 
-═══════════════════════════════════════════════════════
-📋 出力例
-═══════════════════════════════════════════════════════
+            const analysisPrompt = `この画像はVALORANTの試合終了後のスコアボード画面のスクリーンショットです。
+画像から以下の情報を読み取り、JSONのみを出力してください。説明文は不要です。
 
-【形式A: 使用キャラクター別成績の出力例】
 {
-  "dataType": "player_characters",
-  "matches": [
-    {"character": "ALL", "totalMatches": 23, "winRate": 60.87, "wins": 14},
-    {"character": "LUKE", "totalMatches": 23, "winRate": 60.87, "wins": 14},
-    {"character": "JAMIE", "totalMatches": 0, "winRate": 0.00, "wins": 0},
-    {"character": "MANON", "totalMatches": 0, "winRate": 0.00, "wins": 0}
+  "map": "マップ名（英語表記、例: Ascent）",
+  "mode": "competitive | unrated | scrim | unknown",
+  "teamScore": 自チーム（スクリーンショットを撮ったプレイヤーのチーム）の取得ラウンド数,
+  "enemyScore": 相手チームの取得ラウンド数,
+  "players": [
+    {
+      "name": "プレイヤー名（#タグは除く）",
+      "team": "ally | enemy",
+      "agent": "エージェント名（英語表記、例: Jett）",
+      "kills": キル数,
+      "deaths": デス数,
+      "assists": アシスト数,
+      "acs": 平均戦闘スコア（ACS）,
+      "econ": エコノミーレーティング（ECON）,
+      "isSelf": スクリーンショットを撮ったプレイヤー本人（行がハイライトされている）ならtrue
+    }
   ]
 }
 
-【形式B: 対戦相手別成績の出力例】
-{
-  "dataType": "opponent_characters",
-  "matches": [
-    {"character": "KIMBERLY", "totalMatches": 33, "winRate": 54.55, "wins": 18},
-    {"character": "ZANGIEF", "totalMatches": 33, "winRate": 69.70, "wins": 23},
-    {"character": "LILY", "totalMatches": 25, "winRate": 76.00, "wins": 19},
-    {"character": "GUILE", "totalMatches": 25, "winRate": 52.00, "wins": 13},
-    {"character": "JP", "totalMatches": 23, "winRate": 47.83, "wins": 11}
-  ]
-}
+注意事項:
+- スコアボードに表示されている全プレイヤー（通常10人）を上から順に出力
+- 味方チームは緑/水色、相手チームは赤で表示されていることが多い
+- 「VICTORY」「DEFEAT」などの表示とラウンド数から自チームと相手チームを判断
+- 読み取れない数値は0、読み取れない文字列は空文字にする（推測で埋めない）`;
 
-═══════════════════════════════════════════════════════
-⚠️ 重要な注意事項
-═══════════════════════════════════════════════════════
-1. **出力形式**: JSON形式のみ。説明文や追加コメント不要
-2. **キャラクター名**: 画像に表示されている通りの大文字英語をそのまま使用（例: LUKE, KIMBERLY, ZANGIEF）
-3. **数値精度**: 画像から読み取った数値を正確に抽出・計算
-4. **完全性**: 試合数0のキャラクターも含める
-5. **ALL扱い**: 「ALL」は形式Aでのみ出現（総合成績）
-6. **不明瞭な場合**: 画像が不鮮明でも推測せず、読み取れる範囲で正確に抽出
-
-それでは、画像を分析して上記の手順に従ってJSON出力を生成してください。`;
-
-            const requestBody = {
-                contents: [{
-                    parts: [
-                        { text: analysisPrompt },
-                        {
-                            inline_data: {
-                                mime_type: mimeType,
-                                data: imageData
-                            }
+            const messages = [{
+                role: 'user',
+                parts: [
+                    { text: analysisPrompt },
+                    {
+                        inline_data: {
+                            mime_type: mimeType,
+                            data: imageData
                         }
-                    ]
-                }],
-                generationConfig: {
-                    temperature: 0.1, // 低い温度で正確性を優先
-                    maxOutputTokens: 2048,
-                    topP: 0.8,
-                    topK: 10
-                }
-            };
+                    }
+                ]
+            }];
 
-            const url = `${this.baseUrl}/models/${this.chatModel}:generateContent?key=${this.apiKey}`;
-            const response = await this.makeAPIRequest(url, requestBody);
-            const data = await response.json();
+            const data = await this.makeAPIRequest(messages, {
+                temperature: 0.1, // 低い温度で正確性を優先
+                maxOutputTokens: 8192,
+                topP: 0.8,
+                topK: 10,
+                responseMimeType: 'application/json'
+            }, { priority: 'user' });
 
             if (!data.candidates || data.candidates.length === 0) {
                 throw new Error('画像分析の応答が得られませんでした');
             }
 
             const candidate = data.candidates[0];
-            
+
             if (candidate.finishReason === 'SAFETY') {
                 throw new Error('画像の内容が安全性フィルタによりブロックされました');
             }
 
             const aiResponse = candidate.content?.parts?.[0]?.text || '';
-            
+
             if (!aiResponse) {
                 throw new Error('画像分析の応答が空です');
             }
 
-            console.log('🔍 AI応答:', aiResponse);
-
             // JSONを抽出
             const jsonMatch = aiResponse.match(/\{[\s\S]*\}/);
             if (!jsonMatch) {
                 throw new Error('JSONデータを抽出できませんでした: ' + aiResponse.substring(0, 200));
             }
 
-            const parsedData = JSON.parse(jsonMatch[0]);
-            
-            // データ検証
-            if (!parsedData.matches || !Array.isArray(parsedData.matches)) {
-                throw new Error('不正なデータ形式です');
-            }
-
-            // dataTypeの検証（オプショナル）
-            const dataType = parsedData.dataType || 'unknown';
-            const validDataTypes = ['player_characters', 'opponent_characters'];
-            if (!validDataTypes.includes(dataType)) {
-                console.warn('⚠️ 不明なdataType:', dataType, '- デフォルト値を使用します');
+            const scoreboard = this.normalizeScoreboard(JSON.parse(jsonMatch[0]));
+            if (scoreboard.players.length === 0) {
+                throw new Error('スコアボードのプレイヤーを読み取れませんでした');
             }
 
-            // 各マッチデータの検証と補完
-            const validatedMatches = parsedData.matches.map(match => {
-                // 勝利数が未設定の場合は計算
-                if (match.wins === undefined && match.totalMatches && match.winRate !== undefined) {
-                    match.wins = Math.round(match.totalMatches * match.winRate / 100);
-                }
-                
-                // 勝率が未設定の場合は計算
-                if (match.winRate === undefined && match.wins !== undefined && match.totalMatches) {
-                    match.winRate = (match.wins / match.totalMatches) * 100;
-                }
-                
-                return {
-                    character: match.character || 'Unknown',
-                    totalMatches: parseInt(match.totalMatches) || 0,
-                    winRate: parseFloat(match.winRate) || 0,
-                    wins: parseInt(match.wins) || 0
-                };
-            });
-
-            console.log('✅ 画像分析完了:', {
-                dataType: dataType,
-                matchCount: validatedMatches.length,
-                matches: validatedMatches
-            });
+            console.log('✅ 画像分析完了:', scoreboard);
 
             return {
-                dataType: dataType,
-                matches: validatedMatches,
+                ...scoreboard,
                 rawResponse: aiResponse,
                 usage: data.usageMetadata || {}
             };
@@ -1181,7 +1033,67 @@ ${searchQueries.map(query => `- ${query}`).join('\n')}
             console.error('❌ 画像分析エラー:', error);
             throw new Error('画像の分析に失敗しました: ' + error.message);
         }
-        */
+    }
+
+    // AIの応答を検証して整形（数値は0以上の整数、本人は1人まで）
+    normalizeScoreboard(parsed) {
+        const toCount = (value) => {
+            const number = parseInt(String(value ?? '').replace(/[^\d-]/g, ''), 10);
+            return isNaN(number) || number < 0 ? 0 : number;
+        };
+        const toText = (value) => String(value ?? '').trim();
+
+        const players = (Array.isArray(parsed.players) ? parsed.players : [])
+            .filter(player => player && typeof player === 'object')
+            .map(player => ({
+                name: toText(player.name).replace(/#.*$/, '').trim(),
+                team: player.team === 'enemy' ? 'enemy' : 'ally',
+                agent: toText(player.agent),
+                kills: toCount(player.kills),
+                deaths: toCount(player.deaths),
+                assists: toCount(player.assists),
+                acs: toCount(player.acs),
+                econ: toCount(player.econ),
+                isSelf: player.isSelf === true
+            }));
+
+        // 本人が判定できない、または複数の場合は味方の先頭を本人とする
+        const selfIndex = players.findIndex(p => p.isSelf);
+        players.forEach((player, index) => { player.isSelf = index === selfIndex; });
+        if (selfIndex === -1) {
+            const firstAlly = players.find(p => p.team === 'ally');
+            if (firstAlly) firstAlly.isSelf = true;
+        }
+
+        return {
+            map: toText(parsed.map),
+            mode: ['competitive', 'unrated', 'scrim'].includes(parsed.mode) ? parsed.mode : null,
+            teamScore: toCount(parsed.teamScore),
+            enemyScore: toCount(parsed.enemyScore),
+            players
+        };
+    }
+
+    // 分析用に画像を準備（サーバーレス関数のリクエスト上限を超えないよう大きな画像は縮小してJPEGに変換）
+    async prepareImageForAnalysis(file) {
+        const MAX_BYTES = 2 * 1024 * 1024;
+        const MAX_WIDTH = 1920;
+
+        if (file.size <= MAX_BYTES) {
+            const base64Image = await this.fileToBase64(file);
+            return { mimeType: file.type || 'image/png', data: base64Image.split(',')[1] };
+        }
+
+        const bitmap = await createImageBitmap(file);
+        const scale = Math.min(1, MAX_WIDTH / bitmap.width);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(bitmap.width * scale);
+        canvas.height = Math.round(bitmap.height * scale);
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        bitmap.close();
+
+        const dataUrl = canvas.toDataURL('image/jpeg', 0.9);
+        return { mimeType: 'image/jpeg', data: dataUrl.split(',')[1] };
     }
 
     // ファイルをBase64に変換
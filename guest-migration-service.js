@@ -0,0 +1,53 @@
+// guest-migration-service.js - ゲスト（または別のアカウント）で作成したデータのアカウントへの移行
+//
+// アップロードはCloudSyncServiceが行う。移行を確認したレコードを同期の送信待ちキューに積むため、
+// 中断しても次の同期で続きから送信され、レコードIDでアカウント側と統合されるため重複しない。
+class GuestMigrationService {
+    constructor() {
+        // 移行の確認で表示する項目（keyはCloudSyncService.COLLECTIONSのキー）
+        this.CATEGORIES = {
+            matches: { label: '試合データ' },
+            goals: { label: '目標' },
+            coaching_plans: { label: 'コーチングプラン' },
+            strategy_guides: {
+                label: '攻略ガイド',
+                // 初期登録のデフォルト攻略は除外
+                filter: (guide) => !guide.isDefault
+            }
+        };
+    }
+
+    // このアカウントと同期していないローカルのデータを集計
+    detectGuestData(userId) {
+        const records = window.cloudSyncService?.getUnclaimedRecords(userId) || {};
+
+        return Object.entries(this.CATEGORIES).map(([key, category]) => {
+            const items = records[key] || [];
+            return {
+                key,
+                label: category.label,
+                count: (category.filter ? items.filter(category.filter) : items).length
+            };
+        });
+    }
+
+    // 移行の確認が必要か
+    needsMigration(userId) {
+        return this.detectGuestData(userId).some(item => item.count > 0);
+    }
+
+    // 移行を実行（同期の送信待ちに積んだ件数を返す。送信は開始したクラウド同期が行う）
+    migrate(authService) {
+        const userId = authService.currentUser?.id;
+        if (!userId || authService.isGuestUser() || !window.cloudSyncService) {
+            throw new Error('ログインしていません');
+        }
+
+        const count = window.cloudSyncService.claimLocalRecords(userId);
+        console.log(`GuestMigrationService: Queued ${count} record(s) for upload`);
+        return count;
+    }
+}
+
+// グローバルインスタンス
+window.guestMigrationService = new GuestMigrationService();
@@ -0,0 +1,190 @@
+// henrik-match-importer.js - HenrikDev APIの試合JSON（v3）のオフライン取り込み
+//
+// APIの応答をそのまま保存したJSONファイル、またはそれらをまとめたZIPを読み込み、
+// ValorantAPIServiceと同じ変換・集計（convertMatchToGalleryFormat / calculateStats）で取り込む。
+// APIキーやネットワーク接続は不要。
+class HenrikMatchImporter {
+    constructor() {
+        this.apiService = window.valorantAPIService;
+    }
+
+    // ファイル（.json / .zip）を読み込んで試合を抽出（同じ試合は1件にまとめる）
+    async readFiles(files) {
+        const matches = new Map();
+        const errors = [];
+
+        const addFromText = (name, text) => {
+            let json;
+            try {
+                json = JSON.parse(text.replace(/^\uFEFF/, ''));
+            } catch (error) {
+                errors.push({ file: name, error: 'JSONとして読み込めません' });
+                return;
+            }
+
+            const found = this.extractMatches(json);
+            if (found.length === 0) {
+                errors.push({ file: name, error: '試合データ（v3形式）が含まれていません' });
+                return;
+            }
+            found.forEach(match => matches.set(match.metadata.matchid, match));
+        };
+
+        for (const file of files) {
+            try {
+                if (/\.zip$/i.test(file.name)) {
+                    const entries = await this.readZip(file);
+                    if (entries.length === 0) {
+                        errors.push({ file: file.name, error: 'ZIP内にJSONファイルがありません' });
+                    }
+                    entries.forEach(entry => addFromText(`${file.name}/${entry.name}`, entry.text));
+                } else {
+                    addFromText(file.name, await file.text());
+                }
+            } catch (error) {
+                console.error('HenrikMatchImporter: Failed to read file:', file.name, error);
+                errors.push({ file: file.name, error: error.message });
+            }
+        }
+
+        return { matches: Array.from(matches.values()), errors };
+    }
+
+    // ZIP内のJSONファイルを読み込み（フォルダ構成は問わない）
+    // 外部ライブラリを使わず、中央ディレクトリを読んでDecompressionStreamで展開する（ZIP64は非対応）
+    async readZip(file) {
+        const buffer = await file.arrayBuffer();
+        const view = new DataView(buffer);
+
+        // 中央ディレクトリの終端レコードを末尾から探す（後ろにコメントがある場合を考慮）
+        let end = -1;
+        for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xffff); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                end = i;
+                break;
+            }
+        }
+        if (end === -1) {
+            throw new Error('ZIPファイルとして読み込めません');
+        }
+
+        const count = view.getUint16(end + 10, true);
+        let offset = view.getUint32(end + 16, true);
+        const decoder = new TextDecoder();
+        const entries = [];
+
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(offset, true) !== 0x02014b50) {
+                throw new Error('ZIPファイルが壊れています');
+            }
+
+            const nameLength = view.getUint16(offset + 28, true);
+            const entry = {
+                name: decoder.decode(new Uint8Array(buffer, offset + 46, nameLength)),
+                method: view.getUint16(offset + 10, true),
+                compressedSize: view.getUint32(offset + 20, true),
+                localOffset: view.getUint32(offset + 42, true)
+            };
+            offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+
+            if (!entry.name.endsWith('/') && /\.json$/i.test(entry.name) && !entry.name.startsWith('__MACOSX/')) {
+                entries.push(entry);
+            }
+        }
+
+        return Promise.all(entries.map(async entry => ({
+            name: entry.name,
+            text: await this.readZipEntry(buffer, entry)
+        })));
+    }
+
+    // ZIPの1ファイルを文字列として展開（無圧縮とDeflateに対応）
+    async readZipEntry(buffer, entry) {
+        const view = new DataView(buffer);
+        const start = entry.localOffset + 30 + view.getUint16(entry.localOffset + 26, true) + view.getUint16(entry.localOffset + 28, true);
+        const data = new Uint8Array(buffer, start, entry.compressedSize);
+
+        if (entry.method === 0) {
+            return new TextDecoder().decode(data);
+        }
+        if (entry.method !== 8 || typeof DecompressionStream === 'undefined') {
+            throw new Error(`${entry.name}: 対応していない圧縮形式です`);
+        }
+
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Response(stream).text();
+    }
+
+    // v3の試合データか（metadata.matchidとplayers.all_playersがある）
+    isMatch(value) {
+        return !!value && typeof value === 'object'
+            && !!value.metadata?.matchid
+            && Array.isArray(value.players?.all_players);
+    }
+
+    // APIの応答（{ status, data }）・試合の配列・単体の試合から試合を取り出す
+    extractMatches(json) {
+        if (Array.isArray(json)) {
+            return json.flatMap(item => this.extractMatches(item));
+        }
+        if (this.isMatch(json)) {
+            return [json];
+        }
+        if (json && typeof json === 'object' && json.data !== undefined) {
+            return this.extractMatches(json.data);
+        }
+        return [];
+    }
+
+    // 試合に登場するプレイヤー（登場回数の多い順）
+    getPlayers(matches) {
+        const players = new Map();
+        matches.forEach(match => {
+            match.players.all_players.forEach(player => {
+                if (!player.puuid) return;
+                const entry = players.get(player.puuid) || {
+                    puuid: player.puuid,
+                    name: player.name,
+                    tag: player.tag,
+                    region: match.metadata.region,
+                    count: 0
+                };
+                entry.count++;
+                players.set(player.puuid, entry);
+            });
+        });
+
+        return Array.from(players.values()).sort((a, b) => b.count - a.count);
+    }
+
+    // 取り込み対象のプレイヤーを推測（登録済みのRiotアカウント → 全試合に登場するプレイヤーの順）
+    guessPlayer(players) {
+        const service = window.riotAccountService;
+        if (service) {
+            const accountIds = [service.getActiveAccount(), service.getMainAccount(), ...service.getAccounts()]
+                .filter(Boolean)
+                .map(account => account.id);
+            for (const accountId of accountIds) {
+                const player = players.find(p => service.getAccountId(p.name, p.tag) === accountId);
+                if (player) return player;
+            }
+        }
+        return players[0] || null;
+    }
+
+    // 指定プレイヤーの視点で変換し、集計結果と合わせて返す
+    convert(matches, player, accountId = null) {
+        const converted = matches
+            .map(match => this.apiService.convertMatchToGalleryFormat(match, player.puuid))
+            .filter(Boolean)
+            .map(match => ({ ...match, accountId, source: 'henrik_file' }));
+
+        return {
+            matches: converted,
+            stats: this.apiService.calculateStats(matches, player.puuid)
+        };
+    }
+}
+
+// グローバルインスタンス
+window.henrikMatchImporter = new HenrikMatchImporter();
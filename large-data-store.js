@@ -0,0 +1,347 @@
+// large-data-store.js - 大容量データ用のIndexedDBストア（localStorage互換API）
+//
+// 試合データ・データソース・攻略ガイド・画像キャッシュ・ゴミ箱はlocalStorageの容量を圧迫するため、
+// IndexedDBに保存する。起動時に全件をメモリへ読み込み、getItem/setItemは同期的に応答し、
+// 書き込みはバックグラウンドでIndexedDBへ反映する。対象外のキーはlocalStorageへ委譲する。
+class LargeDataStore {
+    constructor() {
+        this.DB_NAME = 'ebridge';
+        this.DB_VERSION = 1;
+        this.STORE_NAME = 'kv';
+        this.MIGRATED_FLAG_KEY = 'ebridge_idb_migrated';
+
+        // IndexedDBで管理するキー
+        this.MANAGED_KEYS = [
+            'valorant_gallery', 'valorant_strategy_guides', 'gemini_image_cache', 'ebridge_trash', 'valorant_rank_history',
+            'valorant_map_minimaps'
+        ];
+        this.MANAGED_PREFIXES = ['datasource-', 'ebridge_migration_backup_v'];
+
+        // IndexedDBへの書き込み完了イベント（他タブへの通知に使用）
+        this.PERSIST_EVENT = 'largeDataPersisted';
+
+        this.db = null;
+        this.backend = 'pending'; // 'indexeddb' | 'localStorage'
+        this.memory = new Map();
+        this.writtenBeforeReady = new Set();
+        this.pendingWrites = new Set();
+
+        this.readyPromise = this.init();
+    }
+
+    // 初期化（IndexedDBを開いてメモリへ読み込み、初回はlocalStorageから移行）
+    async init() {
+        try {
+            if (typeof indexedDB === 'undefined') {
+                throw new Error('IndexedDB is not supported');
+            }
+
+            this.db = await this.openDatabase();
+            await this.hydrate();
+            this.backend = 'indexeddb';
+
+            if (!localStorage.getItem(this.MIGRATED_FLAG_KEY)) {
+                await this.migrateFromLocalStorage();
+            }
+
+            console.log(`LargeDataStore initialized (IndexedDB, ${this.memory.size} keys)`);
+        } catch (error) {
+            console.warn('LargeDataStore: IndexedDB unavailable, falling back to localStorage:', error);
+            this.db = null;
+            this.backend = 'localStorage';
+
+            // 準備前に書き込まれた値はlocalStorageへ反映
+            this.writtenBeforeReady.forEach(key => {
+                const value = this.memory.get(key);
+                try {
+                    if (value === undefined) {
+                        localStorage.removeItem(key);
+                    } else {
+                        localStorage.setItem(key, value);
+                    }
+                } catch (e) {
+                    console.error(`LargeDataStore: Failed to write ${key}:`, e);
+                }
+            });
+            this.memory.clear();
+        }
+
+        this.writtenBeforeReady.clear();
+        return this;
+    }
+
+    // 初期化完了を待つ
+    whenReady() {
+        return this.readyPromise;
+    }
+
+    // データベースを開く
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.STORE_NAME)) {
+                    db.createObjectStore(this.STORE_NAME);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB open blocked'));
+        });
+    }
+
+    // 全件をメモリへ読み込み
+    hydrate() {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(this.STORE_NAME, 'readonly');
+            const store = tx.objectStore(this.STORE_NAME);
+            const request = store.openCursor();
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve();
+                    return;
+                }
+                // 準備前に書き込まれたキーはそちらを優先
+                if (!this.writtenBeforeReady.has(cursor.key)) {
+                    this.memory.set(cursor.key, cursor.value);
+                }
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // localStorageの既存データをIndexedDBへ移行
+    async migrateFromLocalStorage() {
+        const keys = Object.keys(localStorage).filter(key => this.isManagedKey(key));
+        let migrated = 0;
+        let failed = 0;
+
+        for (const key of keys) {
+            const value = localStorage.getItem(key);
+            if (value === null) continue;
+
+            if (!this.memory.has(key)) {
+                this.memory.set(key, value);
+                // IndexedDBへの保存に失敗した場合はlocalStorageの元データを残し、次回の起動時に再試行する
+                if (!await this.persist(key, value)) {
+                    failed++;
+                    continue;
+                }
+            }
+            localStorage.removeItem(key);
+            migrated++;
+        }
+
+        if (failed > 0) {
+            console.warn(`LargeDataStore: Failed to migrate ${failed} keys, will retry on next load`);
+            return;
+        }
+
+        localStorage.setItem(this.MIGRATED_FLAG_KEY, new Date().toISOString());
+        console.log(`LargeDataStore: Migrated ${migrated} keys from localStorage`);
+    }
+
+    // IndexedDBで管理するキーかどうか
+    isManagedKey(key) {
+        return this.MANAGED_KEYS.includes(key) ||
+            this.MANAGED_PREFIXES.some(prefix => key.startsWith(prefix));
+    }
+
+    // IndexedDBに保存されているか（フォールバック時はfalse）
+    usesMemory(key) {
+        return this.isManagedKey(key) && this.backend !== 'localStorage';
+    }
+
+    // 値を取得
+    getItem(key) {
+        if (!this.usesMemory(key)) {
+            return localStorage.getItem(key);
+        }
+        return this.memory.has(key) ? this.memory.get(key) : null;
+    }
+
+    // 値を保存（保存できたかをPromise<boolean>で返す。結果を確認しない呼び出し元は同期的に使ってよい）
+    setItem(key, value) {
+        const stringValue = String(value);
+
+        if (!this.usesMemory(key)) {
+            localStorage.setItem(key, stringValue);
+            return Promise.resolve(true);
+        }
+
+        this.memory.set(key, stringValue);
+        if (this.backend === 'pending') {
+            this.writtenBeforeReady.add(key);
+            return this.readyPromise.then(() =>
+                this.backend === 'indexeddb' ? this.persist(key, this.memory.get(key)) : true
+            );
+        }
+        return this.persist(key, stringValue);
+    }
+
+    // 値を削除
+    removeItem(key) {
+        if (!this.usesMemory(key)) {
+            localStorage.removeItem(key);
+            return;
+        }
+
+        this.memory.delete(key);
+        if (this.backend === 'pending') {
+            this.writtenBeforeReady.add(key);
+            this.readyPromise.then(() => {
+                if (this.backend === 'indexeddb' && !this.memory.has(key)) this.persist(key, undefined);
+            });
+            return;
+        }
+        this.persist(key, undefined);
+    }
+
+    // キー一覧を取得（プレフィックス指定可）
+    keys(prefix = '') {
+        const keys = new Set(Object.keys(localStorage));
+        this.memory.forEach((_, key) => keys.add(key));
+        return Array.from(keys).filter(key => key.startsWith(prefix));
+    }
+
+    // IndexedDBへ書き込み（valueがundefinedなら削除）
+    persist(key, value) {
+        if (!this.db) return Promise.resolve();
+
+        const write = new Promise((resolve) => {
+            try {
+                const tx = this.db.transaction(this.STORE_NAME, 'readwrite');
+                const store = tx.objectStore(this.STORE_NAME);
+                if (value === undefined) {
+                    store.delete(key);
+                } else {
+                    store.put(value, key);
+                }
+                tx.oncomplete = () => {
+                    window.dispatchEvent(new CustomEvent(this.PERSIST_EVENT, {
+                        detail: { key, deleted: value === undefined }
+                    }));
+                    resolve(true);
+                };
+                tx.onerror = () => {
+                    console.error(`LargeDataStore: Failed to persist ${key}:`, tx.error);
+                    resolve(false);
+                };
+                tx.onabort = () => {
+                    console.error(`LargeDataStore: Persist aborted for ${key}:`, tx.error);
+                    resolve(false);
+                };
+            } catch (error) {
+                console.error(`LargeDataStore: Failed to persist ${key}:`, error);
+                resolve(false);
+            }
+        });
+
+        this.pendingWrites.add(write);
+        write.then(() => this.pendingWrites.delete(write));
+        return write;
+    }
+
+    // 他タブで更新されたキーをIndexedDBから読み直す
+    async reloadKey(key) {
+        await this.readyPromise;
+        if (!this.db || !this.isManagedKey(key)) return;
+
+        const value = await new Promise((resolve) => {
+            try {
+                const tx = this.db.transaction(this.STORE_NAME, 'readonly');
+                const request = tx.objectStore(this.STORE_NAME).get(key);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.error(`LargeDataStore: Failed to reload ${key}:`, request.error);
+                    resolve(this.memory.get(key));
+                };
+            } catch (error) {
+                console.error(`LargeDataStore: Failed to reload ${key}:`, error);
+                resolve(this.memory.get(key));
+            }
+        });
+
+        if (value === undefined) {
+            this.memory.delete(key);
+        } else {
+            this.memory.set(key, value);
+        }
+    }
+
+    // IndexedDBの全データを削除
+    async clear() {
+        await this.readyPromise;
+        this.memory.clear();
+
+        if (!this.db) return;
+
+        await new Promise((resolve) => {
+            const tx = this.db.transaction(this.STORE_NAME, 'readwrite');
+            tx.objectStore(this.STORE_NAME).clear();
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => {
+                console.error('LargeDataStore: Failed to clear store:', tx.error);
+                resolve();
+            };
+        });
+    }
+
+    // 保留中の書き込みが全て完了するまで待つ
+    async flush() {
+        await this.readyPromise;
+        await Promise.all(Array.from(this.pendingWrites));
+    }
+
+    // 容量の使用状況を取得
+    async getQuotaUsage() {
+        await this.readyPromise;
+
+        // キーグループ別の概算サイズ（UTF-16換算）
+        const groups = {
+            matches: ['valorant_gallery'],
+            strategyGuides: ['valorant_strategy_guides'],
+            imageCache: ['gemini_image_cache'],
+            dataSources: this.keys('datasource-')
+        };
+
+        const breakdown = {};
+        Object.entries(groups).forEach(([group, keys]) => {
+            breakdown[group] = keys.reduce((sum, key) => sum + ((this.getItem(key) || '').length * 2), 0);
+        });
+
+        let localStorageBytes = 0;
+        Object.keys(localStorage).forEach(key => {
+            localStorageBytes += (key.length + (localStorage.getItem(key) || '').length) * 2;
+        });
+
+        let usage = null;
+        let quota = null;
+        if (navigator.storage && typeof navigator.storage.estimate === 'function') {
+            try {
+                const estimate = await navigator.storage.estimate();
+                usage = estimate.usage ?? null;
+                quota = estimate.quota ?? null;
+            } catch (error) {
+                console.warn('LargeDataStore: Failed to estimate storage:', error);
+            }
+        }
+
+        return {
+            backend: this.backend,
+            usage,
+            quota,
+            percentUsed: usage !== null && quota ? +((usage / quota) * 100).toFixed(2) : null,
+            localStorageBytes,
+            breakdown
+        };
+    }
+}
+
+// グローバルインスタンス
+window.largeDataStore = new LargeDataStore();
@@ -0,0 +1,189 @@
+// map-heatmap-service.js - キル・デスした位置のヒートマップ
+//
+// 取り込んだ試合のキル/デスの位置（ゲーム内座標）を、data/map-calibration.json の変換係数で
+// ミニマップ上の位置（0〜1）に変換して描画する。係数のないマップ（カスタムマップなど）は点の範囲に合わせて表示する。
+class MapHeatmapService {
+    constructor() {
+        this.CALIBRATION_URL = 'data/map-calibration.json';
+
+        // マップ名 → ミニマップ画像（dataURL）。画像は大きいためIndexedDBに保存
+        this.MINIMAP_STORAGE_KEY = 'valorant_map_minimaps';
+        this.storage = window.largeDataStore;
+
+        // 種類ごとの色（RGB）
+        this.COLORS = {
+            kill: [74, 222, 128],
+            death: [248, 113, 113]
+        };
+
+        // マップ名 → 変換係数（読み込み前はnull）
+        this.calibration = null;
+        this.calibrationPromise = null;
+    }
+
+    // 変換係数を読み込み（読み込めない場合は係数なしで表示）
+    async loadCalibration() {
+        if (this.calibration) return this.calibration;
+
+        if (!this.calibrationPromise) {
+            this.calibrationPromise = fetch(this.CALIBRATION_URL)
+                .then(response => response.ok ? response.json() : { maps: {} })
+                .then(data => {
+                    this.calibration = data.maps || {};
+                    return this.calibration;
+                })
+                .catch(error => {
+                    console.warn('MapHeatmapService: Failed to load calibration:', error);
+                    this.calibration = {};
+                    return this.calibration;
+                })
+                .finally(() => {
+                    this.calibrationPromise = null;
+                });
+        }
+        return this.calibrationPromise;
+    }
+
+    // マップの変換係数（マップ設定の係数を優先）
+    getCalibration(mapName, mapSetting = null) {
+        return mapSetting?.calibration || this.calibration?.[mapName] || null;
+    }
+
+    // 保存済みのミニマップ画像
+    getMinimaps() {
+        try {
+            return JSON.parse(this.storage.getItem(this.MINIMAP_STORAGE_KEY)) || {};
+        } catch (error) {
+            console.error('MapHeatmapService: Failed to load minimaps:', error);
+            return {};
+        }
+    }
+
+    getMinimap(mapName) {
+        return this.getMinimaps()[mapName] || null;
+    }
+
+    // ミニマップ画像を保存（保存できたかを返す）
+    async saveMinimap(mapName, dataUrl) {
+        const minimaps = { ...this.getMinimaps(), [mapName]: dataUrl };
+        try {
+            return await this.storage.setItem(this.MINIMAP_STORAGE_KEY, JSON.stringify(minimaps)) !== false;
+        } catch (error) {
+            console.error('MapHeatmapService: Failed to save minimap:', error);
+            return false;
+        }
+    }
+
+    // 位置の記録がある試合
+    getLocationMatches(matches) {
+        return matches.filter(match => Array.isArray(match.locations) && match.locations.length > 0);
+    }
+
+    // 絞り込んだ位置（side: attack/defense、type: kill/death、未指定はすべて）
+    getPoints(matches, { map = null, side = null, agent = null, type = null } = {}) {
+        return this.getLocationMatches(matches)
+            .filter(match => !map || match.map === map)
+            .filter(match => !agent || (match.agent || match.character) === agent)
+            .flatMap(match => match.locations)
+            .filter(point => !side || point.side === side)
+            .filter(point => !type || point.type === type);
+    }
+
+    // ミニマップ上の位置（0〜1）に変換（係数がなければ点の範囲に合わせる）
+    projectPoints(points, calibration) {
+        if (calibration) {
+            return points
+                .map(point => ({
+                    ...point,
+                    u: point.y * calibration.xMultiplier + calibration.xScalarToAdd,
+                    v: point.x * calibration.yMultiplier + calibration.yScalarToAdd
+                }))
+                .filter(point => point.u >= 0 && point.u <= 1 && point.v >= 0 && point.v <= 1);
+        }
+
+        if (points.length === 0) return [];
+        const xs = points.map(point => point.x);
+        const ys = points.map(point => point.y);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+        const span = Math.max(Math.max(...xs) - minX, Math.max(...ys) - minY) || 1;
+        const margin = 0.05;
+
+        return points.map(point => ({
+            ...point,
+            u: margin + (1 - margin * 2) * (point.y - minY) / span,
+            v: margin + (1 - margin * 2) * (point.x - minX) / span
+        }));
+    }
+
+    // ヒートマップを描画（backgroundはミニマップ画像、なければグリッド）
+    draw(canvas, projected, { background = null } = {}) {
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+
+        ctx.clearRect(0, 0, width, height);
+        if (background) {
+            ctx.drawImage(background, 0, 0, width, height);
+        } else {
+            this.drawGrid(ctx, width, height);
+        }
+
+        ['death', 'kill'].forEach(type => {
+            const points = projected.filter(point => point.type === type);
+            if (points.length > 0) {
+                this.drawLayer(ctx, points, this.COLORS[type]);
+            }
+        });
+    }
+
+    // 背景のグリッド
+    drawGrid(ctx, width, height) {
+        ctx.fillStyle = 'rgba(15, 23, 42, 0.9)';
+        ctx.fillRect(0, 0, width, height);
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+        for (let i = 1; i < 10; i++) {
+            ctx.beginPath();
+            ctx.moveTo((width / 10) * i, 0);
+            ctx.lineTo((width / 10) * i, height);
+            ctx.moveTo(0, (height / 10) * i);
+            ctx.lineTo(width, (height / 10) * i);
+            ctx.stroke();
+        }
+    }
+
+    // 種類ごとのレイヤー（点を重ねた濃さを1色で塗る）
+    drawLayer(ctx, points, [red, green, blue]) {
+        const { width, height } = ctx.canvas;
+        const radius = Math.max(width, height) * 0.04;
+
+        const layer = document.createElement('canvas');
+        layer.width = width;
+        layer.height = height;
+        const layerCtx = layer.getContext('2d');
+
+        points.forEach(point => {
+            const x = point.u * width;
+            const y = point.v * height;
+            const gradient = layerCtx.createRadialGradient(x, y, 0, x, y, radius);
+            gradient.addColorStop(0, 'rgba(0, 0, 0, 0.35)');
+            gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+            layerCtx.fillStyle = gradient;
+            layerCtx.fillRect(x - radius, y - radius, radius * 2, radius * 2);
+        });
+
+        const image = layerCtx.getImageData(0, 0, width, height);
+        for (let i = 0; i < image.data.length; i += 4) {
+            const alpha = image.data[i + 3];
+            if (alpha === 0) continue;
+            image.data[i] = red;
+            image.data[i + 1] = green;
+            image.data[i + 2] = blue;
+            image.data[i + 3] = Math.min(230, alpha * 1.8);
+        }
+        layerCtx.putImageData(image, 0, 0);
+        ctx.drawImage(layer, 0, 0);
+    }
+}
+
+// グローバルインスタンス
+window.mapHeatmapService = new MapHeatmapService();
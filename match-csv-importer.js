@@ -0,0 +1,279 @@
+// match-csv-importer.js - スプレッドシート（CSV/TSV）からの試合データ一括取り込み
+//
+// 文字コード（UTF-8/UTF-16/Shift_JIS）と区切り文字を自動判定し、列と試合項目の対応付けから
+// クイック入力と同じ形式の値に変換する。スコア・K/D/Aの検証ルールは呼び出し側から渡す。
+class MatchCsvImporter {
+    constructor() {
+        this.DELIMITERS = [',', '\t', ';'];
+
+        // 取り込み項目（aliasesは見出しからの自動対応付けに使用、小文字・空白除去で比較）
+        this.FIELDS = {
+            date: { label: '日時', aliases: ['date', 'datetime', 'playedat', '日付', '日時', '試合日'] },
+            gameMode: { label: 'モード', aliases: ['mode', 'gamemode', 'queue', 'モード', 'ゲームモード'] },
+            map: { label: 'マップ', required: true, aliases: ['map', 'マップ'] },
+            agent: { label: 'エージェント', required: true, aliases: ['agent', 'character', 'エージェント', 'キャラ', 'キャラクター'] },
+            teamScore: { label: '自チームスコア', required: true, aliases: ['teamscore', 'myscore', 'ourscore', 'roundswon', '自チーム', '味方スコア', '自チームスコア', '取得ラウンド'] },
+            enemyScore: { label: '相手スコア', required: true, aliases: ['enemyscore', 'opponentscore', 'theirscore', 'roundslost', '相手', '相手スコア', '敵スコア', '失ラウンド'] },
+            kills: { label: 'キル', required: true, aliases: ['kills', 'kill', 'k', 'キル'] },
+            deaths: { label: 'デス', required: true, aliases: ['deaths', 'death', 'd', 'デス'] },
+            assists: { label: 'アシスト', required: true, aliases: ['assists', 'assist', 'a', 'アシスト'] },
+            acs: { label: 'ACS', aliases: ['acs', 'combatscore', 'averagecombatscore'] },
+            adr: { label: 'ADR', aliases: ['adr', 'damageperround'] },
+            hsPercent: { label: 'HS%', aliases: ['hs%', 'hs', 'hspercent', 'headshot', 'headshot%', 'ヘッドショット', 'hs率'] },
+            feelings: { label: '感想・メモ', aliases: ['feelings', 'memo', 'notes', 'note', 'comment', '感想', 'メモ', 'コメント'] },
+            tags: { label: 'タグ', aliases: ['tags', 'tag', 'タグ'] }
+        };
+
+        // モード表記の揺れ
+        this.GAME_MODES = {
+            competitive: ['competitive', 'ranked', 'comp', 'コンペ', 'コンペティティブ', 'ランク'],
+            unrated: ['unrated', 'normal', 'アンレート', 'アンレ'],
+            scrim: ['scrim', 'custom', 'スクリム', 'カスタム']
+        };
+    }
+
+    // ファイルを読み込んで解析
+    async load(file) {
+        const buffer = await file.arrayBuffer();
+        const { text, encoding } = this.decode(buffer);
+        const delimiter = this.detectDelimiter(text, file.name);
+        const records = this.parse(text, delimiter);
+
+        if (records.length < 2) {
+            throw new Error('見出し行とデータ行が必要です');
+        }
+
+        const [headers, ...rows] = records;
+        return { encoding, delimiter, headers: headers.map(h => h.trim()), rows };
+    }
+
+    // 文字コードを判定してデコード（BOM → UTF-8 → Shift_JISの順）
+    decode(buffer) {
+        const bytes = new Uint8Array(buffer);
+
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+            return { text: new TextDecoder('utf-16le').decode(bytes.subarray(2)), encoding: 'UTF-16LE' };
+        }
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+            return { text: new TextDecoder('utf-16be').decode(bytes.subarray(2)), encoding: 'UTF-16BE' };
+        }
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+            return { text: new TextDecoder('utf-8').decode(bytes.subarray(3)), encoding: 'UTF-8' };
+        }
+
+        try {
+            return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'UTF-8' };
+        } catch (error) {
+            // 日本語版Excelの「CSV（コンマ区切り）」はShift_JIS（CP932）
+            return { text: new TextDecoder('shift_jis').decode(bytes), encoding: 'Shift_JIS' };
+        }
+    }
+
+    // 区切り文字を判定（拡張子が.tsvならタブ、それ以外は先頭行で最も多く一貫して現れるもの）
+    detectDelimiter(text, filename = '') {
+        if (/\.tsv$/i.test(filename)) return '\t';
+
+        const lines = text.split(/\r?\n/).filter(line => line.trim()).slice(0, 10);
+        let best = ',';
+        let bestScore = 0;
+
+        this.DELIMITERS.forEach(delimiter => {
+            const counts = lines.map(line => this.parse(line, delimiter)[0]?.length || 0);
+            if (counts.length === 0 || counts[0] < 2) return;
+
+            // 全行で列数が揃っているほど高評価
+            const consistent = counts.filter(count => count === counts[0]).length / counts.length;
+            const score = counts[0] * consistent;
+            if (score > bestScore) {
+                best = delimiter;
+                bestScore = score;
+            }
+        });
+
+        return best;
+    }
+
+    // CSVを解析（ダブルクォート内の区切り文字・改行・""エスケープに対応、空行は除外）
+    parse(text, delimiter) {
+        const records = [];
+        let record = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || record.length > 0) {
+            record.push(field);
+            records.push(record);
+        }
+
+        return records.filter(r => r.some(value => value.trim() !== ''));
+    }
+
+    // 見出しの比較用に正規化
+    normalizeHeader(header) {
+        return String(header || '').toLowerCase().replace(/[\s_\-・/]/g, '');
+    }
+
+    // 見出しから列の対応を推測（{ 項目: 列番号 }）
+    guessMapping(headers) {
+        const normalized = headers.map(h => this.normalizeHeader(h));
+        const mapping = {};
+        const used = new Set();
+
+        Object.entries(this.FIELDS).forEach(([key, field]) => {
+            const index = normalized.findIndex((header, i) =>
+                !used.has(i) && field.aliases.some(alias => this.normalizeHeader(alias) === header)
+            );
+            if (index !== -1) {
+                mapping[key] = index;
+                used.add(index);
+            }
+        });
+
+        return mapping;
+    }
+
+    // モード表記を正規化（不明な場合は既定値）
+    parseGameMode(value, fallback) {
+        const normalized = this.normalizeHeader(value);
+        if (!normalized) return fallback;
+
+        const mode = Object.keys(this.GAME_MODES).find(key =>
+            this.GAME_MODES[key].some(alias => this.normalizeHeader(alias) === normalized)
+        );
+        return mode || fallback;
+    }
+
+    // 1行を試合の値に変換（検証エラーはerrorに設定）
+    convertRow(row, mapping, { defaultGameMode = 'competitive', validate = null } = {}) {
+        const cell = (key) => mapping[key] === undefined ? '' : String(row[mapping[key]] ?? '').trim();
+        const toNumber = (value) => value === '' ? 0 : parseFloat(value.replace(/[%,]/g, ''));
+
+        const values = {
+            map: cell('map'),
+            agent: cell('agent'),
+            teamScore: parseInt(cell('teamScore'), 10),
+            enemyScore: parseInt(cell('enemyScore'), 10),
+            kills: parseInt(cell('kills'), 10),
+            deaths: parseInt(cell('deaths'), 10),
+            assists: parseInt(cell('assists'), 10),
+            acs: Math.round(toNumber(cell('acs'))),
+            adr: Math.round(toNumber(cell('adr'))),
+            hsPercent: toNumber(cell('hsPercent')),
+            feelings: cell('feelings'),
+            insightTags: cell('tags').split(/[,、;|]/).map(tag => tag.trim()).filter(Boolean),
+            gameMode: this.parseGameMode(cell('gameMode'), defaultGameMode),
+            timestamp: new Date()
+        };
+
+        if (!values.map) {
+            return { values, error: 'マップが空です。' };
+        }
+        if (!values.agent) {
+            return { values, error: 'エージェントが空です。' };
+        }
+
+        const date = cell('date');
+        if (date) {
+            const parsed = new Date(date.replace(/年|月/g, '/').replace(/日/g, ''));
+            if (isNaN(parsed.getTime())) {
+                return { values, error: `日時「${date}」を読み取れません。` };
+            }
+            values.timestamp = parsed;
+        }
+
+        for (const key of ['acs', 'adr', 'hsPercent']) {
+            if (isNaN(values[key]) || values[key] < 0) {
+                return { values, error: `${this.FIELDS[key].label}は0以上の数値を入力してください。` };
+            }
+        }
+        if (values.hsPercent > 100) {
+            return { values, error: 'HS%は100以下で入力してください。' };
+        }
+
+        if (validate) {
+            const result = validate({
+                ...values,
+                isDraw: values.teamScore === values.enemyScore
+            });
+            if (!result.isValid) {
+                return { values, error: result.error };
+            }
+        }
+
+        return { values, error: null, dated: !!date };
+    }
+
+    // 全行を変換（lineはファイル上の行番号、見出しが1行目）
+    convertRows(rows, mapping, options = {}) {
+        return rows.map((row, index) => ({
+            line: index + 2,
+            ...this.convertRow(row, mapping, options)
+        }));
+    }
+
+    // 必須項目のうち列が割り当てられていないもの
+    getMissingFields(mapping) {
+        return Object.entries(this.FIELDS)
+            .filter(([key, field]) => field.required && mapping[key] === undefined)
+            .map(([, field]) => field.label);
+    }
+
+    // 同じデータを再度取り込んでも重複しないよう、試合の内容からIDを生成
+    // （行の追加・削除・並べ替えでIDが変わらないよう行番号は使わない。内容が同じ行は出現順で区別）
+    createRowIds(results) {
+        const occurrences = new Map();
+
+        return results.map(({ values, dated = true }) => {
+            const content = [
+                dated ? values.timestamp.toISOString() : '', values.map, values.agent, values.gameMode,
+                values.teamScore, values.enemyScore, values.kills, values.deaths, values.assists,
+                values.acs, values.adr, values.hsPercent
+            ].join('|');
+
+            const occurrence = occurrences.get(content) || 0;
+            occurrences.set(content, occurrence + 1);
+            return this.createRowId(occurrence > 0 ? `${content}|${occurrence}` : content);
+        });
+    }
+
+    // 文字列のハッシュからIDを生成（FNV-1a）
+    createRowId(source) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < source.length; i++) {
+            hash ^= source.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return `csv_${hash.toString(36)}`;
+    }
+}
+
+// グローバルインスタンス
+window.matchCsvImporter = new MatchCsvImporter();
@@ -0,0 +1,210 @@
+// match-dedup-service.js - 手動入力とAPI取得の重複試合の検出・統合
+class MatchDedupService {
+    constructor() {
+        this.repository = window.matchRepository;
+
+        // 手動入力は試合終了後に記録されるため、試合開始からの許容時間幅
+        this.TIME_WINDOW_BEFORE_MS = 30 * 60 * 1000;
+        this.TIME_WINDOW_AFTER_MS = 12 * 60 * 60 * 1000;
+
+        // K/D/Aの許容誤差（入力ミスを考慮）
+        this.KDA_TOLERANCE = 2;
+
+        // この値以上のスコアを重複候補とする
+        this.MIN_CONFIDENCE = 0.7;
+
+        // 統合時に手動入力側から引き継ぐユーザー入力
+        this.USER_FIELDS = ['feelings', 'insightTags', 'tags', 'memo', 'notes'];
+    }
+
+    // API・静的JSON由来の試合か
+    isImported(match) {
+        return !!(match && (match.importedFromAPI || match.matchId));
+    }
+
+    // 手動入力の試合か
+    isManual(match) {
+        return !!match && !this.isImported(match);
+    }
+
+    // 比較用に文字列を正規化
+    normalizeName(value) {
+        return String(value || '').trim().toLowerCase();
+    }
+
+    // スコアを取得（"13-11"形式またはteamScore/enemyScore）
+    getScore(match) {
+        if (typeof match.teamScore === 'number' && typeof match.enemyScore === 'number') {
+            return { team: match.teamScore, enemy: match.enemyScore };
+        }
+
+        const parts = String(match.score || match.rounds || '').split('-').map(n => parseInt(n, 10));
+        if (parts.length === 2 && parts.every(n => !isNaN(n))) {
+            return { team: parts[0], enemy: parts[1] };
+        }
+        return null;
+    }
+
+    // 2試合の一致度を計算（0〜1、必須条件を満たさない場合は0）
+    scorePair(manual, imported) {
+        const reasons = [];
+
+        // マップ・エージェントは必須
+        if (!manual.map || this.normalizeName(manual.map) !== this.normalizeName(imported.map)) {
+            return { confidence: 0, reasons };
+        }
+        const manualAgent = manual.agent || manual.character;
+        const importedAgent = imported.agent || imported.character;
+        if (!manualAgent || this.normalizeName(manualAgent) !== this.normalizeName(importedAgent)) {
+            return { confidence: 0, reasons };
+        }
+        reasons.push('マップ・エージェントが一致');
+
+        // 別のRiotアカウントの試合は対象外
+        if (manual.accountId && imported.accountId && manual.accountId !== imported.accountId) {
+            return { confidence: 0, reasons };
+        }
+
+        // スコアは必須
+        const manualScore = this.getScore(manual);
+        const importedScore = this.getScore(imported);
+        if (!manualScore || !importedScore ||
+            manualScore.team !== importedScore.team || manualScore.enemy !== importedScore.enemy) {
+            return { confidence: 0, reasons };
+        }
+        reasons.push(`スコア ${manualScore.team}-${manualScore.enemy} が一致`);
+
+        // 日時の近さ（日時が不明な場合は判定不能として除外）
+        const manualTime = this.repository.getTimestamp(manual);
+        const importedTime = this.repository.getTimestamp(imported);
+        if (!manualTime || !importedTime) {
+            return { confidence: 0, reasons };
+        }
+        const diff = manualTime - importedTime;
+        if (diff < -this.TIME_WINDOW_BEFORE_MS || diff > this.TIME_WINDOW_AFTER_MS) {
+            return { confidence: 0, reasons };
+        }
+        const timeScore = 1 - Math.abs(diff) / this.TIME_WINDOW_AFTER_MS;
+        reasons.push(`記録時刻の差 ${Math.round(Math.abs(diff) / 60000)}分`);
+
+        // K/D/Aの一致度（各項目の誤差から算出）
+        const kdaFields = ['kills', 'deaths', 'assists'];
+        let kdaScore = 0;
+        let kdaExact = true;
+        for (const field of kdaFields) {
+            const a = Number(manual[field]);
+            const b = Number(imported[field]);
+            if (isNaN(a) || isNaN(b)) continue;
+
+            const gap = Math.abs(a - b);
+            if (gap > this.KDA_TOLERANCE) {
+                return { confidence: 0, reasons };
+            }
+            if (gap > 0) kdaExact = false;
+            kdaScore += 1 - gap / (this.KDA_TOLERANCE + 1);
+        }
+        kdaScore /= kdaFields.length;
+        reasons.push(kdaExact ? 'K/D/Aが一致' : 'K/D/Aがほぼ一致');
+
+        // マップ・エージェント・スコアの一致で0.5、残りをK/D/Aと時刻で配分
+        const confidence = 0.5 + kdaScore * 0.3 + timeScore * 0.2;
+        return { confidence: Math.round(confidence * 100) / 100, reasons };
+    }
+
+    // 手動入力とAPI取得の重複候補を検出（各試合は最も一致度の高い1件とだけ組み合わせる）
+    findDuplicates(matches = this.repository.getAll()) {
+        const manualMatches = matches.filter(m => this.isManual(m));
+        const importedMatches = matches.filter(m => this.isImported(m));
+
+        const candidates = [];
+        manualMatches.forEach(manual => {
+            importedMatches.forEach(imported => {
+                const { confidence, reasons } = this.scorePair(manual, imported);
+                if (confidence >= this.MIN_CONFIDENCE) {
+                    candidates.push({ manual, imported, confidence, reasons });
+                }
+            });
+        });
+
+        candidates.sort((a, b) => b.confidence - a.confidence);
+
+        const usedIds = new Set();
+        return candidates.filter(pair => {
+            const manualId = this.repository.normalizeId(pair.manual.id);
+            const importedId = this.repository.normalizeId(pair.imported.id);
+            if (usedIds.has(manualId) || usedIds.has(importedId)) return false;
+            usedIds.add(manualId);
+            usedIds.add(importedId);
+            return true;
+        });
+    }
+
+    // 指定の試合に対応する重複候補を取得
+    findDuplicateFor(match) {
+        if (!match) return null;
+        const id = this.repository.normalizeId(match.id);
+        return this.findDuplicates().find(pair =>
+            this.repository.normalizeId(pair.manual.id) === id ||
+            this.repository.normalizeId(pair.imported.id) === id
+        ) || null;
+    }
+
+    // 統合後の試合データを作成（統計はAPI側、ユーザー入力は手動側を優先）
+    buildMergedMatch(manual, imported) {
+        const merged = { ...imported };
+
+        // API側にない項目は手動入力から補完
+        Object.keys(manual).forEach(key => {
+            if (['id', 'source', 'timestamp', 'date'].includes(key)) return;
+            if (merged[key] === undefined || merged[key] === null || merged[key] === '') {
+                merged[key] = manual[key];
+            }
+        });
+
+        this.USER_FIELDS.forEach(field => {
+            const manualValue = manual[field];
+            const importedValue = imported[field];
+
+            if (Array.isArray(manualValue) || Array.isArray(importedValue)) {
+                const combined = [...(importedValue || []), ...(manualValue || [])];
+                if (combined.length > 0) {
+                    merged[field] = Array.from(new Set(combined));
+                }
+            } else if (manualValue) {
+                merged[field] = importedValue && importedValue !== manualValue
+                    ? `${importedValue}\n${manualValue}`
+                    : manualValue;
+            }
+        });
+
+        merged.mergedFrom = [...(imported.mergedFrom || []), manual.id];
+        return merged;
+    }
+
+    // 手動入力をAPI側の試合に統合し、手動入力を削除
+    async merge(pair) {
+        const { manual, imported } = pair;
+        const merged = this.buildMergedMatch(manual, imported);
+
+        const updated = await this.repository.update(imported.id, merged);
+        if (!updated) {
+            throw new Error('統合先の試合が見つかりません');
+        }
+        await this.repository.remove(manual.id);
+
+        console.log(`MatchDedupService: Merged ${manual.id} into ${imported.id}`);
+        return updated;
+    }
+
+    // 全ての重複候補を統合
+    async mergeAll(pairs = this.findDuplicates()) {
+        const merged = [];
+        for (const pair of pairs) {
+            merged.push(await this.merge(pair));
+        }
+        return merged;
+    }
+}
+
+// グローバルインスタンス
+window.matchDedupService = new MatchDedupService();
@@ -0,0 +1,238 @@
+// match-export-service.js - 戦績ギャラリーの試合データのエクスポート（CSV・JSON・XLSX）
+class MatchExportService {
+    constructor() {
+        this.repository = window.matchRepository;
+
+        this.FORMATS = {
+            csv: { label: 'CSV（Excel対応）', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+            json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+            xlsx: { label: 'Excel（XLSX）', extension: 'xlsx' }
+        };
+
+        // 既知の項目（この順で出力し、それ以外の項目は後ろに追加）
+        // detail: ラウンドや名簿などの入れ子のデータ。初期状態では選択せず、CSV・XLSXではsummaryで要約する（JSONはそのまま）
+        this.COLUMNS = [
+            { key: 'date', label: '日時', get: (m) => this.formatDate(m) },
+            { key: 'map', label: 'マップ' },
+            { key: 'agent', label: 'エージェント', get: (m) => m.agent || m.character },
+            { key: 'result', label: '勝敗' },
+            { key: 'score', label: 'スコア' },
+            { key: 'teamScore', label: '自チームスコア' },
+            { key: 'enemyScore', label: '相手スコア' },
+            { key: 'kills', label: 'キル' },
+            { key: 'deaths', label: 'デス' },
+            { key: 'assists', label: 'アシスト' },
+            { key: 'kda', label: 'KDA' },
+            { key: 'acs', label: 'ACS' },
+            { key: 'adr', label: 'ADR' },
+            { key: 'hsPercent', label: 'HS%' },
+            { key: 'econ', label: 'ECON' },
+            { key: 'gameMode', label: 'モード' },
+            { key: 'insightTags', label: '気づきタグ', get: (m) => m.insightTags || m.tags },
+            { key: 'feelings', label: '感想' },
+            { key: 'scoreboard', label: 'スコアボード', detail: true, summary: (players) => this.summarizeAgents(players) },
+            { key: 'roundTimeline', label: 'ラウンド経過', detail: true, summary: (rounds) => `${rounds.length}ラウンド` },
+            { key: 'partySize', label: 'パーティ人数' },
+            { key: 'allyAgents', label: '味方の構成' },
+            { key: 'enemyAgents', label: '敵の構成' },
+            { key: 'roster', label: '名簿', detail: true, summary: (roster) => this.summarizeAgents(roster) },
+            { key: 'weaponStats', label: '武器別成績', detail: true, summary: (stats) => this.summarizeWeapons(stats) },
+            { key: 'locations', label: 'キル・デス位置', detail: true, summary: (points) => `${points.length}件` },
+            { key: 'accountId', label: 'Riotアカウント' },
+            { key: 'source', label: '入力元' },
+            { key: 'matchId', label: 'マッチID' },
+            { key: 'id', label: 'ID' }
+        ];
+
+        // 別の項目として出力済み、または内部用のため除外する項目
+        this.EXCLUDED_KEYS = ['timestamp', 'character', 'tags'];
+
+        // Excelの1セルの最大文字数
+        this.CELL_MAX_LENGTH = 32767;
+    }
+
+    // 日時を表示用に整形
+    formatDate(match) {
+        const time = this.repository.getTimestamp(match);
+        return time ? new Date(time).toLocaleString('ja-JP') : (match.date || '');
+    }
+
+    // 出力できる列（既知の項目＋データに含まれるその他の項目）
+    getColumns(matches) {
+        const knownKeys = new Set([...this.COLUMNS.map(c => c.key), ...this.EXCLUDED_KEYS]);
+        const extraKeys = new Map();
+        matches.forEach(match => {
+            Object.entries(match).forEach(([key, value]) => {
+                if (knownKeys.has(key)) return;
+                // 入れ子のデータを含む項目は詳細データとして扱う
+                const nested = Array.isArray(value) ? value.some(v => v && typeof v === 'object') : !!value && typeof value === 'object';
+                extraKeys.set(key, extraKeys.get(key) || nested);
+            });
+        });
+
+        return [
+            ...this.COLUMNS,
+            ...Array.from(extraKeys).map(([key, nested]) => nested
+                ? { key, label: key, detail: true, summary: (value) => Array.isArray(value) ? `${value.length}件` : value }
+                : { key, label: key })
+        ];
+    }
+
+    // 初期状態で出力する列（詳細データは除く）
+    getDefaultColumnKeys(columns) {
+        return columns.filter(c => !c.detail).map(c => c.key);
+    }
+
+    // エージェントの一覧（スコアボード・名簿の要約）
+    summarizeAgents(players) {
+        return players.map(p => p.agent).filter(Boolean);
+    }
+
+    // キル数が最も多い武器（武器別成績の要約）
+    summarizeWeapons(stats) {
+        const top = stats.reduce((best, stat) => (!best || stat.kills > best.kills ? stat : best), null);
+        return top ? `${top.weapon}（${top.kills}キル）` : '';
+    }
+
+    // 期間で絞り込み（from/toは'YYYY-MM-DD'、toはその日の終わりまで含む）
+    filterByDate(matches, from, to) {
+        const since = from ? new Date(`${from}T00:00:00`).getTime() : null;
+        const until = to ? new Date(`${to}T23:59:59.999`).getTime() : null;
+
+        return matches.filter(match => {
+            const time = this.repository.getTimestamp(match);
+            if (since !== null && time < since) return false;
+            if (until !== null && time > until) return false;
+            return true;
+        });
+    }
+
+    // 列の値を取得
+    getValue(match, column) {
+        const value = column.get ? column.get(match) : match[column.key];
+        return value === undefined || value === null ? '' : value;
+    }
+
+    // 表形式（CSV・XLSX）のセル値（配列は読点区切り、オブジェクトはJSON文字列、Excelの上限を超える文字列は切り詰める）
+    toCellValue(value) {
+        let cell = value;
+        if (Array.isArray(value) && value.every(v => typeof v !== 'object')) {
+            cell = value.join('、');
+        } else if (typeof value === 'object') {
+            cell = JSON.stringify(value);
+        }
+
+        // CSVで先頭に'を付ける場合の1文字を残す
+        if (typeof cell === 'string' && cell.length >= this.CELL_MAX_LENGTH) {
+            return `${cell.slice(0, this.CELL_MAX_LENGTH - 2)}…`;
+        }
+        return cell;
+    }
+
+    // 表形式の列の値（詳細データは要約する）
+    getCellValue(match, column) {
+        const value = this.getValue(match, column);
+        return column.summary && value !== '' ? column.summary(value) : value;
+    }
+
+    // 見出し行＋データ行
+    toTable(matches, columns) {
+        return [
+            columns.map(c => c.label),
+            ...matches.map(match => columns.map(c => this.toCellValue(this.getCellValue(match, c))))
+        ];
+    }
+
+    // CSV（ExcelでShift_JISと誤認されないようBOM付き、改行はCRLF）
+    toCsv(matches, columns) {
+        const escape = (value) => {
+            let text = String(value);
+            // 表計算ソフトで数式として実行されないよう、=+-@で始まる文字列は'を付ける（数値はそのまま）
+            if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+                text = `'${text}`;
+            }
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = this.toTable(matches, columns).map(row => row.map(escape).join(','));
+        return '\uFEFF' + lines.join('\r\n');
+    }
+
+    // JSON（選択した列のみ、配列やオブジェクトはそのまま）
+    toJson(matches, columns) {
+        const data = matches.map(match => {
+            const item = {};
+            columns.forEach(column => {
+                const value = column.get ? column.get(match) : match[column.key];
+                if (value !== undefined) item[column.key] = value;
+            });
+            return item;
+        });
+
+        return JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            count: data.length,
+            matches: data
+        }, null, 2);
+    }
+
+    // XLSX（SheetJSを使用）
+    toXlsx(matches, columns) {
+        if (typeof XLSX === 'undefined') {
+            throw new Error('XLSXライブラリが読み込まれていません');
+        }
+
+        const sheet = XLSX.utils.aoa_to_sheet(this.toTable(matches, columns));
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, sheet, '試合データ');
+        return XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+    }
+
+    // エクスポートしてダウンロード（出力した件数を返す）
+    export(matches, { format = 'csv', columnKeys = null, from = '', to = '' } = {}) {
+        const formatInfo = this.FORMATS[format];
+        if (!formatInfo) {
+            throw new Error(`未対応の形式です: ${format}`);
+        }
+
+        const targets = this.filterByDate(matches, from, to);
+        if (targets.length === 0) {
+            throw new Error('エクスポートする試合がありません');
+        }
+
+        const allColumns = this.getColumns(targets);
+        const selectedKeys = columnKeys || this.getDefaultColumnKeys(allColumns);
+        const columns = allColumns.filter(c => selectedKeys.includes(c.key));
+        if (columns.length === 0) {
+            throw new Error('出力する項目を選択してください');
+        }
+
+        let blob;
+        if (format === 'xlsx') {
+            blob = new Blob([this.toXlsx(targets, columns)], {
+                type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+            });
+        } else {
+            const content = format === 'json' ? this.toJson(targets, columns) : this.toCsv(targets, columns);
+            blob = new Blob([content], { type: formatInfo.mimeType });
+        }
+
+        this.download(blob, `戦績_${new Date().toISOString().split('T')[0]}.${formatInfo.extension}`);
+        return targets.length;
+    }
+
+    // ファイルをダウンロード
+    download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+}
+
+// グローバルインスタンス
+window.matchExportService = new MatchExportService();
@@ -0,0 +1,291 @@
+// match-repository.js - 試合データの一元管理リポジトリ
+class MatchRepository {
+    constructor() {
+        // 正規の保存先
+        this.STORAGE_KEY = 'valorant_gallery';
+
+        // 過去バージョンで使われていた保存先（読み取り・削除のみ対応）
+        this.LEGACY_KEYS = ['valorant_matches', 'recentMatches', 'sf6_gallery'];
+
+        // 変更通知イベント名
+        this.CHANGE_EVENT = 'matchesChanged';
+
+        // 直近試合として扱う最大件数
+        this.RECENT_LIMIT = 50;
+
+        // 保存先（大容量データはIndexedDB、それ以外はlocalStorage）
+        this.storage = window.largeDataStore;
+
+        console.log('MatchRepository initialized');
+    }
+
+    // 指定キーの配列を読み込み
+    readKey(key) {
+        try {
+            const stored = this.storage.getItem(key);
+            const parsed = stored ? JSON.parse(stored) : [];
+            return Array.isArray(parsed) ? parsed : [];
+        } catch (error) {
+            console.warn(`MatchRepository: Failed to read ${key}:`, error);
+            return [];
+        }
+    }
+
+    // 指定キーに配列を書き込み（IndexedDBへの書き込みが終わるまで待ち、成否を返す）
+    async writeKey(key, matches) {
+        try {
+            const persisted = await this.storage.setItem(key, JSON.stringify(matches));
+            if (persisted === false) {
+                console.error(`MatchRepository: Failed to persist ${key}`);
+                return false;
+            }
+            return true;
+        } catch (error) {
+            console.error(`MatchRepository: Failed to write ${key}:`, error);
+            return false;
+        }
+    }
+
+    // IDを文字列に正規化（数値IDと文字列IDが混在しているため）
+    normalizeId(id) {
+        return id === undefined || id === null ? '' : String(id);
+    }
+
+    // 試合の日時をミリ秒で取得（timestamp優先、なければdate）
+    getTimestamp(match) {
+        if (!match) return 0;
+
+        if (typeof match.timestamp === 'number') {
+            return match.timestamp;
+        }
+
+        const parsed = new Date(match.timestamp || match.date || 0).getTime();
+        return isNaN(parsed) ? 0 : parsed;
+    }
+
+    // 全試合を取得（正規キー優先で重複排除、新しい順）
+    getAll() {
+        const matchesMap = new Map();
+
+        [this.STORAGE_KEY, ...this.LEGACY_KEYS].forEach(key => {
+            this.readKey(key).forEach(match => {
+                if (!match || match.id === undefined || match.id === null) return;
+                const id = this.normalizeId(match.id);
+                if (!matchesMap.has(id)) {
+                    matchesMap.set(id, match);
+                }
+            });
+        });
+
+        return Array.from(matchesMap.values())
+            .sort((a, b) => this.getTimestamp(b) - this.getTimestamp(a));
+    }
+
+    // 直近の試合を取得（新しい順に最大RECENT_LIMIT件）
+    getRecent(limit = this.RECENT_LIMIT) {
+        return this.getAll().slice(0, limit);
+    }
+
+    // 試合数を取得
+    count() {
+        return this.getAll().length;
+    }
+
+    // IDで試合を取得
+    findById(id) {
+        const normalizedId = this.normalizeId(id);
+        return this.getAll().find(m => this.normalizeId(m.id) === normalizedId) || null;
+    }
+
+    // 指定のmatchId（API由来のID）が既に存在するかチェック
+    hasMatchId(matchId) {
+        if (!matchId) return false;
+        const normalizedId = this.normalizeId(matchId);
+        return this.getAll().some(m =>
+            this.normalizeId(m.matchId) === normalizedId || this.normalizeId(m.id) === normalizedId
+        );
+    }
+
+    // 条件で試合を検索
+    query(filters = {}) {
+        let matches = this.getAll();
+
+        if (filters.map) {
+            matches = matches.filter(m => m.map === filters.map);
+        }
+
+        if (filters.agent) {
+            matches = matches.filter(m => (m.agent || m.character) === filters.agent);
+        }
+
+        if (filters.result) {
+            matches = matches.filter(m => (m.result || '').toUpperCase() === filters.result.toUpperCase());
+        }
+
+        if (filters.tag) {
+            const lowerTag = filters.tag.toLowerCase();
+            matches = matches.filter(m => {
+                const tags = m.insightTags || m.tags || [];
+                return tags.some(tag => tag.toLowerCase().includes(lowerTag));
+            });
+        }
+
+        if (filters.since) {
+            const since = new Date(filters.since).getTime();
+            matches = matches.filter(m => this.getTimestamp(m) >= since);
+        }
+
+        if (filters.until) {
+            const until = new Date(filters.until).getTime();
+            matches = matches.filter(m => this.getTimestamp(m) <= until);
+        }
+
+        if (filters.limit) {
+            matches = matches.slice(0, filters.limit);
+        }
+
+        return matches;
+    }
+
+    // IDのない試合にIDを付与（IDのない試合はgetAllで読み込まれないため）
+    withId(match) {
+        if (match.id !== undefined && match.id !== null) return match;
+        return {
+            ...match,
+            id: `match_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+        };
+    }
+
+    // 試合を追加
+    async add(match) {
+        if (!match) return null;
+
+        const newMatch = this.withId(match);
+
+        const matches = this.readKey(this.STORAGE_KEY);
+        matches.unshift(newMatch);
+
+        if (!await this.writeKey(this.STORAGE_KEY, matches)) {
+            throw new Error('試合データの保存に失敗しました');
+        }
+
+        this.notifyChange('add', [newMatch.id]);
+        return newMatch;
+    }
+
+    // 複数の試合を一括追加（matchId/idが既存のものはスキップ）
+    async addMany(newMatches = []) {
+        const existing = this.getAll();
+        const existingIds = new Set();
+        existing.forEach(m => {
+            existingIds.add(this.normalizeId(m.id));
+            if (m.matchId) existingIds.add(this.normalizeId(m.matchId));
+        });
+
+        const added = [];
+        let skipped = 0;
+
+        newMatches.forEach(match => {
+            if (!match) return;
+            const key = this.normalizeId(match.matchId || match.id);
+            if (key && existingIds.has(key)) {
+                skipped++;
+                return;
+            }
+            if (key) existingIds.add(key);
+            added.push(this.withId(match));
+        });
+
+        if (added.length > 0) {
+            const matches = this.readKey(this.STORAGE_KEY);
+            if (!await this.writeKey(this.STORAGE_KEY, [...added, ...matches])) {
+                throw new Error('試合データの保存に失敗しました');
+            }
+            this.notifyChange('add', added.map(m => m.id));
+        }
+
+        return { added: added.length, skipped, matches: added };
+    }
+
+    // 試合を更新（旧キーにある試合は正規キーへ移動）
+    async update(id, updates) {
+        const normalizedId = this.normalizeId(id);
+        const current = this.findById(normalizedId);
+        if (!current) return null;
+
+        const updated = { ...current, ...updates, id: current.id };
+
+        // 正規キーへの保存に成功してから旧キーから削除（失敗しても試合を失わない）
+        const matches = this.readKey(this.STORAGE_KEY);
+        const index = matches.findIndex(m => this.normalizeId(m.id) === normalizedId);
+        if (index !== -1) {
+            matches[index] = updated;
+        } else {
+            matches.unshift(updated);
+        }
+        if (!await this.writeKey(this.STORAGE_KEY, matches)) {
+            throw new Error('試合データの保存に失敗しました');
+        }
+
+        for (const key of this.LEGACY_KEYS) {
+            const legacy = this.readKey(key);
+            const filtered = legacy.filter(m => this.normalizeId(m.id) !== normalizedId);
+            if (filtered.length !== legacy.length && !await this.writeKey(key, filtered)) {
+                throw new Error('試合データの保存に失敗しました');
+            }
+        }
+
+        this.notifyChange('update', [current.id]);
+        return updated;
+    }
+
+    // 試合を削除（全ての保存先から削除）
+    async remove(ids) {
+        const idList = Array.isArray(ids) ? ids : [ids];
+        const targetIds = new Set(idList.map(id => this.normalizeId(id)));
+        let removed = 0;
+        let failed = false;
+
+        for (const key of [this.STORAGE_KEY, ...this.LEGACY_KEYS]) {
+            const matches = this.readKey(key);
+            const filtered = matches.filter(m => !targetIds.has(this.normalizeId(m.id)));
+            if (filtered.length !== matches.length) {
+                removed += matches.length - filtered.length;
+                if (!await this.writeKey(key, filtered)) failed = true;
+            }
+        }
+
+        if (removed > 0) {
+            this.notifyChange('remove', idList);
+        }
+        if (failed) {
+            throw new Error('試合データの削除を保存できませんでした');
+        }
+
+        console.log(`MatchRepository: Removed ${removed} entries for ${idList.length} id(s)`);
+        return removed;
+    }
+
+    // 全試合を削除
+    clear() {
+        [this.STORAGE_KEY, ...this.LEGACY_KEYS].forEach(key => this.storage.removeItem(key));
+        this.notifyChange('clear', []);
+    }
+
+    // 変更を購読（解除関数を返す）
+    subscribe(listener) {
+        const handler = (e) => listener(e.detail);
+        window.addEventListener(this.CHANGE_EVENT, handler);
+        return () => window.removeEventListener(this.CHANGE_EVENT, handler);
+    }
+
+    // 変更を通知
+    notifyChange(type, ids) {
+        window.dispatchEvent(new CustomEvent(this.CHANGE_EVENT, {
+            detail: { type, ids }
+        }));
+    }
+}
+
+// グローバルインスタンス
+window.matchRepository = new MatchRepository();
@@ -0,0 +1,286 @@
+// match-sync-service.js - Riotアカウントの試合履歴の差分同期（バックグラウンドで定期実行）
+//
+// アカウントごとに前回同期した最新の試合を記録し、新しい順にページをさかのぼって
+// 記録済みの試合に到達したところで止める。APIがページの開始位置（start）を無視して同じ試合を返す場合に
+// 制限を使い切らないよう、新しい試合が1件もないページを受け取った時点でも止める。
+// バックグラウンドの同期はRequestSchedulerの低優先度で実行し、制限で長く待たされる場合は次回の同期に持ち越す。
+// ゴミ箱に移動した試合は取り込み直さない。
+class MatchSyncService {
+    constructor() {
+        this.STATE_KEY = 'valorant_match_sync_state';
+        this.SETTINGS_KEY = 'valorant_match_sync_settings';
+
+        // 変更通知イベント名
+        this.CHANGE_EVENT = 'matchSyncChanged';
+
+        // 複数タブで同時に同期しないためのロック名
+        this.LOCK_NAME = 'ebridge-match-sync';
+
+        this.PAGE_SIZE = 10;
+        // 初回同期でさかのぼる最大ページ数
+        this.INITIAL_MAX_PAGES = 5;
+        // 差分同期でさかのぼる最大ページ数（前回の最新の試合がAPIの取得範囲から外れた場合に備える）
+        this.INCREMENTAL_MAX_PAGES = 10;
+        // これ以上待たされる場合は次回に持ち越す
+        this.MAX_WAIT_MS = 30 * 1000;
+
+        this.DEFAULT_SETTINGS = {
+            enabled: false,
+            intervalMinutes: 15,
+            mode: 'competitive'
+        };
+        this.INTERVAL_OPTIONS = [5, 15, 30, 60];
+
+        this.apiService = window.valorantAPIService;
+        this.timer = null;
+        this.running = false;
+
+        window.largeDataStore.whenReady().then(() => this.schedule());
+    }
+
+    // 同期設定を取得
+    getSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.SETTINGS_KEY) || '{}');
+            return { ...this.DEFAULT_SETTINGS, ...saved };
+        } catch (error) {
+            return { ...this.DEFAULT_SETTINGS };
+        }
+    }
+
+    // 同期設定を保存し、スケジュールを更新
+    saveSettings(updates) {
+        const previous = this.getSettings();
+        const settings = { ...previous, ...updates };
+        if (!this.INTERVAL_OPTIONS.includes(settings.intervalMinutes)) {
+            settings.intervalMinutes = this.DEFAULT_SETTINGS.intervalMinutes;
+        }
+
+        localStorage.setItem(this.SETTINGS_KEY, JSON.stringify(settings));
+
+        // モードが変わると試合履歴が別物になるため、前回の最新の試合は使わない
+        if (settings.mode !== previous.mode) {
+            this.resetNewestMatchIds();
+        }
+        this.schedule();
+        this.notifyChange('settings');
+        return settings;
+    }
+
+    // アカウントごとの同期状態
+    getState() {
+        try {
+            return JSON.parse(localStorage.getItem(this.STATE_KEY) || '{}');
+        } catch (error) {
+            return {};
+        }
+    }
+
+    getAccountState(accountId) {
+        return this.getState()[accountId] || null;
+    }
+
+    // アカウントの同期状態を更新
+    updateAccountState(accountId, updates) {
+        const state = this.getState();
+        state[accountId] = { ...state[accountId], ...updates };
+        localStorage.setItem(this.STATE_KEY, JSON.stringify(state));
+    }
+
+    // 全アカウントの前回の最新の試合をリセット（次回は初回と同じ範囲を同期）
+    resetNewestMatchIds() {
+        const state = this.getState();
+        Object.values(state).forEach(accountState => {
+            delete accountState.newestMatchId;
+        });
+        localStorage.setItem(this.STATE_KEY, JSON.stringify(state));
+    }
+
+    // 有効な場合は定期実行を開始（他タブで設定が変わった場合も呼び出す）
+    schedule() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+
+        const settings = this.getSettings();
+        if (!settings.enabled) return;
+
+        this.timer = setInterval(() => this.syncAll({ background: true }), settings.intervalMinutes * 60 * 1000);
+
+        // 前回の同期から間隔以上経っていればすぐに同期
+        const lastSyncAt = this.getLastSyncAt();
+        if (!lastSyncAt || Date.now() - new Date(lastSyncAt).getTime() >= settings.intervalMinutes * 60 * 1000) {
+            this.syncAll({ background: true });
+        }
+    }
+
+    // 全アカウントで最も新しい同期時刻
+    getLastSyncAt() {
+        const times = Object.values(this.getState())
+            .map(s => s.lastSyncAt)
+            .filter(Boolean)
+            .sort();
+        return times.length > 0 ? times[times.length - 1] : null;
+    }
+
+    // 同期できる状態か
+    canSync() {
+        return !!this.apiService && this.apiService.hasApiKey() && !window.secretsVault?.isLocked();
+    }
+
+    // 登録済みの全アカウントを同期（他タブで同期中の場合はスキップ）
+    async syncAll({ background = false } = {}) {
+        if (this.running) return null;
+        if (!this.canSync()) {
+            if (!background) {
+                throw new Error(window.secretsVault?.isLocked()
+                    ? 'APIキーの保管庫がロックされています'
+                    : 'Henrik APIキーが設定されていません');
+            }
+            return null;
+        }
+
+        const run = async () => {
+            this.running = true;
+            this.notifyChange('start');
+
+            const results = [];
+            try {
+                const accounts = window.riotAccountService ? window.riotAccountService.getAccounts() : [];
+                for (const account of accounts) {
+                    results.push(await this.syncAccount(account, { background }));
+                }
+            } finally {
+                this.running = false;
+            }
+
+            const added = results.reduce((sum, r) => sum + r.added, 0);
+            this.notifyChange('complete', { added, background, results });
+            return { added, results };
+        };
+
+        if (navigator.locks) {
+            return navigator.locks.request(this.LOCK_NAME, { ifAvailable: true }, lock => lock ? run() : null);
+        }
+        return run();
+    }
+
+    // 1アカウントを同期（新しい順にページを取得し、前回の最新の試合に到達したら終了）
+    async syncAccount(account, { background = false } = {}) {
+        const { mode } = this.getSettings();
+        const priority = background ? 'background' : 'normal';
+        const previous = this.getAccountState(account.id) || {};
+        const knownMatchId = previous.newestMatchId || null;
+        const maxPages = knownMatchId ? this.INCREMENTAL_MAX_PAGES : this.INITIAL_MAX_PAGES;
+
+        const collected = [];
+        const seenIds = new Set();
+        let newestMatchId = null;
+        let complete = false;
+        let pages = 0;
+
+        try {
+            while (pages < maxPages) {
+                if (this.apiService.getRequestWaitTime(priority) > this.MAX_WAIT_MS) {
+                    console.log(`MatchSyncService: Request budget exhausted for ${account.id}, continuing next time`);
+                    break;
+                }
+
+                const page = await this.apiService.getMatchHistoryPage(account, {
+                    mode,
+                    size: this.PAGE_SIZE,
+                    start: pages * this.PAGE_SIZE,
+                    priority
+                });
+                pages++;
+
+                // 取得済みの試合しかないページ（空のページを含む）はそれ以上さかのぼれない
+                const pageIds = page.map(m => m.metadata?.matchid).filter(Boolean);
+                if (pageIds.every(id => seenIds.has(id))) {
+                    complete = true;
+                    break;
+                }
+                pageIds.forEach(id => seenIds.add(id));
+
+                const knownIndex = page.findIndex(m => m.metadata?.matchid === knownMatchId);
+                const newMatches = knownIndex === -1 ? page : page.slice(0, knownIndex);
+                if (!newestMatchId && page.length > 0) {
+                    newestMatchId = page[0].metadata?.matchid || null;
+                }
+                collected.push(...newMatches);
+
+                if (knownIndex !== -1 || page.length < this.PAGE_SIZE) {
+                    complete = true;
+                    break;
+                }
+            }
+            // 最大ページ数まで取得できれば完了とする（前回の最新の試合が見つからない場合も次回は新しい試合から）
+            if (pages >= maxPages) {
+                complete = true;
+            }
+        } catch (error) {
+            console.error(`MatchSyncService: Failed to sync ${account.id}:`, error);
+            const saved = await this.saveMatches(account, collected);
+            this.updateAccountState(account.id, {
+                lastAttemptAt: new Date().toISOString(),
+                lastError: error.message,
+                lastAdded: saved
+            });
+            return { accountId: account.id, added: saved, complete: false, error: error.message };
+        }
+
+        const added = await this.saveMatches(account, collected);
+
+        // ランクの推移（試合ごとのRR増減）も更新（失敗しても試合の同期は完了扱い）
+        if (mode === 'competitive' && window.rankHistoryService && this.apiService.getRequestWaitTime(priority) <= this.MAX_WAIT_MS) {
+            try {
+                await window.rankHistoryService.sync(account, { priority });
+            } catch (error) {
+                console.warn(`MatchSyncService: Failed to sync rank history for ${account.id}:`, error);
+            }
+        }
+
+        // 途中で止めた場合は、次回も前回の最新の試合までさかのぼる
+        this.updateAccountState(account.id, {
+            newestMatchId: complete ? (newestMatchId || knownMatchId) : knownMatchId,
+            lastSyncAt: new Date().toISOString(),
+            lastAttemptAt: new Date().toISOString(),
+            lastAdded: added,
+            lastError: null,
+            pending: !complete
+        });
+
+        return { accountId: account.id, added, complete };
+    }
+
+    // 取得した試合を変換して保存（保存済みの試合・ゴミ箱にある試合はスキップ）
+    async saveMatches(account, matches) {
+        if (matches.length === 0) return 0;
+
+        const trashedIds = window.trashService ? window.trashService.getTrashedIds('match') : new Set();
+        const accountKey = window.riotAccountService.getAccountId(account.name, account.tag);
+        const converted = matches
+            .filter(match => !trashedIds.has(String(match.metadata?.matchid)))
+            .map(match => {
+                const player = match.players?.all_players?.find(p =>
+                    window.riotAccountService.getAccountId(p.name, p.tag) === accountKey
+                );
+                return player ? this.apiService.convertMatchToGalleryFormat(match, player.puuid) : null;
+            })
+            .filter(Boolean)
+            .map(match => ({ ...match, accountId: account.id, source: 'henrik_sync' }));
+
+        return (await window.matchRepository.addMany(converted)).added;
+    }
+
+    // 変更を通知
+    notifyChange(type, detail = {}) {
+        window.dispatchEvent(new CustomEvent(this.CHANGE_EVENT, {
+            detail: { type, ...detail }
+        }));
+    }
+}
+
+// グローバルインスタンス
+window.matchSyncService = new MatchSyncService();
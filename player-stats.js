@@ -123,21 +123,10 @@ class PlayerStatsManager {
         const container = document.getElementById('recent-matches');
         if (!container) return;
         
-        // 新旧両方のキーからデータを取得してマージ
-        const valorantGallery = JSON.parse(localStorage.getItem('valorant_gallery') || '[]');
-        const sf6Gallery = JSON.parse(localStorage.getItem('sf6_gallery') || '[]');
-        const recentMatches = JSON.parse(localStorage.getItem('recentMatches') || '[]');
-        const valorantMatches = JSON.parse(localStorage.getItem('valorant_matches') || '[]');
-        
-        // 重複を排除してマージ
-        const matchesMap = new Map();
-        [...valorantGallery, ...sf6Gallery, ...recentMatches, ...valorantMatches].forEach(match => {
-            if (match.id) {
-                matchesMap.set(match.id, match);
-            }
-        });
-        
-        const matches = Array.from(matchesMap.values());
+        // リポジトリから重複排除済みのデータを取得（表示中のRiotアカウントで絞り込み、直近50件）
+        const allMatches = window.matchRepository.getAll();
+        const matches = (window.riotAccountService ? window.riotAccountService.filterMatches(allMatches) : allMatches)
+            .slice(0, window.matchRepository.RECENT_LIMIT);
         
         if (matches.length === 0) {
             container.innerHTML = '<p class="no-data">試合記録がまだありません</p>';
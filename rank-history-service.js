@@ -0,0 +1,154 @@
+// rank-history-service.js - ランク・RRの推移（試合ごとのRR増減）の記録
+//
+// HenrikDev APIのMMR履歴（v2 mmr-history）を取り込み、アカウントごとに蓄積する。
+// APIが返すのは直近の試合分のみのため、同期のたびにマージして古い履歴も残す。
+class RankHistoryService {
+    constructor() {
+        this.STORAGE_KEY = 'valorant_rank_history';
+
+        // 変更通知イベント名
+        this.CHANGE_EVENT = 'rankHistoryChanged';
+
+        // 保存先（大容量データはIndexedDB、それ以外はlocalStorage）
+        this.storage = window.largeDataStore;
+
+        // ティアID → ランク名（0〜2は未ランク）
+        this.TIER_NAMES = [
+            'Unranked', 'Unused1', 'Unused2',
+            'Iron 1', 'Iron 2', 'Iron 3',
+            'Bronze 1', 'Bronze 2', 'Bronze 3',
+            'Silver 1', 'Silver 2', 'Silver 3',
+            'Gold 1', 'Gold 2', 'Gold 3',
+            'Platinum 1', 'Platinum 2', 'Platinum 3',
+            'Diamond 1', 'Diamond 2', 'Diamond 3',
+            'Ascendant 1', 'Ascendant 2', 'Ascendant 3',
+            'Immortal 1', 'Immortal 2', 'Immortal 3',
+            'Radiant'
+        ];
+
+        // 試合ID → 履歴の索引（変更時に作り直す）
+        this.matchIndex = null;
+        window.addEventListener('tabSyncChange', (e) => {
+            if (e.detail.type === 'rankHistory') {
+                this.matchIndex = null;
+            }
+        });
+    }
+
+    // 全アカウントの履歴（{ アカウントID: 履歴[] }）
+    readAll() {
+        try {
+            const parsed = JSON.parse(this.storage.getItem(this.STORAGE_KEY) || '{}');
+            return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+        } catch (error) {
+            console.warn('RankHistoryService: Failed to read history:', error);
+            return {};
+        }
+    }
+
+    // アカウントの履歴（古い順）
+    getHistory(accountId) {
+        return this.readAll()[accountId] || [];
+    }
+
+    // ティアIDからランク名
+    getTierName(tier) {
+        return this.TIER_NAMES[tier] || 'Unknown';
+    }
+
+    // APIの履歴1件を保存形式に変換
+    normalizeEntry(entry) {
+        const tier = entry.tier?.id ?? entry.currenttier ?? 0;
+        return {
+            matchId: entry.match_id,
+            date: new Date(entry.date_raw ? entry.date_raw * 1000 : entry.date).toISOString(),
+            tier,
+            tierName: entry.tier?.name || entry.currenttierpatched || this.getTierName(tier),
+            rr: entry.rr ?? entry.ranking_in_tier ?? 0,
+            change: entry.last_change ?? entry.mmr_change_to_last_game ?? 0,
+            elo: entry.elo ?? 0,
+            seasonId: entry.season?.id || entry.season_id || null,
+            seasonShort: entry.season?.short || null,
+            map: entry.map?.name || null
+        };
+    }
+
+    // MMR履歴を取り込み（同じ試合は上書き）。追加された件数を返す
+    ingest(accountId, entries = []) {
+        if (!accountId || entries.length === 0) return 0;
+
+        const all = this.readAll();
+        const byMatch = new Map((all[accountId] || []).map(e => [e.matchId, e]));
+        let added = 0;
+        let changed = false;
+
+        entries.forEach(raw => {
+            if (!raw?.match_id && !raw?.matchId) return;
+            const entry = raw.matchId ? raw : this.normalizeEntry(raw);
+            if (isNaN(new Date(entry.date).getTime())) return;
+
+            const existing = byMatch.get(entry.matchId);
+            if (!existing) added++;
+            if (!existing || JSON.stringify(existing) !== JSON.stringify(entry)) {
+                byMatch.set(entry.matchId, entry);
+                changed = true;
+            }
+        });
+
+        // 変更がない場合は保存しない（他タブへの不要な通知を避ける）
+        if (!changed) return 0;
+
+        all[accountId] = Array.from(byMatch.values())
+            .sort((a, b) => new Date(a.date) - new Date(b.date));
+        this.storage.setItem(this.STORAGE_KEY, JSON.stringify(all));
+
+        this.matchIndex = null;
+        this.notifyChange(accountId, added);
+        return added;
+    }
+
+    // APIからMMR履歴を取得して取り込み
+    async sync(account, { priority = 'normal' } = {}) {
+        const history = await window.valorantAPIService.getMMRHistory(account, { priority });
+        return this.ingest(account.id, history);
+    }
+
+    // 試合のRR増減（履歴がない試合はnull）
+    getMatchChange(match) {
+        const matchId = match?.matchId;
+        if (!matchId) return null;
+
+        if (!this.matchIndex) {
+            this.matchIndex = new Map();
+            Object.values(this.readAll()).forEach(history => {
+                history.forEach(entry => this.matchIndex.set(entry.matchId, entry));
+            });
+        }
+
+        const entry = this.matchIndex.get(matchId);
+        return entry ? entry.change : null;
+    }
+
+    // グラフ用の推移（昇格・降格とアクトの切り替わりを付与）
+    getProgression(accountId) {
+        return this.getHistory(accountId).map((entry, index, history) => {
+            const previous = history[index - 1];
+            return {
+                ...entry,
+                promoted: !!previous && entry.tier > previous.tier,
+                demoted: !!previous && entry.tier < previous.tier,
+                actStart: !!previous && !!entry.seasonId && entry.seasonId !== previous.seasonId
+            };
+        });
+    }
+
+    // 変更を通知
+    notifyChange(accountId, added) {
+        window.dispatchEvent(new CustomEvent(this.CHANGE_EVENT, {
+            detail: { accountId, added }
+        }));
+    }
+}
+
+// グローバルインスタンス
+window.rankHistoryService = new RankHistoryService();
@@ -0,0 +1,369 @@
+// request-scheduler.js - 外部APIリクエストの共通スケジューラー（レート制限・優先度・永続キャッシュ）
+//
+// 提供元（henrik / gemini / ai / coaching）ごとにトークンバケットでリクエスト数を制限する。
+// バケットの状態はlocalStorageに保存し、Web Locksで排他して複数タブ・再読み込みをまたいで共有する。
+// 待ち行列は優先度順（user → normal → background）で、backgroundはユーザー操作用の枠を残して実行する。
+// GETの応答はIndexedDBにTTL付きで保存し、再読み込み後も再利用する。
+class RequestScheduler {
+    constructor() {
+        this.STATE_KEY = 'ebridge_rate_limits';
+        this.LOCK_PREFIX = 'ebridge-rate-limit-';
+
+        // 永続キャッシュ（IndexedDB）
+        this.CACHE_DB_NAME = 'ebridge-request-cache';
+        this.CACHE_DB_VERSION = 1;
+        this.CACHE_STORE_NAME = 'responses';
+        this.MAX_CACHE_ENTRIES = 200;
+
+        // 提供元ごとの制限（容量 + 1分あたりの補充数が、提供元の制限を超えないようにする）
+        this.PROVIDERS = {
+            // Henrik API Basic key: 30回/分
+            henrik: { capacity: 5, refillPerMinute: 25, reserved: 2 },
+            // /api/chat（Gemini）: 10回/分
+            gemini: { capacity: 3, refillPerMinute: 7, reserved: 1 },
+            // AICoachingServiceの外部AI API
+            ai: { capacity: 3, refillPerMinute: 30, reserved: 1 },
+            // 日替わりコーチングの生成: 3回/分・10回/時
+            coaching: { capacity: 3, refillPerMinute: 7 / 60, reserved: 0 }
+        };
+
+        // 優先度（小さいほど先に実行）
+        this.PRIORITIES = { user: 0, normal: 1, background: 2 };
+
+        // 429でRetry-Afterがない場合に待つ時間
+        this.DEFAULT_RETRY_AFTER_MS = 60 * 1000;
+
+        this.queues = {};
+        this.pumping = new Set();
+        // 待機中の待ち行列を起こす関数（新しいリクエストが来たら優先度を判定し直す）
+        this.wakers = {};
+        this.sequence = 0;
+
+        // 同じキーの実行中リクエスト（重複して送らない）
+        this.inflight = new Map();
+
+        this.memoryCache = new Map();
+        this.cacheDb = null;
+        this.cacheReady = this.openCache();
+    }
+
+    // 提供元の設定
+    getProvider(provider) {
+        const config = this.PROVIDERS[provider];
+        if (!config) {
+            throw new Error(`Unknown request provider: ${provider}`);
+        }
+        return config;
+    }
+
+    // 全提供元のバケットの状態
+    readStates() {
+        try {
+            return JSON.parse(localStorage.getItem(this.STATE_KEY) || '{}');
+        } catch (error) {
+            return {};
+        }
+    }
+
+    // バケットの状態（経過時間分を補充）
+    readState(provider, now = Date.now()) {
+        const config = this.getProvider(provider);
+        const saved = this.readStates()[provider];
+        if (!saved) {
+            return { tokens: config.capacity, updatedAt: now, blockedUntil: 0 };
+        }
+
+        const elapsed = Math.max(0, now - saved.updatedAt);
+        return {
+            tokens: Math.min(config.capacity, saved.tokens + elapsed * config.refillPerMinute / 60000),
+            updatedAt: now,
+            blockedUntil: saved.blockedUntil || 0
+        };
+    }
+
+    writeState(provider, state) {
+        const states = this.readStates();
+        states[provider] = state;
+        localStorage.setItem(this.STATE_KEY, JSON.stringify(states));
+    }
+
+    // 他タブと排他してバケットを操作
+    withLock(provider, fn) {
+        if (typeof navigator !== 'undefined' && navigator.locks) {
+            return navigator.locks.request(`${this.LOCK_PREFIX}${provider}`, () => fn());
+        }
+        return Promise.resolve(fn());
+    }
+
+    // 実行できるまでの待ち時間（ミリ秒、0なら今すぐ実行可能）
+    getWaitTime(provider, priority = 'normal', state = this.readState(provider)) {
+        const config = this.getProvider(provider);
+        const now = state.updatedAt;
+        if (state.blockedUntil > now) {
+            return state.blockedUntil - now;
+        }
+
+        const needed = 1 + (priority === 'background' ? config.reserved : 0);
+        if (state.tokens >= needed) return 0;
+        return Math.ceil((needed - state.tokens) * 60000 / config.refillPerMinute);
+    }
+
+    // 残りのリクエスト数（目安）
+    getRemaining(provider) {
+        return Math.floor(this.readState(provider).tokens);
+    }
+
+    // トークンを1つ取得（取得できない場合は待ち時間を返す）
+    acquire(provider, priority = 'normal') {
+        return this.withLock(provider, () => {
+            const state = this.readState(provider);
+            const wait = this.getWaitTime(provider, priority, state);
+            if (wait === 0) {
+                state.tokens -= 1;
+                this.writeState(provider, state);
+            }
+            return wait;
+        });
+    }
+
+    // 待たずにトークンを取得できればtrue
+    async tryAcquire(provider, priority = 'user') {
+        return (await this.acquire(provider, priority)) === 0;
+    }
+
+    // 429を受けた場合、全タブでしばらくリクエストを止める
+    penalize(provider, retryAfterSeconds = null) {
+        const waitMs = retryAfterSeconds ? Number(retryAfterSeconds) * 1000 : this.DEFAULT_RETRY_AFTER_MS;
+        return this.withLock(provider, () => {
+            const state = this.readState(provider);
+            state.tokens = 0;
+            state.blockedUntil = Math.max(state.blockedUntil, Date.now() + waitMs);
+            this.writeState(provider, state);
+            console.warn(`RequestScheduler: ${provider} rate limited, pausing for ${Math.round(waitMs / 1000)}s`);
+        });
+    }
+
+    // リクエストを優先度順に実行（cacheKeyとttlを指定すると応答をキャッシュ）
+    async schedule(provider, task, { priority = 'normal', cacheKey = null, ttl = 0 } = {}) {
+        this.getProvider(provider);
+        const useCache = !!cacheKey && ttl > 0;
+
+        if (useCache) {
+            const cached = await this.getCached(cacheKey);
+            if (cached !== undefined) {
+                console.log(`RequestScheduler: Cache hit ${cacheKey}`);
+                return cached;
+            }
+            if (this.inflight.has(cacheKey)) {
+                return this.inflight.get(cacheKey);
+            }
+        }
+
+        const run = async () => {
+            try {
+                const value = await task();
+                if (useCache) {
+                    await this.setCached(cacheKey, value, ttl);
+                }
+                return value;
+            } catch (error) {
+                if (error.status === 429) {
+                    await this.penalize(provider, error.retryAfter);
+                }
+                throw error;
+            }
+        };
+
+        const promise = this.enqueue(provider, priority, run);
+        if (useCache) {
+            this.inflight.set(cacheKey, promise);
+            promise.then(
+                () => this.inflight.delete(cacheKey),
+                () => this.inflight.delete(cacheKey)
+            );
+        }
+        return promise;
+    }
+
+    // 待ち行列に追加
+    enqueue(provider, priority, run) {
+        return new Promise((resolve, reject) => {
+            const queue = this.queues[provider] || (this.queues[provider] = []);
+            queue.push({
+                rank: this.PRIORITIES[priority] ?? this.PRIORITIES.normal,
+                priority,
+                seq: this.sequence++,
+                run,
+                resolve,
+                reject
+            });
+            queue.sort((a, b) => a.rank - b.rank || a.seq - b.seq);
+
+            if (this.wakers[provider]) {
+                this.wakers[provider]();
+            }
+            this.pump(provider);
+        });
+    }
+
+    // トークンが取れたものから順に実行
+    async pump(provider) {
+        if (this.pumping.has(provider)) return;
+        this.pumping.add(provider);
+
+        try {
+            const queue = this.queues[provider];
+            while (queue.length > 0) {
+                const next = queue[0];
+                const wait = await this.acquire(provider, next.priority);
+                if (wait > 0) {
+                    // 待っている間に新しいリクエストが来た場合は先頭から判定し直す
+                    await new Promise(resolve => {
+                        const timer = setTimeout(resolve, Math.max(wait, 50));
+                        this.wakers[provider] = () => {
+                            clearTimeout(timer);
+                            resolve();
+                        };
+                    });
+                    delete this.wakers[provider];
+                    continue;
+                }
+
+                // トークン取得中に優先度の高いリクエストが追加された場合はそちらを先に実行
+                const item = queue.shift();
+                item.run().then(item.resolve, item.reject);
+            }
+        } catch (error) {
+            console.error(`RequestScheduler: Failed to process ${provider} queue:`, error);
+            (this.queues[provider] || []).splice(0).forEach(item => item.reject(error));
+        } finally {
+            this.pumping.delete(provider);
+        }
+    }
+
+    // 待ち行列の件数
+    getQueueLength(provider) {
+        return (this.queues[provider] || []).length;
+    }
+
+    // 永続キャッシュを開き、期限切れを削除
+    async openCache() {
+        if (typeof indexedDB === 'undefined') return null;
+
+        try {
+            this.cacheDb = await new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.CACHE_DB_NAME, this.CACHE_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(this.CACHE_STORE_NAME, { keyPath: 'key' });
+                    store.createIndex('expiresAt', 'expiresAt');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            await this.pruneCache();
+        } catch (error) {
+            console.warn('RequestScheduler: Persistent cache unavailable, using memory only:', error);
+            this.cacheDb = null;
+        }
+        return this.cacheDb;
+    }
+
+    // IndexedDBの操作をPromiseで実行
+    cacheTransaction(mode, fn) {
+        return new Promise((resolve, reject) => {
+            const tx = this.cacheDb.transaction(this.CACHE_STORE_NAME, mode);
+            const result = fn(tx.objectStore(this.CACHE_STORE_NAME));
+            tx.oncomplete = () => resolve(result && 'result' in result ? result.result : undefined);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    // キャッシュから取得（ない・期限切れの場合はundefined）
+    async getCached(key) {
+        const now = Date.now();
+        const memory = this.memoryCache.get(key);
+        if (memory) {
+            if (memory.expiresAt > now) return memory.value;
+            this.memoryCache.delete(key);
+        }
+
+        await this.cacheReady;
+        if (!this.cacheDb) return undefined;
+
+        try {
+            const entry = await this.cacheTransaction('readonly', store => store.get(key));
+            if (!entry || entry.expiresAt <= now) return undefined;
+            this.memoryCache.set(key, entry);
+            return entry.value;
+        } catch (error) {
+            console.warn('RequestScheduler: Failed to read cache:', error);
+            return undefined;
+        }
+    }
+
+    // キャッシュに保存
+    async setCached(key, value, ttl) {
+        const entry = { key, value, expiresAt: Date.now() + ttl };
+        this.memoryCache.set(key, entry);
+
+        await this.cacheReady;
+        if (!this.cacheDb) return;
+
+        try {
+            await this.cacheTransaction('readwrite', store => store.put(entry));
+            await this.pruneCache();
+        } catch (error) {
+            console.warn('RequestScheduler: Failed to write cache:', error);
+        }
+    }
+
+    // 期限切れと上限を超えた古いエントリを削除
+    async pruneCache() {
+        if (!this.cacheDb) return;
+
+        const now = Date.now();
+        const count = await this.cacheTransaction('readonly', store => store.count());
+        let excess = Math.max(0, count - this.MAX_CACHE_ENTRIES);
+
+        await this.cacheTransaction('readwrite', store => {
+            store.index('expiresAt').openCursor().onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (!cursor) return;
+                if (cursor.value.expiresAt <= now || excess > 0) {
+                    excess--;
+                    this.memoryCache.delete(cursor.value.key);
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+        });
+    }
+
+    // キャッシュを削除（prefix指定時は一致するキーのみ）
+    async clearCache(prefix = '') {
+        Array.from(this.memoryCache.keys())
+            .filter(key => key.startsWith(prefix))
+            .forEach(key => this.memoryCache.delete(key));
+
+        await this.cacheReady;
+        if (!this.cacheDb) return;
+
+        try {
+            await this.cacheTransaction('readwrite', store => {
+                store.openCursor().onsuccess = (e) => {
+                    const cursor = e.target.result;
+                    if (!cursor) return;
+                    if (cursor.key.startsWith(prefix)) {
+                        cursor.delete();
+                    }
+                    cursor.continue();
+                };
+            });
+        } catch (error) {
+            console.warn('RequestScheduler: Failed to clear cache:', error);
+        }
+    }
+}
+
+// グローバルインスタンス
+window.requestScheduler = new RequestScheduler();
@@ -0,0 +1,279 @@
+// riot-account-service.js - 複数Riotアカウント（メイン・サブ）の管理
+class RiotAccountService {
+    constructor() {
+        this.STORAGE_KEY = 'valorant_riot_accounts';
+        this.ACTIVE_KEY = 'valorant_active_account';
+
+        // 全アカウント合算表示
+        this.ALL_ACCOUNTS = 'all';
+
+        // 変更通知イベント名
+        this.CHANGE_EVENT = 'riotAccountChanged';
+
+        this.VALID_REGIONS = ['eu', 'na', 'ap', 'kr', 'latam', 'br'];
+        this.VALID_PLATFORMS = ['pc', 'console'];
+
+        this.accounts = this.loadAccounts();
+        this.migrateLegacyRiotId();
+
+        console.log('RiotAccountService initialized');
+    }
+
+    // アカウントID（name#tag、大文字小文字は区別しない）
+    getAccountId(name, tag) {
+        return `${String(name || '').trim()}#${String(tag || '').trim().replace('#', '')}`.toLowerCase();
+    }
+
+    // 保存済みのアカウントを読み込み
+    loadAccounts() {
+        try {
+            const parsed = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '[]');
+            return Array.isArray(parsed) ? parsed : [];
+        } catch (error) {
+            console.warn('RiotAccountService: Failed to load accounts:', error);
+            return [];
+        }
+    }
+
+    // 保存済みのアカウントを読み直す（他タブでの変更時）
+    reload() {
+        this.accounts = this.loadAccounts();
+    }
+
+    // アカウントを保存
+    saveAccounts() {
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.accounts));
+    }
+
+    // 単一Riot ID時代の設定をメインアカウントとして登録
+    migrateLegacyRiotId() {
+        if (this.accounts.length > 0) return;
+
+        try {
+            const riotId = JSON.parse(localStorage.getItem('valorant_riot_id') || 'null');
+            if (!riotId || !riotId.name || !riotId.tag) return;
+
+            const settings = JSON.parse(localStorage.getItem('valorant_api_settings') || '{}');
+            this.accounts.push(this.createAccount({
+                name: riotId.name,
+                tag: riotId.tag,
+                region: settings.region,
+                platform: settings.platform
+            }, true));
+            this.saveAccounts();
+        } catch (error) {
+            console.warn('RiotAccountService: Failed to migrate legacy Riot ID:', error);
+        }
+    }
+
+    // アカウントオブジェクトを作成（入力値を検証）
+    createAccount({ name, tag, region = 'ap', platform = 'pc', label = '' }, isMain = false) {
+        const trimmedName = String(name || '').trim();
+        const trimmedTag = String(tag || '').trim().replace('#', '');
+        if (!trimmedName || !trimmedTag) {
+            throw new Error('Riot IDの名前とタグを入力してください');
+        }
+        if (!this.VALID_REGIONS.includes(region)) {
+            throw new Error(`無効なリージョンです。有効な値: ${this.VALID_REGIONS.join(', ')}`);
+        }
+        if (!this.VALID_PLATFORMS.includes(platform)) {
+            throw new Error(`無効なプラットフォームです。有効な値: ${this.VALID_PLATFORMS.join(', ')}`);
+        }
+
+        return {
+            id: this.getAccountId(trimmedName, trimmedTag),
+            name: trimmedName,
+            tag: trimmedTag,
+            region,
+            platform,
+            label: String(label || '').trim(),
+            isMain,
+            addedAt: new Date().toISOString()
+        };
+    }
+
+    // 登録済みアカウント一覧
+    getAccounts() {
+        return [...this.accounts];
+    }
+
+    // IDでアカウントを取得
+    findAccount(id) {
+        return this.accounts.find(a => a.id === id) || null;
+    }
+
+    // メインアカウントを取得
+    getMainAccount() {
+        return this.accounts.find(a => a.isMain) || this.accounts[0] || null;
+    }
+
+    // 表示名
+    getLabel(account) {
+        if (!account) return 'すべてのアカウント';
+        const riotId = `${account.name}#${account.tag}`;
+        return account.label ? `${account.label} (${riotId})` : riotId;
+    }
+
+    // アカウントを追加（最初のアカウントはメイン）
+    addAccount(data) {
+        const account = this.createAccount(data, this.accounts.length === 0);
+        if (this.findAccount(account.id)) {
+            throw new Error(`${account.name}#${account.tag} は既に登録されています`);
+        }
+
+        this.accounts.push(account);
+        this.saveAccounts();
+        this.notifyChange('add', account.id);
+        return account;
+    }
+
+    // 未登録の場合のみ追加
+    ensureAccount(data) {
+        const existing = this.findAccount(this.getAccountId(data.name, data.tag));
+        return existing || this.addAccount(data);
+    }
+
+    // アカウント情報を更新（名前・タグは変更不可）
+    updateAccount(id, updates) {
+        const index = this.accounts.findIndex(a => a.id === id);
+        if (index === -1) return null;
+
+        const current = this.accounts[index];
+        const updated = this.createAccount({ ...current, ...updates, name: current.name, tag: current.tag }, current.isMain);
+        updated.addedAt = current.addedAt;
+
+        this.accounts[index] = updated;
+        this.saveAccounts();
+
+        // 表示中のアカウントの場合はAPI設定にも反映
+        if (this.getActiveAccountId() === id) {
+            this.applyToApiService(updated);
+        }
+
+        this.notifyChange('update', id);
+        return updated;
+    }
+
+    // アカウントを削除（試合データは残す）
+    removeAccount(id) {
+        const account = this.findAccount(id);
+        if (!account) return false;
+
+        this.accounts = this.accounts.filter(a => a.id !== id);
+        if (account.isMain && this.accounts.length > 0) {
+            this.accounts[0].isMain = true;
+        }
+        this.saveAccounts();
+
+        if (localStorage.getItem(this.ACTIVE_KEY) === id) {
+            localStorage.setItem(this.ACTIVE_KEY, this.ALL_ACCOUNTS);
+        }
+
+        this.notifyChange('remove', id);
+        return true;
+    }
+
+    // メインアカウントを変更
+    setMainAccount(id) {
+        if (!this.findAccount(id)) return false;
+
+        this.accounts.forEach(a => {
+            a.isMain = a.id === id;
+        });
+        this.saveAccounts();
+        this.notifyChange('update', id);
+        return true;
+    }
+
+    // 別の端末・アカウント側に保存されたアカウント一覧を統合
+    mergeAccounts(remoteAccounts = []) {
+        let added = 0;
+        remoteAccounts.forEach(remote => {
+            if (!remote || !remote.id || this.findAccount(remote.id)) return;
+            this.accounts.push({ ...remote, isMain: this.accounts.length === 0 && !!remote.isMain });
+            added++;
+        });
+
+        if (added > 0) {
+            if (!this.accounts.some(a => a.isMain)) {
+                this.accounts[0].isMain = true;
+            }
+            this.saveAccounts();
+            this.notifyChange('merge', null);
+        }
+        return added;
+    }
+
+    // 表示中のアカウントID（未設定・削除済みの場合は合算表示）
+    getActiveAccountId() {
+        const stored = localStorage.getItem(this.ACTIVE_KEY);
+        if (stored && (stored === this.ALL_ACCOUNTS || this.findAccount(stored))) {
+            return stored;
+        }
+        return this.ALL_ACCOUNTS;
+    }
+
+    // 表示中のアカウント（合算表示の場合はnull）
+    getActiveAccount() {
+        return this.findAccount(this.getActiveAccountId());
+    }
+
+    // 合算表示かどうか
+    isCombinedView() {
+        return this.getActiveAccountId() === this.ALL_ACCOUNTS;
+    }
+
+    // 表示するアカウントを切り替え
+    setActiveAccount(id) {
+        if (id !== this.ALL_ACCOUNTS && !this.findAccount(id)) {
+            throw new Error('アカウントが見つかりません');
+        }
+
+        localStorage.setItem(this.ACTIVE_KEY, id);
+
+        const account = this.findAccount(id);
+        if (account) {
+            this.applyToApiService(account);
+        }
+
+        this.notifyChange('switch', id);
+    }
+
+    // Henrik APIの取得対象を切り替え
+    applyToApiService(account) {
+        if (window.valorantAPIService) {
+            window.valorantAPIService.useAccount(account);
+        }
+    }
+
+    // 新規の試合を紐付けるアカウントID（合算表示中はメイン）
+    getEntryAccountId() {
+        const account = this.getActiveAccount() || this.getMainAccount();
+        return account ? account.id : null;
+    }
+
+    // 試合が指定アカウントのものか（アカウント未設定の過去の試合はメイン扱い）
+    matchBelongsTo(match, accountId) {
+        if (accountId === this.ALL_ACCOUNTS) return true;
+        if (match.accountId) return match.accountId === accountId;
+
+        const main = this.getMainAccount();
+        return !!main && main.id === accountId;
+    }
+
+    // 表示中のアカウントで試合を絞り込み
+    filterMatches(matches, accountId = this.getActiveAccountId()) {
+        if (accountId === this.ALL_ACCOUNTS) return matches;
+        return matches.filter(m => this.matchBelongsTo(m, accountId));
+    }
+
+    // 変更を通知
+    notifyChange(type, accountId) {
+        window.dispatchEvent(new CustomEvent(this.CHANGE_EVENT, {
+            detail: { type, accountId }
+        }));
+    }
+}
+
+// グローバルインスタンス
+window.riotAccountService = new RiotAccountService();
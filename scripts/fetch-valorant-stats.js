@@ -4,12 +4,14 @@ const path = require('path');
 
 // 設定
 const CONFIG = {
-    baseUrl: 'https://api.henrikdev.xyz',
+    // ローカルの代替サーバー（scripts/mock-henrik-server.js）を使う場合は HENRIK_BASE_URL で指定
+    baseUrl: (process.env.HENRIK_BASE_URL || 'https://api.henrikdev.xyz').replace(/\/+$/, ''),
     apiKey: process.env.HENRIK_API_KEY,
     riotName: process.env.RIOT_NAME || 'ykun',
     riotTag: process.env.RIOT_TAG || '1672',
     region: process.env.RIOT_REGION || 'ap',
-    platform: 'pc'
+    platform: 'pc',
+    outputPath: process.env.STATS_OUTPUT_PATH || path.join(__dirname, '..', 'data', 'valorant-stats.json')
 };
 
 // レート制限対応の遅延
@@ -51,6 +53,47 @@ async function getMMR() {
     return response.data;
 }
 
+// MMR履歴（試合ごとのランク・RR増減）を取得
+async function getMMRHistory() {
+    const endpoint = `/valorant/v2/mmr-history/${CONFIG.region}/${CONFIG.platform}/${encodeURIComponent(CONFIG.riotName)}/${encodeURIComponent(CONFIG.riotTag)}`;
+    const response = await makeRequest(endpoint);
+    return response.data?.history || [];
+}
+
+// 前回出力したデータを読み込み（ない場合はnull）
+function loadPreviousResult(outputPath) {
+    try {
+        return JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+// MMR履歴を保存形式に変換し、前回までの履歴とマージ（APIは直近分のみ返すため、古い順に蓄積）
+function mergeRankHistory(previous, history) {
+    const byMatch = new Map((previous || []).map(entry => [entry.matchId, entry]));
+
+    history.forEach(entry => {
+        if (!entry.match_id) return;
+        const tier = entry.tier?.id ?? 0;
+        byMatch.set(entry.match_id, {
+            matchId: entry.match_id,
+            date: new Date(entry.date_raw ? entry.date_raw * 1000 : entry.date).toISOString(),
+            tier,
+            tierName: entry.tier?.name || 'Unranked',
+            rr: entry.rr ?? 0,
+            change: entry.last_change ?? 0,
+            elo: entry.elo ?? 0,
+            seasonId: entry.season?.id || null,
+            seasonShort: entry.season?.short || null,
+            map: entry.map?.name || null
+        });
+    });
+
+    return Array.from(byMatch.values())
+        .sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
 // マッチ履歴を取得
 async function getMatchHistory(mode = 'competitive', size = 20) {
     const endpoint = `/valorant/v3/matches/${CONFIG.region}/${encodeURIComponent(CONFIG.riotName)}/${encodeURIComponent(CONFIG.riotTag)}?mode=${mode}&size=${size}`;
@@ -267,6 +310,7 @@ async function main() {
     console.log('=== Valorant Stats Fetcher ===');
     console.log(`Riot ID: ${CONFIG.riotName}#${CONFIG.riotTag}`);
     console.log(`Region: ${CONFIG.region}`);
+    console.log(`API: ${CONFIG.baseUrl}`);
 
     if (!CONFIG.apiKey) {
         throw new Error('HENRIK_API_KEY environment variable is not set');
@@ -287,6 +331,18 @@ async function main() {
 
         await delay(2000);
 
+        // MMR履歴を取得（失敗してもマッチ履歴の取得は続ける）
+        console.log('\n2b. Fetching MMR history...');
+        let mmrHistory = [];
+        try {
+            mmrHistory = await getMMRHistory();
+            console.log(`   Found ${mmrHistory.length} rank changes`);
+        } catch (error) {
+            console.warn(`   Failed to fetch MMR history: ${error.message}`);
+        }
+
+        await delay(2000);
+
         // マッチ履歴を取得（Competitiveのみ）
         console.log('\n3. Fetching match history (Competitive only)...');
         const allMatches = await getMatchHistory('competitive', 20);
@@ -325,6 +381,13 @@ async function main() {
             .map(match => convertMatchToGalleryFormat(match, account.puuid))
             .filter(m => m !== null);
 
+        const outputPath = CONFIG.outputPath;
+        const dataDir = path.dirname(outputPath);
+
+        // ランク推移は前回までの履歴に追加
+        const previousResult = loadPreviousResult(outputPath);
+        const rankHistory = mergeRankHistory(previousResult?.rankHistory, mmrHistory);
+
         // 結果をまとめる
         const result = {
             lastUpdated: new Date().toISOString(),
@@ -344,16 +407,15 @@ async function main() {
                 peakSeason: mmr.peak?.season || ''
             },
             stats: stats,
-            matches: galleryMatches
+            matches: galleryMatches,
+            rankHistory
         };
 
         // JSONファイルとして保存
-        const dataDir = path.join(__dirname, '..', 'data');
         if (!fs.existsSync(dataDir)) {
             fs.mkdirSync(dataDir, { recursive: true });
         }
 
-        const outputPath = path.join(dataDir, 'valorant-stats.json');
         fs.writeFileSync(outputPath, JSON.stringify(result, null, 2));
         console.log(`\n5. Saved to ${outputPath}`);
 
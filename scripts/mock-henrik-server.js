@@ -0,0 +1,288 @@
+// mock-henrik-server.js - HenrikDev APIのローカル代替サーバー（オフライン開発・デモ用）
+//
+// scripts/mock-henrik/fixtures の記録済みレスポンスを返す。
+// 試合データは fixtures/lobbies.json から scripts/mock-henrik/generate-matches.js で組み立てる（fixtures に matches.json があればそれを返す）。
+// アプリ（ValorantAPIService.setBaseUrl）や fetch-valorant-stats.js（HENRIK_BASE_URL）の接続先をこのサーバーに向けて使う。
+//
+// エラーの再現:
+//   - 存在しないRiot ID                    → 404
+//   - Riot ID「mockerror#<ステータス>」     → 常にそのステータス（例: mockerror#429, mockerror#503）
+//   - GET /__mock/fail?status=429&count=2   → 次の2リクエストを429にする
+//   - GET /__mock/reset                     → 予約したエラーを解除
+//   - 環境変数 MOCK_ERROR_RATE=0.2          → 20%のリクエストを MOCK_ERROR_STATUSES のいずれかで失敗させる
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { generateMatches } = require('./mock-henrik/generate-matches');
+
+// 設定
+const CONFIG = {
+    port: Number(process.env.MOCK_PORT) || 8787,
+    host: process.env.MOCK_HOST || 'localhost',
+    fixturesDir: process.env.MOCK_FIXTURES_DIR || path.join(__dirname, 'mock-henrik', 'fixtures'),
+    errorRate: Number(process.env.MOCK_ERROR_RATE) || 0,
+    errorStatuses: (process.env.MOCK_ERROR_STATUSES || '429,500,503').split(',').map(Number),
+    latencyMs: Number(process.env.MOCK_LATENCY_MS) || 0,
+    retryAfter: Number(process.env.MOCK_RETRY_AFTER) || 30
+};
+
+// エラーを返すRiot IDの名前
+const ERROR_PLAYER_NAME = 'mockerror';
+
+// ステータスごとのエラーメッセージ（HenrikDev APIの形式）
+const ERROR_MESSAGES = {
+    400: 'Bad request',
+    401: 'Invalid API key',
+    404: 'Not found',
+    429: 'Rate limit exceeded',
+    500: 'Internal server error',
+    502: 'Bad gateway',
+    503: 'Riot API seems to be down, please try again later',
+    504: 'Gateway timeout'
+};
+
+// 記録済みレスポンスを読み込み
+function loadFixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(CONFIG.fixturesDir, name), 'utf8'));
+}
+
+// 試合データ（記録済みのmatches.jsonがなければロビー情報から生成）
+function loadMatches() {
+    if (fs.existsSync(path.join(CONFIG.fixturesDir, 'matches.json'))) {
+        return loadFixture('matches.json');
+    }
+    return generateMatches(path.join(CONFIG.fixturesDir, 'lobbies.json'));
+}
+
+const fixtures = {
+    account: loadFixture('account.json'),
+    mmr: loadFixture('mmr.json'),
+    mmrHistory: loadFixture('mmr-history.json'),
+    matches: loadMatches()
+};
+
+// /__mock/fail で予約したエラー
+let scheduledFailure = null;
+
+// レスポンスを送信（アプリは別オリジンから呼ぶためCORSを許可）
+function send(res, status, body, headers = {}) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+        'Access-Control-Allow-Methods': 'GET, OPTIONS',
+        'Cache-Control': 'no-cache',
+        ...headers
+    });
+    res.end(body === null ? '' : JSON.stringify(body));
+}
+
+// HenrikDev API形式のエラーを送信
+function sendError(res, status) {
+    const headers = status === 429 ? { 'Retry-After': String(CONFIG.retryAfter) } : {};
+    send(res, status, {
+        status,
+        errors: [{ message: ERROR_MESSAGES[status] || 'Error', code: 0, details: 'mock-henrik-server' }]
+    }, headers);
+}
+
+// Riot IDが記録済みのアカウントか（大文字小文字は区別しない）
+function isKnownPlayer(name, tag) {
+    const account = fixtures.account.data;
+    return decodeURIComponent(name).toLowerCase() === account.name.toLowerCase() &&
+        decodeURIComponent(tag).toLowerCase() === account.tag.toLowerCase();
+}
+
+// 試合一覧（mode / size / start に対応）
+function listMatches(query) {
+    const mode = (query.get('mode') || '').toLowerCase();
+    const size = Math.min(Number(query.get('size')) || 10, 10);
+    const start = Number(query.get('start')) || 0;
+
+    const matches = fixtures.matches.data.filter(match =>
+        !mode || match.metadata.mode_id === mode
+    );
+    return { status: 200, data: matches.slice(start, start + size) };
+}
+
+// v3の試合データを /valorant/v2/match の形式に変換
+// v2は試合時間がミリ秒、チーム別のプレイヤー一覧があり、キルはラウンドのplayer_stats.kill_eventsにも入る
+function toV2Match(match) {
+    const allPlayers = match.players.all_players;
+    const killEvents = (roundIndex, puuid) => match.kills.filter(kill => kill.round === roundIndex && kill.killer_puuid === puuid);
+
+    return {
+        ...match,
+        metadata: { ...match.metadata, game_length: match.metadata.game_length * 1000 },
+        players: {
+            all_players: allPlayers,
+            red: allPlayers.filter(p => p.team === 'Red'),
+            blue: allPlayers.filter(p => p.team === 'Blue')
+        },
+        rounds: match.rounds.map((round, index) => ({
+            ...round,
+            player_stats: round.player_stats.map(stats => ({
+                ...stats,
+                kill_events: killEvents(index, stats.player_puuid)
+            }))
+        }))
+    };
+}
+
+// エンドポイント（ValorantAPIService / fetch-valorant-stats.js が呼ぶもの）
+const ROUTES = [
+    {
+        pattern: /^\/valorant\/v1\/account\/([^/]+)\/([^/]+)$/,
+        player: ([name, tag]) => ({ name, tag }),
+        handle: () => fixtures.account
+    },
+    {
+        pattern: /^\/valorant\/v3\/mmr\/([^/]+)\/([^/]+)\/([^/]+)\/([^/]+)$/,
+        player: ([, , name, tag]) => ({ name, tag }),
+        handle: () => fixtures.mmr
+    },
+    {
+        pattern: /^\/valorant\/v2\/mmr-history\/([^/]+)\/([^/]+)\/([^/]+)\/([^/]+)$/,
+        player: ([, , name, tag]) => ({ name, tag }),
+        handle: () => fixtures.mmrHistory
+    },
+    {
+        pattern: /^\/valorant\/v3\/matches\/([^/]+)\/([^/]+)\/([^/]+)$/,
+        player: ([, name, tag]) => ({ name, tag }),
+        handle: (params, query) => listMatches(query)
+    },
+    {
+        pattern: /^\/valorant\/v2\/match\/([^/]+)$/,
+        handle: ([matchId]) => {
+            const match = fixtures.matches.data.find(m => m.metadata.matchid === matchId);
+            return match ? { status: 200, data: toV2Match(match) } : null;
+        }
+    }
+];
+
+// 制御用エンドポイント
+function handleControl(res, pathname, query) {
+    if (pathname === '/__mock/fail') {
+        const status = Number(query.get('status')) || 500;
+        const count = Number(query.get('count')) || 1;
+        scheduledFailure = { status, remaining: count };
+        console.log(`Next ${count} request(s) will fail with ${status}`);
+        send(res, 200, { scheduled: scheduledFailure });
+    } else if (pathname === '/__mock/reset') {
+        scheduledFailure = null;
+        send(res, 200, { scheduled: null });
+    } else {
+        send(res, 200, {
+            scheduled: scheduledFailure,
+            errorRate: CONFIG.errorRate,
+            account: `${fixtures.account.data.name}#${fixtures.account.data.tag}`,
+            matches: fixtures.matches.data.length
+        });
+    }
+}
+
+// 予約・ランダムのエラー（該当しない場合はnull）
+function pickFailure() {
+    if (scheduledFailure && scheduledFailure.remaining > 0) {
+        scheduledFailure.remaining--;
+        const status = scheduledFailure.status;
+        if (scheduledFailure.remaining === 0) {
+            scheduledFailure = null;
+        }
+        return status;
+    }
+    if (CONFIG.errorRate > 0 && Math.random() < CONFIG.errorRate) {
+        return CONFIG.errorStatuses[Math.floor(Math.random() * CONFIG.errorStatuses.length)];
+    }
+    return null;
+}
+
+async function handleRequest(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || CONFIG.host}`);
+    console.log(`${req.method} ${url.pathname}${url.search}`);
+
+    if (req.method === 'OPTIONS') {
+        send(res, 204, null);
+        return;
+    }
+    if (url.pathname.startsWith('/__mock')) {
+        handleControl(res, url.pathname, url.searchParams);
+        return;
+    }
+    if (req.method !== 'GET') {
+        sendError(res, 400);
+        return;
+    }
+
+    if (CONFIG.latencyMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, CONFIG.latencyMs));
+    }
+
+    // 本物のAPIと同じくAPIキーは必須（値は問わない）
+    if (!req.headers.authorization) {
+        sendError(res, 401);
+        return;
+    }
+
+    const failure = pickFailure();
+    if (failure) {
+        sendError(res, failure);
+        return;
+    }
+
+    for (const route of ROUTES) {
+        const match = url.pathname.match(route.pattern);
+        if (!match) continue;
+
+        const params = match.slice(1);
+        if (route.player) {
+            const { name, tag } = route.player(params);
+            if (decodeURIComponent(name).toLowerCase() === ERROR_PLAYER_NAME) {
+                sendError(res, Number(tag) || 500);
+                return;
+            }
+            if (!isKnownPlayer(name, tag)) {
+                sendError(res, 404);
+                return;
+            }
+        }
+
+        const body = route.handle(params, url.searchParams);
+        if (!body) {
+            sendError(res, 404);
+        } else {
+            send(res, 200, body);
+        }
+        return;
+    }
+
+    sendError(res, 404);
+}
+
+const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch(error => {
+        console.error('Mock server error:', error);
+        sendError(res, 500);
+    });
+});
+
+server.listen(CONFIG.port, CONFIG.host, () => {
+    const account = fixtures.account.data;
+    console.log('=== Mock HenrikDev API ===');
+    console.log(`URL: http://${CONFIG.host}:${CONFIG.port}`);
+    console.log(`Account: ${account.name}#${account.tag} (${fixtures.matches.data.length} matches)`);
+    console.log(`App: valorantAPIService.setBaseUrl('http://${CONFIG.host}:${CONFIG.port}')`);
+    console.log(`Script: HENRIK_BASE_URL=http://${CONFIG.host}:${CONFIG.port} HENRIK_API_KEY=mock npm run fetch-stats`);
+    if (CONFIG.errorRate > 0) {
+        console.log(`Error rate: ${CONFIG.errorRate * 100}% (${CONFIG.errorStatuses.join(', ')})`);
+    }
+});
+
+server.on('error', (err) => {
+    if (err.code === 'EADDRINUSE') {
+        console.error(`Port ${CONFIG.port} is already in use (set MOCK_PORT to use another port)`);
+    } else {
+        console.error('Mock server error:', err);
+    }
+    process.exit(1);
+});
@@ -0,0 +1,436 @@
+// secrets-vault.js - APIキーなどの秘密情報の暗号化保管庫（WebCrypto）
+//
+// 値はAES-GCMで暗号化してlocalStorageに保存し、復号はリクエスト時にメモリ上でのみ行う。
+// 暗号鍵は端末鍵（IndexedDBに保存した取り出し不可のCryptoKey）か、パスフレーズからPBKDF2で導出した鍵を使う。
+class SecretsVault {
+    constructor() {
+        this.STORAGE_KEY = 'ebridge_secrets_vault';
+        this.FORMAT_VERSION = 1;
+
+        // 端末鍵の保存先
+        this.DB_NAME = 'ebridge-vault';
+        this.DB_STORE = 'keys';
+        this.DEVICE_KEY_ID = 'device';
+
+        this.PBKDF2_ITERATIONS = 310000;
+        this.MIN_PASSPHRASE_LENGTH = 8;
+
+        // パスフレーズ使用時は一定時間操作がなければ自動でロック
+        this.AUTO_LOCK_MS = 15 * 60 * 1000;
+
+        // パスフレーズの照合用に暗号化しておく固定文字列
+        this.VERIFIER_TEXT = 'e-bridge-secrets-vault';
+
+        // 変更通知イベント名
+        this.CHANGE_EVENT = 'secretsVaultChanged';
+
+        // 管理対象のシークレット
+        this.SECRETS = {
+            ai_api_key: { label: 'AIコーチング APIキー' },
+            henrik_api_key: { label: 'HenrikDev APIキー' }
+        };
+
+        this.key = null;
+        // 現在の鍵の識別子（端末鍵は'device'、パスフレーズはソルト）。他タブで鍵が変わったことの検知に使う
+        this.keyId = null;
+        this.autoLockTimer = null;
+        this.available = typeof crypto !== 'undefined' && !!crypto.subtle && typeof indexedDB !== 'undefined';
+
+        this.readyPromise = this.init();
+    }
+
+    // 初期化（保管庫がなければ端末鍵で作成し、平文で保存されていたキーを移行）
+    async init() {
+        if (!this.available) {
+            console.warn('SecretsVault: WebCrypto or IndexedDB is not available');
+            return this;
+        }
+
+        try {
+            let vault = this.loadVault();
+
+            if (!vault) {
+                this.key = await this.createDeviceKey();
+                this.keyId = 'device';
+                vault = { version: this.FORMAT_VERSION, mode: 'device', entries: {} };
+                this.saveVault(vault);
+            } else if (vault.mode === 'device') {
+                this.key = await this.loadDeviceKey();
+                this.keyId = 'device';
+
+                // 端末鍵が失われた場合（ブラウザデータの削除など）は復号できないため作り直す
+                if (!this.key) {
+                    console.warn('SecretsVault: Device key is missing. Stored secrets cannot be decrypted and were discarded');
+                    this.key = await this.createDeviceKey();
+                    this.saveVault({ version: this.FORMAT_VERSION, mode: 'device', entries: {} });
+                }
+            }
+
+            if (this.key) {
+                await this.migratePlaintextSecrets();
+            }
+
+            console.log(`SecretsVault initialized (${vault.mode}, ${this.key ? 'unlocked' : 'locked'})`);
+        } catch (error) {
+            console.error('SecretsVault: Failed to initialize:', error);
+        }
+
+        return this;
+    }
+
+    // 初期化完了を待つ
+    whenReady() {
+        return this.readyPromise;
+    }
+
+    // 保管庫を読み込み
+    loadVault() {
+        try {
+            return JSON.parse(localStorage.getItem(this.STORAGE_KEY)) || null;
+        } catch (error) {
+            console.warn('SecretsVault: Failed to load vault:', error);
+            return null;
+        }
+    }
+
+    // 保管庫を保存
+    saveVault(vault) {
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(vault));
+    }
+
+    // 端末鍵のデータベースを開く
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                if (!request.result.objectStoreNames.contains(this.DB_STORE)) {
+                    request.result.createObjectStore(this.DB_STORE);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // 端末鍵を読み込み
+    async loadDeviceKey() {
+        const db = await this.openDatabase();
+        try {
+            return await new Promise((resolve, reject) => {
+                const request = db.transaction(this.DB_STORE, 'readonly').objectStore(this.DB_STORE).get(this.DEVICE_KEY_ID);
+                request.onsuccess = () => resolve(request.result || null);
+                request.onerror = () => reject(request.error);
+            });
+        } finally {
+            db.close();
+        }
+    }
+
+    // 端末鍵を作成して保存（取り出し不可）
+    async createDeviceKey() {
+        const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+
+        const db = await this.openDatabase();
+        try {
+            await new Promise((resolve, reject) => {
+                const tx = db.transaction(this.DB_STORE, 'readwrite');
+                tx.objectStore(this.DB_STORE).put(key, this.DEVICE_KEY_ID);
+                tx.oncomplete = () => resolve();
+                tx.onerror = () => reject(tx.error);
+            });
+        } finally {
+            db.close();
+        }
+
+        return key;
+    }
+
+    // パスフレーズから鍵を導出
+    async deriveKey(passphrase, salt) {
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations: this.PBKDF2_ITERATIONS, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    // Base64変換
+    toBase64(bytes) {
+        return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+    }
+
+    fromBase64(text) {
+        return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+    }
+
+    // 暗号化
+    async encrypt(plainText, key = this.key) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(plainText));
+        return { iv: this.toBase64(iv), data: this.toBase64(data) };
+    }
+
+    // 復号
+    async decrypt(entry, key = this.key) {
+        const data = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.fromBase64(entry.iv) },
+            key,
+            this.fromBase64(entry.data)
+        );
+        return new TextDecoder().decode(data);
+    }
+
+    // 利用可能か
+    isAvailable() {
+        return this.available;
+    }
+
+    // ロック中か
+    isLocked() {
+        return !this.key;
+    }
+
+    // 'device'（端末鍵）または 'passphrase'
+    getMode() {
+        return this.loadVault()?.mode || 'device';
+    }
+
+    // シークレットが保存されているか（復号せずに判定）
+    hasSecret(name) {
+        return !!this.loadVault()?.entries?.[name];
+    }
+
+    // ロック中の場合はエラー
+    assertUnlocked() {
+        if (!this.available) {
+            throw new Error('このブラウザでは暗号化保管庫を利用できません');
+        }
+        if (this.isLocked()) {
+            throw new Error('APIキーの保管庫がロックされています。設定画面でロックを解除してください');
+        }
+    }
+
+    // シークレットを復号して取得（呼び出し元で保持せず、リクエストごとに取得する）
+    async getSecret(name) {
+        await this.readyPromise;
+
+        const entry = this.loadVault()?.entries?.[name];
+        if (!entry) return '';
+
+        this.assertUnlocked();
+        this.resetAutoLock();
+        return this.decrypt(entry);
+    }
+
+    // シークレットを暗号化して保存（空文字の場合は削除）
+    async setSecret(name, value) {
+        await this.readyPromise;
+
+        if (!value) {
+            this.removeSecret(name);
+            return;
+        }
+
+        this.assertUnlocked();
+        const vault = this.loadVault();
+        vault.entries[name] = await this.encrypt(value);
+        this.saveVault(vault);
+        this.resetAutoLock();
+        this.notifyChange();
+    }
+
+    // シークレットを削除（ロック中でも可能）
+    removeSecret(name) {
+        const vault = this.loadVault();
+        if (!vault || !vault.entries[name]) return;
+
+        delete vault.entries[name];
+        this.saveVault(vault);
+        this.notifyChange();
+    }
+
+    // ロックを解除
+    async unlock(passphrase = '') {
+        await this.readyPromise;
+
+        const vault = this.loadVault();
+        if (!vault) {
+            throw new Error('保管庫が初期化されていません');
+        }
+
+        if (vault.mode === 'device') {
+            this.key = await this.loadDeviceKey();
+            this.keyId = 'device';
+        } else {
+            const key = await this.deriveKey(passphrase, this.fromBase64(vault.salt));
+            try {
+                const verified = await this.decrypt(vault.verifier, key);
+                if (verified !== this.VERIFIER_TEXT) throw new Error('verifier mismatch');
+            } catch (error) {
+                throw new Error('パスフレーズが正しくありません');
+            }
+            this.key = key;
+            this.keyId = vault.salt;
+        }
+
+        await this.migratePlaintextSecrets();
+        this.resetAutoLock();
+        this.notifyChange();
+    }
+
+    // ロック（メモリ上の鍵を破棄）
+    lock() {
+        this.key = null;
+        this.keyId = null;
+        clearTimeout(this.autoLockTimer);
+        this.autoLockTimer = null;
+        this.notifyChange();
+    }
+
+    // 自動ロックのタイマーを再設定（パスフレーズ使用時のみ）
+    resetAutoLock() {
+        clearTimeout(this.autoLockTimer);
+        this.autoLockTimer = null;
+
+        if (this.getMode() === 'passphrase' && this.key) {
+            this.autoLockTimer = setTimeout(() => this.lock(), this.AUTO_LOCK_MS);
+        }
+    }
+
+    // 全シークレットを新しい鍵で暗号化し直す
+    async reencryptAll(newKey) {
+        const vault = this.loadVault();
+        const entries = {};
+        for (const [name, entry] of Object.entries(vault.entries)) {
+            entries[name] = await this.encrypt(await this.decrypt(entry), newKey);
+        }
+        return entries;
+    }
+
+    // パスフレーズを設定・変更
+    async setPassphrase(passphrase) {
+        await this.readyPromise;
+        this.assertUnlocked();
+
+        if (!passphrase || passphrase.length < this.MIN_PASSPHRASE_LENGTH) {
+            throw new Error(`パスフレーズは${this.MIN_PASSPHRASE_LENGTH}文字以上で入力してください`);
+        }
+
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const newKey = await this.deriveKey(passphrase, salt);
+        const entries = await this.reencryptAll(newKey);
+
+        this.keyId = this.toBase64(salt);
+        this.saveVault({
+            version: this.FORMAT_VERSION,
+            mode: 'passphrase',
+            salt: this.keyId,
+            verifier: await this.encrypt(this.VERIFIER_TEXT, newKey),
+            entries
+        });
+
+        this.key = newKey;
+        this.resetAutoLock();
+        this.notifyChange();
+    }
+
+    // パスフレーズを解除して端末鍵に戻す
+    async removePassphrase() {
+        await this.readyPromise;
+        this.assertUnlocked();
+
+        const deviceKey = await this.loadDeviceKey() || await this.createDeviceKey();
+        const entries = await this.reencryptAll(deviceKey);
+
+        this.saveVault({ version: this.FORMAT_VERSION, mode: 'device', entries });
+
+        this.key = deviceKey;
+        this.keyId = 'device';
+        this.resetAutoLock();
+        this.notifyChange();
+    }
+
+    // 他タブでの変更を反映（パスフレーズの設定・変更などで鍵が変わった場合はロックし直す）
+    async handleExternalChange() {
+        const vault = this.loadVault();
+        const currentKeyId = vault?.mode === 'passphrase' ? vault.salt : 'device';
+
+        if (this.key && this.keyId !== currentKeyId) {
+            this.lock();
+            if (vault?.mode !== 'passphrase') {
+                await this.unlock();
+            }
+            return;
+        }
+
+        this.notifyChange();
+    }
+
+    // 平文で保存されていたAPIキーを保管庫へ移し、平文を削除
+    async migratePlaintextSecrets() {
+        const vault = this.loadVault();
+        let migrated = 0;
+
+        const store = async (name, value) => {
+            if (!value || vault.entries[name]) return;
+            vault.entries[name] = await this.encrypt(value);
+            migrated++;
+        };
+
+        try {
+            // AIコーチングのAPIキー
+            await store('ai_api_key', localStorage.getItem('ai_api_key'));
+            localStorage.removeItem('ai_api_key');
+
+            // HenrikDev APIキー（API設定とユーザーごとの設定）
+            const settingKeys = ['valorant_api_settings', ...Object.keys(localStorage).filter(key =>
+                key.startsWith('user_data_') && key.endsWith('_valorant_settings')
+            )];
+            for (const key of settingKeys) {
+                const settings = JSON.parse(localStorage.getItem(key) || 'null');
+                if (!settings || !('apiKey' in settings)) continue;
+
+                await store('henrik_api_key', settings.apiKey);
+                delete settings.apiKey;
+                localStorage.setItem(key, JSON.stringify(settings));
+            }
+        } catch (error) {
+            console.error('SecretsVault: Failed to migrate plaintext secrets:', error);
+        }
+
+        if (migrated > 0) {
+            this.saveVault(vault);
+            console.log(`SecretsVault: Migrated ${migrated} plaintext secret(s)`);
+            this.notifyChange();
+        }
+    }
+
+    // 保存状況の一覧（値は含まない）
+    getStatus() {
+        return {
+            available: this.available,
+            locked: this.isLocked(),
+            mode: this.getMode(),
+            secrets: Object.entries(this.SECRETS).map(([name, secret]) => ({
+                name,
+                label: secret.label,
+                stored: this.hasSecret(name)
+            }))
+        };
+    }
+
+    // 変更を通知
+    notifyChange() {
+        window.dispatchEvent(new CustomEvent(this.CHANGE_EVENT, {
+            detail: { locked: this.isLocked(), mode: this.getMode() }
+        }));
+    }
+}
+
+// グローバルインスタンス
+window.secretsVault = new SecretsVault();
@@ -0,0 +1,489 @@
+// storage-migrations.js - localStorageスキーマのバージョン管理とマイグレーション
+class StorageMigrationService {
+    constructor() {
+        this.VERSION_KEY = 'ebridge_schema_version';
+        this.LOG_KEY = 'ebridge_migration_log';
+        this.BACKUP_PREFIX = 'ebridge_migration_backup_v';
+        this.MAX_LOG_ENTRIES = 100;
+
+        // 保存先（大容量データはIndexedDB、それ以外はlocalStorage）
+        this.storage = window.largeDataStore;
+
+        // マイグレーション定義（バージョン順）
+        // keys / keyPrefixes に含まれるキーは適用前にスナップショットされ、rollbackで復元される
+        this.migrations = [
+            {
+                version: 1,
+                name: 'consolidate-matches',
+                description: '旧キーの試合データをvalorant_galleryに統合',
+                keys: ['valorant_gallery', 'valorant_matches', 'recentMatches', 'sf6_gallery'],
+                up: () => this.migrateMatches()
+            },
+            {
+                version: 2,
+                name: 'normalize-goals',
+                description: '目標データの進捗・ID・作成日を正規化し、重複IDを削除',
+                keys: ['goals'],
+                up: () => this.migrateGoals()
+            },
+            {
+                version: 3,
+                name: 'normalize-coaching-plans',
+                description: '不正なコーチングプランを削除し、必須項目を補完',
+                keys: ['coaching_plans'],
+                up: () => this.migrateCoachingPlans()
+            },
+            {
+                version: 4,
+                name: 'normalize-strategy-guides',
+                description: '攻略ガイドの必須項目を補完し、重複IDを削除',
+                keys: ['valorant_strategy_guides'],
+                up: () => this.migrateStrategyGuides()
+            },
+            {
+                version: 5,
+                name: 'repair-coaching-caches',
+                description: '壊れたコーチングキャッシュを削除し、メタデータを再構築',
+                keys: ['coaching_cache_metadata', 'coaching_user_progress', 'coaching_feedback_history', 'coachingHistory'],
+                keyPrefixes: ['coaching_advice_'],
+                up: () => this.migrateCoachingCaches()
+            }
+        ];
+
+        this.LATEST_VERSION = this.migrations[this.migrations.length - 1].version;
+    }
+
+    // 現在のスキーマバージョンを取得
+    getCurrentVersion() {
+        const stored = parseInt(localStorage.getItem(this.VERSION_KEY), 10);
+        return isNaN(stored) ? 0 : stored;
+    }
+
+    // スキーマバージョンを保存
+    setCurrentVersion(version) {
+        localStorage.setItem(this.VERSION_KEY, String(version));
+    }
+
+    // 未適用のマイグレーションを取得
+    getPendingMigrations() {
+        const current = this.getCurrentVersion();
+        return this.migrations.filter(m => m.version > current);
+    }
+
+    // 未適用のマイグレーションを順に実行
+    runPending() {
+        const pending = this.getPendingMigrations();
+        const result = { from: this.getCurrentVersion(), to: this.getCurrentVersion(), applied: [] };
+
+        if (pending.length === 0) {
+            return result;
+        }
+
+        console.log(`StorageMigrationService: ${pending.length}件のマイグレーションを実行します (v${result.from} → v${this.LATEST_VERSION})`);
+
+        for (const migration of pending) {
+            // スナップショットが保存できない場合は、元に戻せないため中断
+            if (!this.saveBackup(migration)) {
+                console.error(`StorageMigrationService: v${migration.version} のバックアップに失敗したため中断します`);
+                break;
+            }
+
+            try {
+                const changes = migration.up() || [];
+                this.setCurrentVersion(migration.version);
+                this.appendLog(migration, 'up', changes);
+                result.applied.push({ version: migration.version, name: migration.name, changes });
+                result.to = migration.version;
+
+                console.log(`StorageMigrationService: v${migration.version} ${migration.name} 完了`, changes);
+            } catch (error) {
+                console.error(`StorageMigrationService: v${migration.version} ${migration.name} に失敗しました:`, error);
+                this.restoreBackup(migration);
+                this.appendLog(migration, 'failed', [error.message]);
+                break;
+            }
+        }
+
+        return result;
+    }
+
+    // 指定バージョンまで巻き戻す
+    rollback(targetVersion = 0) {
+        const current = this.getCurrentVersion();
+        const toRevert = this.migrations
+            .filter(m => m.version > targetVersion && m.version <= current)
+            .sort((a, b) => b.version - a.version);
+
+        for (const migration of toRevert) {
+            if (!this.restoreBackup(migration)) {
+                throw new Error(`v${migration.version} のバックアップが見つからないため巻き戻せません`);
+            }
+
+            this.setCurrentVersion(migration.version - 1);
+            this.appendLog(migration, 'down', [`v${migration.version} 適用前の状態に復元`]);
+            console.log(`StorageMigrationService: v${migration.version} ${migration.name} を巻き戻しました`);
+        }
+
+        return this.getCurrentVersion();
+    }
+
+    // マイグレーション対象のキーを列挙
+    getAffectedKeys(migration) {
+        const keys = new Set(migration.keys || []);
+        (migration.keyPrefixes || []).forEach(prefix => {
+            this.storage.keys(prefix)
+                .forEach(key => keys.add(key));
+        });
+        return Array.from(keys);
+    }
+
+    // 適用前の状態を保存
+    saveBackup(migration) {
+        try {
+            const snapshot = {};
+            this.getAffectedKeys(migration).forEach(key => {
+                snapshot[key] = this.storage.getItem(key);
+            });
+
+            this.storage.setItem(`${this.BACKUP_PREFIX}${migration.version}`, JSON.stringify({
+                createdAt: new Date().toISOString(),
+                keyPrefixes: migration.keyPrefixes || [],
+                snapshot
+            }));
+            return true;
+        } catch (error) {
+            console.warn('StorageMigrationService: Failed to save backup:', error);
+            return false;
+        }
+    }
+
+    // 適用前の状態に復元
+    restoreBackup(migration) {
+        try {
+            const stored = this.storage.getItem(`${this.BACKUP_PREFIX}${migration.version}`);
+            if (!stored) return false;
+
+            const { snapshot, keyPrefixes } = JSON.parse(stored);
+
+            // マイグレーション後に作られたプレフィックス付きキーを削除
+            (keyPrefixes || []).forEach(prefix => {
+                this.storage.keys(prefix)
+                    .filter(key => !(key in snapshot))
+                    .forEach(key => this.storage.removeItem(key));
+            });
+
+            Object.entries(snapshot).forEach(([key, value]) => {
+                if (value === null) {
+                    this.storage.removeItem(key);
+                } else {
+                    this.storage.setItem(key, value);
+                }
+            });
+            return true;
+        } catch (error) {
+            console.error('StorageMigrationService: Failed to restore backup:', error);
+            return false;
+        }
+    }
+
+    // バックアップを削除（容量確保用）
+    clearBackups() {
+        this.migrations.forEach(m => this.storage.removeItem(`${this.BACKUP_PREFIX}${m.version}`));
+    }
+
+    // 実行ログを追記
+    appendLog(migration, direction, changes) {
+        try {
+            const log = this.getLog();
+            log.push({
+                version: migration.version,
+                name: migration.name,
+                direction,
+                changes,
+                timestamp: new Date().toISOString()
+            });
+            localStorage.setItem(this.LOG_KEY, JSON.stringify(log.slice(-this.MAX_LOG_ENTRIES)));
+        } catch (error) {
+            console.warn('StorageMigrationService: Failed to write log:', error);
+        }
+    }
+
+    // 実行ログを取得
+    getLog() {
+        try {
+            const stored = localStorage.getItem(this.LOG_KEY);
+            return stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    // JSON配列を安全に読み込み
+    readArray(key) {
+        try {
+            const parsed = JSON.parse(this.storage.getItem(key) || '[]');
+            return Array.isArray(parsed) ? parsed : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    // ========== 各マイグレーション ==========
+
+    // v1: 試合データの統合
+    migrateMatches() {
+        const changes = [];
+        const legacyKeys = ['valorant_matches', 'recentMatches', 'sf6_gallery'];
+        const gallery = this.readArray('valorant_gallery');
+        const seenIds = new Set(gallery.map(m => String(m.id)));
+
+        legacyKeys.forEach(key => {
+            if (this.storage.getItem(key) === null) return;
+
+            const legacy = this.readArray(key);
+            let moved = 0;
+            legacy.forEach(match => {
+                if (!match || match.id === undefined || match.id === null) return;
+                if (seenIds.has(String(match.id))) return;
+                seenIds.add(String(match.id));
+                gallery.push(match);
+                moved++;
+            });
+
+            this.storage.removeItem(key);
+            changes.push(`${key}: ${legacy.length}件中${moved}件をvalorant_galleryへ移動し、キーを削除`);
+        });
+
+        // timestampを数値に統一
+        let normalized = 0;
+        gallery.forEach(match => {
+            if (typeof match.timestamp !== 'number') {
+                const parsed = new Date(match.timestamp || match.date || 0).getTime();
+                match.timestamp = isNaN(parsed) ? 0 : parsed;
+                normalized++;
+            }
+        });
+        if (normalized > 0) {
+            changes.push(`timestampを数値に正規化: ${normalized}件`);
+        }
+
+        if (changes.length > 0) {
+            this.storage.setItem('valorant_gallery', JSON.stringify(gallery));
+        }
+        return changes;
+    }
+
+    // v2: 目標データの正規化
+    migrateGoals() {
+        if (this.storage.getItem('goals') === null) return [];
+
+        const changes = [];
+        const goals = this.readArray('goals');
+        const seenIds = new Set();
+        const result = [];
+
+        goals.forEach(goal => {
+            if (!goal || !goal.title) {
+                changes.push('タイトルのない目標を削除');
+                return;
+            }
+
+            if (!goal.id) {
+                goal.id = Date.now() + Math.random();
+                changes.push(`IDを付与: ${goal.title}`);
+            }
+
+            // 同じタイトルでも別の目標として残す（同じIDのものだけ重複とみなす）
+            if (seenIds.has(String(goal.id))) {
+                changes.push(`重複した目標を削除: ${goal.title}`);
+                return;
+            }
+            seenIds.add(String(goal.id));
+
+            const progress = parseFloat(goal.progress);
+            if (typeof goal.progress !== 'number' || isNaN(progress) || progress < 0 || progress > 100) {
+                const fixed = isNaN(progress) ? 0 : Math.min(100, Math.max(0, progress));
+                changes.push(`進捗を修正: ${goal.title} (${goal.progress} → ${fixed})`);
+                goal.progress = fixed;
+            }
+
+            if (!goal.createdAt) {
+                const deadline = new Date(goal.deadline);
+                const now = new Date();
+                const base = isNaN(deadline) || deadline > now
+                    ? now.getTime() - (14 * 24 * 60 * 60 * 1000) // 2週間前
+                    : deadline.getTime() - (30 * 24 * 60 * 60 * 1000); // 期限の1ヶ月前
+                goal.createdAt = new Date(base).toISOString();
+                changes.push(`作成日を推定: ${goal.title} (${goal.createdAt.split('T')[0]})`);
+            }
+
+            result.push(goal);
+        });
+
+        if (changes.length > 0) {
+            this.storage.setItem('goals', JSON.stringify(result));
+        }
+        return changes;
+    }
+
+    // v3: コーチングプランの正規化
+    migrateCoachingPlans() {
+        if (this.storage.getItem('coaching_plans') === null) return [];
+
+        const changes = [];
+        const plans = this.readArray('coaching_plans');
+        const result = [];
+
+        plans.forEach(plan => {
+            if (!plan || !plan.id || !Array.isArray(plan.weeks)) {
+                changes.push(`不正なプランを削除: ${plan?.id || '(IDなし)'}`);
+                return;
+            }
+
+            if (!plan.status) {
+                plan.status = 'active';
+                changes.push(`ステータスを補完: ${plan.id}`);
+            }
+
+            if (!plan.createdAt) {
+                plan.createdAt = plan.updatedAt || new Date().toISOString();
+                changes.push(`作成日を補完: ${plan.id}`);
+            }
+
+            result.push(plan);
+        });
+
+        if (changes.length > 0) {
+            this.storage.setItem('coaching_plans', JSON.stringify(result));
+        }
+        return changes;
+    }
+
+    // v4: 攻略ガイドの正規化
+    migrateStrategyGuides() {
+        if (this.storage.getItem('valorant_strategy_guides') === null) return [];
+
+        const changes = [];
+        const guides = this.readArray('valorant_strategy_guides');
+        const seenIds = new Set();
+        const result = [];
+
+        guides.forEach((guide, index) => {
+            if (!guide || typeof guide.content !== 'string') {
+                changes.push('本文のないガイドを削除');
+                return;
+            }
+
+            if (!guide.id) {
+                guide.id = `guide_${Date.now()}_${index}`;
+                changes.push(`IDを付与: ${guide.title || guide.id}`);
+            }
+
+            if (seenIds.has(guide.id)) {
+                changes.push(`重複したガイドを削除: ${guide.id}`);
+                return;
+            }
+            seenIds.add(guide.id);
+
+            if (!guide.title) {
+                guide.title = '無題のガイド';
+                changes.push(`タイトルを補完: ${guide.id}`);
+            }
+
+            if (!guide.category) {
+                guide.category = 'general';
+                changes.push(`カテゴリを補完: ${guide.id}`);
+            }
+
+            if (!guide.createdAt || !guide.updatedAt) {
+                const now = new Date().toISOString();
+                guide.createdAt = guide.createdAt || guide.updatedAt || now;
+                guide.updatedAt = guide.updatedAt || guide.createdAt;
+                changes.push(`日時を補完: ${guide.id}`);
+            }
+
+            result.push(guide);
+        });
+
+        if (changes.length > 0) {
+            this.storage.setItem('valorant_strategy_guides', JSON.stringify(result));
+        }
+        return changes;
+    }
+
+    // v5: コーチングキャッシュの修復
+    migrateCoachingCaches() {
+        const changes = [];
+
+        let metadata = {};
+        try {
+            metadata = JSON.parse(this.storage.getItem('coaching_cache_metadata') || '{}') || {};
+        } catch (error) {
+            changes.push('壊れたcoaching_cache_metadataを再作成');
+        }
+
+        let metadataChanged = changes.length > 0;
+
+        this.storage.keys('coaching_advice_')
+            .forEach(key => {
+                const date = key.replace('coaching_advice_', '');
+                try {
+                    const advice = JSON.parse(this.storage.getItem(key));
+                    if (!advice || typeof advice !== 'object') throw new Error('invalid advice');
+
+                    if (!metadata[date]) {
+                        const parsed = new Date(date).getTime();
+                        metadata[date] = {
+                            timestamp: isNaN(parsed) ? Date.now() : parsed,
+                            source: advice.source || 'unknown'
+                        };
+                        metadataChanged = true;
+                        changes.push(`メタデータを補完: ${date}`);
+                    }
+                } catch (error) {
+                    this.storage.removeItem(key);
+                    if (metadata[date]) {
+                        delete metadata[date];
+                        metadataChanged = true;
+                    }
+                    changes.push(`壊れたキャッシュを削除: ${key}`);
+                }
+            });
+
+        if (metadataChanged) {
+            this.storage.setItem('coaching_cache_metadata', JSON.stringify(metadata));
+        }
+
+        // 型が壊れている場合は初期値に戻す
+        const expectedShapes = {
+            coaching_user_progress: 'object',
+            coaching_feedback_history: 'array',
+            coachingHistory: 'array'
+        };
+
+        Object.entries(expectedShapes).forEach(([key, shape]) => {
+            const stored = this.storage.getItem(key);
+            if (stored === null) return;
+
+            let valid = false;
+            try {
+                const parsed = JSON.parse(stored);
+                valid = shape === 'array'
+                    ? Array.isArray(parsed)
+                    : parsed !== null && typeof parsed === 'object' && !Array.isArray(parsed);
+            } catch (error) {
+                valid = false;
+            }
+
+            if (!valid) {
+                this.storage.setItem(key, shape === 'array' ? '[]' : '{}');
+                changes.push(`${key} を初期化（形式が不正）`);
+            }
+        });
+
+        return changes;
+    }
+}
+
+// グローバルインスタンス
+window.storageMigrationService = new StorageMigrationService();
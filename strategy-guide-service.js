@@ -2,18 +2,24 @@
 class StrategyGuideService {
     constructor() {
         this.STORAGE_KEY = 'valorant_strategy_guides';
-        this.guides = this.loadGuides();
+        this.storage = window.largeDataStore;
+        this.guides = [];
 
-        // 初回起動時にデフォルト攻略を追加
-        if (this.guides.length === 0) {
-            this.initializeDefaultGuides();
-        }
+        // ストア（IndexedDB）の読み込み完了後にガイドを読み込む
+        this.storage.whenReady().then(() => {
+            this.guides = this.loadGuides();
+
+            // 初回起動時にデフォルト攻略を追加
+            if (this.guides.length === 0) {
+                this.initializeDefaultGuides();
+            }
+        });
     }
 
     // 攻略ガイドを読み込み
     loadGuides() {
         try {
-            const stored = localStorage.getItem(this.STORAGE_KEY);
+            const stored = this.storage.getItem(this.STORAGE_KEY);
             return stored ? JSON.parse(stored) : [];
         } catch (error) {
             console.warn('StrategyGuideService: Failed to load guides:', error);
@@ -24,7 +30,7 @@ class StrategyGuideService {
     // 攻略ガイドを保存
     saveGuides() {
         try {
-            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.guides));
+            this.storage.setItem(this.STORAGE_KEY, JSON.stringify(this.guides));
             console.log('StrategyGuideService: Guides saved successfully');
         } catch (error) {
             console.error('StrategyGuideService: Failed to save guides:', error);
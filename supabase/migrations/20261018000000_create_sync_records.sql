@@ -0,0 +1,57 @@
+-- クラウド同期用テーブル（cloud-sync-service.js）
+-- 試合・目標・コーチングプラン・攻略ガイド・コーチング進捗をレコード単位で保存する
+
+create table if not exists public.sync_records (
+  user_id uuid not null references auth.users (id) on delete cascade,
+  collection text not null check (collection in ('matches', 'goals', 'coaching_plans', 'strategy_guides', 'coaching_progress')),
+  record_id text not null,
+  data jsonb,
+  deleted boolean not null default false,
+  -- クライアントでの最終更新日時（LWWの比較に使用）
+  updated_at timestamptz not null,
+  -- サーバーでの受信日時（差分取得に使用）
+  synced_at timestamptz not null default now(),
+  primary key (user_id, collection, record_id)
+);
+
+create index if not exists sync_records_user_synced_at_idx
+  on public.sync_records (user_id, synced_at);
+
+-- 受信日時はサーバー側で必ず更新する
+-- 既存より古い updated_at の更新は無視し、サーバー側でも後勝ちを保証する
+create or replace function public.set_sync_records_synced_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op = 'UPDATE' and new.updated_at < old.updated_at then
+    return old;
+  end if;
+  new.synced_at := now();
+  return new;
+end;
+$$;
+
+drop trigger if exists sync_records_set_synced_at on public.sync_records;
+create trigger sync_records_set_synced_at
+  before insert or update on public.sync_records
+  for each row execute function public.set_sync_records_synced_at();
+
+-- 行レベルセキュリティ: 自分のレコードのみ読み書き可能
+alter table public.sync_records enable row level security;
+
+drop policy if exists "sync_records_select_own" on public.sync_records;
+create policy "sync_records_select_own" on public.sync_records
+  for select using (auth.uid() = user_id);
+
+drop policy if exists "sync_records_insert_own" on public.sync_records;
+create policy "sync_records_insert_own" on public.sync_records
+  for insert with check (auth.uid() = user_id);
+
+drop policy if exists "sync_records_update_own" on public.sync_records;
+create policy "sync_records_update_own" on public.sync_records
+  for update using (auth.uid() = user_id) with check (auth.uid() = user_id);
+
+drop policy if exists "sync_records_delete_own" on public.sync_records;
+create policy "sync_records_delete_own" on public.sync_records
+  for delete using (auth.uid() = user_id);
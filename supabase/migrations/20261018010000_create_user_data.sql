@@ -0,0 +1,29 @@
+-- アカウント単位のユーザーデータ（AuthService.saveUserData / fetchUserData）
+-- ゲストデータの移行先としても使用する
+
+create table if not exists public.user_data (
+  user_id uuid not null references auth.users (id) on delete cascade,
+  key text not null,
+  data jsonb,
+  updated_at timestamptz not null default now(),
+  primary key (user_id, key)
+);
+
+-- 行レベルセキュリティ: 自分のデータのみ読み書き可能
+alter table public.user_data enable row level security;
+
+drop policy if exists "user_data_select_own" on public.user_data;
+create policy "user_data_select_own" on public.user_data
+  for select using (auth.uid() = user_id);
+
+drop policy if exists "user_data_insert_own" on public.user_data;
+create policy "user_data_insert_own" on public.user_data
+  for insert with check (auth.uid() = user_id);
+
+drop policy if exists "user_data_update_own" on public.user_data;
+create policy "user_data_update_own" on public.user_data
+  for update using (auth.uid() = user_id) with check (auth.uid() = user_id);
+
+drop policy if exists "user_data_delete_own" on public.user_data;
+create policy "user_data_delete_own" on public.user_data
+  for delete using (auth.uid() = user_id);
@@ -0,0 +1,134 @@
+// tab-sync-service.js - 複数タブ間のデータ変更の同期
+//
+// IndexedDB（LargeDataStore）への書き込みはBroadcastChannelで他タブへ通知し、受信側でメモリを読み直す。
+// localStorageへの書き込みはブラウザのstorageイベントで検知する。
+// どちらも種類別の変更イベント（tabSyncChange）としてアプリに通知する。
+class TabSyncService {
+    constructor() {
+        this.CHANNEL_NAME = 'ebridge-tab-sync';
+        this.CHANGE_EVENT = 'tabSyncChange';
+
+        // 短時間の連続変更はまとめて通知
+        this.COALESCE_MS = 100;
+
+        // 変更の種類と対応するキー
+        this.TOPICS = {
+            matches: { keys: ['valorant_gallery', 'valorant_matches', 'recentMatches', 'sf6_gallery'] },
+            goals: { keys: ['goals'] },
+            coachingPlans: { keys: ['coaching_plans'] },
+            theme: { keys: ['theme'] },
+            strategyGuides: { keys: ['valorant_strategy_guides'] },
+            coachingProgress: {
+                keys: ['coaching_user_progress', 'coaching_feedback_history', 'winStreak'],
+                prefixes: ['coaching_next_day_feedback_']
+            },
+            riotAccounts: { keys: ['valorant_riot_accounts', 'valorant_active_account'] },
+            secretsVault: { keys: ['ebridge_secrets_vault'] },
+            trash: { keys: ['ebridge_trash', 'ebridge_trash_retention_days'] },
+            matchSync: { keys: ['valorant_match_sync_state', 'valorant_match_sync_settings'] },
+            rankHistory: { keys: ['valorant_rank_history'] }
+        };
+
+        this.tabId = `tab_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        this.pending = new Map();
+        this.flushTimer = null;
+
+        this.channel = typeof BroadcastChannel !== 'undefined'
+            ? new BroadcastChannel(this.CHANNEL_NAME)
+            : null;
+
+        if (this.channel) {
+            this.channel.onmessage = (e) => this.handleMessage(e.data);
+        } else {
+            console.warn('TabSyncService: BroadcastChannel is not supported');
+        }
+
+        // 自タブのIndexedDB書き込みを他タブへ通知
+        window.addEventListener(window.largeDataStore.PERSIST_EVENT, (e) => this.publish(e.detail.key));
+
+        // 他タブのlocalStorage書き込み
+        window.addEventListener('storage', (e) => this.handleStorageEvent(e));
+    }
+
+    // キーに対応する変更の種類
+    getTopic(key) {
+        return Object.keys(this.TOPICS).find(type => {
+            const topic = this.TOPICS[type];
+            return topic.keys.includes(key) ||
+                (topic.prefixes || []).some(prefix => key.startsWith(prefix));
+        }) || null;
+    }
+
+    // 他タブへ変更を通知
+    publish(key) {
+        const type = this.getTopic(key);
+        if (!type || !this.channel) return;
+
+        this.channel.postMessage({ type, key, source: this.tabId, at: Date.now() });
+    }
+
+    // 他タブからの通知を受信
+    async handleMessage(message) {
+        if (!message || message.source === this.tabId || !this.TOPICS[message.type]) return;
+
+        // IndexedDBのデータはメモリを読み直してから通知
+        if (window.largeDataStore.isManagedKey(message.key)) {
+            await window.largeDataStore.reloadKey(message.key);
+        }
+
+        this.enqueue(message.type, message.key);
+    }
+
+    // 他タブのlocalStorage変更を受信
+    handleStorageEvent(e) {
+        if (e.storageArea && e.storageArea !== localStorage) return;
+
+        // clear()の場合は全種類を通知
+        if (e.key === null) {
+            Object.keys(this.TOPICS).forEach(type => this.enqueue(type, null));
+            return;
+        }
+
+        const type = this.getTopic(e.key);
+        if (type) {
+            this.enqueue(type, e.key);
+        }
+    }
+
+    // 通知をまとめる
+    enqueue(type, key) {
+        if (!this.pending.has(type)) {
+            this.pending.set(type, new Set());
+        }
+        if (key) {
+            this.pending.get(type).add(key);
+        }
+
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), this.COALESCE_MS);
+        }
+    }
+
+    // まとめた変更を種類ごとに通知
+    flush() {
+        this.flushTimer = null;
+        const pending = this.pending;
+        this.pending = new Map();
+
+        pending.forEach((keys, type) => {
+            window.dispatchEvent(new CustomEvent(this.CHANGE_EVENT, {
+                detail: { type, keys: Array.from(keys) }
+            }));
+        });
+    }
+
+    // 変更を購読（解除関数を返す）
+    subscribe(listener) {
+        const handler = (e) => listener(e.detail);
+        window.addEventListener(this.CHANGE_EVENT, handler);
+        return () => window.removeEventListener(this.CHANGE_EVENT, handler);
+    }
+}
+
+// グローバルインスタンス
+window.tabSyncService = new TabSyncService();
@@ -0,0 +1,127 @@
+// teammate-stats-service.js - チームメイト・デュオ相手の集計（ロビーの名簿から）
+//
+// APIやファイルから取り込んだ試合の名簿（roster）を使い、よく一緒になる味方ごとの勝率・ACSと、
+// ソロ/パーティごとの成績を集計する。名簿のない試合（手入力など）は対象外。
+class TeammateStatsService {
+    constructor() {
+        // パーティ人数による区分
+        this.QUEUE_TYPES = [
+            { key: 'solo', label: 'ソロ', matches: (size) => size === 1 },
+            { key: 'duo', label: 'デュオ', matches: (size) => size === 2 },
+            { key: 'group', label: '3人以上', matches: (size) => size >= 3 }
+        ];
+    }
+
+    // 名簿のある試合
+    getRosterMatches(matches) {
+        return matches.filter(match => Array.isArray(match.roster) && match.roster.length > 0);
+    }
+
+    // 名簿の中の自分
+    getSelf(match) {
+        return match.roster.find(p => p.puuid === match.puuid) || null;
+    }
+
+    isWin(match) {
+        return (match.result || '').toUpperCase() === 'WIN';
+    }
+
+    // 勝率（%、小数1桁）
+    toWinRate(wins, total) {
+        return total > 0 ? Math.round((wins / total) * 1000) / 10 : 0;
+    }
+
+    // 平均（小数なし）
+    toAverage(sum, count) {
+        return count > 0 ? Math.round(sum / count) : 0;
+    }
+
+    // よく一緒になる味方ごとの成績（minMatches試合以上、試合数の多い順）
+    getTeammates(matches, { minMatches = 2 } = {}) {
+        const teammates = new Map();
+
+        this.getRosterMatches(matches).forEach(match => {
+            const self = this.getSelf(match);
+            const win = this.isWin(match);
+            const selfAcs = self ? self.acs : (match.acs || 0);
+
+            match.roster
+                .filter(p => p.team === 'ally' && p.puuid !== match.puuid)
+                .forEach(p => {
+                    const entry = teammates.get(p.puuid) || {
+                        puuid: p.puuid,
+                        name: p.name,
+                        tag: p.tag,
+                        matches: 0,
+                        wins: 0,
+                        acsSum: 0,
+                        selfAcsSum: 0,
+                        partyMatches: 0,
+                        partyWins: 0,
+                        agents: {}
+                    };
+
+                    // 名前は最新の試合のものを使う（Riot IDは変更できるため）
+                    entry.name = p.name;
+                    entry.tag = p.tag;
+                    entry.matches++;
+                    entry.acsSum += p.acs || 0;
+                    entry.selfAcsSum += selfAcs;
+                    entry.agents[p.agent] = (entry.agents[p.agent] || 0) + 1;
+                    if (win) entry.wins++;
+                    if (p.party) {
+                        entry.partyMatches++;
+                        if (win) entry.partyWins++;
+                    }
+                    teammates.set(p.puuid, entry);
+                });
+        });
+
+        return Array.from(teammates.values())
+            .filter(entry => entry.matches >= minMatches)
+            .map(entry => ({
+                puuid: entry.puuid,
+                name: entry.name,
+                tag: entry.tag,
+                matches: entry.matches,
+                wins: entry.wins,
+                losses: entry.matches - entry.wins,
+                winRate: this.toWinRate(entry.wins, entry.matches),
+                avgAcs: this.toAverage(entry.acsSum, entry.matches),
+                selfAvgAcs: this.toAverage(entry.selfAcsSum, entry.matches),
+                partyMatches: entry.partyMatches,
+                partyWinRate: this.toWinRate(entry.partyWins, entry.partyMatches),
+                mainAgent: Object.entries(entry.agents).sort((a, b) => b[1] - a[1])[0][0]
+            }))
+            .sort((a, b) => b.matches - a.matches || b.winRate - a.winRate);
+    }
+
+    // ソロとパーティ（人数別）の成績比較
+    getQueueComparison(matches) {
+        const rosterMatches = this.getRosterMatches(matches);
+
+        return this.QUEUE_TYPES.map(type => {
+            const typeMatches = rosterMatches.filter(match =>
+                type.matches(match.partySize || match.roster.filter(p => p.party).length || 1)
+            );
+            const wins = typeMatches.filter(match => this.isWin(match)).length;
+            const acsSum = typeMatches.reduce((sum, match) => {
+                const self = this.getSelf(match);
+                return sum + (self ? self.acs : (match.acs || 0));
+            }, 0);
+
+            return {
+                key: type.key,
+                label: type.label,
+                matches: typeMatches.length,
+                wins,
+                losses: typeMatches.length - wins,
+                winRate: this.toWinRate(wins, typeMatches.length),
+                avgAcs: this.toAverage(acsSum, typeMatches.length)
+            };
+        });
+    }
+}
+
+// グローバルインスタンス
+window.teammateStatsService = new TeammateStatsService();
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain, MemoryStorage } = require('./helpers/browser-env');
+
+// LargeDataStoreと同じくプレフィックスでキーを列挙できるストア
+class PrefixStorage extends MemoryStorage {
+    keys(prefix = '') {
+        return Array.from(this.items.keys()).filter(key => key.startsWith(prefix));
+    }
+}
+
+function createServices() {
+    const largeDataStore = new PrefixStorage();
+    const window = loadScripts(['storage-migrations.js', 'backup-service.js'], { largeDataStore });
+    return { window, storage: largeDataStore };
+}
+
+function createBundle(schemaVersion, data) {
+    return { format: 'e-bridge-backup', version: 1, schemaVersion, data };
+}
+
+const legacyGoals = JSON.stringify([
+    { id: 1, title: '目標A', progress: 150, createdAt: '2024-01-01T00:00:00.000Z' },
+    { id: 1, title: '目標A（重複）', progress: 10, createdAt: '2024-01-01T00:00:00.000Z' }
+]);
+
+test('restore: 古いスキーマのバックアップには未適用のマイグレーションを再適用する', () => {
+    const { window, storage } = createServices();
+    const migrations = window.storageMigrationService;
+    migrations.runPending();
+    assert.equal(migrations.getCurrentVersion(), migrations.LATEST_VERSION);
+
+    const result = window.backupService.restore(createBundle(1, { goals: legacyGoals }), 'replace');
+
+    assert.deepEqual(plain(result.migrated.applied.map(m => m.version)), [2, 3, 4, 5]);
+    assert.equal(migrations.getCurrentVersion(), migrations.LATEST_VERSION);
+    const goals = JSON.parse(storage.getItem('goals'));
+    assert.equal(goals.length, 1);
+    assert.equal(goals[0].progress, 100);
+});
+
+test('restore: 現在と同じスキーマのバックアップはマイグレーションを実行しない', () => {
+    const { window, storage } = createServices();
+    const migrations = window.storageMigrationService;
+    migrations.runPending();
+
+    const result = window.backupService.restore(createBundle(migrations.LATEST_VERSION, { goals: legacyGoals }), 'replace');
+
+    assert.equal(result.migrated, null);
+    assert.equal(JSON.parse(storage.getItem('goals')).length, 2);
+});
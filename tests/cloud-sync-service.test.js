@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain, MemoryStorage } = require('./helpers/browser-env');
+
+// ローカルに試合データがある状態の同期サービス
+function createService(matches) {
+    const largeDataStore = new MemoryStorage();
+    largeDataStore.setItem('valorant_gallery', JSON.stringify(matches));
+    return loadScripts(['cloud-sync-service.js'], { largeDataStore }).cloudSyncService;
+}
+
+function queuedIds(service) {
+    return plain(service.loadQueue()).map(op => op.recordId).sort();
+}
+
+test('holdUnsyncedRecords: 別ユーザーで同期していたデータは新しいユーザーへアップロードしない', () => {
+    const service = createService([{ id: 'a' }, { id: 'b' }]);
+    service.saveState(service.holdUnsyncedRecords('user-1'));
+    service.claimLocalRecords('user-1');
+    assert.deepEqual(queuedIds(service), ['a', 'b']);
+
+    const state = service.holdUnsyncedRecords('user-2');
+    assert.deepEqual(plain(service.detectLocalChanges(state)), []);
+    assert.deepEqual(Object.keys(state.unclaimed).sort(), ['matches:a', 'matches:b']);
+});
+
+test('detectLocalChanges: 同期を開始した後に追加したレコードだけを送信待ちに積む', () => {
+    const service = createService([{ id: 'guest' }]);
+    const state = service.holdUnsyncedRecords('user-1');
+
+    service.storage.setItem('valorant_gallery', JSON.stringify([{ id: 'guest' }, { id: 'new' }]));
+    assert.deepEqual(plain(service.detectLocalChanges(state)).map(op => op.recordId), ['new']);
+});
+
+test('getUnclaimedRecords / claimLocalRecords: 確認を受けたら保留中のレコードを送信待ちにする', () => {
+    const service = createService([{ id: 'guest-1' }, { id: 'guest-2' }]);
+    service.saveState(service.holdUnsyncedRecords('user-1'));
+
+    assert.equal(service.getUnclaimedRecords('user-1').matches.length, 2);
+    assert.equal(service.getUnclaimedRecords('user-2').matches.length, 2);
+
+    assert.equal(service.claimLocalRecords('user-1'), 2);
+    assert.deepEqual(queuedIds(service), ['guest-1', 'guest-2']);
+    assert.equal(service.getUnclaimedRecords('user-1').matches.length, 0);
+
+    // 送信待ちのレコードは次の開始時に保留へ戻さない
+    assert.deepEqual(plain(service.holdUnsyncedRecords('user-1').unclaimed), {});
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain, MemoryStorage } = require('./helpers/browser-env');
+
+function createWindow() {
+    const largeDataStore = new MemoryStorage();
+    largeDataStore.setItem('valorant_gallery', JSON.stringify([{ id: 'm1' }, { id: 'm2' }]));
+    largeDataStore.setItem('valorant_strategy_guides', JSON.stringify([{ id: 'default-1', isDefault: true }, { id: 'g1' }]));
+    return loadScripts(['cloud-sync-service.js', 'guest-migration-service.js'], { largeDataStore });
+}
+
+const authService = { currentUser: { id: 'user-1' }, isGuestUser: () => false };
+
+test('detectGuestData: このアカウントと同期していないデータを数え、デフォルトの攻略は除く', () => {
+    const { guestMigrationService: service } = createWindow();
+    const counts = Object.fromEntries(plain(service.detectGuestData('user-1')).map(item => [item.key, item.count]));
+
+    assert.deepEqual(counts, { matches: 2, goals: 0, coaching_plans: 0, strategy_guides: 1 });
+    assert.equal(service.needsMigration('user-1'), true);
+});
+
+test('migrate: 同期の送信待ちに積み、その後は確認しない', () => {
+    const { guestMigrationService: service, cloudSyncService } = createWindow();
+
+    service.migrate(authService);
+    assert.deepEqual(plain(cloudSyncService.loadQueue()).map(op => op.recordId).sort(), ['default-1', 'g1', 'm1', 'm2']);
+    assert.equal(service.needsMigration('user-1'), false);
+    assert.equal(service.needsMigration('user-2'), true);
+});
+
+test('migrate: ゲストのままでは移行しない', () => {
+    const { guestMigrationService: service } = createWindow();
+    assert.throws(() => service.migrate({ currentUser: { id: 'guest' }, isGuestUser: () => true }), /ログインしていません/);
+});
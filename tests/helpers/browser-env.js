@@ -0,0 +1,73 @@
+// browser-env.js - ブラウザ向けのスクリプト（window.xxx = new Xxx()）をNodeのテストで読み込む
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// localStorage互換のメモリ上のストレージ
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    get length() {
+        return this.items.size;
+    }
+
+    key(index) {
+        return Array.from(this.items.keys())[index] ?? null;
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    clear() {
+        this.items.clear();
+    }
+}
+
+// スクリプトを順に読み込み、windowを返す（スクリプトごとに新しい環境を作るため、テスト間で状態は共有しない）
+function loadScripts(files, globals = {}) {
+    const silent = () => {};
+    const window = {
+        console: { log: silent, info: silent, warn: silent, error: silent },
+        localStorage: new MemoryStorage(),
+        setTimeout,
+        clearTimeout,
+        TextDecoder,
+        addEventListener: silent,
+        removeEventListener: silent,
+        dispatchEvent: () => true,
+        CustomEvent: class CustomEvent {
+            constructor(type, options = {}) {
+                this.type = type;
+                this.detail = options.detail;
+            }
+        },
+        ...globals
+    };
+    window.window = window;
+    vm.createContext(window);
+
+    files.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), window, { filename: file });
+    });
+    return window;
+}
+
+// 別の環境で作られた値を比較できるよう、通常のオブジェクト・配列に変換
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadScripts, plain, MemoryStorage };
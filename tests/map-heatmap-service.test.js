@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./helpers/browser-env');
+const calibration = require('../data/map-calibration.json').maps;
+
+const { mapHeatmapService: service } = loadScripts(['map-heatmap-service.js']);
+
+test('projectPoints: 変換係数でゲーム内座標をミニマップ上の位置（0〜1）に変換する', () => {
+    const ascent = calibration.Ascent;
+    const [point] = plain(service.projectPoints([{ type: 'kill', x: 1000, y: -2000 }], ascent));
+
+    assert.equal(point.type, 'kill');
+    assert.ok(Math.abs(point.u - (-2000 * ascent.xMultiplier + ascent.xScalarToAdd)) < 1e-9);
+    assert.ok(Math.abs(point.v - (1000 * ascent.yMultiplier + ascent.yScalarToAdd)) < 1e-9);
+});
+
+test('projectPoints: ミニマップの外に出る点は除く', () => {
+    const points = [{ x: 0, y: 0 }, { x: 0, y: 100000 }];
+    assert.equal(service.projectPoints(points, calibration.Bind).length, 1);
+});
+
+test('projectPoints: 係数がなければ点の範囲に合わせて余白付きで配置する', () => {
+    const projected = plain(service.projectPoints([{ x: 0, y: 0 }, { x: 100, y: 50 }], null));
+    const rounded = projected.map(({ u, v }) => [Number(u.toFixed(6)), Number(v.toFixed(6))]);
+
+    assert.deepEqual(rounded, [[0.05, 0.05], [0.5, 0.95]]);
+    assert.deepEqual(plain(service.projectPoints([], null)), []);
+});
+
+test('getPoints: マップ・攻守・エージェント・種類で絞り込む', () => {
+    const matches = [
+        { map: 'Ascent', agent: 'Jett', locations: [{ type: 'kill', side: 'attack' }, { type: 'death', side: 'defense' }] },
+        { map: 'Ascent', agent: 'Omen', locations: [{ type: 'kill', side: 'defense' }] },
+        { map: 'Bind', agent: 'Jett', locations: [{ type: 'kill', side: 'attack' }] },
+        { map: 'Ascent', agent: 'Jett' }
+    ];
+
+    assert.equal(service.getPoints(matches, { map: 'Ascent' }).length, 3);
+    assert.equal(service.getPoints(matches, { map: 'Ascent', agent: 'Jett' }).length, 2);
+    assert.equal(service.getPoints(matches, { side: 'attack', type: 'kill' }).length, 2);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./helpers/browser-env');
+
+const { matchCsvImporter: importer } = loadScripts(['match-csv-importer.js']);
+
+const HEADER = 'date,map,agent,teamScore,enemyScore,kills,deaths,assists,acs';
+
+// 見出し付きのCSVを変換して行IDを作る
+function importIds(lines) {
+    const [headers, ...rows] = importer.parse(lines.join('\n'), ',');
+    const mapping = importer.guessMapping(headers);
+    const results = importer.convertRows(rows, mapping).filter(result => !result.error);
+    return importer.createRowIds(results);
+}
+
+test('parse: ダブルクォート内の区切り文字・改行・""を1つの値として読む', () => {
+    const text = 'map,feelings\r\nAscent,"撃ち合い, 良かった"\r\nBind,"1行目\n2行目"\r\nHaven,"""ラーク""が刺さった"\r\n';
+    assert.deepEqual(plain(importer.parse(text, ',')), [
+        ['map', 'feelings'],
+        ['Ascent', '撃ち合い, 良かった'],
+        ['Bind', '1行目\n2行目'],
+        ['Haven', '"ラーク"が刺さった']
+    ]);
+});
+
+test('parse: 空行を除き、最終行に改行がなくても読む', () => {
+    assert.deepEqual(plain(importer.parse('a,b\n\n1,2\n  \n3,4', ',')), [['a', 'b'], ['1', '2'], ['3', '4']]);
+});
+
+test('parse: 値の途中のダブルクォートはそのまま残す', () => {
+    assert.deepEqual(plain(importer.parse('5"2,x', ',')), [['5"2', 'x']]);
+});
+
+test('detectDelimiter: タブ区切りとセミコロン区切りを判定する', () => {
+    assert.equal(importer.detectDelimiter('map\tagent\nAscent\tJett'), '\t');
+    assert.equal(importer.detectDelimiter('map;agent;kills\nAscent;Jett;20'), ';');
+    assert.equal(importer.detectDelimiter('map,agent\nAscent,Jett', 'matches.tsv'), '\t');
+});
+
+test('createRowIds: 行の追加・削除・並べ替えでIDが変わらない', () => {
+    const rows = [
+        '2026-10-01 20:00,Ascent,Jett,13,7,20,10,5,250',
+        '2026-10-02 21:00,Bind,Omen,9,13,12,15,8,180',
+        '2026-10-03 22:00,Haven,Sova,13,11,18,14,9,230'
+    ];
+    const [ascent, bind, haven] = importIds([HEADER, ...rows]);
+
+    assert.deepEqual(importIds([HEADER, rows[2], rows[0]]), [haven, ascent]);
+    assert.deepEqual(
+        importIds([HEADER, '2026-09-30 19:00,Lotus,Clove,13,4,22,6,7,290', rows[1]]).slice(1),
+        [bind]
+    );
+});
+
+test('createRowIds: 内容が同じ行は別々のIDにする', () => {
+    const row = ',Ascent,Jett,13,7,20,10,5,250';
+    const ids = importIds([HEADER, row, row]);
+    assert.equal(ids.length, 2);
+    assert.notEqual(ids[0], ids[1]);
+});
+
+test('createRowIds: 日時のない行は取り込んだ時刻によらず同じIDになる', async () => {
+    const first = importIds([HEADER, ',Ascent,Jett,13,7,20,10,5,250']);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.deepEqual(importIds([HEADER, ',Ascent,Jett,13,7,20,10,5,250']), first);
+});
+
+test('createRowIds: 成績が違えば別のIDになる', () => {
+    const [a] = importIds([HEADER, '2026-10-01 20:00,Ascent,Jett,13,7,20,10,5,250']);
+    const [b] = importIds([HEADER, '2026-10-01 20:00,Ascent,Jett,13,7,21,10,5,250']);
+    assert.match(a, /^csv_[0-9a-z]+$/);
+    assert.notEqual(a, b);
+});
+
+test('convertRow: 必須項目が空の行と読めない日時はエラーにする', () => {
+    const mapping = importer.guessMapping(HEADER.split(','));
+    assert.equal(importer.convertRow(['', '', 'Jett', '13', '7', '20', '10', '5', '250'], mapping).error, 'マップが空です。');
+    assert.match(importer.convertRow(['昨日', 'Ascent', 'Jett', '13', '7', '20', '10', '5', '250'], mapping).error, /昨日/);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./helpers/browser-env');
+
+const { matchExportService: exporter } = loadScripts(['match-export-service.js']);
+
+const COLUMNS = [
+    { key: 'map', label: 'マップ' },
+    { key: 'kills', label: 'キル' },
+    { key: 'feelings', label: '感想' }
+];
+
+// BOMを除いて行に分ける
+function csvLines(matches) {
+    const csv = exporter.toCsv(matches, COLUMNS);
+    assert.equal(csv[0], '\uFEFF');
+    return csv.slice(1).split('\r\n');
+}
+
+test('toCsv: 区切り文字・ダブルクォート・改行を含む値をクォートする', () => {
+    const lines = csvLines([{ map: 'Ascent', kills: 20, feelings: 'Aメイン, "ショート"' }]);
+    assert.deepEqual(lines, ['マップ,キル,感想', 'Ascent,20,"Aメイン, ""ショート"""']);
+    assert.equal(csvLines([{ map: 'Bind', kills: 3, feelings: '1行目\n2行目' }])[1], 'Bind,3,"1行目\n2行目"');
+});
+
+test('toCsv: =+-@で始まる文字列は数式として実行されないよう\'を付ける', () => {
+    const values = ['=HYPERLINK("http://example.com")', '+1', '-2+3', '@SUM(A1)', '\t=1'];
+    const lines = csvLines(values.map(feelings => ({ map: 'Haven', kills: 1, feelings })));
+    assert.deepEqual(lines.slice(1), [
+        'Haven,1,"\'=HYPERLINK(""http://example.com"")"',
+        'Haven,1,\'+1',
+        'Haven,1,\'-2+3',
+        'Haven,1,\'@SUM(A1)',
+        'Haven,1,\'\t=1'
+    ]);
+});
+
+test('toCsv: 負の数値には\'を付けない', () => {
+    assert.equal(csvLines([{ map: 'Split', kills: -1, feelings: '' }])[1], 'Split,-1,');
+});
+
+test('toCsv: 配列は読点区切りにしてから判定する', () => {
+    const lines = csvLines([{ map: 'Lotus', kills: 0, feelings: ['=1', '良'] }]);
+    assert.equal(lines[1], 'Lotus,0,\'=1、良');
+});
+
+test('toTable: 詳細データの列はCSV・XLSXでは要約する', () => {
+    const match = {
+        map: 'Ascent',
+        roundTimeline: Array.from({ length: 24 }, (_, i) => ({ round: i + 1, economy: { ally: { loadoutValue: 20000 } } })),
+        roster: [{ name: 'me', agent: 'Jett' }, { name: 'ally', agent: 'Omen' }],
+        weaponStats: [{ weapon: 'Sheriff', kills: 2 }, { weapon: 'Vandal', kills: 15 }],
+        locations: [{ type: 'kill', x: 1, y: 2 }, { type: 'death', x: 3, y: 4 }]
+    };
+    const columns = exporter.getColumns([match]).filter(c => ['roundTimeline', 'roster', 'weaponStats', 'locations'].includes(c.key));
+
+    assert.deepEqual(plain(exporter.toTable([match], columns))[1], ['24ラウンド', 'Jett、Omen', 'Vandal（15キル）', '2件']);
+});
+
+test('getDefaultColumnKeys: 詳細データの列は初期状態では出力しない', () => {
+    const columns = exporter.getColumns([{ map: 'Bind', roundTimeline: [], shots: [{ x: 1 }], note: 'メモ' }]);
+    const keys = exporter.getDefaultColumnKeys(columns);
+
+    assert.ok(keys.includes('map'));
+    assert.ok(keys.includes('note'));
+    assert.ok(!keys.includes('roundTimeline'));
+    assert.ok(!keys.includes('shots'));
+});
+
+test('toCellValue: Excelの1セルの上限を超える文字列は切り詰める', () => {
+    const cell = exporter.toCellValue('a'.repeat(40000));
+    assert.ok(cell.length < exporter.CELL_MAX_LENGTH);
+    assert.equal(exporter.toCellValue('短い'), '短い');
+});
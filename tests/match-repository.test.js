@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, MemoryStorage } = require('./helpers/browser-env');
+
+// IndexedDBへの書き込み結果を返すストア（LargeDataStoreと同じくsetItemはPromise<boolean>）
+class PersistingStorage extends MemoryStorage {
+    constructor() {
+        super();
+        this.failWrites = false;
+    }
+
+    setItem(key, value) {
+        super.setItem(key, value);
+        return Promise.resolve(!this.failWrites);
+    }
+}
+
+function createRepository() {
+    const largeDataStore = new PersistingStorage();
+    const { matchRepository } = loadScripts(['match-repository.js'], { largeDataStore });
+    return { repository: matchRepository, storage: largeDataStore };
+}
+
+test('add / addMany: 書き込みが終わってから追加した試合を返す', async () => {
+    const { repository } = createRepository();
+
+    const match = await repository.add({ id: 'm1', map: 'Ascent' });
+    assert.equal(match.id, 'm1');
+    const { added, skipped } = await repository.addMany([{ id: 'm1' }, { map: 'Bind' }]);
+    assert.equal(added, 1);
+    assert.equal(skipped, 1);
+    assert.equal(repository.count(), 2);
+});
+
+test('add / addMany: 保存先への書き込みに失敗したらエラーにする', async () => {
+    const { repository, storage } = createRepository();
+    storage.failWrites = true;
+
+    await assert.rejects(repository.add({ id: 'm1' }), /試合データの保存に失敗しました/);
+    await assert.rejects(repository.addMany([{ id: 'm2' }]), /試合データの保存に失敗しました/);
+});
+
+test('update / remove: 保存先への書き込みに失敗したらエラーにする', async () => {
+    const { repository, storage } = createRepository();
+    await repository.add({ id: 'm1', feelings: '' });
+    storage.failWrites = true;
+
+    await assert.rejects(repository.update('m1', { feelings: '良かった' }), /試合データの保存に失敗しました/);
+    await assert.rejects(repository.remove('m1'), /試合データの削除を保存できませんでした/);
+});
+
+test('update: 旧キーの試合は正規キーへ移す', async () => {
+    const { repository, storage } = createRepository();
+    storage.setItem('valorant_matches', JSON.stringify([{ id: 'old', map: 'Haven' }]));
+
+    await repository.update('old', { feelings: 'メモ' });
+    assert.deepEqual(JSON.parse(storage.getItem('valorant_matches')), []);
+    assert.equal(JSON.parse(storage.getItem('valorant_gallery'))[0].feelings, 'メモ');
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser-env');
+
+const ACCOUNT = { id: 'me#jp1', name: 'me', tag: 'jp1', region: 'ap' };
+
+// 試合履歴（HenrikDev v3形式の必要な項目のみ、新しい順）
+function createHistory(count) {
+    return Array.from({ length: count }, (_, i) => ({
+        metadata: { matchid: `match-${i}` },
+        players: { all_players: [{ name: 'me', tag: 'jp1', puuid: 'p1' }] }
+    }));
+}
+
+// startを無視するAPIを含め、ページの返し方を差し替えた同期サービス
+function createService({ history, ignoreStart = false, trashedIds = [] }) {
+    const requests = [];
+    const saved = [];
+    const window = loadScripts(['match-sync-service.js'], {
+        largeDataStore: { whenReady: () => new Promise(() => {}) },
+        valorantAPIService: {
+            getRequestWaitTime: () => 0,
+            getMatchHistoryPage: async (account, { size, start }) => {
+                requests.push(start);
+                const offset = ignoreStart ? 0 : start;
+                return history.slice(offset, offset + size);
+            },
+            convertMatchToGalleryFormat: (match) => ({ id: match.metadata.matchid, matchId: match.metadata.matchid })
+        },
+        riotAccountService: { getAccountId: (name, tag) => `${name}#${tag}`.toLowerCase() },
+        trashService: { getTrashedIds: () => new Set(trashedIds) },
+        matchRepository: {
+            addMany: async (matches) => {
+                saved.push(...matches.map(m => m.id));
+                return { added: matches.length };
+            }
+        }
+    });
+    return { service: window.matchSyncService, requests, saved };
+}
+
+test('syncAccount: 初回は最大ページ数までさかのぼる', async () => {
+    const { service, requests, saved } = createService({ history: createHistory(80) });
+    const result = await service.syncAccount(ACCOUNT);
+
+    assert.equal(requests.length, service.INITIAL_MAX_PAGES);
+    assert.equal(saved.length, service.INITIAL_MAX_PAGES * service.PAGE_SIZE);
+    assert.equal(result.complete, true);
+});
+
+test('syncAccount: startを無視して同じ試合を返すAPIでは2ページ目で止める', async () => {
+    const { service, requests, saved } = createService({ history: createHistory(80), ignoreStart: true });
+    await service.syncAccount(ACCOUNT);
+
+    assert.deepEqual(requests, [0, service.PAGE_SIZE]);
+    assert.equal(saved.length, service.PAGE_SIZE);
+});
+
+test('syncAccount: ゴミ箱にある試合は取り込み直さない', async () => {
+    const { service, saved } = createService({ history: createHistory(3), trashedIds: ['match-1'] });
+    const result = await service.syncAccount(ACCOUNT);
+
+    assert.deepEqual(saved, ['match-0', 'match-2']);
+    assert.equal(result.added, 2);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser-env');
+
+// 提供元ごとの状態はlocalStorageに保存されるため、テストごとに新しい環境を作る
+function createScheduler() {
+    return loadScripts(['request-scheduler.js']).requestScheduler;
+}
+
+test('acquire: 容量までは待たずに取得でき、使い切ると補充までの待ち時間を返す', async () => {
+    const scheduler = createScheduler();
+    const { capacity, refillPerMinute } = scheduler.PROVIDERS.gemini;
+
+    for (let i = 0; i < capacity; i++) {
+        assert.equal(await scheduler.acquire('gemini', 'user'), 0);
+    }
+    const wait = await scheduler.acquire('gemini', 'user');
+    assert.ok(wait > 0);
+    assert.ok(wait <= Math.ceil(60000 / refillPerMinute));
+    assert.equal(scheduler.getRemaining('gemini'), 0);
+});
+
+test('readState: 経過時間に応じて補充し、容量を超えない', async () => {
+    const scheduler = createScheduler();
+    const { capacity, refillPerMinute } = scheduler.PROVIDERS.henrik;
+
+    for (let i = 0; i < capacity; i++) {
+        await scheduler.acquire('henrik', 'user');
+    }
+    const now = Date.now();
+    const state = scheduler.readState('henrik', now + 60000 / refillPerMinute * 2);
+    assert.ok(state.tokens >= 2 && state.tokens < 3);
+    assert.equal(scheduler.readState('henrik', now + 10 * 60000).tokens, capacity);
+});
+
+test('getWaitTime: backgroundはユーザー操作用の枠を残して待つ', () => {
+    const scheduler = createScheduler();
+    const { reserved, refillPerMinute } = scheduler.PROVIDERS.henrik;
+    const state = { tokens: reserved, updatedAt: Date.now(), blockedUntil: 0 };
+
+    assert.equal(scheduler.getWaitTime('henrik', 'user', state), 0);
+    assert.equal(scheduler.getWaitTime('henrik', 'normal', state), 0);
+    assert.equal(scheduler.getWaitTime('henrik', 'background', state), Math.ceil(60000 / refillPerMinute));
+});
+
+test('penalize: 429の後はRetry-Afterの間すべての優先度を止める', async () => {
+    const scheduler = createScheduler();
+    await scheduler.penalize('henrik', 30);
+
+    const wait = await scheduler.acquire('henrik', 'user');
+    assert.ok(wait > 29000 && wait <= 30000);
+    assert.equal(await scheduler.tryAcquire('henrik'), false);
+});
+
+test('バケットの状態は同じストレージを使う別のインスタンス（別タブ）と共有する', async () => {
+    const window = loadScripts(['request-scheduler.js']);
+    const otherTab = new window.requestScheduler.constructor();
+    const { capacity } = window.requestScheduler.PROVIDERS.coaching;
+
+    for (let i = 0; i < capacity; i++) {
+        await window.requestScheduler.acquire('coaching', 'user');
+    }
+    assert.ok(await otherTab.acquire('coaching', 'user') > 0);
+});
+
+test('getProvider: 未知の提供元はエラーにする', () => {
+    assert.throws(() => createScheduler().getProvider('unknown'), /Unknown request provider/);
+});
@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./helpers/browser-env');
+
+const { valorantAPIService: service } = loadScripts(['valorant-api-service.js']);
+
+const ME = 'me';
+const ALLY = 'ally-1';
+const ENEMY_A = 'enemy-1';
+const ENEMY_B = 'enemy-2';
+
+// 試合データ（HenrikDev v3形式の必要な項目のみ）
+function createMatch({ mode = 'competitive', kills = [], rounds = [], red = 13, blue = 7 } = {}) {
+    return {
+        metadata: { mode_id: mode, matchid: 'match-1' },
+        teams: { red: { rounds_won: red }, blue: { rounds_won: blue } },
+        players: {
+            all_players: [
+                { puuid: ME, team: 'Red' },
+                { puuid: ALLY, team: 'Red' },
+                { puuid: ENEMY_A, team: 'Blue' },
+                { puuid: ENEMY_B, team: 'Blue' }
+            ]
+        },
+        rounds,
+        kills
+    };
+}
+
+function kill(round, killer, victim, weapon, extra = {}) {
+    return { round, killer_puuid: killer, victim_puuid: victim, damage_weapon_name: weapon, ...extra };
+}
+
+function damage(receiver, amount, headshots, bodyshots = 0, legshots = 0) {
+    return { receiver_puuid: receiver, damage: amount, headshots, bodyshots, legshots };
+}
+
+test('classifyBuyType: 第1・第13ラウンドはピストル', () => {
+    assert.equal(service.classifyBuyType(5, 20000, 0, 1), 'pistol');
+    assert.equal(service.classifyBuyType(5, 20000, 0, 13), 'pistol');
+});
+
+test('classifyBuyType: 平均装備額と残りの所持金で判定する', () => {
+    const { eco, full, forceRemaining } = service.BUY_TYPE_THRESHOLDS;
+    assert.equal(service.classifyBuyType(5, (eco - 1) * 5, 0, 2), 'eco');
+    assert.equal(service.classifyBuyType(5, full * 5, 0, 2), 'full');
+    assert.equal(service.classifyBuyType(5, eco * 5, (forceRemaining - 1) * 5, 2), 'force');
+    assert.equal(service.classifyBuyType(5, eco * 5, forceRemaining * 5, 2), 'half');
+});
+
+test('classifyBuyType: プレイヤーがいなければ判定しない', () => {
+    assert.equal(service.classifyBuyType(0, 0, 0, 2), null);
+});
+
+test('classifyBuyType: スイフトプレイは第1・第5ラウンドがピストル', () => {
+    assert.equal(service.classifyBuyType(5, 20000, 0, 5, 4), 'pistol');
+    assert.equal(service.classifyBuyType(5, 20000, 0, 13, 4), 'full');
+});
+
+test('convertRounds: モードの前半のラウンド数から後半のピストルラウンドを判定する', () => {
+    const stats = (puuid, team) => ({ player_puuid: puuid, player_team: team, economy: { loadout_value: 4000, remaining: 0 } });
+    const round = { winning_team: 'Red', player_stats: [stats(ME, 'Red'), stats(ENEMY_A, 'Blue')] };
+    const match = createMatch({ mode: 'swiftplay', red: 5, blue: 3, rounds: Array.from({ length: 8 }, () => round) });
+
+    const buyTypes = plain(service.convertRounds(match, ME)).map(r => r.economy.ally.buyType);
+    assert.deepEqual(buyTypes, ['pistol', 'full', 'full', 'full', 'pistol', 'full', 'full', 'full']);
+});
+
+test('convertWeaponStats: キルはキルイベントの武器に数える', () => {
+    const match = createMatch({
+        kills: [
+            kill(0, ME, ENEMY_A, 'Vandal'),
+            kill(1, ME, ENEMY_B, 'Vandal'),
+            kill(1, ME, ENEMY_A, 'Sheriff'),
+            kill(2, ME, ENEMY_B, null),
+            kill(2, ALLY, ENEMY_A, 'Operator')
+        ]
+    });
+
+    assert.deepEqual(
+        plain(service.convertWeaponStats(match, ME)).map(({ weapon, kills }) => ({ weapon, kills })),
+        [{ weapon: 'Vandal', kills: 2 }, { weapon: 'Sheriff', kills: 1 }, { weapon: 'Ability', kills: 1 }]
+    );
+});
+
+test('convertWeaponStats: 命中部位・ダメージは倒した相手へのものだけをキルの武器に数える', () => {
+    const match = createMatch({
+        kills: [kill(0, ME, ENEMY_A, 'Vandal')],
+        rounds: [{
+            player_stats: [{
+                player_puuid: ME,
+                economy: { weapon: { name: 'Vandal' } },
+                // ENEMY_Bは倒していない（サイドアームやアビリティの可能性があるため数えない）
+                damage_events: [damage(ENEMY_A, 150, 1, 1), damage(ENEMY_B, 90, 2, 1, 1)]
+            }]
+        }]
+    });
+
+    assert.deepEqual(plain(service.convertWeaponStats(match, ME)), [
+        { weapon: 'Vandal', kills: 1, headshots: 1, bodyshots: 1, legshots: 0, damage: 150 }
+    ]);
+});
+
+test('convertWeaponStats: 同じ相手でも別のラウンドで倒した場合はそのラウンドの武器に数える', () => {
+    const match = createMatch({
+        kills: [kill(0, ME, ENEMY_A, 'Sheriff'), kill(1, ME, ENEMY_A, 'Phantom')],
+        rounds: [
+            { player_stats: [{ player_puuid: ME, damage_events: [damage(ENEMY_A, 159, 1)] }] },
+            { player_stats: [{ player_puuid: ME, damage_events: [damage(ENEMY_A, 140, 0, 4)] }] }
+        ]
+    });
+
+    const stats = plain(service.convertWeaponStats(match, ME));
+    assert.deepEqual(stats.find(s => s.weapon === 'Sheriff'), { weapon: 'Sheriff', kills: 1, headshots: 1, bodyshots: 0, legshots: 0, damage: 159 });
+    assert.deepEqual(stats.find(s => s.weapon === 'Phantom'), { weapon: 'Phantom', kills: 1, headshots: 0, bodyshots: 4, legshots: 0, damage: 140 });
+});
+
+test('convertWeaponStats: 試合のキル一覧がなければラウンドのkill_eventsを使う', () => {
+    const match = createMatch({
+        rounds: [{
+            player_stats: [{
+                player_puuid: ME,
+                kill_events: [{ killer_puuid: ME, victim_puuid: ENEMY_B, damage_weapon_name: 'Spectre' }],
+                damage_events: [damage(ENEMY_B, 120, 0, 3)]
+            }]
+        }]
+    });
+
+    assert.deepEqual(plain(service.convertWeaponStats(match, ME)), [
+        { weapon: 'Spectre', kills: 1, headshots: 0, bodyshots: 3, legshots: 0, damage: 120 }
+    ]);
+});
+
+test('convertLocations: キルは自分の位置、デスは倒された位置を記録し、攻守を付ける', () => {
+    const match = createMatch({
+        kills: [
+            kill(0, ME, ENEMY_A, 'Vandal', {
+                victim_death_location: { x: 1, y: 2 },
+                player_locations_on_kill: [
+                    { player_puuid: ALLY, location: { x: 9, y: 9 } },
+                    { player_puuid: ME, location: { x: 100, y: 200 } }
+                ]
+            }),
+            kill(12, ENEMY_B, ME, 'Phantom', { victim_death_location: { x: -300, y: 400 } }),
+            kill(13, ALLY, ENEMY_B, 'Vandal', { victim_death_location: { x: 5, y: 5 } })
+        ]
+    });
+
+    assert.deepEqual(plain(service.convertLocations(match, ME)), [
+        { type: 'kill', side: 'attack', round: 1, x: 100, y: 200 },
+        { type: 'death', side: 'defense', round: 13, x: -300, y: 400 }
+    ]);
+});
+
+test('convertLocations: 位置の記録がないキルは読み飛ばす', () => {
+    const match = createMatch({ kills: [kill(0, ME, ENEMY_A, 'Vandal')] });
+    assert.deepEqual(plain(service.convertLocations(match, ME)), []);
+});
+
+test('convertLocations: スイフトプレイは5ラウンド目で攻守が入れ替わる', () => {
+    const location = { victim_death_location: { x: 0, y: 0 } };
+    const match = createMatch({
+        mode: 'swiftplay',
+        red: 5,
+        blue: 3,
+        kills: [kill(3, ENEMY_A, ME, 'Vandal', location), kill(4, ENEMY_A, ME, 'Vandal', location)]
+    });
+
+    assert.deepEqual(plain(service.convertLocations(match, ME)).map(point => point.side), ['attack', 'defense']);
+});
+
+test('getHalfLength: モードが不明な場合は勝ったチームのラウンド数から判定する', () => {
+    assert.equal(service.getHalfLength(createMatch({ mode: 'competitive', red: 14, blue: 12 })), 12);
+    assert.equal(service.getHalfLength(createMatch({ mode: 'spikerush', red: 4, blue: 1 })), 3);
+    assert.equal(service.getHalfLength(createMatch({ mode: '', red: 5, blue: 2 })), 4);
+    assert.equal(service.getHalfLength({ metadata: {} }), 12);
+});
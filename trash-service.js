@@ -0,0 +1,249 @@
+// trash-service.js - 削除した試合・コーチングプラン・目標のゴミ箱（元に戻す・一括復元・期限切れの自動削除）
+class TrashService {
+    constructor() {
+        this.STORAGE_KEY = 'ebridge_trash';
+        this.RETENTION_KEY = 'ebridge_trash_retention_days';
+
+        // 保持期間（日）
+        this.DEFAULT_RETENTION_DAYS = 30;
+        this.MIN_RETENTION_DAYS = 1;
+        this.MAX_RETENTION_DAYS = 365;
+
+        // 変更通知イベント名
+        this.CHANGE_EVENT = 'trashChanged';
+
+        // 保存先（大容量データはIndexedDB、それ以外はlocalStorage）
+        this.storage = window.largeDataStore;
+
+        // 種類ごとの読み込み・削除・復元（プランの再リンクのため目標を先に復元する）
+        this.TYPES = {
+            match: {
+                label: '試合',
+                read: () => window.matchRepository.getAll(),
+                remove: (ids) => window.matchRepository.remove(ids),
+                restore: async (items) => (await window.matchRepository.addMany(items)).added
+            },
+            goal: {
+                label: '目標',
+                read: () => this.readArray('goals'),
+                remove: (ids) => this.removeFromArray('goals', ids),
+                restore: (items) => this.appendToArray('goals', items)
+            },
+            plan: {
+                label: 'コーチングプラン',
+                read: () => this.readArray('coaching_plans'),
+                remove: (ids) => this.removeFromArray('coaching_plans', ids),
+                restore: (items) => this.restorePlans(items)
+            }
+        };
+
+        this.storage.whenReady().then(() => this.purgeExpired());
+    }
+
+    // IDを文字列に正規化（数値IDと文字列IDが混在しているため）
+    normalizeId(id) {
+        return id === undefined || id === null ? '' : String(id);
+    }
+
+    // 保存済みの配列を読み込み
+    readArray(key) {
+        try {
+            const parsed = JSON.parse(this.storage.getItem(key) || '[]');
+            return Array.isArray(parsed) ? parsed : [];
+        } catch (error) {
+            console.warn(`TrashService: Failed to read ${key}:`, error);
+            return [];
+        }
+    }
+
+    // 配列から指定IDの要素を削除
+    removeFromArray(key, ids) {
+        const targetIds = new Set(ids.map(id => this.normalizeId(id)));
+        const items = this.readArray(key);
+        const filtered = items.filter(item => !targetIds.has(this.normalizeId(item.id)));
+        this.storage.setItem(key, JSON.stringify(filtered));
+        return items.length - filtered.length;
+    }
+
+    // 配列に要素を追加（同じIDが既にある場合はスキップ）
+    appendToArray(key, newItems) {
+        const items = this.readArray(key);
+        const existingIds = new Set(items.map(item => this.normalizeId(item.id)));
+        const added = newItems.filter(item => !existingIds.has(this.normalizeId(item.id)));
+        if (added.length > 0) {
+            this.storage.setItem(key, JSON.stringify([...items, ...added]));
+        }
+        return added.length;
+    }
+
+    // プランを復元し、リンクが解除された目標を再度リンク
+    restorePlans(plans) {
+        const restored = this.appendToArray('coaching_plans', plans);
+
+        const goals = this.readArray('goals');
+        let relinked = false;
+        plans.forEach(plan => {
+            const goal = goals.find(g => this.normalizeId(g.id) === this.normalizeId(plan.goalId) && !g.planId);
+            if (goal) {
+                goal.planId = plan.id;
+                goal.hasCoachingPlan = true;
+                relinked = true;
+            }
+        });
+        if (relinked) {
+            this.storage.setItem('goals', JSON.stringify(goals));
+        }
+
+        return restored;
+    }
+
+    // ゴミ箱の中身（新しい順）
+    getEntries() {
+        return this.readArray(this.STORAGE_KEY)
+            .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+    }
+
+    // ゴミ箱にある指定の種類のID（試合はAPIのmatchIdも含む）
+    getTrashedIds(type) {
+        const ids = new Set();
+        this.readArray(this.STORAGE_KEY)
+            .filter(entry => entry.type === type && entry.item)
+            .forEach(entry => {
+                ids.add(this.normalizeId(entry.item.id));
+                if (entry.item.matchId) ids.add(this.normalizeId(entry.item.matchId));
+            });
+        return ids;
+    }
+
+    // ゴミ箱を保存（IndexedDBへの書き込みの成否を返すPromise）
+    saveEntries(entries) {
+        return this.storage.setItem(this.STORAGE_KEY, JSON.stringify(entries));
+    }
+
+    // ゴミ箱内の件数
+    count() {
+        return this.readArray(this.STORAGE_KEY).length;
+    }
+
+    // ゴミ箱へ移動（元データから削除）。元に戻す用のバッチIDを返す
+    async moveToTrash(type, ids) {
+        const handler = this.TYPES[type];
+        if (!handler) {
+            throw new Error(`Unknown trash type: ${type}`);
+        }
+
+        const idList = Array.isArray(ids) ? ids : [ids];
+        const targetIds = new Set(idList.map(id => this.normalizeId(id)));
+        const items = handler.read().filter(item => targetIds.has(this.normalizeId(item.id)));
+        if (items.length === 0) return null;
+
+        const batchId = `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const deletedAt = new Date().toISOString();
+        const entries = items.map(item => ({
+            id: `trash_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            type,
+            item,
+            batchId,
+            deletedAt
+        }));
+
+        // 先にゴミ箱へ保存してから元データを削除（途中で失敗してもデータを失わない）
+        if (await this.saveEntries([...this.readArray(this.STORAGE_KEY), ...entries]) === false) {
+            throw new Error('ゴミ箱への保存に失敗しました');
+        }
+        await handler.remove(items.map(item => item.id));
+
+        this.notifyChange('trash', entries.map(e => e.id));
+        console.log(`TrashService: Moved ${items.length} ${type}(s) to trash`);
+        return { batchId, count: items.length };
+    }
+
+    // 指定のエントリーを復元（復元した種類と件数を返す）
+    async restore(entryIds) {
+        const targetIds = new Set(entryIds);
+        const entries = this.readArray(this.STORAGE_KEY);
+        const targets = entries.filter(e => targetIds.has(e.id));
+        if (targets.length === 0) return { restored: 0, types: [] };
+
+        const types = Object.keys(this.TYPES).filter(type => targets.some(e => e.type === type));
+        let restored = 0;
+        for (const type of types) {
+            restored += await this.TYPES[type].restore(targets.filter(e => e.type === type).map(e => e.item));
+        }
+
+        this.saveEntries(entries.filter(e => !targetIds.has(e.id)));
+        this.notifyChange('restore', targets.map(e => e.id));
+
+        console.log(`TrashService: Restored ${restored} item(s)`);
+        return { restored, types };
+    }
+
+    // 直前の削除を元に戻す
+    async undo(batchId) {
+        const entryIds = this.readArray(this.STORAGE_KEY)
+            .filter(e => e.batchId === batchId)
+            .map(e => e.id);
+        return this.restore(entryIds);
+    }
+
+    // 指定のエントリーを完全に削除
+    deletePermanently(entryIds) {
+        const targetIds = new Set(entryIds);
+        const entries = this.readArray(this.STORAGE_KEY);
+        const remaining = entries.filter(e => !targetIds.has(e.id));
+        if (remaining.length === entries.length) return 0;
+
+        this.saveEntries(remaining);
+        this.notifyChange('delete', entryIds);
+        return entries.length - remaining.length;
+    }
+
+    // 保持期間（日）を取得
+    getRetentionDays() {
+        const days = parseInt(localStorage.getItem(this.RETENTION_KEY), 10);
+        return isNaN(days) ? this.DEFAULT_RETENTION_DAYS : days;
+    }
+
+    // 保持期間（日）を設定し、期限切れのものを削除
+    setRetentionDays(days) {
+        const value = parseInt(days, 10);
+        if (isNaN(value) || value < this.MIN_RETENTION_DAYS || value > this.MAX_RETENTION_DAYS) {
+            throw new Error(`保持期間は${this.MIN_RETENTION_DAYS}〜${this.MAX_RETENTION_DAYS}日で指定してください`);
+        }
+
+        localStorage.setItem(this.RETENTION_KEY, String(value));
+        this.purgeExpired();
+        return value;
+    }
+
+    // 自動削除までの残り日数
+    getDaysUntilPurge(entry) {
+        const expiresAt = new Date(entry.deletedAt).getTime() + this.getRetentionDays() * 24 * 60 * 60 * 1000;
+        return Math.max(0, Math.ceil((expiresAt - Date.now()) / (24 * 60 * 60 * 1000)));
+    }
+
+    // 保持期間を過ぎたものを完全に削除
+    purgeExpired() {
+        const cutoff = Date.now() - this.getRetentionDays() * 24 * 60 * 60 * 1000;
+        const entries = this.readArray(this.STORAGE_KEY);
+        const remaining = entries.filter(e => new Date(e.deletedAt).getTime() >= cutoff);
+        if (remaining.length === entries.length) return 0;
+
+        this.saveEntries(remaining);
+        this.notifyChange('purge', []);
+
+        const purged = entries.length - remaining.length;
+        console.log(`TrashService: Purged ${purged} expired item(s)`);
+        return purged;
+    }
+
+    // 変更を通知
+    notifyChange(type, ids) {
+        window.dispatchEvent(new CustomEvent(this.CHANGE_EVENT, {
+            detail: { type, ids }
+        }));
+    }
+}
+
+// グローバルインスタンス
+window.trashService = new TrashService();
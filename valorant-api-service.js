@@ -1,8 +1,11 @@
 // valorant-api-service.js - Valorant API統合サービス (Henrik API使用)
 class ValorantAPIService {
     constructor() {
-        this.baseUrl = 'https://api.henrikdev.xyz';
-        this.apiKey = '';
+        // 接続先（ローカルの代替サーバー scripts/mock-henrik-server.js などに変更可能）
+        this.DEFAULT_BASE_URL = 'https://api.henrikdev.xyz';
+        this.baseUrl = this.DEFAULT_BASE_URL;
+        // APIキーは暗号化保管庫（secretsVault）に保存し、リクエスト時にのみ復号する
+        this.API_KEY_SECRET = 'henrik_api_key';
         this.region = 'ap'; // デフォルトはアジアパシフィック
         this.platform = 'pc';
 
@@ -10,23 +13,44 @@ class ValorantAPIService {
         this.staticDataUrl = 'data/valorant-stats.json';
         this.useStaticData = true; // 静的データを優先使用
 
-        // レート制限管理
-        this.rateLimitConfig = {
-            requestsPerMinute: 30, // Basic keyの制限
-            requestQueue: [],
-            lastRequestTime: 0,
-            minRequestInterval: 2000 // 2秒間隔
-        };
+        // レート制限・応答のキャッシュは共通のRequestSchedulerで管理
+        this.PROVIDER = 'henrik';
+        this.CACHE_PREFIX = 'henrik:';
 
-        // キャッシュ設定
+        // 静的データのキャッシュ
         this.cache = {
-            account: null,
-            mmr: null,
-            matches: [],
             lastFetch: {},
             staticData: null
         };
         this.cacheDuration = 5 * 60 * 1000; // 5分
+        // 試合詳細は変わらないため長めに保持
+        this.matchDetailsCacheDuration = 24 * 60 * 60 * 1000;
+
+        // ラウンドの終了理由（APIの表記 → 保存する値）
+        this.ROUND_END_TYPES = {
+            'Eliminated': 'elimination',
+            'Bomb defused': 'defuse',
+            'Bomb detonated': 'detonate',
+            'Round timer expired': 'time',
+            'Surrendered': 'surrender'
+        };
+
+        // 購入タイプの判定基準（チームの1人あたり平均、クレジット）
+        // 前半・後半の最初のラウンド（コンペティティブは第1・第13ラウンド）はピストルラウンドとして別に扱う
+        this.BUY_TYPE_THRESHOLDS = {
+            eco: 1500,           // 装備額がこれ未満ならエコ
+            full: 3500,          // 装備額がこれ以上ならフルバイ
+            forceRemaining: 1000 // その間で所持金の残りがこれ未満ならフォース、残していればハーフ
+        };
+
+        // モードごとの前半のラウンド数（攻守交代までのラウンド数）
+        this.HALF_LENGTHS = {
+            competitive: 12,
+            unrated: 12,
+            premier: 12,
+            swiftplay: 4,
+            spikerush: 3
+        };
 
         // 初期化
         this.loadSettings();
@@ -82,6 +106,7 @@ class ValorantAPIService {
             account: staticData.account,
             rank: staticData.rank,
             stats: staticData.stats,
+            rankHistory: staticData.rankHistory || [],
             lastUpdated: staticData.lastUpdated
         };
     }
@@ -110,33 +135,30 @@ class ValorantAPIService {
                 };
             }
 
-            // 既存のギャラリーデータを取得
-            const existingGallery = JSON.parse(localStorage.getItem('valorant_gallery') || '[]');
-            const existingIds = new Set(existingGallery.map(m => m.matchId || m.id));
-
-            // 新しいマッチをフィルタリング
-            const newMatches = [];
-            let skipped = 0;
-
-            for (const match of staticData.matches) {
-                if (existingIds.has(match.matchId || match.id)) {
-                    skipped++;
-                } else {
-                    newMatches.push(match);
-                }
+            // 静的データのアカウントを登録し、試合を紐付け
+            let matches = staticData.matches;
+            if (staticData.account?.name && staticData.account?.tag && window.riotAccountService) {
+                const account = window.riotAccountService.ensureAccount({
+                    name: staticData.account.name,
+                    tag: staticData.account.tag,
+                    region: staticData.account.region || this.region
+                });
+                matches = matches.map(m => ({ ...m, accountId: m.accountId || account.id }));
             }
 
-            // ギャラリーに追加
-            if (newMatches.length > 0) {
-                const updatedGallery = [...newMatches, ...existingGallery];
-                localStorage.setItem('valorant_gallery', JSON.stringify(updatedGallery));
+            // リポジトリに追加（既存のマッチはスキップ）
+            const { added, skipped } = await window.matchRepository.addMany(matches);
+
+            // ランクの推移を取り込み
+            if (Array.isArray(staticData.rankHistory) && window.rankHistoryService && matches[0]?.accountId) {
+                window.rankHistoryService.ingest(matches[0].accountId, staticData.rankHistory);
             }
 
             return {
-                imported: newMatches.length,
+                imported: added,
                 skipped: skipped,
                 total: staticData.matches.length,
-                message: `${newMatches.length}件のマッチをインポートしました${skipped > 0 ? `（${skipped}件は既存）` : ''}`
+                message: `${added}件のマッチをインポートしました${skipped > 0 ? `（${skipped}件は既存）` : ''}`
             };
 
         } catch (error) {
@@ -161,9 +183,9 @@ class ValorantAPIService {
             const settings = localStorage.getItem('valorant_api_settings');
             if (settings) {
                 const parsed = JSON.parse(settings);
-                this.apiKey = parsed.apiKey || '';
                 this.region = parsed.region || 'ap';
                 this.platform = parsed.platform || 'pc';
+                this.baseUrl = parsed.baseUrl || this.DEFAULT_BASE_URL;
             }
 
             // Riot IDの読み込み
@@ -180,10 +202,12 @@ class ValorantAPIService {
     saveSettings() {
         try {
             const settings = {
-                apiKey: this.apiKey,
                 region: this.region,
                 platform: this.platform
             };
+            if (this.baseUrl !== this.DEFAULT_BASE_URL) {
+                settings.baseUrl = this.baseUrl;
+            }
             localStorage.setItem('valorant_api_settings', JSON.stringify(settings));
         } catch (error) {
             console.warn('Failed to save Valorant API settings:', error);
@@ -191,20 +215,46 @@ class ValorantAPIService {
     }
 
     // APIキーを設定
-    setApiKey(apiKey) {
-        if (!apiKey || typeof apiKey !== 'string') {
+    async setApiKey(apiKey) {
+        if (!apiKey || typeof apiKey !== 'string' || !apiKey.trim()) {
             throw new Error('有効なAPIキーを入力してください');
         }
 
-        this.apiKey = apiKey.trim();
-        this.saveSettings();
+        await window.secretsVault.setSecret(this.API_KEY_SECRET, apiKey.trim());
         console.log('Valorant API key set successfully');
         return true;
     }
 
-    // APIキーを取得
-    getApiKey() {
-        return this.apiKey;
+    // APIキーを取得（保管庫から復号）
+    async getApiKey() {
+        return window.secretsVault.getSecret(this.API_KEY_SECRET);
+    }
+
+    // APIキーが保存されているか
+    hasApiKey() {
+        return window.secretsVault.hasSecret(this.API_KEY_SECRET);
+    }
+
+    // APIの接続先を設定（空の場合は本番のHenrikDev APIに戻す）
+    setBaseUrl(url) {
+        const value = (url || '').trim().replace(/\/+$/, '');
+        if (value && !/^https?:\/\/[^/]+/.test(value)) {
+            throw new Error('接続先はhttp://またはhttps://で始まるURLを入力してください');
+        }
+
+        this.baseUrl = value || this.DEFAULT_BASE_URL;
+        this.saveSettings();
+
+        // キャッシュをクリア（接続先が変わったため）
+        this.clearCache();
+
+        console.log(`Valorant API base URL set: ${this.baseUrl}`);
+        return this.baseUrl;
+    }
+
+    // 本番以外の接続先を使用中か
+    isUsingCustomBaseUrl() {
+        return this.baseUrl !== this.DEFAULT_BASE_URL;
     }
 
     // リージョンを設定
@@ -243,19 +293,38 @@ class ValorantAPIService {
         return this.riotId || null;
     }
 
+    // 登録済みアカウント（RiotAccountService）の設定に切り替え
+    useAccount(account) {
+        this.riotId = { name: account.name, tag: account.tag };
+        this.region = account.region || 'ap';
+        this.platform = account.platform || 'pc';
+
+        localStorage.setItem('valorant_riot_id', JSON.stringify(this.riotId));
+        this.saveSettings();
+
+        // キャッシュをクリア（別アカウントのため）
+        this.clearCache();
+
+        console.log(`Switched to account: ${this.riotId.name}#${this.riotId.tag}`);
+    }
+
+    // 現在のRiot IDのアカウントID（試合の紐付けに使用）
+    getAccountId() {
+        if (!this.riotId) return null;
+        // RiotAccountService.getAccountIdと同じ形式
+        return window.riotAccountService
+            ? window.riotAccountService.getAccountId(this.riotId.name, this.riotId.tag)
+            : `${String(this.riotId.name || '').trim()}#${String(this.riotId.tag || '').trim().replace('#', '')}`.toLowerCase();
+    }
+
     // 設定が完了しているかチェック
     isConfigured() {
-        return this.apiKey && this.apiKey.length > 0 && this.riotId;
+        return this.hasApiKey() && !!this.riotId;
     }
 
-    // キャッシュをクリア
+    // APIの応答のキャッシュをクリア
     clearCache() {
-        this.cache = {
-            account: null,
-            mmr: null,
-            matches: [],
-            lastFetch: {}
-        };
+        window.requestScheduler.clearCache(this.CACHE_PREFIX);
     }
 
     // キャッシュが有効かチェック
@@ -265,22 +334,23 @@ class ValorantAPIService {
         return (Date.now() - lastFetch) < this.cacheDuration;
     }
 
-    // レート制限を考慮したリクエスト
-    async makeRequest(endpoint, options = {}) {
-        if (!this.apiKey) {
+    // レート制限を考慮したリクエスト（ttlを指定すると応答をキャッシュ、priorityは user / normal / background）
+    async makeRequest(endpoint, { priority = 'normal', ttl = 0 } = {}) {
+        if (!this.hasApiKey()) {
             throw new Error('Valorant APIキーが設定されていません');
         }
 
-        // レート制限チェック
-        const now = Date.now();
-        const timeSinceLastRequest = now - this.rateLimitConfig.lastRequestTime;
-
-        if (timeSinceLastRequest < this.rateLimitConfig.minRequestInterval) {
-            const waitTime = this.rateLimitConfig.minRequestInterval - timeSinceLastRequest;
-            await this.delay(waitTime);
-        }
-
         const url = `${this.baseUrl}${endpoint}`;
+        return window.requestScheduler.schedule(this.PROVIDER, () => this.fetchJson(url), {
+            priority,
+            ttl,
+            cacheKey: `${this.CACHE_PREFIX}${url}`
+        });
+    }
+
+    // APIを呼び出してJSONを返す
+    async fetchJson(url) {
+        const apiKey = await this.getApiKey();
 
         try {
             console.log(`Valorant API Request: ${url}`);
@@ -288,18 +358,18 @@ class ValorantAPIService {
             const response = await fetch(url, {
                 method: 'GET',
                 headers: {
-                    'Authorization': this.apiKey,
+                    'Authorization': apiKey,
                     'Content-Type': 'application/json'
-                },
-                ...options
+                }
             });
 
-            this.rateLimitConfig.lastRequestTime = Date.now();
-
-            // レート制限エラー
+            // レート制限エラー（RequestSchedulerが全タブのリクエストを一時停止する）
             if (response.status === 429) {
                 const retryAfter = response.headers.get('Retry-After') || 60;
-                throw new Error(`レート制限に達しました。${retryAfter}秒後に再試行してください。`);
+                const error = new Error(`レート制限に達しました。${retryAfter}秒後に再試行してください。`);
+                error.status = 429;
+                error.retryAfter = Number(retryAfter);
+                throw error;
             }
 
             if (!response.ok) {
@@ -336,9 +406,9 @@ class ValorantAPIService {
         }
     }
 
-    // 遅延処理
-    async delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    // 指定の優先度のリクエストを実行できるまでの待ち時間（ミリ秒）
+    getRequestWaitTime(priority = 'normal') {
+        return window.requestScheduler.getWaitTime(this.PROVIDER, priority);
     }
 
     // アカウント情報を取得
@@ -347,19 +417,8 @@ class ValorantAPIService {
             throw new Error('Riot IDが設定されていません');
         }
 
-        // キャッシュチェック
-        if (this.isCacheValid('account') && this.cache.account) {
-            console.log('Using cached account info');
-            return this.cache.account;
-        }
-
         const endpoint = `/valorant/v1/account/${encodeURIComponent(this.riotId.name)}/${encodeURIComponent(this.riotId.tag)}`;
-        const response = await this.makeRequest(endpoint);
-
-        // キャッシュに保存
-        this.cache.account = response.data;
-        this.cache.lastFetch['account'] = Date.now();
-
+        const response = await this.makeRequest(endpoint, { ttl: this.cacheDuration });
         return response.data;
     }
 
@@ -369,20 +428,23 @@ class ValorantAPIService {
             throw new Error('Riot IDが設定されていません');
         }
 
-        // キャッシュチェック
-        if (this.isCacheValid('mmr') && this.cache.mmr) {
-            console.log('Using cached MMR info');
-            return this.cache.mmr;
-        }
-
         const endpoint = `/valorant/v3/mmr/${this.region}/${this.platform}/${encodeURIComponent(this.riotId.name)}/${encodeURIComponent(this.riotId.tag)}`;
-        const response = await this.makeRequest(endpoint);
+        const response = await this.makeRequest(endpoint, { ttl: this.cacheDuration });
+        return response.data;
+    }
 
-        // キャッシュに保存
-        this.cache.mmr = response.data;
-        this.cache.lastFetch['mmr'] = Date.now();
+    // MMR履歴（試合ごとのランク・RR増減）を取得（アカウント未指定の場合は現在のRiot ID）
+    async getMMRHistory(account = null, { priority = 'normal' } = {}) {
+        const target = account || (this.riotId ? { ...this.riotId, region: this.region, platform: this.platform } : null);
+        if (!target) {
+            throw new Error('Riot IDが設定されていません');
+        }
 
-        return response.data;
+        const region = target.region || this.region;
+        const platform = target.platform || this.platform;
+        const endpoint = `/valorant/v2/mmr-history/${region}/${platform}/${encodeURIComponent(target.name)}/${encodeURIComponent(target.tag)}`;
+        const response = await this.makeRequest(endpoint, { priority });
+        return response.data?.history || [];
     }
 
     // マッチ履歴を取得
@@ -391,28 +453,23 @@ class ValorantAPIService {
             throw new Error('Riot IDが設定されていません');
         }
 
-        const cacheKey = `matches_${mode}_${size}`;
-
-        // キャッシュチェック
-        if (this.isCacheValid(cacheKey) && this.cache.matches.length > 0) {
-            console.log('Using cached match history');
-            return this.cache.matches;
-        }
-
         const endpoint = `/valorant/v3/matches/${this.region}/${encodeURIComponent(this.riotId.name)}/${encodeURIComponent(this.riotId.tag)}?mode=${mode}&size=${size}`;
-        const response = await this.makeRequest(endpoint);
-
-        // キャッシュに保存
-        this.cache.matches = response.data || [];
-        this.cache.lastFetch[cacheKey] = Date.now();
+        const response = await this.makeRequest(endpoint, { ttl: this.cacheDuration });
+        return response.data || [];
+    }
 
+    // 指定アカウントのマッチ履歴を1ページ取得（差分同期用、キャッシュは使わない）
+    async getMatchHistoryPage(account, { mode = 'competitive', size = 10, start = 0, priority = 'normal' } = {}) {
+        const region = account.region || this.region;
+        const endpoint = `/valorant/v3/matches/${region}/${encodeURIComponent(account.name)}/${encodeURIComponent(account.tag)}?mode=${mode}&size=${size}&start=${start}`;
+        const response = await this.makeRequest(endpoint, { priority });
         return response.data || [];
     }
 
     // 特定のマッチ詳細を取得
     async getMatchDetails(matchId) {
         const endpoint = `/valorant/v2/match/${matchId}`;
-        const response = await this.makeRequest(endpoint);
+        const response = await this.makeRequest(endpoint, { ttl: this.matchDetailsCacheDuration });
         return response.data;
     }
 
@@ -567,6 +624,106 @@ class ValorantAPIService {
         };
     }
 
+    // ギャラリー形式の試合データから武器別の成績を計算（map・agentで絞り込み、キルの多い順）
+    calculateWeaponStats(matches, { map = null, agent = null } = {}) {
+        const weapons = {};
+
+        matches
+            .filter(match => Array.isArray(match.weaponStats))
+            .filter(match => !map || match.map === map)
+            .filter(match => !agent || (match.agent || match.character) === agent)
+            .forEach(match => {
+                match.weaponStats.forEach(stat => {
+                    const entry = weapons[stat.weapon] || {
+                        weapon: stat.weapon, matches: 0, kills: 0, headshots: 0, bodyshots: 0, legshots: 0, damage: 0
+                    };
+                    entry.matches++;
+                    entry.kills += stat.kills;
+                    entry.headshots += stat.headshots;
+                    entry.bodyshots += stat.bodyshots;
+                    entry.legshots += stat.legshots;
+                    entry.damage += stat.damage;
+                    weapons[stat.weapon] = entry;
+                });
+            });
+
+        return Object.values(weapons)
+            .map(entry => {
+                const shots = entry.headshots + entry.bodyshots + entry.legshots;
+                return {
+                    weapon: entry.weapon,
+                    matches: entry.matches,
+                    kills: entry.kills,
+                    damage: entry.damage,
+                    hsPercent: shots > 0 ? ((entry.headshots / shots) * 100).toFixed(1) : '0.0',
+                    damagePerKill: entry.kills > 0 ? Math.round(entry.damage / entry.kills) : 0
+                };
+            })
+            .sort((a, b) => b.kills - a.kills || b.damage - a.damage);
+    }
+
+    // ギャラリー形式の試合データから統計を計算（calculateStatsと同じ形式）
+    calculateGalleryStats(matches) {
+        const agentStats = {};
+        const mapStats = {};
+        let wins = 0;
+        let totalKills = 0;
+        let totalDeaths = 0;
+        let totalAssists = 0;
+        let totalACS = 0;
+        let totalADR = 0;
+        let totalHS = 0;
+
+        matches.forEach(match => {
+            const isWin = (match.result || '').toUpperCase() === 'WIN';
+            if (isWin) wins++;
+
+            totalKills += Number(match.kills) || 0;
+            totalDeaths += Number(match.deaths) || 0;
+            totalAssists += Number(match.assists) || 0;
+            totalACS += Number(match.acs) || 0;
+            totalADR += Number(match.adr) || 0;
+            totalHS += Number(match.hsPercent) || 0;
+
+            const agent = match.agent || match.character || 'Unknown';
+            agentStats[agent] = agentStats[agent] || { matches: 0, wins: 0 };
+            agentStats[agent].matches++;
+            if (isWin) agentStats[agent].wins++;
+
+            const map = match.map || 'Unknown';
+            mapStats[map] = mapStats[map] || { matches: 0, wins: 0 };
+            mapStats[map].matches++;
+            if (isWin) mapStats[map].wins++;
+        });
+
+        const totalMatches = matches.length;
+        const toRanking = (statsMap, keyName) => Object.entries(statsMap)
+            .map(([key, data]) => ({
+                [keyName]: key,
+                matches: data.matches,
+                wins: data.wins,
+                winRate: data.matches > 0 ? ((data.wins / data.matches) * 100).toFixed(1) : 0
+            }))
+            .sort((a, b) => b.matches - a.matches)
+            .slice(0, 5);
+
+        return {
+            totalMatches,
+            wins,
+            losses: totalMatches - wins,
+            winRate: totalMatches > 0 ? ((wins / totalMatches) * 100).toFixed(1) : 0,
+            avgKills: totalMatches > 0 ? (totalKills / totalMatches).toFixed(1) : 0,
+            avgDeaths: totalMatches > 0 ? (totalDeaths / totalMatches).toFixed(1) : 0,
+            avgAssists: totalMatches > 0 ? (totalAssists / totalMatches).toFixed(1) : 0,
+            avgKD: totalDeaths > 0 ? (totalKills / totalDeaths).toFixed(2) : 0,
+            avgACS: totalMatches > 0 ? (totalACS / totalMatches).toFixed(1) : 0,
+            avgADR: totalMatches > 0 ? (totalADR / totalMatches).toFixed(1) : 0,
+            avgHS: totalMatches > 0 ? (totalHS / totalMatches).toFixed(1) : 0,
+            topAgents: toRanking(agentStats, 'agent'),
+            topMaps: toRanking(mapStats, 'map')
+        };
+    }
+
     // マッチデータを既存のギャラリー形式に変換
     convertMatchToGalleryFormat(match, puuid) {
         const player = match.players?.all_players?.find(p => p.puuid === puuid);
@@ -595,6 +752,7 @@ class ValorantAPIService {
         }
 
         const stats = player.stats || {};
+        const roster = this.convertRoster(match, puuid);
 
         return {
             id: match.metadata?.matchid || `match_${Date.now()}`,
@@ -616,10 +774,243 @@ class ValorantAPIService {
             matchId: match.metadata?.matchid,
             season: match.metadata?.season_id,
             cluster: match.metadata?.cluster,
+            puuid: puuid,
+            roundTimeline: this.convertRounds(match, puuid),
+            roster: roster,
+            partySize: roster.length > 0 ? roster.filter(p => p.party).length : null,
+            allyAgents: roster.filter(p => p.team === 'ally').map(p => p.agent),
+            enemyAgents: roster.filter(p => p.team === 'enemy').map(p => p.agent),
+            weaponStats: this.convertWeaponStats(match, puuid),
+            locations: this.convertLocations(match, puuid),
+            accountId: this.getAccountId(),
             importedFromAPI: true
         };
     }
 
+    // ロビーの名簿を変換（チームは味方/敵、partyは自分と同じパーティか）
+    convertRoster(match, puuid) {
+        const player = match.players?.all_players?.find(p => p.puuid === puuid);
+        if (!player) return [];
+
+        const allyTeam = player.team?.toLowerCase();
+        const roundsPlayed = ((match.teams?.red?.rounds_won || 0) + (match.teams?.blue?.rounds_won || 0))
+            || match.metadata?.rounds_played || 1;
+
+        return match.players.all_players.map(p => {
+            const stats = p.stats || {};
+            return {
+                puuid: p.puuid,
+                name: p.name,
+                tag: p.tag,
+                team: String(p.team || '').toLowerCase() === allyTeam ? 'ally' : 'enemy',
+                agent: p.character || 'Unknown',
+                rank: p.currenttier_patched || null,
+                party: p.puuid === puuid || (!!player.party_id && p.party_id === player.party_id),
+                kills: stats.kills || 0,
+                deaths: stats.deaths || 0,
+                assists: stats.assists || 0,
+                acs: Math.round((stats.score || 0) / roundsPlayed)
+            };
+        });
+    }
+
+    // ラウンドごとの経過を変換（チームはプレイヤーから見た味方/敵で保存）
+    convertRounds(match, puuid) {
+        const player = match.players?.all_players?.find(p => p.puuid === puuid);
+        if (!player || !Array.isArray(match.rounds)) return [];
+
+        const allyTeam = player.team?.toLowerCase();
+        const toSide = (team) => String(team || '').toLowerCase() === allyTeam ? 'ally' : 'enemy';
+        const halfLength = this.getHalfLength(match);
+
+        return match.rounds.map((round, index) => {
+            const plant = round.plant_events || {};
+            const defuse = round.defuse_events || {};
+            const players = (round.player_stats || []).map(stats => ({
+                puuid: stats.player_puuid,
+                name: stats.player_display_name,
+                team: toSide(stats.player_team),
+                kills: stats.kills || 0,
+                score: stats.score || 0,
+                economy: {
+                    loadoutValue: stats.economy?.loadout_value || 0,
+                    spent: stats.economy?.spent || 0,
+                    remaining: stats.economy?.remaining || 0,
+                    weapon: stats.economy?.weapon?.name || null,
+                    armor: stats.economy?.armor?.name || null
+                }
+            }));
+
+            return {
+                round: index + 1,
+                winningTeam: toSide(round.winning_team),
+                endType: this.ROUND_END_TYPES[round.end_type] || 'other',
+                plant: round.bomb_planted ? {
+                    site: plant.plant_site || null,
+                    time: plant.plant_time_in_round ?? null,
+                    by: plant.planted_by?.display_name || null,
+                    team: toSide(plant.planted_by?.team)
+                } : null,
+                defuse: round.bomb_defused ? {
+                    time: defuse.defuse_time_in_round ?? null,
+                    by: defuse.defused_by?.display_name || null,
+                    team: toSide(defuse.defused_by?.team)
+                } : null,
+                players: players,
+                economy: {
+                    ally: this.summarizeTeamEconomy(players, 'ally', index + 1, halfLength),
+                    enemy: this.summarizeTeamEconomy(players, 'enemy', index + 1, halfLength)
+                }
+            };
+        });
+    }
+
+    // 武器ごとのキル・命中部位・ダメージ
+    // 武器が分かるのはキルイベントだけのため、命中部位・ダメージはそのラウンドで倒した相手へのものだけをキルの武器に数える
+    convertWeaponStats(match, puuid) {
+        const rounds = Array.isArray(match.rounds) ? match.rounds : [];
+        const kills = Array.isArray(match.kills) && match.kills.length > 0
+            ? match.kills
+            : rounds.flatMap((round, index) =>
+                (round.player_stats || []).flatMap(stats => (stats.kill_events || []).map(kill => ({ ...kill, round: index })))
+            );
+
+        const weapons = {};
+        const entry = (weapon) => {
+            weapons[weapon] = weapons[weapon] || { weapon, kills: 0, headshots: 0, bodyshots: 0, legshots: 0, damage: 0 };
+            return weapons[weapon];
+        };
+
+        // ラウンド:倒した相手 → キルの武器
+        const killWeapons = new Map();
+        kills.filter(kill => kill.killer_puuid === puuid).forEach(kill => {
+            const weapon = kill.damage_weapon_name || 'Ability';
+            killWeapons.set(`${kill.round}:${kill.victim_puuid}`, weapon);
+            entry(weapon).kills++;
+        });
+
+        rounds.forEach((round, index) => {
+            const stats = (round.player_stats || []).find(s => s.player_puuid === puuid);
+            if (!stats) return;
+
+            (stats.damage_events || []).forEach(event => {
+                const weapon = killWeapons.get(`${index}:${event.receiver_puuid}`);
+                if (!weapon) return;
+
+                const target = entry(weapon);
+                target.headshots += event.headshots || 0;
+                target.bodyshots += event.bodyshots || 0;
+                target.legshots += event.legshots || 0;
+                target.damage += event.damage || 0;
+            });
+        });
+
+        return Object.values(weapons).sort((a, b) => b.kills - a.kills || b.damage - a.damage);
+    }
+
+    // 前半のラウンド数（モードから判定、不明なモードは勝ったチームのラウンド数から）
+    getHalfLength(match) {
+        const mode = String(match.metadata?.mode_id || match.metadata?.mode || '').toLowerCase().replace(/\s+/g, '');
+        if (this.HALF_LENGTHS[mode]) return this.HALF_LENGTHS[mode];
+
+        const roundsWon = Math.max(match.teams?.red?.rounds_won || 0, match.teams?.blue?.rounds_won || 0);
+        return roundsWon > 1 ? Math.min(roundsWon - 1, this.HALF_LENGTHS.competitive) : this.HALF_LENGTHS.competitive;
+    }
+
+    // 攻撃側のチーム（前半はRed、後半はBlue、オーバータイムは1ラウンドごとに交代）
+    getAttackingTeam(roundIndex, halfLength = this.HALF_LENGTHS.competitive) {
+        if (roundIndex < halfLength) return 'red';
+        if (roundIndex < halfLength * 2) return 'blue';
+        return roundIndex % 2 === 0 ? 'red' : 'blue';
+    }
+
+    // キルした位置・デスした位置（ゲーム内座標、sideは攻撃/防衛）
+    convertLocations(match, puuid) {
+        const player = match.players?.all_players?.find(p => p.puuid === puuid);
+        if (!player || !Array.isArray(match.kills)) return [];
+
+        const team = player.team?.toLowerCase();
+        const halfLength = this.getHalfLength(match);
+        const toSide = (roundIndex) => this.getAttackingTeam(roundIndex, halfLength) === team ? 'attack' : 'defense';
+        const locations = [];
+
+        match.kills.forEach(kill => {
+            if (kill.killer_puuid === puuid && kill.victim_puuid !== puuid) {
+                const position = (kill.player_locations_on_kill || []).find(p => p.player_puuid === puuid)?.location;
+                if (position) {
+                    locations.push({ type: 'kill', side: toSide(kill.round), round: kill.round + 1, x: position.x, y: position.y });
+                }
+            }
+            if (kill.victim_puuid === puuid && kill.victim_death_location) {
+                const position = kill.victim_death_location;
+                locations.push({ type: 'death', side: toSide(kill.round), round: kill.round + 1, x: position.x, y: position.y });
+            }
+        });
+
+        return locations;
+    }
+
+    // チームのラウンドのエコノミー（合計額と購入タイプ、playersは変換済みのラウンドのプレイヤー）
+    summarizeTeamEconomy(players, team, roundNumber, halfLength) {
+        const members = players.filter(p => p.team === team);
+        const total = (key) => members.reduce((sum, p) => sum + (p.economy?.[key] || 0), 0);
+        const loadoutValue = total('loadoutValue');
+        const remaining = total('remaining');
+
+        return {
+            loadoutValue,
+            spent: total('spent'),
+            remaining,
+            buyType: this.classifyBuyType(members.length, loadoutValue, remaining, roundNumber, halfLength)
+        };
+    }
+
+    // ピストルラウンド（前半・後半の最初のラウンド）
+    getPistolRounds(halfLength = this.HALF_LENGTHS.competitive) {
+        return [1, halfLength + 1];
+    }
+
+    // 購入タイプ（pistol / eco / force / half / full、halfLengthは前半のラウンド数）
+    classifyBuyType(memberCount, loadoutValue, remaining, roundNumber, halfLength = this.HALF_LENGTHS.competitive) {
+        if (this.getPistolRounds(halfLength).includes(roundNumber)) return 'pistol';
+        if (memberCount === 0) return null;
+
+        const avgLoadout = loadoutValue / memberCount;
+        const avgRemaining = remaining / memberCount;
+        if (avgLoadout < this.BUY_TYPE_THRESHOLDS.eco) return 'eco';
+        if (avgLoadout >= this.BUY_TYPE_THRESHOLDS.full) return 'full';
+        return avgRemaining < this.BUY_TYPE_THRESHOLDS.forceRemaining ? 'force' : 'half';
+    }
+
+    // 保存済みの試合のラウンド経過・名簿・武器別成績・キル/デスの位置を試合詳細APIから取得（取り込み時にラウンド情報がなかった試合用）
+    async fetchRoundTimeline(galleryMatch) {
+        if (!galleryMatch.matchId) {
+            throw new Error('APIから取り込んだ試合ではありません');
+        }
+
+        const details = await this.getMatchDetails(galleryMatch.matchId);
+        const accountId = galleryMatch.accountId || this.getAccountId();
+        const player = details?.players?.all_players?.find(p =>
+            (galleryMatch.puuid && p.puuid === galleryMatch.puuid) ||
+            `${p.name}#${p.tag}`.toLowerCase() === accountId
+        );
+        if (!player) {
+            throw new Error('この試合のプレイヤーが見つかりませんでした');
+        }
+
+        const roster = this.convertRoster(details, player.puuid);
+        return {
+            puuid: player.puuid,
+            roundTimeline: this.convertRounds(details, player.puuid),
+            roster: roster,
+            partySize: roster.filter(p => p.party).length,
+            allyAgents: roster.filter(p => p.team === 'ally').map(p => p.agent),
+            enemyAgents: roster.filter(p => p.team === 'enemy').map(p => p.agent),
+            weaponStats: this.convertWeaponStats(details, player.puuid),
+            locations: this.convertLocations(details, player.puuid)
+        };
+    }
+
     // マッチ履歴をインポート
     async importMatchHistory(mode = 'competitive', size = 10) {
         try {
@@ -634,36 +1025,19 @@ class ValorantAPIService {
                 };
             }
 
-            // 既存のギャラリーデータを取得
-            const existingGallery = JSON.parse(localStorage.getItem('valorant_gallery') || '[]');
-            const existingIds = new Set(existingGallery.map(m => m.matchId || m.id));
-
             // 新しいマッチを変換
-            const newMatches = [];
-            let skipped = 0;
-
-            for (const match of matches) {
-                const convertedMatch = this.convertMatchToGalleryFormat(match, account.puuid);
-                if (convertedMatch) {
-                    if (existingIds.has(convertedMatch.matchId)) {
-                        skipped++;
-                    } else {
-                        newMatches.push(convertedMatch);
-                    }
-                }
-            }
+            const convertedMatches = matches
+                .map(match => this.convertMatchToGalleryFormat(match, account.puuid))
+                .filter(Boolean);
 
-            // ギャラリーに追加
-            if (newMatches.length > 0) {
-                const updatedGallery = [...newMatches, ...existingGallery];
-                localStorage.setItem('valorant_gallery', JSON.stringify(updatedGallery));
-            }
+            // リポジトリに追加（既存のマッチはスキップ）
+            const { added, skipped } = await window.matchRepository.addMany(convertedMatches);
 
             return {
-                imported: newMatches.length,
+                imported: added,
                 skipped: skipped,
                 total: matches.length,
-                message: `${newMatches.length}件のマッチをインポートしました${skipped > 0 ? `（${skipped}件は既存）` : ''}`
+                message: `${added}件のマッチをインポートしました${skipped > 0 ? `（${skipped}件は既存）` : ''}`
             };
 
         } catch (error) {
@@ -698,25 +1072,24 @@ class ValorantAPIService {
     getDebugInfo() {
         return {
             isConfigured: this.isConfigured(),
-            hasApiKey: !!this.apiKey,
-            apiKeyLength: this.apiKey?.length || 0,
+            hasApiKey: this.hasApiKey(),
             riotId: this.riotId ? `${this.riotId.name}#${this.riotId.tag}` : 'Not set',
             region: this.region,
             platform: this.platform,
-            cacheStatus: {
-                account: this.isCacheValid('account'),
-                mmr: this.isCacheValid('mmr'),
-                matchesCount: this.cache.matches.length
+            rateLimit: {
+                remaining: window.requestScheduler.getRemaining(this.PROVIDER),
+                queued: window.requestScheduler.getQueueLength(this.PROVIDER)
             }
         };
     }
 
     // 設定をリセット
     reset() {
-        this.apiKey = '';
+        window.secretsVault.removeSecret(this.API_KEY_SECRET);
         this.riotId = null;
         this.region = 'ap';
         this.platform = 'pc';
+        this.baseUrl = this.DEFAULT_BASE_URL;
         this.clearCache();
 
         localStorage.removeItem('valorant_api_settings');